@@ -0,0 +1,22 @@
+const { config } = require('../config/env');
+const { syncBeatmapFeatures } = require('../services/beatmapFeatures');
+
+async function analyzeBeatmapFilesJob() {
+  if (!config.OSU_FILES_DIR) {
+    console.log('⏭️ OSU_FILES_DIR not set, skipping beatmap file analysis');
+    return { analyzed: 0, missing: 0, failed: 0 };
+  }
+
+  console.log('🗺️ Analyzing local beatmap files...');
+
+  try {
+    const result = await syncBeatmapFeatures();
+    console.log(`✅ Beatmap analysis completed: ${result.analyzed} analyzed, ${result.missing} without a file, ${result.failed} failed`);
+    return result;
+  } catch (err) {
+    console.error('❌ Beatmap analysis failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = analyzeBeatmapFilesJob;
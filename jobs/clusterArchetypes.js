@@ -0,0 +1,16 @@
+const { clusterArchetypes } = require('../services/archetypes');
+
+async function clusterArchetypesJob() {
+  console.log('🧩 Clustering player archetypes...');
+
+  try {
+    const result = await clusterArchetypes();
+    console.log(`✅ Archetype clustering completed: ${result.players} players in ${result.clusters} clusters (${result.iterations} iterations)`);
+    return result;
+  } catch (err) {
+    console.error('❌ Archetype clustering failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = clusterArchetypesJob;
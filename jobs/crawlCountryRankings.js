@@ -0,0 +1,20 @@
+const { crawlCountryRanking } = require('../services/rankingCrawler');
+const { TRACKED_MODES } = require('../services/osuApi');
+const { config } = require('../config/env');
+
+async function crawlCountryRankingsJob() {
+  console.log('🔄 Crawling country rankings...');
+
+  const results = [];
+  for (const country of config.TRACKED_COUNTRIES) {
+    for (const mode of TRACKED_MODES) {
+      results.push(await crawlCountryRanking(country, mode));
+    }
+  }
+
+  const playersUpdated = results.reduce((sum, r) => sum + (r.playersUpdated || 0), 0);
+  console.log(`✅ Country ranking crawl finished - ${playersUpdated} players updated`);
+  return results;
+}
+
+module.exports = crawlCountryRankingsJob;
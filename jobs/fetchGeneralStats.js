@@ -1,19 +1,15 @@
-const { query } = require('../config/db');
-const { getAccessToken } = require('../services/osuApi');
-const axios = require('axios');
+const { query, getRows } = require('../config/db');
+const { config } = require('../config/env');
+const { getUser } = require('../services/osuApi');
 
 async function fetchGeneralStatsJob() {
   console.log('🔄 Updating general player stats...');
-  const token = await getAccessToken();
-
-  const players = await query(`SELECT user_id FROM players WHERE country = 'DZ'`);
+  const players = await getRows(`SELECT user_id FROM players WHERE country = ANY($1)`, [config.TRACKED_COUNTRIES]);
   let updatedCount = 0;
 
   for (const player of players) {
     try {
-      const { data } = await axios.get(`https://osu.ppy.sh/api/v2/users/${player.user_id}/osu`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const data = await getUser(player.user_id, 'osu');
 
       await query(`
         UPDATE players
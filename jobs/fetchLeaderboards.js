@@ -1,10 +1,13 @@
 const { leaderboardService } = require('../services/leaderboard');
+const { TRACKED_MODES } = require('../services/osuApi');
 
 async function fetchLeaderboardsJob() {
-  console.log('🔄 Starting leaderboards update...');
+  console.log(`🔄 Starting leaderboards update (${TRACKED_MODES.join(', ')})...`);
   
   try {
-    await leaderboardService.updateLeaderboards();
+    for (const mode of TRACKED_MODES) {
+      await leaderboardService.updateLeaderboards(mode);
+    }
     console.log('✅ Leaderboards update completed');
   } catch (err) {
     console.error('❌ Leaderboards update failed:', err.message);
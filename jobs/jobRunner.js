@@ -1,15 +1,35 @@
 const cron = require('node-cron');
 const fetchAlgerianPlayersJob = require('./fetchAlgerianPlayers');
+const crawlCountryRankingsJob = require('./crawlCountryRankings');
 const fetchStandardScoresJob = require('./fetchStandardScores');
 const fetchGeneralStatsJob = require('./fetchGeneralStats');
+const snapshotRankingsJob = require('./snapshotRankings');
+const analyzeBeatmapFilesJob = require('./analyzeBeatmapFiles');
+const recomputeSkillsJob = require('./recomputeSkills');
+const clusterArchetypesJob = require('./clusterArchetypes');
 
 // Every 12 hours → Refresh player list
 cron.schedule('0 */12 * * *', fetchAlgerianPlayersJob);
 
+// Every 6 hours at :30 → Full country ranking crawl (resumes after restarts)
+cron.schedule('30 */6 * * *', crawlCountryRankingsJob);
+
 // Every hour → Fetch top & recent scores
 cron.schedule('0 * * * *', fetchStandardScoresJob);
 
 // Every 6 hours → Update general stats
 cron.schedule('0 */6 * * *', fetchGeneralStatsJob);
 
+// Daily at 23:55 → Snapshot player ranks for trends
+cron.schedule('55 23 * * *', snapshotRankingsJob);
+
+// Every 6 hours at :45 → Extract pattern features from local .osu files
+cron.schedule('45 */6 * * *', analyzeBeatmapFilesJob);
+
+// Daily at 04:15 → Recompute skill history left over from older skill models
+cron.schedule('15 4 * * *', recomputeSkillsJob);
+
+// Daily at 05:00 → Cluster players into playstyle archetypes from their latest skills
+cron.schedule('0 5 * * *', clusterArchetypesJob);
+
 console.log('📅 Jobs scheduled');
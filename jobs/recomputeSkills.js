@@ -0,0 +1,31 @@
+const { SKILL_MODEL_VERSION, recomputeSkillHistory } = require('../services/skillCalculator');
+
+// Snapshots rewritten per run, in batches so one run cannot hold the database for long
+const BATCH_SIZE = 200;
+const MAX_BATCHES = 25;
+
+async function recomputeSkillsJob() {
+  console.log(`🧮 Recomputing skill history under model v${SKILL_MODEL_VERSION}...`);
+
+  try {
+    let recomputed = 0;
+    let failed = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES; batch++) {
+      const result = await recomputeSkillHistory(SKILL_MODEL_VERSION, BATCH_SIZE);
+      recomputed += result.recomputed;
+      failed += result.failed;
+
+      // Failed snapshots are marked and skipped, so a batch of failures still moves on
+      if (!result.remaining) break;
+    }
+
+    console.log(`✅ Skill history recompute completed: ${recomputed} snapshots (${failed} errors)`);
+    return { recomputed, failed };
+  } catch (err) {
+    console.error('❌ Skill history recompute failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = recomputeSkillsJob;
@@ -121,7 +121,7 @@ function scheduleInterval(fn, intervalMs, label, options = {}) {
   const intervalId = setInterval(runJob, intervalMs);
 
   // Store interval ID for cleanup
-  status.intervalId = intervalId;
+  jobStatus.get(label).intervalId = intervalId;
 
   return {
     stop: () => {
@@ -0,0 +1,18 @@
+const { snapshotRankings, cleanupOldSnapshots } = require('../services/rankHistory');
+
+async function snapshotRankingsJob() {
+  console.log('📸 Taking daily rank snapshot...');
+  
+  try {
+    const snapshotCount = await snapshotRankings();
+    const removed = await cleanupOldSnapshots();
+    
+    console.log(`✅ Rank snapshot completed: ${snapshotCount} players${removed > 0 ? `, ${removed} old snapshots removed` : ''}`);
+    return { snapshotCount, removed };
+  } catch (err) {
+    console.error('❌ Rank snapshot failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = snapshotRankingsJob;
@@ -1,5 +1,11 @@
 const { query } = require('../config/db');
-const { SkillCalculator } = require('../services/skillCalculator');
+const { calculateSkillConfidence } = require('../services/skillModel');
+const {
+  calculateSkills,
+  getSkillScores,
+  storeSkills,
+  trimSkillHistory
+} = require('../services/skillCalculator');
 const { broadcastToClients } = require('../middleware/websocket');
 
 async function updatePlayerSkillsJob() {
@@ -20,48 +26,23 @@ const players = result.rows || [];
 for (const player of players) {
       try {
         // Get player's scores for skill calculation
-        const playerScores = await query(`
-          SELECT * FROM algeria_top50 
-          WHERE username = $1 
-          ORDER BY pp DESC 
-          LIMIT 100
-        `, [player.username]);
+        const playerScores = await getSkillScores(player.username, 'osu');
 
-        if (playerScores.rows.length === 0) {
+        if (playerScores.length === 0) {
           console.log(`⚠️ No scores found for ${player.username}, skipping...`);
           continue;
         }
 
-        // Calculate skills
-        const skills = {
-          aim: SkillCalculator.calculateAimSkill(playerScores.rows),
-          speed: SkillCalculator.calculateSpeedSkill(playerScores.rows),
-          accuracy: SkillCalculator.calculateAccuracySkill(playerScores.rows),
-          reading: SkillCalculator.calculateReadingSkill(playerScores.rows),
-          consistency: SkillCalculator.calculateConsistencySkill(playerScores.rows)
-        };
+        // Calculate skills with the current model
+        const skills = calculateSkills(playerScores);
 
         const now = Date.now();
 
-        // Store skill tracking data
-        for (const [skillType, skillValue] of Object.entries(skills)) {
-          await query(`
-            INSERT INTO skill_tracking (username, skill_type, skill_value, calculated_at)
-            VALUES ($1, $2, $3, $4)
-          `, [player.username, skillType, skillValue, now]);
-        }
-
-        // Clean up old skill data (keep last 30 entries per skill type)
-        await query(`
-          DELETE FROM skill_tracking 
-          WHERE username = $1 
-          AND id NOT IN (
-            SELECT id FROM skill_tracking 
-            WHERE username = $1 
-            ORDER BY calculated_at DESC 
-            LIMIT 150
-          )
-        `, [player.username]);
+        // Store skill tracking data and trim old entries
+        await storeSkills(player.username, 'osu', skills, now, {
+          confidence: calculateSkillConfidence(playerScores, { now })
+        });
+        await trimSkillHistory(player.username, 'osu');
 
         // Update player stats with last calculation time
         await query(`
@@ -0,0 +1,278 @@
+// Initial schema, matches what ensureTables() used to create.
+// Tables use IF NOT EXISTS so databases created before migrations can adopt this version.
+
+const TABLES = [
+  'player_comments',
+  'player_relationships',
+  'player_discovery_log',
+  'beatmap_metadata',
+  'snipes',
+  'rank_snapshots',
+  'daily_stats',
+  'player_activity',
+  'player_achievements',
+  'achievements',
+  'skill_tracking',
+  'player_mode_stats',
+  'player_stats',
+  'algeria_top50'
+];
+
+async function up(client) {
+  // Core leaderboard table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS algeria_top50 (
+      beatmap_id BIGINT,
+      beatmap_title TEXT,
+      artist TEXT,
+      difficulty_name TEXT,
+      player_id BIGINT,
+      username TEXT,
+      rank INTEGER,
+      score BIGINT,
+      accuracy REAL,
+      accuracy_text TEXT,
+      mods TEXT,
+      pp REAL DEFAULT 0,
+      difficulty_rating REAL DEFAULT 0,
+      max_combo INTEGER DEFAULT 0,
+      count_300 INTEGER DEFAULT 0,
+      count_100 INTEGER DEFAULT 0,
+      count_50 INTEGER DEFAULT 0,
+      count_miss INTEGER DEFAULT 0,
+      play_date BIGINT,
+      last_updated BIGINT,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      country TEXT NOT NULL DEFAULT 'DZ',
+      PRIMARY KEY (beatmap_id, player_id, mode)
+    );
+  `);
+
+  // Enhanced player statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_stats (
+      username TEXT PRIMARY KEY,
+      user_id BIGINT UNIQUE,
+      total_scores INTEGER DEFAULT 0,
+      avg_rank REAL DEFAULT 0,
+      best_score BIGINT DEFAULT 0,
+      total_pp REAL DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      first_places INTEGER DEFAULT 0,
+      top_10_places INTEGER DEFAULT 0,
+      accuracy_avg REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      total_playtime INTEGER DEFAULT 0,
+      level REAL DEFAULT 1,
+      global_rank INTEGER DEFAULT 0,
+      country_rank INTEGER DEFAULT 0,
+      join_date TIMESTAMP,
+      last_seen TIMESTAMP DEFAULT now(),
+      last_calculated BIGINT DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      avatar_url TEXT,
+      cover_url TEXT,
+      country TEXT DEFAULT 'DZ'
+    );
+  `);
+
+  // Per-ruleset player statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_mode_stats (
+      username TEXT,
+      mode TEXT DEFAULT 'osu',
+      total_scores INTEGER DEFAULT 0,
+      avg_rank REAL DEFAULT 0,
+      best_score BIGINT DEFAULT 0,
+      total_pp REAL DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      first_places INTEGER DEFAULT 0,
+      top_10_places INTEGER DEFAULT 0,
+      accuracy_avg REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      global_rank INTEGER DEFAULT 0,
+      country_rank INTEGER DEFAULT 0,
+      last_calculated BIGINT DEFAULT 0,
+      PRIMARY KEY (username, mode),
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    );
+  `);
+
+  // Skill tracking system
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS skill_tracking (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      skill_type TEXT,
+      skill_value REAL,
+      confidence REAL DEFAULT 0.5,
+      calculated_at BIGINT,
+      mode TEXT DEFAULT 'osu',
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    );
+  `);
+
+  // Achievements system
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS achievements (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE,
+      description TEXT,
+      category TEXT,
+      icon TEXT,
+      points INTEGER DEFAULT 0,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_achievements (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      achievement_id INTEGER,
+      unlocked_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      progress REAL DEFAULT 1.0,
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (achievement_id) REFERENCES achievements(id),
+      UNIQUE(username, achievement_id)
+    );
+  `);
+
+  // Activity tracking
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_activity (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      activity_type TEXT,
+      activity_data JSONB,
+      timestamp BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    );
+  `);
+
+  // Daily statistics
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      date DATE PRIMARY KEY,
+      active_players INTEGER DEFAULT 0,
+      new_scores INTEGER DEFAULT 0,
+      new_players INTEGER DEFAULT 0,
+      total_pp_gained REAL DEFAULT 0,
+      average_accuracy REAL DEFAULT 0,
+      top_score BIGINT DEFAULT 0
+    );
+  `);
+
+  // Daily rank snapshots for trend tracking
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rank_snapshots (
+      username TEXT,
+      snapshot_date DATE,
+      country_rank INTEGER DEFAULT 0,
+      global_rank INTEGER DEFAULT 0,
+      pp_rank INTEGER DEFAULT 0,
+      weighted_pp REAL DEFAULT 0,
+      first_places INTEGER DEFAULT 0,
+      created_at BIGINT,
+      PRIMARY KEY (username, snapshot_date),
+      FOREIGN KEY (username) REFERENCES player_stats(username) ON DELETE CASCADE
+    );
+  `);
+
+  // Snipe history (who took a #1 from whom)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS snipes (
+      id SERIAL PRIMARY KEY,
+      beatmap_id BIGINT,
+      beatmap_title TEXT,
+      sniper_id BIGINT,
+      sniper_username TEXT,
+      victim_id BIGINT,
+      victim_username TEXT,
+      old_score BIGINT,
+      new_score BIGINT,
+      old_pp REAL DEFAULT 0,
+      new_pp REAL DEFAULT 0,
+      mode TEXT DEFAULT 'osu',
+      country TEXT DEFAULT 'DZ',
+      sniped_at BIGINT
+    );
+  `);
+
+  // Beatmap metadata
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_metadata (
+      beatmap_id BIGINT PRIMARY KEY,
+      beatmapset_id BIGINT,
+      artist TEXT,
+      title TEXT,
+      version TEXT,
+      creator TEXT,
+      difficulty_rating REAL,
+      cs REAL,
+      ar REAL,
+      od REAL,
+      hp REAL,
+      length INTEGER,
+      bpm REAL,
+      max_combo INTEGER,
+      tags TEXT[],
+      genre_id INTEGER,
+      language_id INTEGER,
+      play_count INTEGER DEFAULT 0,
+      favorite_count INTEGER DEFAULT 0,
+      ranked_date BIGINT,
+      last_updated BIGINT
+    );
+  `);
+
+  // Player discovery tables
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_discovery_log (
+      id SERIAL PRIMARY KEY,
+      username TEXT,
+      user_id BIGINT,
+      discovery_method TEXT,
+      discovery_timestamp BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      is_new_player BOOLEAN DEFAULT false,
+      player_data JSONB
+    );
+  `);
+
+  // Social features
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_relationships (
+      id SERIAL PRIMARY KEY,
+      follower_username TEXT,
+      following_username TEXT,
+      relationship_type TEXT DEFAULT 'follow',
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      FOREIGN KEY (follower_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (following_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      UNIQUE(follower_username, following_username)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_comments (
+      id SERIAL PRIMARY KEY,
+      target_username TEXT,
+      commenter_username TEXT,
+      comment_text TEXT,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      is_deleted BOOLEAN DEFAULT false,
+      deleted_by TEXT,
+      updated_at BIGINT,
+      FOREIGN KEY (target_username) REFERENCES player_stats(username) ON DELETE CASCADE,
+      FOREIGN KEY (commenter_username) REFERENCES player_stats(username) ON DELETE CASCADE
+    );
+  `);
+}
+
+async function down(client) {
+  for (const table of TABLES) {
+    await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,62 @@
+// Bring databases created before migrations up to the 001 schema.
+// Replaces addMissingColumns(); every statement is a no-op on a fresh database.
+
+const COLUMN_UPDATES = [
+  'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP DEFAULT now()',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS pp REAL DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS artist TEXT',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS difficulty_name TEXT',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS difficulty_rating REAL DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS max_combo INTEGER DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_300 INTEGER DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_100 INTEGER DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_50 INTEGER DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS count_miss INTEGER DEFAULT 0',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS accuracy REAL',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS accuracy_text TEXT',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS mods TEXT',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS play_date BIGINT',
+  'ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS last_updated BIGINT',
+  'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS user_id BIGINT',
+  'ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS join_date TIMESTAMP',
+  'ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS deleted_by TEXT',
+  'ALTER TABLE player_comments ADD COLUMN IF NOT EXISTS updated_at BIGINT',
+  "ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'osu'",
+  "ALTER TABLE skill_tracking ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'osu'",
+  "ALTER TABLE snipes ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'osu'",
+  "ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS country TEXT NOT NULL DEFAULT 'DZ'",
+  "ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'DZ'",
+  "ALTER TABLE snipes ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'DZ'",
+  // Scores are unique per ruleset since converted beatmaps share a beatmap_id
+  `DO $$
+   BEGIN
+     IF NOT EXISTS (
+       SELECT 1 FROM pg_index i
+       JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+       WHERE i.indrelid = 'algeria_top50'::regclass AND i.indisprimary AND a.attname = 'mode'
+     ) THEN
+       ALTER TABLE algeria_top50 DROP CONSTRAINT IF EXISTS algeria_top50_pkey;
+       ALTER TABLE algeria_top50 ADD PRIMARY KEY (beatmap_id, player_id, mode);
+     END IF;
+   END $$`,
+  // Seed standard per-ruleset stats from the legacy player_stats columns
+  `INSERT INTO player_mode_stats (
+     username, mode, total_scores, avg_rank, best_score, total_pp, weighted_pp,
+     first_places, top_10_places, accuracy_avg, playcount, global_rank, country_rank, last_calculated
+   )
+   SELECT username, 'osu', total_scores, avg_rank, best_score, total_pp, weighted_pp,
+          first_places, top_10_places, accuracy_avg, playcount, global_rank, country_rank, last_calculated
+   FROM player_stats
+   ON CONFLICT (username, mode) DO NOTHING`
+];
+
+async function up(client) {
+  for (const sql of COLUMN_UPDATES) {
+    await client.query(sql);
+  }
+}
+
+// The columns belong to the 001 schema, so there is nothing to undo here
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// Performance indexes, previously created by ensureTables() and createIndexes().
+// Migrations run inside a transaction, so these are not built CONCURRENTLY.
+
+const INDEXES = [
+  ['idx_algeria_score', 'algeria_top50(score DESC)'],
+  ['idx_algeria_rank', 'algeria_top50(rank ASC)'],
+  ['idx_algeria_pp', 'algeria_top50(pp DESC)'],
+  ['idx_algeria_updated', 'algeria_top50(last_updated DESC)'],
+  ['idx_algeria_username', 'algeria_top50(username)'],
+  ['idx_algeria_beatmap', 'algeria_top50(beatmap_id)'],
+  ['idx_algeria_mode', 'algeria_top50(mode, beatmap_id)'],
+  ['idx_algeria_country', 'algeria_top50(country, mode, beatmap_id)'],
+  ['idx_player_stats_country', 'player_stats(country, weighted_pp DESC)'],
+  ['idx_player_mode_stats_pp', 'player_mode_stats(mode, weighted_pp DESC)'],
+  ['idx_player_stats_pp', 'player_stats(weighted_pp DESC)'],
+  ['idx_player_stats_active', 'player_stats(is_active, last_seen DESC)'],
+  ['idx_player_activity_time', 'player_activity(timestamp DESC)'],
+  ['idx_player_activity_user_time', 'player_activity(username, timestamp DESC)'],
+  ['idx_relationships_follower', 'player_relationships(follower_username)'],
+  ['idx_relationships_following', 'player_relationships(following_username)'],
+  ['idx_player_comments_target', 'player_comments(target_username, created_at DESC)'],
+  ['idx_rank_snapshots_date', 'rank_snapshots(snapshot_date DESC)'],
+  ['idx_snipes_time', 'snipes(sniped_at DESC)'],
+  ['idx_snipes_sniper', 'snipes(sniper_username)'],
+  ['idx_snipes_victim', 'snipes(victim_username)'],
+  ['idx_skill_tracking_username', 'skill_tracking(username)'],
+  ['idx_skill_tracking_time', 'skill_tracking(calculated_at DESC)'],
+  ['idx_discovery_log_timestamp', 'player_discovery_log(discovery_timestamp DESC)'],
+  ['idx_beatmap_metadata_difficulty', 'beatmap_metadata(difficulty_rating)'],
+  ['idx_achievements_category', 'achievements(category)'],
+  ['idx_player_achievements_username', 'player_achievements(username)']
+];
+
+async function up(client) {
+  for (const [name, definition] of INDEXES) {
+    await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition}`);
+  }
+}
+
+async function down(client) {
+  for (const [name] of INDEXES) {
+    await client.query(`DROP INDEX IF EXISTS ${name}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// Tables used by the fetchGeneralStats and fetchStandardScores jobs
+
+async function up(client) {
+  // osu! profile stats keyed by user id
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      user_id BIGINT PRIMARY KEY,
+      username TEXT NOT NULL,
+      country TEXT NOT NULL DEFAULT 'DZ',
+      accuracy REAL DEFAULT 0,
+      playcount INTEGER DEFAULT 0,
+      total_score BIGINT DEFAULT 0,
+      ranked_score BIGINT DEFAULT 0,
+      created_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    );
+  `);
+
+  // Individual scores keyed by osu! score id
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scores (
+      score_id BIGINT PRIMARY KEY,
+      user_id BIGINT NOT NULL,
+      beatmap_id BIGINT NOT NULL,
+      pp REAL DEFAULT 0,
+      accuracy REAL,
+      mods TEXT,
+      date_played BIGINT
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_players_country ON players(country)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_user ON scores(user_id, date_played DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_beatmap ON scores(beatmap_id)');
+
+  // Players already discovered before this table existed
+  await client.query(`
+    INSERT INTO players (user_id, username, country)
+    SELECT user_id, username, COALESCE(country, 'DZ')
+    FROM player_stats
+    WHERE user_id IS NOT NULL
+    ON CONFLICT (user_id) DO NOTHING
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS scores');
+  await client.query('DROP TABLE IF EXISTS players');
+}
+
+module.exports = { up, down };
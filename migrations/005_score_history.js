@@ -0,0 +1,54 @@
+// Full per-score history: every score seen on the best, recent and firsts endpoints
+
+const ADDED_COLUMNS = [
+  ['username', 'TEXT'],
+  ['beatmapset_id', 'BIGINT'],
+  ['mode', "TEXT NOT NULL DEFAULT 'osu'"],
+  ['score', 'BIGINT DEFAULT 0'],
+  ['max_combo', 'INTEGER DEFAULT 0'],
+  ['grade', 'TEXT'],
+  ['perfect', 'BOOLEAN DEFAULT false'],
+  ['passed', 'BOOLEAN DEFAULT true'],
+  ['count_300', 'INTEGER DEFAULT 0'],
+  ['count_100', 'INTEGER DEFAULT 0'],
+  ['count_50', 'INTEGER DEFAULT 0'],
+  ['count_miss', 'INTEGER DEFAULT 0'],
+  ['count_geki', 'INTEGER DEFAULT 0'],
+  ['count_katu', 'INTEGER DEFAULT 0'],
+  ['sources', "TEXT[] NOT NULL DEFAULT '{}'"],
+  ['first_seen', 'BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000'],
+  ['last_updated', 'BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000']
+];
+
+async function up(client) {
+  for (const [column, type] of ADDED_COLUMNS) {
+    await client.query(`ALTER TABLE scores ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+  }
+
+  // The old job stored accuracy as a percentage, algeria_top50 uses a fraction
+  await client.query('UPDATE scores SET accuracy = accuracy / 100 WHERE accuracy > 1');
+
+  await client.query(`
+    UPDATE scores s SET username = p.username
+    FROM players p
+    WHERE s.user_id = p.user_id AND s.username IS NULL
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_beatmap_mode_score ON scores(beatmap_id, mode, score DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_user_mode_pp ON scores(user_id, mode, pp DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scores_username ON scores(LOWER(username), date_played DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_scores_username');
+  await client.query('DROP INDEX IF EXISTS idx_scores_user_mode_pp');
+  await client.query('DROP INDEX IF EXISTS idx_scores_beatmap_mode_score');
+
+  await client.query('UPDATE scores SET accuracy = accuracy * 100 WHERE accuracy <= 1');
+
+  for (const [column] of [...ADDED_COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE scores DROP COLUMN IF EXISTS ${column}`);
+  }
+}
+
+module.exports = { up, down };
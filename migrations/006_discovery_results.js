@@ -0,0 +1,15 @@
+// What each player discovery added to the beatmap leaderboards
+
+async function up(client) {
+  await client.query('ALTER TABLE player_discovery_log ADD COLUMN IF NOT EXISTS beatmaps_scanned INTEGER DEFAULT 0');
+  await client.query('ALTER TABLE player_discovery_log ADD COLUMN IF NOT EXISTS leaderboard_rows INTEGER DEFAULT 0');
+  await client.query('ALTER TABLE player_discovery_log ADD COLUMN IF NOT EXISTS history_fetched_at BIGINT');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE player_discovery_log DROP COLUMN IF EXISTS history_fetched_at');
+  await client.query('ALTER TABLE player_discovery_log DROP COLUMN IF EXISTS leaderboard_rows');
+  await client.query('ALTER TABLE player_discovery_log DROP COLUMN IF EXISTS beatmaps_scanned');
+}
+
+module.exports = { up, down };
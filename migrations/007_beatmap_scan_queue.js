@@ -0,0 +1,44 @@
+// Persistent, prioritised queue of beatmap leaderboards to scan
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_scan_queue (
+      beatmap_id BIGINT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      beatmapset_id BIGINT,
+      beatmap_title TEXT,
+      status TEXT,
+      ranked_date BIGINT,
+      tracked_scores INTEGER DEFAULT 0,
+      scan_count INTEGER DEFAULT 0,
+      change_count INTEGER DEFAULT 0,
+      failure_count INTEGER DEFAULT 0,
+      last_scanned BIGINT,
+      last_changed BIGINT,
+      boost REAL DEFAULT 0,
+      bumped_by TEXT,
+      bumped_at BIGINT,
+      added_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000,
+      PRIMARY KEY (beatmap_id, mode)
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scan_queue_mode_scanned ON beatmap_scan_queue(mode, last_scanned)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scan_queue_boost ON beatmap_scan_queue(mode, boost DESC) WHERE boost > 0');
+
+  // Beatmaps we already hold leaderboard rows for
+  await client.query(`
+    INSERT INTO beatmap_scan_queue (beatmap_id, mode, beatmapset_id, beatmap_title, ranked_date, tracked_scores, last_scanned)
+    SELECT t.beatmap_id, t.mode, bm.beatmapset_id, MIN(t.beatmap_title), bm.ranked_date, COUNT(*), MIN(t.last_updated)
+    FROM algeria_top50 t
+    LEFT JOIN beatmap_metadata bm ON bm.beatmap_id = t.beatmap_id
+    GROUP BY t.beatmap_id, t.mode, bm.beatmapset_id, bm.ranked_date
+    ON CONFLICT (beatmap_id, mode) DO NOTHING
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS beatmap_scan_queue');
+}
+
+module.exports = { up, down };
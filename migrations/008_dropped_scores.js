@@ -0,0 +1,30 @@
+// Leaderboard rows removed by reconciliation, kept for history
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS dropped_scores (
+      id SERIAL PRIMARY KEY,
+      beatmap_id BIGINT NOT NULL,
+      beatmap_title TEXT,
+      player_id BIGINT,
+      username TEXT,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      country TEXT,
+      rank INTEGER,
+      score BIGINT,
+      pp REAL,
+      mods TEXT,
+      reason TEXT NOT NULL,
+      dropped_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_dropped_scores_beatmap ON dropped_scores(beatmap_id, mode)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_dropped_scores_player ON dropped_scores(username, dropped_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS dropped_scores');
+}
+
+module.exports = { up, down };
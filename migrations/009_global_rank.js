@@ -0,0 +1,19 @@
+// Worldwide leaderboard position next to the country position in algeria_top50
+
+async function up(client) {
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS global_rank INTEGER');
+  await client.query('ALTER TABLE dropped_scores ADD COLUMN IF NOT EXISTS global_rank INTEGER');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_algeria_top50_global_rank
+    ON algeria_top50(mode, global_rank)
+    WHERE global_rank IS NOT NULL
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_algeria_top50_global_rank');
+  await client.query('ALTER TABLE dropped_scores DROP COLUMN IF EXISTS global_rank');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS global_rank');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Mod settings, classic and lazer totals and raw API payloads for lazer-era scores
+
+async function up(client) {
+  await client.query("ALTER TABLE scores ADD COLUMN IF NOT EXISTS mod_settings JSONB DEFAULT '{}'");
+  await client.query('ALTER TABLE scores ADD COLUMN IF NOT EXISTS classic_score BIGINT');
+  await client.query('ALTER TABLE scores ADD COLUMN IF NOT EXISTS lazer_score BIGINT');
+  await client.query('ALTER TABLE scores ADD COLUMN IF NOT EXISTS is_lazer BOOLEAN DEFAULT false');
+  await client.query('ALTER TABLE scores ADD COLUMN IF NOT EXISTS raw_payload JSONB');
+
+  // Existing rows came from legacy payloads
+  await client.query('UPDATE scores SET classic_score = score WHERE classic_score IS NULL');
+
+  await client.query("ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS mod_settings JSONB DEFAULT '{}'");
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS lazer_score BIGINT');
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS is_lazer BOOLEAN DEFAULT false');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS is_lazer');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS lazer_score');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS mod_settings');
+
+  await client.query('ALTER TABLE scores DROP COLUMN IF EXISTS raw_payload');
+  await client.query('ALTER TABLE scores DROP COLUMN IF EXISTS is_lazer');
+  await client.query('ALTER TABLE scores DROP COLUMN IF EXISTS lazer_score');
+  await client.query('ALTER TABLE scores DROP COLUMN IF EXISTS classic_score');
+  await client.query('ALTER TABLE scores DROP COLUMN IF EXISTS mod_settings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+// Difficulty attributes per beatmap and mod combination, and mod-adjusted values on leaderboard rows
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_attributes (
+      beatmap_id BIGINT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      mods TEXT NOT NULL DEFAULT 'None',
+      star_rating REAL,
+      ar REAL,
+      od REAL,
+      max_combo INTEGER,
+      attributes JSONB,
+      fetched_at BIGINT,
+      PRIMARY KEY (beatmap_id, mode, mods)
+    );
+  `);
+
+  // difficulty_rating now holds the star rating with the score's mods applied
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS base_difficulty_rating REAL');
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS ar REAL');
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS od REAL');
+
+  // Nomod rows are already correct, modded rows are backfilled by the leaderboard job
+  await client.query(`
+    UPDATE algeria_top50 t SET
+      base_difficulty_rating = t.difficulty_rating,
+      ar = m.ar,
+      od = m.od
+    FROM beatmap_metadata m
+    WHERE m.beatmap_id = t.beatmap_id AND t.mode = 'osu' AND t.mods = 'None' AND t.base_difficulty_rating IS NULL
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_algeria_top50_attributes_pending
+    ON algeria_top50(mode, beatmap_id) WHERE base_difficulty_rating IS NULL
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_algeria_top50_attributes_pending');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS od');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS ar');
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS base_difficulty_rating');
+  await client.query('DROP TABLE IF EXISTS beatmap_attributes');
+}
+
+module.exports = { up, down };
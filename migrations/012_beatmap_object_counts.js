@@ -0,0 +1,15 @@
+// Hit object counts per beatmap, needed by the local pp calculator
+
+async function up(client) {
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS count_circles INTEGER');
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS count_sliders INTEGER');
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS count_spinners INTEGER');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS count_spinners');
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS count_sliders');
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS count_circles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// Uploaded replay summaries, matched to beatmaps by their checksum
+
+async function up(client) {
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS checksum TEXT');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_beatmap_metadata_checksum ON beatmap_metadata(checksum)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS replays (
+      id SERIAL PRIMARY KEY,
+      replay_hash TEXT UNIQUE NOT NULL,
+      beatmap_hash TEXT NOT NULL,
+      beatmap_id BIGINT,
+      score_id BIGINT,
+      online_score_id BIGINT,
+      on_leaderboard BOOLEAN DEFAULT false,
+      player_name TEXT,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      game_version INTEGER,
+      mods TEXT,
+      mod_bits INTEGER,
+      score BIGINT,
+      max_combo INTEGER,
+      perfect BOOLEAN,
+      accuracy REAL,
+      count_300 INTEGER,
+      count_100 INTEGER,
+      count_50 INTEGER,
+      count_geki INTEGER,
+      count_katu INTEGER,
+      count_miss INTEGER,
+      played_at BIGINT,
+      life_bar JSONB,
+      frame_count INTEGER,
+      duration_ms INTEGER,
+      key_presses JSONB,
+      tap_rate REAL,
+      peak_tap_rate REAL,
+      unstable_rate REAL,
+      hit_timing JSONB,
+      uploaded_by TEXT,
+      uploaded_at BIGINT
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_replays_score ON replays(score_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_replays_player ON replays(LOWER(player_name), beatmap_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS replays');
+  await client.query('DROP INDEX IF EXISTS idx_beatmap_metadata_checksum');
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS checksum');
+}
+
+module.exports = { up, down };
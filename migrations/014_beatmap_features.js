@@ -0,0 +1,38 @@
+// Pattern features extracted from local .osu files, one row per beatmap
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS beatmap_features (
+      beatmap_id BIGINT PRIMARY KEY,
+      count_circles INTEGER,
+      count_sliders INTEGER,
+      count_spinners INTEGER,
+      slider_ratio REAL,
+      stream_density REAL,
+      stream_count INTEGER,
+      longest_stream INTEGER,
+      jump_count INTEGER,
+      jump_distance_avg REAL,
+      jump_distance_p50 REAL,
+      jump_distance_p90 REAL,
+      jump_distance_max REAL,
+      jump_distances JSONB,
+      bpm_main REAL,
+      bpm_min REAL,
+      bpm_max REAL,
+      bpm_changes INTEGER,
+      pattern_type TEXT,
+      checksum TEXT,
+      source TEXT NOT NULL DEFAULT 'file',
+      analyzed_at BIGINT
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_beatmap_features_pattern ON beatmap_features(pattern_type)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS beatmap_features');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// skill_tracking rows record the skill model version that produced them.
+// Existing rows came from the original heuristics, version 1.
+
+async function up(client) {
+  await client.query('ALTER TABLE skill_tracking ADD COLUMN IF NOT EXISTS algorithm_version INTEGER NOT NULL DEFAULT 1');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_skill_tracking_version
+    ON skill_tracking(algorithm_version, username, mode, calculated_at DESC)
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_skill_tracking_version');
+  await client.query('ALTER TABLE skill_tracking DROP COLUMN IF EXISTS algorithm_version');
+}
+
+module.exports = { up, down };
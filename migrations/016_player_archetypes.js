@@ -0,0 +1,38 @@
+// Playstyle archetypes found by the clustering job: one profile per cluster
+// and each player's cluster with their distance to its centroid
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS archetype_clusters (
+      mode TEXT NOT NULL DEFAULT 'osu',
+      cluster INTEGER NOT NULL,
+      label TEXT,
+      member_count INTEGER NOT NULL DEFAULT 0,
+      centroid JSONB,
+      profile JSONB,
+      calculated_at BIGINT,
+      PRIMARY KEY (mode, cluster)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_archetypes (
+      username TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'osu',
+      cluster INTEGER NOT NULL,
+      distance REAL,
+      features JSONB,
+      assigned_at BIGINT,
+      PRIMARY KEY (username, mode)
+    );
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_player_archetypes_cluster ON player_archetypes(mode, cluster, distance)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS player_archetypes');
+  await client.query('DROP TABLE IF EXISTS archetype_clusters');
+}
+
+module.exports = { up, down };
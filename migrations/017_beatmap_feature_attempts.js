@@ -0,0 +1,12 @@
+// When a beatmap's .osu file last failed pattern analysis, so the sync skips it
+// until the file changes
+
+async function up(client) {
+  await client.query('ALTER TABLE beatmap_metadata ADD COLUMN IF NOT EXISTS features_failed_at BIGINT');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE beatmap_metadata DROP COLUMN IF EXISTS features_failed_at');
+}
+
+module.exports = { up, down };
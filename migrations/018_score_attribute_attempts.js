@@ -0,0 +1,12 @@
+// When looking up a leaderboard row's mod-adjusted attributes last failed, so the
+// backfill moves past combinations the API cannot resolve instead of retrying them every run
+
+async function up(client) {
+  await client.query('ALTER TABLE algeria_top50 ADD COLUMN IF NOT EXISTS attributes_failed_at BIGINT');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE algeria_top50 DROP COLUMN IF EXISTS attributes_failed_at');
+}
+
+module.exports = { up, down };
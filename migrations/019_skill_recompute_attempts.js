@@ -0,0 +1,12 @@
+// When recomputing an old skill snapshot under a newer model last failed, so the
+// recompute job moves past snapshots it cannot rebuild instead of reselecting them every run
+
+async function up(client) {
+  await client.query('ALTER TABLE skill_tracking ADD COLUMN IF NOT EXISTS recompute_failed_at BIGINT');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE skill_tracking DROP COLUMN IF EXISTS recompute_failed_at');
+}
+
+module.exports = { up, down };
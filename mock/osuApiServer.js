@@ -0,0 +1,399 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Fixture-driven stand-in for the osu! API v2.
+// Point the app at it with OSU_API_BASE_URL=http://localhost:4010
+
+const MODES = ['osu', 'taiko', 'fruits', 'mania'];
+const MODE_BY_ID = { 0: 'osu', 1: 'taiko', 2: 'fruits', 3: 'mania' };
+const RANKINGS_PAGE_SIZE = 50;
+const SEARCH_PAGE_SIZE = 50;
+const TOKEN_TTL_SECONDS = 86400;
+
+// Load every fixture file from a directory
+function loadFixtures(dir = process.env.MOCK_OSU_FIXTURES_DIR || path.join(__dirname, 'fixtures')) {
+  const read = (name) => {
+    const file = path.join(dir, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  };
+
+  return {
+    users: read('users'),
+    beatmapsets: read('beatmapsets'),
+    scores: read('scores'),
+    matches: read('matches')
+  };
+}
+
+function modeFrom(value, fallback = 'osu') {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (MODE_BY_ID[value]) return MODE_BY_ID[value];
+  return MODES.includes(value) ? value : fallback;
+}
+
+function clampLimit(value, fallback, max = 100) {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) ? fallback : Math.max(1, Math.min(limit, max));
+}
+
+function notFound(res) {
+  return res.status(404).json({ error: null });
+}
+
+function createMockOsuApi(fixtures = loadFixtures()) {
+  const app = express();
+  const tokens = new Set();
+
+  const beatmaps = fixtures.beatmapsets.flatMap(set => set.beatmaps || []);
+  const beatmapById = new Map(beatmaps.map(bm => [bm.id, bm]));
+  const setById = new Map(fixtures.beatmapsets.map(set => [set.id, set]));
+  const userById = new Map(fixtures.users.map(user => [user.id, user]));
+
+  // Country rank is derived from pp order within each country and ruleset
+  function countryRank(user, mode) {
+    const pp = user.statistics_rulesets?.[mode]?.pp;
+    if (pp === undefined) return null;
+
+    return 1 + fixtures.users.filter(u =>
+      u.country_code === user.country_code && (u.statistics_rulesets?.[mode]?.pp || 0) > pp
+    ).length;
+  }
+
+  function statisticsFor(user, mode) {
+    const stats = user.statistics_rulesets?.[mode];
+    if (!stats) return null;
+
+    return {
+      ...stats,
+      country_rank: countryRank(user, mode),
+      rank: { country: countryRank(user, mode) },
+      is_ranked: true
+    };
+  }
+
+  function compactUser(user) {
+    const { statistics_rulesets, ...rest } = user;
+    return rest;
+  }
+
+  function fullUser(user, mode) {
+    return {
+      ...compactUser(user),
+      playmode: mode,
+      statistics: statisticsFor(user, mode)
+    };
+  }
+
+  function compactBeatmapset(set) {
+    const { beatmaps, ...rest } = set;
+    return rest;
+  }
+
+  function beatmapWithSet(beatmap) {
+    return { ...beatmap, beatmapset: compactBeatmapset(setById.get(beatmap.beatmapset_id) || {}) };
+  }
+
+  // Scores are stored flat in fixtures and hydrated the way the API returns them
+  function hydrateScore(score, { withBeatmap = false } = {}) {
+    const user = userById.get(score.user_id);
+    const result = {
+      ...score,
+      ended_at: score.ended_at || score.created_at,
+      user: user ? compactUser(user) : null
+    };
+
+    if (withBeatmap) {
+      const beatmap = beatmapById.get(score.beatmap_id);
+      if (beatmap) {
+        result.beatmap = beatmap;
+        result.beatmapset = compactBeatmapset(setById.get(beatmap.beatmapset_id) || {});
+      }
+    }
+
+    return result;
+  }
+
+  function findUser(key) {
+    const raw = String(key).replace(/^@/, '');
+    if (/^\d+$/.test(raw) && userById.has(Number(raw))) return userById.get(Number(raw));
+    return fixtures.users.find(u => u.username.toLowerCase() === raw.toLowerCase()) || null;
+  }
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // OAuth client credentials grant
+  app.post('/oauth/token', (req, res) => {
+    const { client_id, client_secret, grant_type } = req.body || {};
+
+    if (grant_type !== 'client_credentials' || !client_id || !client_secret) {
+      return res.status(401).json({
+        error: 'invalid_client',
+        error_description: 'Client authentication failed'
+      });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.add(accessToken);
+
+    res.json({
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      access_token: accessToken
+    });
+  });
+
+  // Every API route needs a token issued above
+  app.use('/api/v2', (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) {
+      return res.status(401).json({ authentication: 'basic' });
+    }
+    next();
+  });
+
+  app.get('/api/v2/users/:user/scores/:type', (req, res) => {
+    const user = findUser(req.params.user);
+    if (!user) return notFound(res);
+
+    const mode = modeFrom(req.query.mode, user.playmode);
+    const limit = clampLimit(req.query.limit, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    let scores = fixtures.scores.filter(s => s.user_id === user.id && s.mode === mode);
+
+    switch (req.params.type) {
+      case 'best':
+        scores = scores.sort((a, b) => b.pp - a.pp);
+        break;
+      case 'recent':
+        scores = scores.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        break;
+      case 'firsts':
+        scores = scores.filter(s => {
+          const top = fixtures.scores
+            .filter(other => other.beatmap_id === s.beatmap_id && other.mode === mode)
+            .sort((a, b) => b.score - a.score)[0];
+          return top && top.id === s.id;
+        });
+        break;
+      default:
+        return notFound(res);
+    }
+
+    res.json(scores.slice(offset, offset + limit).map(s => hydrateScore(s, { withBeatmap: true })));
+  });
+
+  app.get('/api/v2/users/:user/:mode?', (req, res) => {
+    const user = findUser(req.params.user);
+    if (!user) return notFound(res);
+
+    res.json(fullUser(user, modeFrom(req.params.mode, user.playmode)));
+  });
+
+  app.get('/api/v2/beatmaps/:beatmapId/scores', (req, res) => {
+    const beatmap = beatmapById.get(Number(req.params.beatmapId));
+    if (!beatmap) return notFound(res);
+
+    const mode = modeFrom(req.query.mode, beatmap.mode);
+    const limit = clampLimit(req.query.limit, 50);
+    const scores = fixtures.scores
+      .filter(s => s.beatmap_id === beatmap.id && s.mode === mode)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(s => hydrateScore(s));
+
+    res.json({ scores, user_score: null });
+  });
+
+  app.get('/api/v2/beatmaps/:beatmapId/multiplayer', (req, res) => {
+    const beatmapId = Number(req.params.beatmapId);
+    const limit = clampLimit(req.query.limit, 10);
+    const matches = fixtures.matches
+      .filter(m => (m.games || []).some(g => g.beatmap_id === beatmapId))
+      .slice(0, limit)
+      .map(({ games, ...match }) => match);
+
+    res.json({ matches });
+  });
+
+  // Star rating scaled by rough per-mod factors; AR and OD are left out like the live API
+  app.post('/api/v2/beatmaps/:beatmapId/attributes', (req, res) => {
+    const beatmap = beatmapById.get(Number(req.params.beatmapId));
+    if (!beatmap) return notFound(res);
+
+    const ruleset = modeFrom(req.body?.ruleset ?? req.body?.ruleset_id, beatmap.mode);
+    if (beatmap.mode !== 'osu' && ruleset !== beatmap.mode) {
+      return res.status(422).json({ error: 'beatmap cannot be converted to this ruleset' });
+    }
+
+    const mods = new Map((req.body?.mods || []).map(mod =>
+      typeof mod === 'string' ? [mod, {}] : [mod.acronym, mod.settings || {}]
+    ));
+    const rate = mods.get('DT')?.speed_change ?? mods.get('HT')?.speed_change ??
+      (mods.has('DT') ? 1.5 : mods.has('HT') ? 0.75 : 1);
+
+    let starRating = beatmap.difficulty_rating * (1 + (rate - 1) * 0.8);
+    if (mods.has('HR')) starRating *= 1.1;
+    if (mods.has('EZ')) starRating *= 0.85;
+
+    const attributes = {
+      star_rating: Math.round(starRating * 100) / 100,
+      max_combo: beatmap.max_combo
+    };
+
+    if (ruleset === 'osu') {
+      Object.assign(attributes, {
+        aim_difficulty: starRating * 0.55,
+        speed_difficulty: starRating * 0.5,
+        speed_note_count: Math.round((beatmap.count_circles || 0) * 0.6),
+        slider_factor: 0.98
+      });
+      if (mods.has('FL')) attributes.flashlight_difficulty = starRating * 0.35;
+    }
+
+    res.json({ attributes });
+  });
+
+  app.get('/api/v2/beatmaps/:beatmapId', (req, res) => {
+    const beatmap = beatmapById.get(Number(req.params.beatmapId));
+    if (!beatmap) return notFound(res);
+
+    res.json(beatmapWithSet(beatmap));
+  });
+
+  // Supports both page-based and cursor_string pagination
+  app.get('/api/v2/beatmapsets/search', (req, res) => {
+    const mode = req.query.m !== undefined ? modeFrom(req.query.m, null) : null;
+    const q = String(req.query.q || '').toLowerCase();
+    // osu! treats "ranked" as ranked or approved
+    const status = String(req.query.s || 'any');
+    const statuses = status === 'ranked' ? ['ranked', 'approved'] : [status];
+    const page = req.query.cursor_string
+      ? parseInt(Buffer.from(req.query.cursor_string, 'base64').toString(), 10) || 1
+      : parseInt(req.query.page, 10) || 1;
+
+    const matching = fixtures.beatmapsets.filter(set => {
+      if (mode && !(set.beatmaps || []).some(bm => bm.mode === mode)) return false;
+      if (q && !`${set.artist} ${set.title} ${set.creator}`.toLowerCase().includes(q)) return false;
+      if (status !== 'any' && !statuses.includes(set.status)) return false;
+      return true;
+    });
+
+    const start = (page - 1) * SEARCH_PAGE_SIZE;
+    const beatmapsets = matching.slice(start, start + SEARCH_PAGE_SIZE);
+    const hasMore = start + SEARCH_PAGE_SIZE < matching.length;
+
+    res.json({
+      beatmapsets,
+      total: matching.length,
+      cursor_string: hasMore ? Buffer.from(String(page + 1)).toString('base64') : null
+    });
+  });
+
+  app.get('/api/v2/rankings/:mode/:type', (req, res) => {
+    if (req.params.type !== 'performance') {
+      return res.json({ ranking: [], cursor: null, total: 0 });
+    }
+
+    const mode = modeFrom(req.params.mode);
+    const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+    const page = parseInt(req.query['cursor[page]'] || req.query.cursor?.page || req.query.cursor_string || req.query.page, 10) || 1;
+
+    const ranked = fixtures.users
+      .filter(u => u.statistics_rulesets?.[mode] && (!country || u.country_code === country))
+      .sort((a, b) => b.statistics_rulesets[mode].pp - a.statistics_rulesets[mode].pp);
+
+    const start = (page - 1) * RANKINGS_PAGE_SIZE;
+    const ranking = ranked.slice(start, start + RANKINGS_PAGE_SIZE).map(u => ({
+      ...statisticsFor(u, mode),
+      user: compactUser(u)
+    }));
+    const hasMore = start + RANKINGS_PAGE_SIZE < ranked.length;
+
+    res.json({
+      ranking,
+      total: ranked.length,
+      cursor: hasMore ? { page: page + 1 } : null
+    });
+  });
+
+  app.get('/api/v2/search', (req, res) => {
+    const term = String(req.query.query || '').toLowerCase();
+    const users = fixtures.users.filter(u =>
+      u.username.toLowerCase().includes(term) ||
+      u.country_code.toLowerCase() === term ||
+      u.country.name.toLowerCase().includes(term)
+    );
+
+    res.json({
+      user: { data: users.map(compactUser), total: users.length },
+      wiki_page: { data: [], total: 0 }
+    });
+  });
+
+  app.get('/api/v2/multiplayer/matches', (req, res) => {
+    const limit = clampLimit(req.query.limit, 50);
+    const matches = fixtures.matches
+      .slice()
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(({ games, ...match }) => match);
+
+    res.json({ matches, cursor: null, params: { limit, sort: 'id_desc' } });
+  });
+
+  app.get('/api/v2/multiplayer/matches/:matchId', (req, res) => {
+    const match = fixtures.matches.find(m => m.id === Number(req.params.matchId));
+    if (!match) return notFound(res);
+
+    const { games = [], ...details } = match;
+    const userIds = [...new Set(games.flatMap(g => (g.scores || []).map(s => s.user_id)))];
+
+    res.json({
+      match: details,
+      events: games.map((game, index) => ({
+        id: index + 1,
+        detail: { type: 'other' },
+        timestamp: game.start_time,
+        user_id: null,
+        game: {
+          ...game,
+          beatmap: beatmapById.has(game.beatmap_id) ? beatmapWithSet(beatmapById.get(game.beatmap_id)) : null,
+          scores: (game.scores || []).map(s => ({ ...s, match: { slot: 0, team: 'none', pass: true } }))
+        }
+      })),
+      users: userIds.map(id => userById.get(id)).filter(Boolean).map(compactUser),
+      first_event_id: games.length ? 1 : null,
+      latest_event_id: games.length || null,
+      current_game_id: null
+    });
+  });
+
+  app.use((req, res) => notFound(res));
+
+  return app;
+}
+
+// Start the mock server, resolves with the http server once listening
+function startMockOsuApi({ port = process.env.MOCK_OSU_API_PORT || 4010, fixtures } = {}) {
+  const app = createMockOsuApi(fixtures);
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      console.log(`🧪 Mock osu! API listening on http://localhost:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockOsuApi();
+}
+
+module.exports = {
+  loadFixtures,
+  createMockOsuApi,
+  startMockOsuApi
+};
@@ -116,7 +116,17 @@ if (typeof errorHandler === 'function') app.use(errorHandler);
 
 // ===== START SERVER =====
 const server = http.createServer(app);
-server.listen(PORT, () => {
+const { assertSchemaUpToDate } = require('./src/config/migrations');
+
+// Refuse to start on an out-of-date schema, run `npm run migrate` first
+assertSchemaUpToDate()
+    .then(() => server.listen(PORT, onListening))
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
+
+function onListening() {
     console.log(`\n🚀 Server running on port ${PORT}`);
 
     // Start jobs after the server is ready
@@ -127,7 +137,7 @@ server.listen(PORT, () => {
             if (jobModule) runJob(file, jobModule);
         }
     });
-});
+}
 
 // ===== WEBSOCKET =====
 const websocket = safeRequire('websocket middleware', './middleware/websocket');
@@ -0,0 +1,88 @@
+// Application configuration read from environment variables
+
+function parseNumber(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Tracked countries as ISO 3166-1 alpha-2 codes (TRACKED_COUNTRIES=DZ,MA,TN)
+function parseCountries(value) {
+  const countries = (value || 'DZ')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(code => /^[A-Z]{2}$/.test(code));
+
+  return countries.length > 0 ? [...new Set(countries)] : ['DZ'];
+}
+
+const TRACKED_COUNTRIES = parseCountries(process.env.TRACKED_COUNTRIES || process.env.COUNTRY_CODE);
+
+const OSU_BASE_URL = (process.env.OSU_API_BASE_URL || 'https://osu.ppy.sh').replace(/\/+$/, '');
+
+// Accepted values for the `country` query filter
+const COUNTRY_FILTER_VALUES = TRACKED_COUNTRIES.flatMap(code => [code, code.toLowerCase()]);
+
+const config = {
+  NODE_ENV: process.env.NODE_ENV || 'development',
+  JWT_SECRET: process.env.JWT_SECRET,
+  REDIS_URL: process.env.REDIS_URL,
+
+  // osu! API (OSU_API_BASE_URL points the client at a mirror or the local mock server)
+  OSU_BASE_URL,
+  OSU_API_URL: `${OSU_BASE_URL}/api/v2`,
+  OSU_TOKEN_URL: `${OSU_BASE_URL}/oauth/token`,
+  OSU_CLIENT_ID: process.env.OSU_CLIENT_ID,
+  OSU_CLIENT_SECRET: process.env.OSU_CLIENT_SECRET,
+  OSU_API_MAX_CONCURRENT: parseNumber(process.env.OSU_API_MAX_CONCURRENT, 2),
+  OSU_API_MIN_TIME: parseNumber(process.env.OSU_API_MIN_TIME, 1000),
+  OSU_API_TIMEOUT_MS: parseNumber(process.env.OSU_API_TIMEOUT_MS, 15000),
+  OSU_API_MAX_RETRIES: parseNumber(process.env.OSU_API_MAX_RETRIES, 3),
+  // Consecutive failures before an endpoint's circuit opens, and how long it stays open
+  OSU_API_BREAKER_THRESHOLD: parseNumber(process.env.OSU_API_BREAKER_THRESHOLD, 5),
+  OSU_API_BREAKER_COOLDOWN_MS: parseNumber(process.env.OSU_API_BREAKER_COOLDOWN_MS, 60000),
+
+  // Beatmap leaderboards scanned per run, and search pages read when syncing the scan queue
+  SCAN_BATCH_SIZE: parseNumber(process.env.SCAN_BATCH_SIZE, 50),
+  SCAN_QUEUE_SYNC_PAGES: parseNumber(process.env.SCAN_QUEUE_SYNC_PAGES, 30),
+
+  // Local .osu files named <beatmap id>.osu, used for replay hit timing and pattern features
+  OSU_FILES_DIR: process.env.OSU_FILES_DIR || null,
+
+  // Playstyle archetypes found by the clustering job
+  ARCHETYPE_CLUSTERS: parseNumber(process.env.ARCHETYPE_CLUSTERS, 6),
+
+  // Tracked countries, the first one is the default for single-country views
+  TRACKED_COUNTRIES,
+  DEFAULT_COUNTRY: TRACKED_COUNTRIES[0],
+
+  // API rate limiting
+  API_RATE_LIMIT_WINDOW_MS: parseNumber(process.env.API_RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+  API_RATE_LIMIT_MAX: parseNumber(process.env.API_RATE_LIMIT_MAX, 100),
+  ADMIN_RATE_LIMIT_MAX: parseNumber(process.env.ADMIN_RATE_LIMIT_MAX, 20),
+
+  // Cache TTLs in seconds
+  DEFAULT_CACHE_TTL: parseNumber(process.env.DEFAULT_CACHE_TTL, 300),
+  PLAYER_CACHE_TTL: parseNumber(process.env.PLAYER_CACHE_TTL, 600),
+  RANKINGS_CACHE_TTL: parseNumber(process.env.RANKINGS_CACHE_TTL, 300),
+  SEARCH_CACHE_TTL: parseNumber(process.env.SEARCH_CACHE_TTL, 600),
+  ANALYTICS_CACHE_TTL: parseNumber(process.env.ANALYTICS_CACHE_TTL, 1800)
+};
+
+// Check whether an osu! country code is one we track
+function isTrackedCountry(code) {
+  return Boolean(code) && TRACKED_COUNTRIES.includes(String(code).toUpperCase());
+}
+
+// Normalize a user-supplied country filter, null when absent or not tracked
+function normalizeCountry(code) {
+  if (!code) return null;
+  const country = String(code).toUpperCase();
+  return TRACKED_COUNTRIES.includes(country) ? country : null;
+}
+
+module.exports = {
+  config,
+  COUNTRY_FILTER_VALUES,
+  isTrackedCountry,
+  normalizeCountry
+};
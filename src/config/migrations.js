@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load .env before the pool reads DATABASE_URL when run from the command line
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { pool, getRow, getRows, closePool } = require('./db');
+
+// Versioned schema migrations.
+// Files in /migrations are named <version>_<name>.js and export up(client) and down(client).
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary advisory lock key so only one process migrates at a time
+const MIGRATION_LOCK_ID = 727001;
+
+// Read migration files in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+    );
+  `);
+}
+
+// Compare the versions recorded in the database with the files on disk
+async function getMigrationStatus(migrations = loadMigrations()) {
+  const table = await getRow(`SELECT to_regclass('schema_migrations') AS name`);
+  const applied = table?.name
+    ? (await getRows('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'))
+      .map(row => ({ version: Number(row.version), name: row.name, appliedAt: Number(row.applied_at) }))
+    : [];
+
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(({ version, name }) => ({ version, name })),
+    // Applied in the database but no longer on disk (code older than the schema)
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Run one migration step and record it, each step in its own transaction
+async function runStep(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${err.message}`);
+  }
+}
+
+// Apply pending migrations up to an optional target version
+async function migrate({ to = Infinity, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(async (client) => {
+    const { rows } = await client.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(rows.map(row => Number(row.version)));
+    const pending = migrations.filter(m => !appliedVersions.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+      console.log(`⬆️ Applied migration ${migration.file}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Revert the latest migrations, either a number of steps or down to a target version
+async function rollback({ steps = 1, to, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(async (client) => {
+    const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version DESC');
+    const versions = rows.map(row => Number(row.version));
+    const targets = to !== undefined ? versions.filter(v => v > to) : versions.slice(0, steps);
+    const reverted = [];
+
+    for (const version of targets) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Cannot roll back version ${version}: migration file not found`);
+      }
+
+      await runStep(client, migration, 'down');
+      console.log(`⬇️ Reverted migration ${migration.file}`);
+      reverted.push({ version, name: migration.name });
+    }
+
+    return reverted;
+  });
+}
+
+// Throw when the database is not exactly at the latest migration
+async function assertSchemaUpToDate(migrations = loadMigrations()) {
+  const status = await getMigrationStatus(migrations);
+
+  if (status.unknown.length > 0) {
+    const versions = status.unknown.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Database schema is newer than this build (unknown migrations: ${versions})`);
+  }
+
+  if (status.pending.length > 0) {
+    const versions = status.pending.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(
+      `Database schema is out of date (at version ${status.current}, latest ${status.latest}). ` +
+      `Pending migrations: ${versions}. Run "npm run migrate".`
+    );
+  }
+
+  return status;
+}
+
+function printStatus(status) {
+  console.log(`🗄️ Schema version ${status.current} (latest ${status.latest})`);
+
+  for (const m of status.applied) {
+    console.log(`  ✅ ${m.version} ${m.name} (${new Date(m.appliedAt).toISOString()})`);
+  }
+  for (const m of status.pending) {
+    console.log(`  ⏳ ${m.version} ${m.name} (pending)`);
+  }
+  for (const m of status.unknown) {
+    console.log(`  ❓ ${m.version} ${m.name} (not found on disk)`);
+  }
+}
+
+// Command line: migrate [--to N] | rollback [--steps N | --to N] | status
+async function runCli(args) {
+  const [command = 'status', ...rest] = args;
+  const option = (name) => {
+    const index = rest.indexOf(`--${name}`);
+    return index >= 0 ? parseInt(rest[index + 1], 10) : undefined;
+  };
+
+  switch (command) {
+    case 'migrate': {
+      const applied = await migrate({ to: option('to') ?? Infinity });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema already up to date');
+      break;
+    }
+    case 'rollback': {
+      const reverted = await rollback({ steps: option('steps') ?? 1, to: option('to') });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+      break;
+    }
+    case 'status':
+      printStatus(await getMigrationStatus());
+      break;
+    default:
+      console.error(`Unknown command "${command}". Usage: migrations.js <migrate|rollback|status> [--to N] [--steps N]`);
+      process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .catch((err) => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => closePool());
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertSchemaUpToDate
+};
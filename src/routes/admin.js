@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { validateInput, authenticateToken } = require('../config/security');
+const { requireAdmin, logAdminAction } = require('../middleware/admin');
+const { MODE_NAMES, normalizeMode } = require('../services/osuApi');
+const {
+  QUEUE_STATUSES,
+  getScanQueue,
+  getScanQueueSummary,
+  bumpBeatmap
+} = require('../services/scanQueue');
+const { analyzeBeatmapFile } = require('../services/beatmapFeatures');
+
+router.use(authenticateToken, requireAdmin);
+
+// Inspect the beatmap scan queue in priority order
+router.get('/scan-queue',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    status: { enum: [...QUEUE_STATUSES, 'approved'] },
+    limit: { type: 'integer', min: 1, max: 200 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { status, limit = 50, offset = 0 } = req.query;
+      const mode = normalizeMode(req.query.mode);
+
+      const [entries, summary] = await Promise.all([
+        getScanQueue(mode, { status, limit: parseInt(limit), offset: parseInt(offset) }),
+        getScanQueueSummary(mode)
+      ]);
+
+      res.json({
+        success: true,
+        data: entries,
+        meta: {
+          mode,
+          status: status || null,
+          summary,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+    } catch (error) {
+      console.error('Scan queue error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Move a beatmap to the front of the scan queue
+router.post('/scan-queue/:beatmapId/bump',
+  logAdminAction,
+  validateInput({
+    beatmapId: { required: true, type: 'integer', min: 1 },
+    mode: { enum: MODE_NAMES }
+  }),
+  async (req, res) => {
+    try {
+      const beatmapId = parseInt(req.params.beatmapId);
+      const mode = normalizeMode(req.body.mode || req.query.mode);
+
+      const result = await bumpBeatmap(beatmapId, mode, req.user.username || String(req.user.id));
+
+      if (!result.success) {
+        return res.status(500).json({ success: false, error: result.message });
+      }
+
+      res.json({ success: true, data: result.entry });
+    } catch (error) {
+      console.error('Scan queue bump error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Upload a beatmap's .osu file and extract its pattern features.
+// Not wrapped in logAdminAction, which would log the whole file as the request body.
+router.post('/beatmaps/:beatmapId/file',
+  express.text({ type: ['text/plain', 'application/octet-stream'], limit: '2mb' }),
+  validateInput({
+    beatmapId: { required: true, type: 'integer', min: 1 }
+  }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Beatmap file required (Content-Type: text/plain)'
+        });
+      }
+
+      const beatmapId = parseInt(req.params.beatmapId);
+      const result = await analyzeBeatmapFile(beatmapId, req.body, 'upload');
+
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      console.log(`🔧 Admin Action: ${req.user.username || req.user.id} - uploaded .osu file for beatmap ${beatmapId}`);
+      res.json({ success: true, data: result.features });
+    } catch (error) {
+      console.error('Beatmap file upload error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
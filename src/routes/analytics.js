@@ -3,7 +3,9 @@ const router = express.Router();
 const { getRows, getRow } = require('../config/db');
 const { cacheService } = require('../services/cache');
 const { statsService } = require('../services/stats');
-const { getSkillStatistics } = require('../services/skillCalculator');
+const { SKILL_MODEL_VERSION, getSkillStatistics } = require('../services/skillCalculator');
+const { getPatternStats } = require('../services/beatmapFeatures');
+const { getArchetypes } = require('../services/archetypes');
 
 // Overview analytics
 router.get('/overview', async (req, res) => {
@@ -51,6 +53,7 @@ router.get('/overview', async (req, res) => {
           ORDER BY usage_count DESC
           LIMIT 10
         `),
+        // Star ratings on leaderboard rows have the score's mods applied
         getRows(`
           SELECT 
             FLOOR(difficulty_rating) as difficulty_range,
@@ -157,7 +160,7 @@ router.get('/skills', async (req, res) => {
           WITH recent_skills AS (
             SELECT DISTINCT ON (username) username, skill_value
             FROM skill_tracking 
-            WHERE skill_type = $1
+            WHERE skill_type = $1 AND algorithm_version = $2
             ORDER BY username, calculated_at DESC
           )
           SELECT 
@@ -176,7 +179,7 @@ router.get('/skills', async (req, res) => {
               WHEN '6.0-7.99' THEN 4
               WHEN '8.0+' THEN 5
             END
-        `, [skillType]);
+        `, [skillType, SKILL_MODEL_VERSION]);
       } else {
         // Get overall skill statistics
         data = await getSkillStatistics();
@@ -223,6 +226,46 @@ router.get('/beatmaps', async (req, res) => {
   }
 });
 
+// Performance by map pattern (stream, jump, slider, mixed) from analyzed .osu files
+router.get('/patterns', async (req, res) => {
+  try {
+    let data = await cacheService.getAnalyticsCache('patterns');
+
+    if (!data) {
+      data = await getPatternStats();
+      await cacheService.cacheAnalytics('patterns', data, 1800);
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Pattern analytics error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Playstyle archetypes from the clustering job, with the players closest to each centroid
+router.get('/archetypes', async (req, res) => {
+  try {
+    const members = Math.min(Math.max(parseInt(req.query.members) || 50, 1), 500);
+
+    let data = await cacheService.getAnalyticsCache(`archetypes_${members}`);
+
+    if (!data) {
+      data = await getArchetypes('osu', members);
+      await cacheService.cacheAnalytics(`archetypes_${members}`, data, 1800);
+    }
+
+    res.json({
+      success: true,
+      data,
+      meta: { members }
+    });
+  } catch (error) {
+    console.error('Archetype analytics error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Mod usage analytics
 router.get('/mods', async (req, res) => {
   try {
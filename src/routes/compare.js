@@ -3,6 +3,7 @@ const router = express.Router();
 const { getRows, getRow } = require('../config/db');
 const { cacheService } = require('../services/cache');
 const { validateInput } = require('../config/security');
+const { SKILL_MODEL_VERSION } = require('../services/skillCalculator');
 
 // Compare two players
 router.get('/:username1/:username2', 
@@ -34,15 +35,15 @@ router.get('/:username1/:username2',
           getRows(`
             SELECT skill_type, AVG(skill_value) as avg_skill
             FROM skill_tracking 
-            WHERE username ILIKE $1
+            WHERE username ILIKE $1 AND algorithm_version = $2
             GROUP BY skill_type
-          `, [`%${username1}%`]),
+          `, [`%${username1}%`, SKILL_MODEL_VERSION]),
           getRows(`
             SELECT skill_type, AVG(skill_value) as avg_skill
             FROM skill_tracking 
-            WHERE username ILIKE $1
+            WHERE username ILIKE $1 AND algorithm_version = $2
             GROUP BY skill_type
-          `, [`%${username2}%`]),
+          `, [`%${username2}%`, SKILL_MODEL_VERSION]),
           getRows(`
             SELECT * FROM algeria_top50 
             WHERE username ILIKE $1 
@@ -295,7 +296,7 @@ router.get('/:username1/:username2/head-to-head',
           s1.beatmap_title,
           s1.artist,
           s1.difficulty_name,
-          s1.difficulty_rating,
+          COALESCE(s1.base_difficulty_rating, s1.difficulty_rating) as difficulty_rating,
           s1.username as player1_username,
           s1.rank as player1_rank,
           s1.score as player1_score,
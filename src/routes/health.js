@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { testConnection } = require('../config/db');
 const { testRedisConnection } = require('../config/redis');
-const { testApiConnection } = require('../services/osuApi');
+const { testApiConnection, getRateLimitStatus } = require('../services/osuApi');
 
 // Health check endpoint
 router.get('/', async (req, res) => {
@@ -59,19 +59,31 @@ router.get('/detailed', async (req, res) => {
       healthChecks.redis = { status: 'unhealthy', error: err.message };
     }
 
-    // osu! API health
+    // osu! API health, degraded while the queue is paused or a circuit is open
     try {
       const start = Date.now();
       await testApiConnection();
-      healthChecks.osuApi = { status: 'healthy', responseTime: Date.now() - start };
+      const rateLimit = getRateLimitStatus();
+      const openCircuits = Object.entries(rateLimit.circuitBreakers)
+        .filter(([, breaker]) => breaker.state !== 'closed')
+        .map(([name]) => name);
+
+      healthChecks.osuApi = {
+        status: rateLimit.paused || openCircuits.length > 0 ? 'degraded' : 'healthy',
+        responseTime: Date.now() - start,
+        openCircuits,
+        rateLimit
+      };
     } catch (err) {
       healthChecks.osuApi = { status: 'unhealthy', error: err.message };
     }
 
-    const overallHealthy = Object.values(healthChecks).every(check => check.status === 'healthy');
+    const checks = Object.values(healthChecks);
+    const overallHealthy = checks.every(check => check.status !== 'unhealthy');
+    const degraded = checks.some(check => check.status === 'degraded');
 
     res.status(overallHealthy ? 200 : 503).json({
-      status: overallHealthy ? 'healthy' : 'unhealthy',
+      status: overallHealthy ? (degraded ? 'degraded' : 'healthy') : 'unhealthy',
       checks: healthChecks,
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
@@ -4,9 +4,19 @@ const { getRows, getRow } = require('../config/db');
 const { validateInput } = require('../config/security');
 const { cacheService } = require('../services/cache');
 const { leaderboardService } = require('../services/leaderboard');
+const { getRecentSnipes, getRivalries } = require('../services/snipes');
+const { SCORE_SORTS, getBeatmapScoreHistory } = require('../services/scores');
+const { getBeatmapFeatures } = require('../services/beatmapFeatures');
+const { MODE_NAMES, normalizeMode } = require('../services/osuApi');
+const { COUNTRY_FILTER_VALUES, normalizeCountry } = require('../config/env');
 
 // Get main leaderboards with filtering
-router.get('/', async (req, res) => {
+router.get('/',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const {
       limit = 100,
@@ -19,18 +29,25 @@ router.get('/', async (req, res) => {
       player,
       beatmapId
     } = req.query;
+    const mode = normalizeMode(req.query.mode);
+    const country = normalizeCountry(req.query.country);
 
     const allowedSort = [
-      'rank', 'score', 'pp', 'accuracy', 'last_updated', 
+      'rank', 'global_rank', 'score', 'pp', 'accuracy', 'last_updated', 
       'difficulty_rating', 'max_combo'
     ];
     const sortColumn = allowedSort.includes(sort) ? sort : 'score';
     const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-    let params = [];
-    let whereClauses = [];
+    let params = [mode];
+    let whereClauses = ['mode = $1'];
 
     // Add filters
+    if (country) {
+      params.push(country);
+      whereClauses.push(`country = $${params.length}`);
+    }
+    // Difficulty filters use the star rating with the score's mods applied
     if (minDifficulty !== undefined && minDifficulty !== '') {
       params.push(parseFloat(minDifficulty));
       whereClauses.push(`difficulty_rating >= $${params.length}`);
@@ -58,9 +75,10 @@ router.get('/', async (req, res) => {
     const sql = `
       SELECT 
         beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        player_id, username, rank, score, accuracy, accuracy_text, mods, pp,
+        base_difficulty_rating, ar, od,
+        player_id, username, rank, global_rank, score, accuracy, accuracy_text, mods, pp,
         max_combo, count_300, count_100, count_50, count_miss, 
-        play_date, last_updated
+        play_date, last_updated, mode, country
       FROM algeria_top50
       ${whereClause}
       ORDER BY ${sortColumn} ${sortOrder}
@@ -80,6 +98,8 @@ router.get('/', async (req, res) => {
         offset: parseInt(offset),
         hasMore: data.length === parseInt(limit),
         filters: {
+          mode,
+          country,
           minDifficulty,
           maxDifficulty,
           mods,
@@ -92,26 +112,31 @@ router.get('/', async (req, res) => {
     console.error('Leaderboards error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
 
 // Get leaderboard for specific beatmap
 router.get('/beatmap/:beatmapId', 
   validateInput({
-    beatmapId: { required: true, type: 'number' }
+    beatmapId: { required: true, type: 'number' },
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
   }),
   async (req, res) => {
     try {
       const { beatmapId } = req.params;
       const { limit = 50 } = req.query;
+      const mode = normalizeMode(req.query.mode);
+      const country = normalizeCountry(req.query.country);
       
       // Try cache first
-      let data = await cacheService.getLeaderboardCache(beatmapId);
+      let data = await cacheService.getLeaderboardCache(beatmapId, mode, country);
       
       if (!data) {
-        data = await leaderboardService.getBeatmapLeaderboard(beatmapId, parseInt(limit));
+        data = await leaderboardService.getBeatmapLeaderboard(beatmapId, parseInt(limit), mode, country);
         
         // Cache for 5 minutes
-        await cacheService.cacheLeaderboard(beatmapId, data, 300);
+        await cacheService.cacheLeaderboard(beatmapId, data, 300, mode, country);
       }
 
       const beatmapInfo = await getRow(`
@@ -126,6 +151,8 @@ router.get('/beatmap/:beatmapId',
         beatmapInfo,
         meta: {
           beatmapId: parseInt(beatmapId),
+          mode,
+          country,
           totalScores: data.length,
           limit: parseInt(limit)
         }
@@ -137,17 +164,97 @@ router.get('/beatmap/:beatmapId',
   }
 );
 
+// Pattern features extracted from the beatmap's .osu file
+router.get('/beatmap/:beatmapId/features',
+  validateInput({
+    beatmapId: { required: true, type: 'integer', min: 1 }
+  }),
+  async (req, res) => {
+    try {
+      const features = await getBeatmapFeatures(parseInt(req.params.beatmapId));
+
+      if (!features) {
+        return res.status(404).json({ success: false, error: 'Beatmap has not been analyzed' });
+      }
+
+      res.json({ success: true, data: features });
+    } catch (error) {
+      console.error('Beatmap features error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Page through every stored score set on a beatmap, including overwritten ones
+router.get('/beatmap/:beatmapId/history',
+  validateInput({
+    beatmapId: { required: true, type: 'integer', min: 1 },
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES },
+    sort: { enum: SCORE_SORTS },
+    username: { minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { beatmapId } = req.params;
+      const { sort = 'recent', username, limit = 50, offset = 0 } = req.query;
+      const mode = normalizeMode(req.query.mode);
+      const country = normalizeCountry(req.query.country);
+
+      const history = await getBeatmapScoreHistory(parseInt(beatmapId), {
+        mode,
+        country,
+        username,
+        sort,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: history.scores,
+        meta: {
+          beatmapId: parseInt(beatmapId),
+          mode,
+          country,
+          sort,
+          total: history.total,
+          limit: history.limit,
+          offset: history.offset
+        }
+      });
+    } catch (error) {
+      console.error('Beatmap score history error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
 // Get top scores across all beatmaps
-router.get('/top-scores', async (req, res) => {
+router.get('/top-scores',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const { 
       limit = 50, 
       timeframe = 'all',
       minPP = 0
     } = req.query;
+    const mode = normalizeMode(req.query.mode);
+    const country = normalizeCountry(req.query.country);
 
-    let whereClause = 'WHERE pp > $1';
-    let params = [parseFloat(minPP)];
+    let whereClause = 'WHERE mode = $1 AND pp > $2';
+    let params = [mode, parseFloat(minPP)];
+
+    if (country) {
+      params.push(country);
+      whereClause += ` AND country = $${params.length}`;
+    }
 
     // Add time filter
     if (timeframe !== 'all') {
@@ -160,7 +267,7 @@ router.get('/top-scores', async (req, res) => {
       const cutoff = Date.now() - (timeRanges[timeframe] || 0);
       if (cutoff > 0) {
         params.push(cutoff);
-        whereClause += ` AND last_updated > ${params.length}`;
+        whereClause += ` AND last_updated > $${params.length}`;
       }
     }
 
@@ -169,12 +276,12 @@ router.get('/top-scores', async (req, res) => {
     const data = await getRows(`
       SELECT 
         beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        username, rank, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
+        username, rank, global_rank, score, accuracy, accuracy_text, mods, pp,
+        max_combo, play_date, last_updated, country
       FROM algeria_top50
       ${whereClause}
       ORDER BY pp DESC
-      LIMIT ${params.length}
+      LIMIT $${params.length}
     `, params);
 
     res.json({
@@ -182,6 +289,8 @@ router.get('/top-scores', async (req, res) => {
       data,
       meta: {
         timeframe,
+        mode,
+        country,
         minPP: parseFloat(minPP),
         limit: parseInt(limit),
         totalResults: data.length
@@ -191,12 +300,20 @@ router.get('/top-scores', async (req, res) => {
     console.error('Top scores error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
 
 // Get recent scores
-router.get('/recent', async (req, res) => {
+router.get('/recent',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const { limit = 50, hours = 24 } = req.query;
+    const mode = normalizeMode(req.query.mode);
+    const country = normalizeCountry(req.query.country);
     
     const cutoff = Date.now() - (parseInt(hours) * 60 * 60 * 1000);
     
@@ -204,18 +321,20 @@ router.get('/recent', async (req, res) => {
       SELECT 
         beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
         username, rank, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
+        max_combo, play_date, last_updated, country
       FROM algeria_top50
-      WHERE last_updated > $1
+      WHERE last_updated > $1 AND mode = $4 AND ($3::text IS NULL OR country = $3)
       ORDER BY last_updated DESC
       LIMIT $2
-    `, [cutoff, parseInt(limit)]);
+    `, [cutoff, parseInt(limit), country, mode]);
 
     res.json({
       success: true,
       data,
       meta: {
         hours: parseInt(hours),
+        mode,
+        country,
         limit: parseInt(limit),
         cutoff: new Date(cutoff).toISOString()
       }
@@ -224,19 +343,31 @@ router.get('/recent', async (req, res) => {
     console.error('Recent scores error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
 
 // Get first place scores
-router.get('/first-places', async (req, res) => {
+router.get('/first-places',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const { limit = 100, player } = req.query;
+    const mode = normalizeMode(req.query.mode);
+    const country = normalizeCountry(req.query.country);
     
-    let whereClause = 'WHERE rank = 1';
-    let params = [];
+    let whereClause = 'WHERE mode = $1 AND rank = 1';
+    let params = [mode];
 
     if (player) {
       params.push(`%${player}%`);
-      whereClause += ` AND username ILIKE ${params.length}`;
+      whereClause += ` AND username ILIKE $${params.length}`;
+    }
+    if (country) {
+      params.push(country);
+      whereClause += ` AND country = $${params.length}`;
     }
 
     params.push(parseInt(limit));
@@ -244,19 +375,21 @@ router.get('/first-places', async (req, res) => {
     const data = await getRows(`
       SELECT 
         beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-        username, score, accuracy, accuracy_text, mods, pp,
-        max_combo, play_date, last_updated
+        username, global_rank, score, accuracy, accuracy_text, mods, pp,
+        max_combo, play_date, last_updated, country
       FROM algeria_top50
       ${whereClause}
       ORDER BY pp DESC
-      LIMIT ${params.length}
+      LIMIT $${params.length}
     `, params);
 
     res.json({
       success: true,
       data,
       meta: {
+        mode,
         player,
+        country,
         limit: parseInt(limit),
         totalFirstPlaces: data.length
       }
@@ -265,7 +398,138 @@ router.get('/first-places', async (req, res) => {
     console.error('First places error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
+
+// Scores by tracked players that sit inside the worldwide top N of their beatmap
+router.get('/global-top',
+  validateInput({
+    top: { type: 'integer', enum: ['1', '10', '50'] },
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES },
+    player: { minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 200 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { top = 10, player, limit = 100, offset = 0 } = req.query;
+      const mode = normalizeMode(req.query.mode);
+      const country = normalizeCountry(req.query.country);
+
+      const params = [mode, parseInt(top)];
+      const conditions = ['mode = $1', 'global_rank IS NOT NULL', 'global_rank <= $2'];
+
+      if (country) {
+        params.push(country);
+        conditions.push(`country = $${params.length}`);
+      }
+      if (player) {
+        params.push(`%${player}%`);
+        conditions.push(`username ILIKE $${params.length}`);
+      }
+      const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+      const [data, players] = await Promise.all([
+        getRows(`
+          SELECT 
+            beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+            username, rank, global_rank, score, accuracy, accuracy_text, mods, pp,
+            max_combo, play_date, last_updated, country
+          FROM algeria_top50
+          ${whereClause}
+          ORDER BY global_rank ASC, pp DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, parseInt(limit), parseInt(offset)]),
+        getRows(`
+          SELECT username, country, COUNT(*) AS scores, MIN(global_rank) AS best_global_rank
+          FROM algeria_top50
+          ${whereClause}
+          GROUP BY username, country
+          ORDER BY scores DESC, best_global_rank ASC
+          LIMIT 20
+        `, params)
+      ]);
+
+      res.json({
+        success: true,
+        data,
+        players,
+        meta: {
+          top: parseInt(top),
+          mode,
+          country,
+          player,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+    } catch (error) {
+      console.error('Global top scores error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get recent snipes (#1s taken from another player of the same country)
+router.get('/snipes', 
+  validateInput({
+    limit: { type: 'integer', min: 1, max: 200 },
+    offset: { type: 'integer' },
+    hours: { type: 'integer', min: 1 },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
+    try {
+      const { limit = 50, offset = 0, hours } = req.query;
+      const since = hours ? Date.now() - (parseInt(hours) * 60 * 60 * 1000) : null;
+      const country = normalizeCountry(req.query.country);
+      
+      const data = await getRecentSnipes(parseInt(limit), parseInt(offset), since, country);
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hours: hours ? parseInt(hours) : null,
+          country,
+          hasMore: data.length === parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Snipes error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get snipe rivalries between player pairs
+router.get('/snipes/rivalries', 
+  validateInput({
+    limit: { type: 'integer', min: 1, max: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const { limit = 20, player } = req.query;
+      
+      const data = await getRivalries(parseInt(limit), player || null);
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          limit: parseInt(limit),
+          player: player || null
+        }
+      });
+    } catch (error) {
+      console.error('Snipe rivalries error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
 
 // Get leaderboard statistics
 router.get('/stats', async (req, res) => {
@@ -321,7 +585,7 @@ router.get('/mods', async (req, res) => {
   }
 });
 
-// Get difficulty distribution
+// Get difficulty distribution of scores by mod-adjusted star rating
 router.get('/difficulty-distribution', async (req, res) => {
   try {
     const data = await getRows(`
@@ -376,7 +640,7 @@ router.get('/difficulty-distribution', async (req, res) => {
   }
 });
 
-// Get most popular beatmaps
+// Get most popular beatmaps, with their nomod star rating
 router.get('/popular-beatmaps', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
@@ -387,14 +651,14 @@ router.get('/popular-beatmaps', async (req, res) => {
         beatmap_title,
         artist,
         difficulty_name,
-        difficulty_rating,
+        MIN(COALESCE(base_difficulty_rating, difficulty_rating)) as difficulty_rating,
         COUNT(*) as total_scores,
         AVG(accuracy) as avg_accuracy,
         MAX(score) as best_score,
         AVG(pp) as avg_pp,
         COUNT(DISTINCT username) as unique_players
       FROM algeria_top50
-      GROUP BY beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating
+      GROUP BY beatmap_id, beatmap_title, artist, difficulty_name
       ORDER BY total_scores DESC
       LIMIT $1
     `, [parseInt(limit)]);
@@ -2,44 +2,93 @@ const express = require('express');
 const router = express.Router();
 const { getRows, getRow } = require('../config/db');
 const { cacheService } = require('../services/cache');
-const { validateInput } = require('../config/security');
+const { validateInput, authenticateToken } = require('../config/security');
 const { getPlayerAchievements } = require('../services/achievements');
+const { MODE_NAMES, normalizeMode } = require('../services/osuApi');
+const { addPerformance } = require('../services/ppCalculator');
+const { SKILL_MODEL_VERSION, skillInterval } = require('../services/skillCalculator');
+const {
+  followPlayer,
+  unfollowPlayer,
+  getFollowers,
+  getFollowing,
+  getRelationshipCounts,
+  getFeed,
+  resolveUsername
+} = require('../services/relationships');
+const {
+  MAX_COMMENT_LENGTH,
+  getComments,
+  getCommentCount,
+  addComment,
+  editComment,
+  deleteComment,
+  restoreComment,
+  getCommentsForModeration
+} = require('../services/comments');
+const {
+  getSnipesByPlayer,
+  getSnipesOnPlayer,
+  getTopSnipersOf,
+  getTopVictimsOf,
+  getSnipeCounts
+} = require('../services/snipes');
+const { SCORE_SORTS, getPlayerScoreHistory, getPlayerScore } = require('../services/scores');
+const { getScoreReplay } = require('../services/replays');
+const { requireAdmin } = require('../middleware/admin');
+const { validateRateLimit } = require('../middleware/validation');
+
+// Map relationship/comment service failures to HTTP status codes
+const serviceErrorStatus = {
+  not_found: 404,
+  invalid: 400,
+  forbidden: 403,
+  conflict: 409
+};
+
+// Per-user comment posting limit
+const commentRateLimit = validateRateLimit(
+  parseInt(process.env.COMMENT_RATE_LIMIT_WINDOW_MS) || 10 * 60 * 1000,
+  parseInt(process.env.COMMENT_RATE_LIMIT_MAX) || 5,
+  (req) => `comment:${String(req.user.username).toLowerCase()}`
+);
 
 // Get player profile
 router.get('/:username', 
   validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+    username: { required: true, minLength: 2, maxLength: 15 },
+    mode: { enum: MODE_NAMES }
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
-      const cacheKey = cacheService.generateKey('player', username);
+      const mode = normalizeMode(req.query.mode);
       
       // Try to get from cache first
-      let data = await cacheService.getPlayerCache(username);
+      let data = await cacheService.getPlayerCache(username, mode);
       
       if (!data) {
-        const [playerStats, recentScores, bestScores, skills, achievements, activity] = await Promise.all([
+        const [playerStats, recentScores, bestScores, skills, achievements, activity, modeStats] = await Promise.all([
           getRow(`SELECT * FROM player_stats WHERE username ILIKE $1`, [`%${username}%`]),
           getRows(`
             SELECT * FROM algeria_top50 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2 
             ORDER BY last_updated DESC 
             LIMIT 10
-          `, [`%${username}%`]),
+          `, [`%${username}%`, mode]),
           getRows(`
             SELECT * FROM algeria_top50 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2 
             ORDER BY pp DESC 
             LIMIT 10
-          `, [`%${username}%`]),
+          `, [`%${username}%`, mode]),
           getRows(`
             SELECT skill_type, skill_value, calculated_at
             FROM skill_tracking 
-            WHERE username ILIKE $1 
+            WHERE username ILIKE $1 AND mode = $2 AND algorithm_version = $3
             ORDER BY calculated_at DESC
             LIMIT 25
-          `, [`%${username}%`]),
+          `, [`%${username}%`, mode, SKILL_MODEL_VERSION]),
           getPlayerAchievements(username),
           getRows(`
             SELECT activity_type, activity_data, timestamp
@@ -47,6 +96,10 @@ router.get('/:username',
             WHERE username ILIKE $1
             ORDER BY timestamp DESC
             LIMIT 10
+          `, [`%${username}%`]),
+          getRows(`
+            SELECT * FROM player_mode_stats
+            WHERE username ILIKE $1
           `, [`%${username}%`])
         ]);
         
@@ -66,15 +119,26 @@ router.get('/:username',
           });
         });
         
-        // Calculate rank among all players
-        const rankResult = await getRow(`
-          SELECT COUNT(*) + 1 as rank
-          FROM player_stats
-          WHERE weighted_pp > $1
-        `, [playerStats.weighted_pp || 0]);
+        // Calculate rank among all players in the selected ruleset
+        const currentModeStats = modeStats.find(m => m.mode === mode);
+        const rankResult = mode === 'osu'
+          ? await getRow(`
+              SELECT COUNT(*) + 1 as rank
+              FROM player_stats
+              WHERE weighted_pp > $1
+            `, [playerStats.weighted_pp || 0])
+          : await getRow(`
+              SELECT COUNT(*) + 1 as rank
+              FROM player_mode_stats
+              WHERE mode = $2 AND weighted_pp > $1
+            `, [currentModeStats?.weighted_pp || 0, mode]);
         
         data = {
           ...playerStats,
+          ...(mode === 'osu' ? {} : currentModeStats),
+          username: playerStats.username,
+          mode,
+          modeStats,
           countryRank: parseInt(rankResult.rank),
           recentScores,
           bestScores,
@@ -84,7 +148,7 @@ router.get('/:username',
         };
 
         // Cache the result
-        await cacheService.cachePlayer(username, data);
+        await cacheService.cachePlayer(username, data, undefined, mode);
       }
       
       res.json({ success: true, data });
@@ -128,23 +192,25 @@ router.get('/:username/stats',
 // Get player recent scores
 router.get('/:username/recent', 
   validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+    username: { required: true, minLength: 2, maxLength: 15 },
+    mode: { enum: MODE_NAMES }
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
+      const mode = normalizeMode(req.query.mode);
       const { limit = 20 } = req.query;
       
       const scores = await getRows(`
         SELECT 
           beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          rank, score, accuracy, accuracy_text, mods, pp, max_combo,
+          rank, global_rank, score, accuracy, accuracy_text, mods, pp, max_combo,
           count_300, count_100, count_50, count_miss, play_date, last_updated
         FROM algeria_top50 
-        WHERE username ILIKE $1 
+        WHERE username ILIKE $1 AND mode = $3
         ORDER BY last_updated DESC 
         LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
+      `, [`%${username}%`, parseInt(limit), mode]);
 
       res.json({ success: true, data: scores });
     } catch (error) {
@@ -157,23 +223,42 @@ router.get('/:username/recent',
 // Get player best scores
 router.get('/:username/best', 
   validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+    username: { required: true, minLength: 2, maxLength: 15 },
+    mode: { enum: MODE_NAMES }
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
+      const mode = normalizeMode(req.query.mode);
       const { limit = 20 } = req.query;
+      const columns = `
+        beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
+        rank, global_rank, score, accuracy, accuracy_text, mods, mod_settings, pp, max_combo,
+        count_300, count_100, count_50, count_miss, play_date, last_updated, mode
+      `;
       
-      const scores = await getRows(`
-        SELECT 
-          beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          rank, score, accuracy, accuracy_text, mods, pp, max_combo,
-          count_300, count_100, count_50, count_miss, play_date, last_updated
-        FROM algeria_top50 
-        WHERE username ILIKE $1 
-        ORDER BY pp DESC 
-        LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
+      // Loved and unranked scores have no API pp, osu! ones are ranked by their local pp
+      const [ranked, unranked] = await Promise.all([
+        getRows(`
+          SELECT ${columns}
+          FROM algeria_top50 
+          WHERE username ILIKE $1 AND mode = $3 AND pp > 0
+          ORDER BY pp DESC 
+          LIMIT $2
+        `, [`%${username}%`, parseInt(limit), mode]),
+        mode === 'osu' ? getRows(`
+          SELECT ${columns}
+          FROM algeria_top50 
+          WHERE username ILIKE $1 AND mode = 'osu' AND (pp IS NULL OR pp = 0)
+          ORDER BY difficulty_rating DESC, score DESC 
+          LIMIT $2
+        `, [`%${username}%`, parseInt(limit)]) : []
+      ]);
+
+      const scores = (await addPerformance([...ranked, ...unranked]))
+        .filter(score => score.pp > 0)
+        .sort((a, b) => (b.pp || 0) - (a.pp || 0))
+        .slice(0, parseInt(limit));
 
       res.json({ success: true, data: scores });
     } catch (error) {
@@ -186,23 +271,25 @@ router.get('/:username/best',
 // Get player first place scores
 router.get('/:username/firsts', 
   validateInput({
-    username: { required: true, minLength: 2, maxLength: 15 }
+    username: { required: true, minLength: 2, maxLength: 15 },
+    mode: { enum: MODE_NAMES }
   }),
   async (req, res) => {
     try {
       const { username } = req.params;
+      const mode = normalizeMode(req.query.mode);
       const { limit = 50 } = req.query;
       
       const scores = await getRows(`
         SELECT 
           beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating,
-          score, accuracy, accuracy_text, mods, pp, max_combo,
+          global_rank, score, accuracy, accuracy_text, mods, pp, max_combo,
           count_300, count_100, count_50, count_miss, play_date, last_updated
         FROM algeria_top50 
-        WHERE username ILIKE $1 AND rank = 1
+        WHERE username ILIKE $1 AND mode = $3 AND rank = 1
         ORDER BY pp DESC 
         LIMIT $2
-      `, [`%${username}%`, parseInt(limit)]);
+      `, [`%${username}%`, parseInt(limit), mode]);
 
       res.json({ 
         success: true, 
@@ -216,6 +303,153 @@ router.get('/:username/firsts',
   }
 );
 
+// Page through every stored score of a player
+router.get('/:username/scores',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    mode: { enum: MODE_NAMES },
+    sort: { enum: SCORE_SORTS },
+    beatmapId: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { sort = 'recent', beatmapId, limit = 50, offset = 0 } = req.query;
+      const mode = normalizeMode(req.query.mode);
+
+      const history = await getPlayerScoreHistory(username, {
+        mode,
+        sort,
+        beatmapId: beatmapId ? parseInt(beatmapId) : null,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: history.scores,
+        meta: {
+          mode,
+          sort,
+          total: history.total,
+          limit: history.limit,
+          offset: history.offset
+        }
+      });
+    } catch (error) {
+      console.error('Player score history error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Score detail, with the uploaded replay's summary when there is one
+router.get('/:username/scores/:scoreId',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    scoreId: { required: true, type: 'integer', min: 1 }
+  }),
+  async (req, res) => {
+    try {
+      const { username, scoreId } = req.params;
+      const score = await getPlayerScore(username, scoreId);
+
+      if (!score) {
+        return res.status(404).json({ success: false, error: 'Score not found' });
+      }
+
+      const [withPerformance] = await addPerformance([score], score.mode);
+
+      res.json({
+        success: true,
+        data: {
+          ...withPerformance,
+          replay: await getScoreReplay(score.score_id)
+        }
+      });
+    } catch (error) {
+      console.error('Player score detail error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get #1s this player sniped from others
+router.get('/:username/snipes', 
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+      
+      const [snipes, victims, counts] = await Promise.all([
+        getSnipesByPlayer(username, parseInt(limit), parseInt(offset)),
+        getTopVictimsOf(username),
+        getSnipeCounts(username)
+      ]);
+
+      res.json({ 
+        success: true, 
+        data: {
+          snipes,
+          topVictims: victims
+        },
+        meta: {
+          ...counts,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+    } catch (error) {
+      console.error('Player snipes error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get players who sniped this player's #1s
+router.get('/:username/sniped-by', 
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+      
+      const [snipes, snipers, counts] = await Promise.all([
+        getSnipesOnPlayer(username, parseInt(limit), parseInt(offset)),
+        getTopSnipersOf(username),
+        getSnipeCounts(username)
+      ]);
+
+      res.json({ 
+        success: true, 
+        data: {
+          snipes,
+          topSnipers: snipers
+        },
+        meta: {
+          ...counts,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+    } catch (error) {
+      console.error('Player sniped-by error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
 // Get player skills
 router.get('/:username/skills', 
   validateInput({
@@ -229,11 +463,11 @@ router.get('/:username/skills',
       const cutoff = Date.now() - (parseInt(days) * 24 * 60 * 60 * 1000);
       
       const skills = await getRows(`
-        SELECT skill_type, skill_value, calculated_at
+        SELECT skill_type, skill_value, confidence, calculated_at
         FROM skill_tracking 
-        WHERE username ILIKE $1 AND calculated_at > $2
+        WHERE username ILIKE $1 AND calculated_at > $2 AND algorithm_version = $3
         ORDER BY calculated_at DESC
-      `, [`%${username}%`, cutoff]);
+      `, [`%${username}%`, cutoff, SKILL_MODEL_VERSION]);
 
       // Group skills by type
       const skillProgression = {};
@@ -241,18 +475,24 @@ router.get('/:username/skills',
         if (!skillProgression[skill.skill_type]) {
           skillProgression[skill.skill_type] = [];
         }
+        const { value, confidence, lower, upper } = skillInterval(skill.skill_value, skill.confidence);
         skillProgression[skill.skill_type].push({
-          value: parseFloat(skill.skill_value),
+          value,
+          confidence,
+          lower,
+          upper,
           timestamp: parseInt(skill.calculated_at)
         });
       });
 
-      // Get latest skills
+      // Get latest skills and their uncertainty bands
       const latestSkills = {};
+      const intervals = {};
       Object.keys(skillProgression).forEach(skillType => {
         const skillData = skillProgression[skillType];
         if (skillData.length > 0) {
           latestSkills[skillType] = skillData[0].value;
+          intervals[skillType] = skillInterval(skillData[0].value, skillData[0].confidence);
         }
       });
 
@@ -260,8 +500,10 @@ router.get('/:username/skills',
         success: true, 
         data: {
           latest: latestSkills,
+          intervals,
           progression: skillProgression
-        }
+        },
+        meta: { algorithmVersion: SKILL_MODEL_VERSION }
       });
     } catch (error) {
       console.error('Player skills error:', error);
@@ -299,4 +541,344 @@ router.get('/:username/achievements',
   }
 );
 
+// Follow a player
+router.post('/:username/follow',
+  authenticateToken,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const result = await followPlayer(req.user.username, username);
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      await cacheService.invalidatePlayerCache(result.following);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          follower: result.follower,
+          following: result.following
+        }
+      });
+    } catch (error) {
+      console.error('Follow player error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Unfollow a player
+router.delete('/:username/follow',
+  authenticateToken,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const result = await unfollowPlayer(req.user.username, username);
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      await cacheService.invalidatePlayerCache(username);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Unfollow player error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get player followers
+router.get('/:username/followers',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+
+      const [followers, counts] = await Promise.all([
+        getFollowers(username, parseInt(limit), parseInt(offset)),
+        getRelationshipCounts(username)
+      ]);
+
+      res.json({
+        success: true,
+        data: followers,
+        meta: {
+          total: counts.followers,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + followers.length < counts.followers
+        }
+      });
+    } catch (error) {
+      console.error('Player followers error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get players this player follows
+router.get('/:username/following',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+
+      const [following, counts] = await Promise.all([
+        getFollowing(username, parseInt(limit), parseInt(offset)),
+        getRelationshipCounts(username)
+      ]);
+
+      res.json({
+        success: true,
+        data: following,
+        meta: {
+          total: counts.following,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + following.length < counts.following
+        }
+      });
+    } catch (error) {
+      console.error('Player following error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get activity feed of followed players
+router.get('/:username/feed',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { cursor, limit = 20 } = req.query;
+
+      const player = await resolveUsername(username);
+      if (!player) {
+        return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const feed = await getFeed(player, { cursor, limit: parseInt(limit) });
+
+      res.json({
+        success: true,
+        data: feed.items,
+        meta: {
+          limit: parseInt(limit),
+          nextCursor: feed.nextCursor,
+          hasMore: feed.hasMore
+        }
+      });
+    } catch (error) {
+      console.error('Player feed error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get comments on a player's profile
+router.get('/:username/comments',
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 20, offset = 0 } = req.query;
+
+      const [comments, total] = await Promise.all([
+        getComments(username, parseInt(limit), parseInt(offset)),
+        getCommentCount(username)
+      ]);
+
+      res.json({
+        success: true,
+        data: comments,
+        meta: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + comments.length < total
+        }
+      });
+    } catch (error) {
+      console.error('Player comments error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Post a comment on a player's profile
+router.post('/:username/comments',
+  authenticateToken,
+  commentRateLimit,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    text: { required: true, maxLength: MAX_COMMENT_LENGTH }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const result = await addComment(username, req.user.username, req.body.text);
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      res.status(201).json({ success: true, data: result.comment });
+    } catch (error) {
+      console.error('Add comment error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Edit own comment
+router.put('/:username/comments/:commentId',
+  authenticateToken,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    commentId: { required: true, type: 'integer' },
+    text: { required: true, maxLength: MAX_COMMENT_LENGTH }
+  }),
+  async (req, res) => {
+    try {
+      const { username, commentId } = req.params;
+      const result = await editComment(username, parseInt(commentId), req.user.username, req.body.text);
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      res.json({ success: true, data: result.comment });
+    } catch (error) {
+      console.error('Edit comment error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Soft-delete a comment (author or admin)
+router.delete('/:username/comments/:commentId',
+  authenticateToken,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    commentId: { required: true, type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username, commentId } = req.params;
+      const result = await deleteComment(username, parseInt(commentId), req.user);
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Moderation view including deleted comments (admin only)
+router.get('/:username/comments/moderation',
+  authenticateToken,
+  requireAdmin,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    limit: { type: 'integer', min: 1, max: 200 },
+    offset: { type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+
+      const comments = await getCommentsForModeration(username, parseInt(limit), parseInt(offset));
+
+      res.json({
+        success: true,
+        data: comments,
+        meta: {
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+    } catch (error) {
+      console.error('Comment moderation error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Restore a deleted comment (admin only)
+router.post('/:username/comments/:commentId/restore',
+  authenticateToken,
+  requireAdmin,
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    commentId: { required: true, type: 'integer' }
+  }),
+  async (req, res) => {
+    try {
+      const { username, commentId } = req.params;
+      const result = await restoreComment(username, parseInt(commentId));
+
+      if (!result.success) {
+        return res.status(serviceErrorStatus[result.reason] || 500).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Restore comment error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
 module.exports = router;
@@ -3,9 +3,34 @@ const router = express.Router();
 const { getRows } = require('../config/db');
 const { cacheService } = require('../services/cache');
 const { validateInput } = require('../config/security');
+const { TREND_PERIODS, getRankTrends, getPlayerRankHistory } = require('../services/rankHistory');
+const { MODE_NAMES, normalizeMode } = require('../services/osuApi');
+const { SKILL_MODEL_VERSION, skillInterval } = require('../services/skillCalculator');
+const { config, COUNTRY_FILTER_VALUES, normalizeCountry } = require('../config/env');
+
+// Ranked rows for a ruleset: player_stats holds standard, player_mode_stats the rest
+function rankingSource(mode) {
+  if (mode === 'osu') return 'player_stats';
+
+  return `(
+    SELECT
+      ms.username, ps.user_id, ms.total_scores, ms.avg_rank, ms.best_score, ms.total_pp, ms.weighted_pp,
+      ms.first_places, ms.top_10_places, ms.accuracy_avg, ms.playcount, ps.total_playtime,
+      ps.level, ms.global_rank, ms.country_rank, ps.last_seen, ps.avatar_url,
+      ms.last_calculated, ps.is_active, ps.country
+    FROM player_mode_stats ms
+    JOIN player_stats ps ON ps.username = ms.username
+    WHERE ms.mode = '${mode}'
+  ) mode_stats`;
+}
 
 // Get player rankings
-router.get('/', async (req, res) => {
+router.get('/',
+  validateInput({
+    mode: { enum: MODE_NAMES },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const { 
       sort = 'weighted_pp', 
@@ -14,9 +39,11 @@ router.get('/', async (req, res) => {
       timeframe = 'all',
       minScores = 5 
     } = req.query;
+    const mode = normalizeMode(req.query.mode);
+    const country = normalizeCountry(req.query.country);
     
     // Try cache first
-    const cacheParams = { sort, limit, offset, timeframe, minScores };
+    const cacheParams = { sort, limit, offset, timeframe, minScores, mode, country };
     let data = await cacheService.getRankingsCache(cacheParams);
     
     if (!data) {
@@ -28,6 +55,11 @@ router.get('/', async (req, res) => {
       let params = [parseInt(minScores)];
       let paramCount = 1;
       
+      if (country) {
+        whereClause += ` AND country = $${++paramCount}`;
+        params.push(country);
+      }
+      
       if (timeframe !== 'all') {
         const timeRanges = {
           '24h': 24 * 60 * 60 * 1000,
@@ -48,9 +80,9 @@ router.get('/', async (req, res) => {
         SELECT 
           username, user_id, total_scores, avg_rank, best_score, total_pp, weighted_pp,
           first_places, top_10_places, accuracy_avg, playcount, total_playtime,
-          level, global_rank, country_rank, last_seen, avatar_url,
+          level, global_rank, country_rank, last_seen, avatar_url, country,
           ROW_NUMBER() OVER (ORDER BY ${sortColumn} ${sortOrder}) as rank
-        FROM player_stats 
+        FROM ${rankingSource(mode)} 
         ${whereClause}
         ORDER BY ${sortColumn} ${sortOrder}
         LIMIT $${++paramCount} OFFSET $${++paramCount}
@@ -65,6 +97,8 @@ router.get('/', async (req, res) => {
       data,
       meta: {
         sort,
+        mode,
+        country,
         limit: parseInt(limit),
         offset: parseInt(offset),
         timeframe,
@@ -76,7 +110,8 @@ router.get('/', async (req, res) => {
     console.error('Rankings error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
 
 // Get top performers by specific metric
 router.get('/top/:metric', 
@@ -84,12 +119,14 @@ router.get('/top/:metric',
     metric: { 
       required: true, 
       enum: ['pp', 'accuracy', 'first_places', 'total_scores', 'playtime'] 
-    }
+    },
+    country: { enum: COUNTRY_FILTER_VALUES }
   }),
   async (req, res) => {
     try {
       const { metric } = req.params;
       const { limit = 20 } = req.query;
+      const country = normalizeCountry(req.query.country);
 
       const metricMapping = {
         pp: 'weighted_pp',
@@ -105,19 +142,20 @@ router.get('/top/:metric',
       const data = await getRows(`
         SELECT 
           username, user_id, weighted_pp, accuracy_avg, first_places, 
-          total_scores, total_playtime, country_rank, avatar_url,
+          total_scores, total_playtime, country_rank, avatar_url, country,
           ${column} as metric_value
         FROM player_stats
-        WHERE is_active = true AND ${column} > 0
+        WHERE is_active = true AND ${column} > 0 AND ($2::text IS NULL OR country = $2)
         ORDER BY ${column} ${order}
         LIMIT $1
-      `, [parseInt(limit)]);
+      `, [parseInt(limit), country]);
 
       res.json({
         success: true,
         data,
         meta: {
           metric,
+          country,
           limit: parseInt(limit)
         }
       });
@@ -134,40 +172,54 @@ router.get('/skills/:skillType',
     skillType: { 
       required: true, 
       enum: ['aim', 'speed', 'accuracy', 'reading', 'consistency'] 
-    }
+    },
+    country: { enum: COUNTRY_FILTER_VALUES },
+    minConfidence: { type: 'number', min: 0, max: 1 }
   }),
   async (req, res) => {
     try {
       const { skillType } = req.params;
       const { limit = 20 } = req.query;
+      const country = normalizeCountry(req.query.country);
+      const minConfidence = req.query.minConfidence !== undefined ? parseFloat(req.query.minConfidence) : 0;
 
       const data = await getRows(`
         WITH recent_skills AS (
           SELECT DISTINCT ON (username) 
-                 username, skill_value, calculated_at
+                 username, skill_value, confidence, calculated_at
           FROM skill_tracking 
-          WHERE skill_type = $1
+          WHERE skill_type = $1 AND algorithm_version = $4
           ORDER BY username, calculated_at DESC
         )
         SELECT 
           rs.username, 
           rs.skill_value,
+          rs.confidence,
           ps.weighted_pp, 
           ps.country_rank, 
           ps.avatar_url,
+          ps.country,
           ROW_NUMBER() OVER (ORDER BY rs.skill_value DESC) as skill_rank
         FROM recent_skills rs
         JOIN player_stats ps ON rs.username = ps.username
-        WHERE ps.is_active = true
+        WHERE ps.is_active = true AND ($3::text IS NULL OR ps.country = $3) AND rs.confidence >= $5
         ORDER BY rs.skill_value DESC
         LIMIT $2
-      `, [skillType, parseInt(limit)]);
+      `, [skillType, parseInt(limit), country, SKILL_MODEL_VERSION, minConfidence]);
+
+      // Uncertainty band and provisional flag next to each skill value
+      const rankings = data.map(row => {
+        const { confidence, lower, upper, provisional } = skillInterval(row.skill_value, row.confidence);
+        return { ...row, confidence, lower, upper, provisional };
+      });
 
       res.json({
         success: true,
-        data,
+        data: rankings,
         meta: {
           skillType,
+          country,
+          minConfidence,
           limit: parseInt(limit)
         }
       });
@@ -179,9 +231,14 @@ router.get('/skills/:skillType',
 );
 
 // Get country ranking comparison
-router.get('/country-comparison', async (req, res) => {
+router.get('/country-comparison',
+  validateInput({
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
   try {
     const { limit = 100 } = req.query;
+    const country = normalizeCountry(req.query.country) || config.DEFAULT_COUNTRY;
 
     const data = await getRows(`
       SELECT 
@@ -194,65 +251,110 @@ router.get('/country-comparison', async (req, res) => {
         total_scores,
         avatar_url
       FROM player_stats
-      WHERE is_active = true AND country_rank > 0
+      WHERE is_active = true AND country_rank > 0 AND country = $2
       ORDER BY country_rank ASC
       LIMIT $1
-    `, [parseInt(limit)]);
+    `, [parseInt(limit), country]);
 
     res.json({
       success: true,
       data,
       meta: {
         limit: parseInt(limit),
-        country: 'DZ'
+        country
       }
     });
   } catch (error) {
     console.error('Country comparison error:', error);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+  }
+);
 
 // Get ranking changes/trends
-router.get('/trends', async (req, res) => {
-  try {
-    const { days = 7, limit = 50 } = req.query;
-    
-    // This would require historical ranking data
-    // For now, return recent activity as a proxy for trends
-    const cutoff = Date.now() - (parseInt(days) * 24 * 60 * 60 * 1000);
-    
-    const data = await getRows(`
-      SELECT 
-        ps.username,
-        ps.weighted_pp,
-        ps.country_rank,
-        ps.first_places,
-        ps.last_calculated,
-        COUNT(ats.username) as recent_scores
-      FROM player_stats ps
-      LEFT JOIN algeria_top50 ats ON ps.username = ats.username AND ats.last_updated > $1
-      WHERE ps.is_active = true
-      GROUP BY ps.username, ps.weighted_pp, ps.country_rank, ps.first_places, ps.last_calculated
-      HAVING COUNT(ats.username) > 0
-      ORDER BY recent_scores DESC, ps.weighted_pp DESC
-      LIMIT $2
-    `, [cutoff, parseInt(limit)]);
+router.get('/trends', 
+  validateInput({
+    days: { enum: TREND_PERIODS.map(String) },
+    limit: { type: 'integer', min: 1, max: 100 },
+    country: { enum: COUNTRY_FILTER_VALUES }
+  }),
+  async (req, res) => {
+    try {
+      const { days = 7, limit = 10 } = req.query;
+      const country = normalizeCountry(req.query.country);
+      
+      const cacheKey = cacheService.generateKey('rankings', 'trends', days, limit, country || 'all');
+      let data = await cacheService.get(cacheKey);
+      
+      if (!data) {
+        data = await getRankTrends(parseInt(days), parseInt(limit), country);
+        
+        // Snapshots are daily, cache for 30 minutes
+        await cacheService.set(cacheKey, data, 1800);
+      }
 
-    res.json({
-      success: true,
-      data,
-      meta: {
-        days: parseInt(days),
-        limit: parseInt(limit),
-        period: `Last ${days} days`
+      res.json({
+        success: true,
+        data,
+        meta: {
+          days: parseInt(days),
+          limit: parseInt(limit),
+          country,
+          period: `Last ${days} days`
+        }
+      });
+    } catch (error) {
+      console.error('Ranking trends error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get a player's rank history
+router.get('/trends/:username', 
+  validateInput({
+    username: { required: true, minLength: 2, maxLength: 15 },
+    days: { enum: TREND_PERIODS.map(String) }
+  }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { days = 30 } = req.query;
+
+      const history = await getPlayerRankHistory(username, parseInt(days));
+
+      if (history.length === 0) {
+        return res.status(404).json({ success: false, error: 'No rank history for this player' });
       }
-    });
-  } catch (error) {
-    console.error('Ranking trends error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+
+      const first = history[0];
+      const last = history[history.length - 1];
+      const rankedDays = history.map(h => h.country_rank).filter(r => r > 0);
+
+      res.json({
+        success: true,
+        data: {
+          history,
+          change: {
+            rank: (first.country_rank > 0 && last.country_rank > 0) ? first.country_rank - last.country_rank : null,
+            globalRank: (first.global_rank > 0 && last.global_rank > 0) ? first.global_rank - last.global_rank : null,
+            pp: (last.weighted_pp || 0) - (first.weighted_pp || 0),
+            firstPlaces: (last.first_places || 0) - (first.first_places || 0),
+            bestRank: rankedDays.length > 0 ? Math.min(...rankedDays) : null
+          }
+        },
+        meta: {
+          username,
+          days: parseInt(days),
+          snapshots: history.length
+        }
+      });
+    } catch (error) {
+      console.error('Player rank history error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
   }
-});
+);
 
 // Get milestone achievements in rankings
 router.get('/milestones', async (req, res) => {
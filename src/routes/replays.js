@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { validateInput, authenticateToken } = require('../config/security');
+const { storeReplay, getReplay } = require('../services/replays');
+
+// Replays are uploaded as the raw .osr file body; the parser also caps the frame
+// data's declared uncompressed size
+const replayBody = express.raw({
+  type: ['application/octet-stream', 'application/x-osu-replay'],
+  limit: '5mb'
+});
+
+// Upload and parse a replay
+router.post('/',
+  authenticateToken,
+  replayBody,
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Replay file required (Content-Type: application/octet-stream)'
+        });
+      }
+
+      const result = await storeReplay(req.body, req.user.username);
+
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.replay,
+        meta: {
+          matchedBeatmap: result.match.beatmapId !== null,
+          matchedScore: result.match.scoreId !== null,
+          onLeaderboard: result.match.onLeaderboard
+        }
+      });
+    } catch (error) {
+      console.error('Replay upload error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get a stored replay summary
+router.get('/:replayId',
+  validateInput({
+    replayId: { required: true, type: 'integer', min: 1 }
+  }),
+  async (req, res) => {
+    try {
+      const replay = await getReplay(parseInt(req.params.replayId));
+
+      if (!replay) {
+        return res.status(404).json({ success: false, error: 'Replay not found' });
+      }
+
+      res.json({ success: true, data: replay });
+    } catch (error) {
+      console.error('Replay error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const { query, getRows, getRow } = require('../config/db');
+const { discordNotifier } = require('./notifications');
 
 // Default achievements data
 const defaultAchievements = [
@@ -118,7 +119,9 @@ async function checkAchievements(username) {
 
     for (const check of achievementChecks) {
       if (check.condition()) {
-        const achievement = await getRow(`SELECT id FROM achievements WHERE name = $1`, [check.name]);
+        const achievement = await getRow(`
+          SELECT id, name, description, icon, points FROM achievements WHERE name = $1
+        `, [check.name]);
         if (achievement) {
           // Check if player already has this achievement
           const existingAchievement = await getRow(`
@@ -132,8 +135,17 @@ async function checkAchievements(username) {
               VALUES ($1, $2)
             `, [username, achievement.id]);
 
+            await query(`
+              INSERT INTO player_activity (username, activity_type, activity_data)
+              VALUES ($1, 'achievement_unlocked', $2)
+            `, [username, JSON.stringify({ achievementId: achievement.id, name: check.name })]);
+
             unlockedAchievements.push(check.name);
             console.log(`🏆 ${username} unlocked achievement: ${check.name}`);
+
+            if (discordNotifier.isEnabled('achievement')) {
+              await discordNotifier.notifyAchievement(username, achievement);
+            }
           }
         }
       }
@@ -153,7 +165,7 @@ function checkConsecutiveDays(playerScores, requiredDays = 5) {
   const scoreDates = playerScores
     .map(s => new Date(s.last_updated).toDateString())
     .filter((date, index, array) => array.indexOf(date) === index)
-    .sort();
+    .sort((a, b) => new Date(a) - new Date(b));
 
   let consecutiveDays = 1;
   let maxConsecutiveDays = 1;
@@ -0,0 +1,305 @@
+const { pool, getRows } = require('../config/db');
+const { config } = require('../config/env');
+const { SKILL_MODEL_VERSION } = require('./skillCalculator');
+
+// Playstyle archetypes: k-means over each player's latest skills, mod usage and
+// star rating. Features are standardized first so skills (0-10), shares (0-1)
+// and star ratings weigh the same; distances are in those standard units.
+
+const FEATURES = [
+  'aim', 'speed', 'accuracy', 'reading', 'consistency',
+  'hd_share', 'hr_share', 'dt_share', 'nomod_share', 'star_rating'
+];
+
+// Names used to label a cluster by the features it stands out in
+const FEATURE_LABELS = {
+  aim: 'Aim',
+  speed: 'Speed',
+  accuracy: 'Accuracy',
+  reading: 'Reading',
+  consistency: 'Consistency',
+  hd_share: 'HD',
+  hr_share: 'HR',
+  dt_share: 'DT',
+  nomod_share: 'Nomod',
+  star_rating: 'High star'
+};
+
+// Standard deviations above the player base for a feature to name a cluster
+const LABEL_THRESHOLD = 0.5;
+const MAX_ITERATIONS = 100;
+
+function squaredDistance(a, b) {
+  return a.reduce((sum, value, i) => sum + Math.pow(value - b[i], 2), 0);
+}
+
+function mean(vectors, dimensions) {
+  const sums = new Array(dimensions).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { sums[i] += value; });
+  }
+  return sums.map(sum => (vectors.length > 0 ? sum / vectors.length : 0));
+}
+
+// Z-scores per feature; features without spread become 0
+function standardize(vectors) {
+  const dimensions = vectors[0]?.length || 0;
+  const means = mean(vectors, dimensions);
+  const deviations = means.map((m, i) =>
+    Math.sqrt(vectors.reduce((sum, vector) => sum + Math.pow(vector[i] - m, 2), 0) / (vectors.length || 1))
+  );
+
+  return {
+    means,
+    deviations,
+    vectors: vectors.map(vector => vector.map((value, i) => (deviations[i] > 0 ? (value - means[i]) / deviations[i] : 0)))
+  };
+}
+
+// Deterministic k-means++ style seeding: start at the point nearest the mean,
+// then repeatedly take the point farthest from the centroids chosen so far.
+// Seeds come from distinct points so no two clusters start on the same spot.
+function seedCentroids(vectors, k) {
+  const distinct = [...new Map(vectors.map(vector => [vector.join(','), vector])).values()];
+  const center = mean(distinct, distinct[0].length);
+  let first = 0;
+  distinct.forEach((vector, i) => {
+    if (squaredDistance(vector, center) < squaredDistance(distinct[first], center)) first = i;
+  });
+
+  const centroids = [distinct[first]];
+  while (centroids.length < Math.min(k, distinct.length)) {
+    let farthest = 0;
+    let farthestDistance = -1;
+    distinct.forEach((vector, i) => {
+      const nearest = Math.min(...centroids.map(c => squaredDistance(vector, c)));
+      if (nearest > farthestDistance) {
+        farthest = i;
+        farthestDistance = nearest;
+      }
+    });
+    centroids.push(distinct[farthest]);
+  }
+
+  return centroids.map(c => [...c]);
+}
+
+function nearestCentroid(vector, centroids) {
+  let cluster = 0;
+  let best = Infinity;
+  centroids.forEach((centroid, i) => {
+    const distance = squaredDistance(vector, centroid);
+    if (distance < best) {
+      cluster = i;
+      best = distance;
+    }
+  });
+  return { cluster, distance: Math.sqrt(best) };
+}
+
+// Lloyd's algorithm; clusters are at most as many as there are distinct points
+// and every returned cluster has members
+function kMeans(vectors, k, { maxIterations = MAX_ITERATIONS } = {}) {
+  if (vectors.length === 0) return { centroids: [], assignments: [], distances: [], iterations: 0 };
+
+  const dimensions = vectors[0].length;
+  let centroids = seedCentroids(vectors, Math.max(1, k));
+  let assignments = [];
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    const next = vectors.map(vector => nearestCentroid(vector, centroids).cluster);
+    const changed = next.some((cluster, i) => cluster !== assignments[i]);
+    assignments = next;
+    if (!changed) break;
+
+    centroids = centroids.map((centroid, cluster) => {
+      const members = vectors.filter((_, i) => assignments[i] === cluster);
+      // An emptied cluster keeps its old centroid
+      return members.length > 0 ? mean(members, dimensions) : centroid;
+    });
+  }
+
+  // Drop clusters that ended up empty and renumber the rest
+  const used = [...new Set(assignments)].sort((a, b) => a - b);
+  const renumbered = new Map(used.map((cluster, i) => [cluster, i]));
+  centroids = used.map(cluster => centroids[cluster]);
+  assignments = assignments.map(cluster => renumbered.get(cluster));
+
+  const distances = vectors.map((vector, i) => Math.sqrt(squaredDistance(vector, centroids[assignments[i]])));
+  return { centroids, assignments, distances, iterations };
+}
+
+// Latest skills under the current model plus mod usage and star rating of top scores
+async function getArchetypeFeatures(mode = 'osu') {
+  const rows = await getRows(`
+    WITH latest_skills AS (
+      SELECT DISTINCT ON (username, skill_type) username, skill_type, skill_value
+      FROM skill_tracking
+      WHERE mode = $1 AND algorithm_version = $2
+      ORDER BY username, skill_type, calculated_at DESC
+    ),
+    skills AS (
+      SELECT
+        username,
+        MAX(skill_value) FILTER (WHERE skill_type = 'aim') AS aim,
+        MAX(skill_value) FILTER (WHERE skill_type = 'speed') AS speed,
+        MAX(skill_value) FILTER (WHERE skill_type = 'accuracy') AS accuracy,
+        MAX(skill_value) FILTER (WHERE skill_type = 'reading') AS reading,
+        MAX(skill_value) FILTER (WHERE skill_type = 'consistency') AS consistency
+      FROM latest_skills
+      GROUP BY username
+    ),
+    score_features AS (
+      SELECT
+        username,
+        AVG(CASE WHEN mods LIKE '%HD%' THEN 1 ELSE 0 END) AS hd_share,
+        AVG(CASE WHEN mods LIKE '%HR%' THEN 1 ELSE 0 END) AS hr_share,
+        AVG(CASE WHEN mods LIKE '%DT%' OR mods LIKE '%NC%' THEN 1 ELSE 0 END) AS dt_share,
+        AVG(CASE WHEN mods IS NULL OR mods IN ('', 'None') THEN 1 ELSE 0 END) AS nomod_share,
+        AVG(difficulty_rating) AS star_rating
+      FROM algeria_top50
+      WHERE mode = $1
+      GROUP BY username
+    )
+    SELECT s.*, sf.hd_share, sf.hr_share, sf.dt_share, sf.nomod_share, sf.star_rating
+    FROM skills s
+    LEFT JOIN score_features sf ON sf.username = s.username
+  `, [mode, SKILL_MODEL_VERSION]);
+
+  return rows.map(row => ({
+    username: row.username,
+    features: FEATURES.reduce((acc, feature) => {
+      acc[feature] = parseFloat(row[feature]) || 0;
+      return acc;
+    }, {})
+  }));
+}
+
+// Name a cluster after the features its centroid is highest in
+function labelCluster(standardCentroid) {
+  const standouts = FEATURES
+    .map((feature, i) => ({ feature, z: standardCentroid[i] }))
+    .filter(({ z }) => z >= LABEL_THRESHOLD)
+    .sort((a, b) => b.z - a.z)
+    .slice(0, 2)
+    .map(({ feature }) => FEATURE_LABELS[feature]);
+
+  return standouts.length > 0 ? standouts.join(' + ') : 'Balanced';
+}
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Cluster the player base and replace the stored archetypes for the ruleset
+async function clusterArchetypes({ mode = 'osu', k = config.ARCHETYPE_CLUSTERS } = {}) {
+  const players = await getArchetypeFeatures(mode);
+  if (players.length === 0) return { players: 0, clusters: 0, iterations: 0 };
+
+  const raw = players.map(player => FEATURES.map(feature => player.features[feature]));
+  const { vectors } = standardize(raw);
+  const { centroids, assignments, distances, iterations } = kMeans(vectors, k);
+  const calculatedAt = Date.now();
+
+  // Profiles in the original units (skills 0-10, shares 0-1, stars), plus z-scores for the label
+  const profiles = centroids.map((centroid, cluster) => {
+    const members = raw.filter((_, i) => assignments[i] === cluster);
+    const averages = mean(members, FEATURES.length);
+    return {
+      cluster,
+      label: labelCluster(centroid),
+      memberCount: members.length,
+      centroid: FEATURES.reduce((acc, feature, i) => ({ ...acc, [feature]: round(averages[i]) }), {}),
+      profile: FEATURES.reduce((acc, feature, i) => ({ ...acc, [feature]: round(centroid[i]) }), {})
+    };
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM player_archetypes WHERE mode = $1', [mode]);
+    await client.query('DELETE FROM archetype_clusters WHERE mode = $1', [mode]);
+
+    for (const profile of profiles) {
+      await client.query(`
+        INSERT INTO archetype_clusters (mode, cluster, label, member_count, centroid, profile, calculated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [mode, profile.cluster, profile.label, profile.memberCount,
+        JSON.stringify(profile.centroid), JSON.stringify(profile.profile), calculatedAt]);
+    }
+
+    for (const [i, player] of players.entries()) {
+      await client.query(`
+        INSERT INTO player_archetypes (username, mode, cluster, distance, features, assigned_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [player.username, mode, assignments[i], round(distances[i]), JSON.stringify(player.features), calculatedAt]);
+    }
+
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  return { players: players.length, clusters: profiles.length, iterations };
+}
+
+// Stored cluster profiles, largest first, with members closest to the centroid first
+async function getArchetypes(mode = 'osu', memberLimit = 50) {
+  try {
+    const clusters = await getRows(`
+      SELECT cluster, label, member_count, centroid, profile, calculated_at
+      FROM archetype_clusters
+      WHERE mode = $1
+      ORDER BY member_count DESC, cluster ASC
+    `, [mode]);
+
+    const members = await getRows(`
+      SELECT ranked.cluster, ranked.username, ranked.distance, ps.avatar_url, ps.country
+      FROM (
+        SELECT cluster, username, distance,
+               ROW_NUMBER() OVER (PARTITION BY cluster ORDER BY distance ASC) AS position
+        FROM player_archetypes
+        WHERE mode = $1
+      ) ranked
+      LEFT JOIN player_stats ps ON ps.username = ranked.username
+      WHERE ranked.position <= $2
+      ORDER BY ranked.cluster, ranked.distance ASC
+    `, [mode, memberLimit]);
+
+    return clusters.map(cluster => ({
+      cluster: cluster.cluster,
+      label: cluster.label,
+      memberCount: parseInt(cluster.member_count),
+      centroid: cluster.centroid,
+      profile: cluster.profile,
+      calculatedAt: parseInt(cluster.calculated_at),
+      members: members
+        .filter(member => member.cluster === cluster.cluster)
+        .map(member => ({
+          username: member.username,
+          distance: parseFloat(member.distance),
+          avatarUrl: member.avatar_url,
+          country: member.country
+        }))
+    }));
+  } catch (err) {
+    console.error('Failed to get archetypes:', err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  FEATURES,
+  standardize,
+  kMeans,
+  labelCluster,
+  getArchetypeFeatures,
+  clusterArchetypes,
+  getArchetypes
+};
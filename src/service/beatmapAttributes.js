@@ -0,0 +1,298 @@
+const { query, getRows, getRow } = require('../config/db');
+const { getBeatmapAttributes: fetchBeatmapAttributes, normalizeMode } = require('./osuApi');
+
+// Difficulty attributes per beatmap and mod combination.
+// Star rating, AR, OD and max combo change with mods, so leaderboard rows, analytics and
+// skills read them from here instead of the nomod values on the beatmap.
+
+// Mods that change difficulty attributes, per ruleset
+const DIFFICULTY_MODS = {
+  osu: ['EZ', 'HR', 'DT', 'HT', 'FL', 'TD', 'DA'],
+  taiko: ['EZ', 'HR', 'DT', 'HT', 'DA'],
+  fruits: ['EZ', 'HR', 'DT', 'HT', 'DA'],
+  mania: ['DT', 'HT', 'DA']
+};
+
+// Mods with the same difficulty effect as another mod
+const MOD_ALIASES = { NC: 'DT', DC: 'HT' };
+
+const RATE_MODS = { DT: 1.5, HT: 0.75 };
+
+// How long the backfill leaves a combination alone after its attributes failed to load
+const ATTRIBUTE_RETRY_MS = 24 * 60 * 60 * 1000;
+
+function formatSettings(settings) {
+  return Object.keys(settings).sort().map(key => `${key}=${settings[key]}`).join(';');
+}
+
+// Difficulty mods of a score as API mod objects, in a stable order
+function difficultyMods(mods = [], modSettings = {}, mode = 'osu') {
+  const relevant = DIFFICULTY_MODS[normalizeMode(mode)];
+  const result = new Map();
+
+  for (const mod of mods) {
+    const acronym = MOD_ALIASES[mod] || mod;
+    if (!relevant.includes(acronym)) continue;
+
+    const settings = modSettings?.[mod] || modSettings?.[acronym];
+    result.set(acronym, settings && Object.keys(settings).length > 0 ? { acronym, settings } : { acronym });
+  }
+
+  return [...result.values()].sort((a, b) => a.acronym.localeCompare(b.acronym));
+}
+
+// Cache key of a mod combination, e.g. 'DT(speed_change=1.3),HR' or 'None'
+function modsKey(mods) {
+  if (mods.length === 0) return 'None';
+  return mods.map(mod => mod.settings ? `${mod.acronym}(${formatSettings(mod.settings)})` : mod.acronym).join(',');
+}
+
+// Key for a score's mods, ignoring mods that do not change difficulty
+function scoreModsKey(mods, modSettings, mode = 'osu') {
+  return modsKey(difficultyMods(mods, modSettings, mode));
+}
+
+function approachRateToMs(ar) {
+  return ar < 5 ? 1800 - 120 * ar : 1200 - 150 * (ar - 5);
+}
+
+function msToApproachRate(ms) {
+  return ms > 1200 ? (1800 - ms) / 120 : 5 + (1200 - ms) / 150;
+}
+
+// Clock rate of a difficulty mod list (as difficultyMods returns it), 1 without DT/HT
+function clockRate(mods = []) {
+  const rateMod = mods.find(mod => RATE_MODS[mod.acronym]);
+  return rateMod?.settings?.speed_change || (rateMod ? RATE_MODS[rateMod.acronym] : 1);
+}
+
+// Apply EZ/HR and the clock rate to a beatmap's AR and OD (osu! hit windows)
+function adjustDifficulty({ ar = null, od = null } = {}, mods = []) {
+  const acronyms = mods.map(mod => mod.acronym);
+  const rate = clockRate(mods);
+  const multiplier = acronyms.includes('HR') ? 1.4 : acronyms.includes('EZ') ? 0.5 : 1;
+
+  const scale = (value) => value === null || value === undefined ? null : Math.min(10, value * multiplier);
+  let adjustedAr = scale(ar);
+  let adjustedOd = scale(od);
+
+  if (rate !== 1) {
+    if (adjustedAr !== null) adjustedAr = msToApproachRate(approachRateToMs(adjustedAr) / rate);
+    if (adjustedOd !== null) adjustedOd = (80 - (80 - 6 * adjustedOd) / rate) / 6;
+  }
+
+  return { ar: adjustedAr, od: adjustedOd };
+}
+
+// Nomod attributes as stored on the beatmap (API beatmaps call OD "accuracy")
+function baseAttributes(beatmap) {
+  return {
+    mods: 'None',
+    star_rating: beatmap.difficulty_rating ?? null,
+    ar: beatmap.ar ?? null,
+    od: beatmap.od ?? beatmap.accuracy ?? null,
+    max_combo: beatmap.max_combo ?? null,
+    attributes: null
+  };
+}
+
+function formatRow(row) {
+  return {
+    mods: row.mods,
+    star_rating: row.star_rating === null ? null : parseFloat(row.star_rating),
+    ar: row.ar === null ? null : parseFloat(row.ar),
+    od: row.od === null ? null : parseFloat(row.od),
+    max_combo: row.max_combo === null ? null : Number(row.max_combo),
+    attributes: row.attributes ?? null
+  };
+}
+
+async function getStoredBeatmap(beatmapId) {
+  return getRow(
+    'SELECT difficulty_rating, ar, od, max_combo FROM beatmap_metadata WHERE beatmap_id = $1',
+    [beatmapId]
+  );
+}
+
+// Attributes of a beatmap with the given mods, from the cache or the osu! API.
+// beatmap is the API beatmap when the caller already has it; null when nothing is known.
+// withPayload skips the nomod shortcut so the full API attributes are always returned;
+// cachedOnly never calls the API and returns null on a cache miss (for request paths).
+async function getBeatmapAttributes(beatmapId, mods = [], mode = 'osu', { modSettings = {}, beatmap = null, withPayload = false, cachedOnly = false } = {}) {
+  mode = normalizeMode(mode);
+  const difficulty = difficultyMods(mods, modSettings, mode);
+  const key = modsKey(difficulty);
+
+  try {
+    // Nomod osu! attributes are already on the beatmap; converts need the API
+    if (key === 'None' && mode === 'osu' && !withPayload) {
+      const base = beatmap || await getStoredBeatmap(beatmapId);
+      if (base?.difficulty_rating) return baseAttributes(base);
+    }
+
+    const cached = await getRow(
+      'SELECT mods, star_rating, ar, od, max_combo, attributes FROM beatmap_attributes WHERE beatmap_id = $1 AND mode = $2 AND mods = $3',
+      [beatmapId, mode, key]
+    );
+    if (cached) return formatRow(cached);
+    if (cachedOnly) return null;
+
+    const data = await fetchBeatmapAttributes(beatmapId, difficulty, mode);
+    const attributes = data?.attributes;
+    if (!attributes) return null;
+
+    // Newer API versions leave AR and OD out, derive them from the beatmap
+    const base = beatmap ? baseAttributes(beatmap) : await getStoredBeatmap(beatmapId);
+    const adjusted = mode === 'osu' ? adjustDifficulty(base || {}, difficulty) : { ar: null, od: null };
+
+    const row = {
+      mods: key,
+      star_rating: attributes.star_rating ?? null,
+      ar: attributes.approach_rate ?? adjusted.ar,
+      od: attributes.overall_difficulty ?? adjusted.od,
+      max_combo: attributes.max_combo ?? null,
+      attributes
+    };
+
+    await query(`
+      INSERT INTO beatmap_attributes (beatmap_id, mode, mods, star_rating, ar, od, max_combo, attributes, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (beatmap_id, mode, mods) DO UPDATE SET
+        star_rating = EXCLUDED.star_rating,
+        ar = EXCLUDED.ar,
+        od = EXCLUDED.od,
+        max_combo = EXCLUDED.max_combo,
+        attributes = EXCLUDED.attributes,
+        fetched_at = EXCLUDED.fetched_at
+    `, [beatmapId, mode, key, row.star_rating, row.ar, row.od, row.max_combo, JSON.stringify(attributes), Date.now()]);
+
+    return row;
+  } catch (err) {
+    console.warn(`Failed to get attributes of beatmap ${beatmapId} (${key}):`, err.message);
+    return null;
+  }
+}
+
+// Everything the local pp calculator needs: the API attributes, mod-adjusted AR/OD and object counts
+async function getPerformanceAttributes(beatmapId, mods = [], mode = 'osu', { modSettings = {}, cachedOnly = false } = {}) {
+  const attributes = await getBeatmapAttributes(beatmapId, mods, mode, { modSettings, withPayload: true, cachedOnly });
+  if (!attributes?.attributes || attributes.ar === null || attributes.od === null) return null;
+
+  try {
+    const counts = await getRow(
+      'SELECT count_circles, count_sliders, count_spinners FROM beatmap_metadata WHERE beatmap_id = $1',
+      [beatmapId]
+    );
+    if (counts?.count_circles === null || counts?.count_circles === undefined) return null;
+
+    return {
+      ...attributes.attributes,
+      ar: attributes.ar,
+      od: attributes.od,
+      max_combo: attributes.max_combo,
+      hit_circle_count: Number(counts.count_circles),
+      slider_count: Number(counts.count_sliders || 0),
+      spinner_count: Number(counts.count_spinners || 0)
+    };
+  } catch (err) {
+    console.warn(`Failed to get object counts of beatmap ${beatmapId}:`, err.message);
+    return null;
+  }
+}
+
+// Attributes for every mod combination in a list of normalized scores, keyed by scoreModsKey.
+// osu! nomod attributes are fetched too, so the local pp calculator finds them cached.
+async function getScoreAttributes(beatmapId, scores, mode = 'osu', beatmap = null) {
+  const attributes = new Map();
+
+  for (const score of scores) {
+    const key = scoreModsKey(score.mods, score.mod_settings, mode);
+    if (attributes.has(key)) continue;
+
+    attributes.set(key, await getBeatmapAttributes(beatmapId, score.mods, mode, {
+      modSettings: score.mod_settings,
+      beatmap,
+      withPayload: mode === 'osu'
+    }));
+  }
+
+  return attributes;
+}
+
+// Fill in mod-adjusted values for leaderboard rows saved before they were tracked.
+// Combinations that fail are marked and retried after a day, never ahead of untried ones.
+async function backfillScoreAttributes(mode = 'osu', limit = 50) {
+  mode = normalizeMode(mode);
+  let updated = 0;
+
+  try {
+    const combinations = await getRows(`
+      SELECT beatmap_id, mods, mod_settings, MAX(attributes_failed_at) AS failed_at
+      FROM algeria_top50
+      WHERE mode = $1 AND base_difficulty_rating IS NULL
+        AND (attributes_failed_at IS NULL OR attributes_failed_at < $3)
+      GROUP BY beatmap_id, mods, mod_settings
+      ORDER BY failed_at ASC NULLS FIRST, beatmap_id
+      LIMIT $2
+    `, [mode, limit, Date.now() - ATTRIBUTE_RETRY_MS]);
+
+    for (const combo of combinations) {
+      const mods = !combo.mods || combo.mods === 'None' ? [] : combo.mods.split(',');
+      const attributes = await getBeatmapAttributes(combo.beatmap_id, mods, mode, {
+        modSettings: combo.mod_settings || {},
+        withPayload: mode === 'osu'
+      });
+      if (!attributes) {
+        await query(`
+          UPDATE algeria_top50 SET attributes_failed_at = $4
+          WHERE beatmap_id = $1 AND mode = $2 AND mods = $3
+            AND mod_settings IS NOT DISTINCT FROM $5::jsonb AND base_difficulty_rating IS NULL
+        `, [
+          combo.beatmap_id, mode, combo.mods, Date.now(),
+          combo.mod_settings ? JSON.stringify(combo.mod_settings) : null
+        ]);
+        continue;
+      }
+
+      // Rows saved before this stored the nomod rating in difficulty_rating
+      const result = await query(`
+        UPDATE algeria_top50 SET
+          base_difficulty_rating = COALESCE(
+            (SELECT m.difficulty_rating FROM beatmap_metadata m WHERE m.beatmap_id = $1),
+            difficulty_rating
+          ),
+          difficulty_rating = COALESCE($4, difficulty_rating),
+          ar = $5,
+          od = $6
+        WHERE beatmap_id = $1 AND mode = $2 AND mods = $3
+          AND mod_settings IS NOT DISTINCT FROM $7::jsonb AND base_difficulty_rating IS NULL
+      `, [
+        combo.beatmap_id, mode, combo.mods, attributes.star_rating, attributes.ar, attributes.od,
+        combo.mod_settings ? JSON.stringify(combo.mod_settings) : null
+      ]);
+
+      updated += result.rowCount || 0;
+    }
+
+    if (updated > 0) {
+      console.log(`🎚️ Backfilled mod-adjusted difficulty for ${updated} ${mode} leaderboard rows`);
+    }
+  } catch (err) {
+    console.error('Failed to backfill score attributes:', err.message);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  DIFFICULTY_MODS,
+  difficultyMods,
+  modsKey,
+  scoreModsKey,
+  clockRate,
+  adjustDifficulty,
+  getBeatmapAttributes,
+  getPerformanceAttributes,
+  getScoreAttributes,
+  backfillScoreAttributes
+};
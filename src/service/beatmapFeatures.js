@@ -0,0 +1,421 @@
+const { query, getRow, getRows } = require('../config/db');
+const {
+  readBeatmapFile,
+  listBeatmapFiles,
+  writeBeatmapFile,
+  beatmapChecksum,
+  timingAt,
+  parseBeatmapFile
+} = require('./beatmapFiles');
+
+// Pattern features of osu!standard beatmaps, extracted from their .osu files.
+// Streams and jumps are found from object timing against the beat length in effect;
+// slider paths are not traced, so cursor travel is measured between object starts.
+
+// Consecutive circles at up to 1/4 beat apart (with some slack for rounding) are stream notes
+const STREAM_SPACING = 0.25 * 1.2;
+// Runs shorter than this are bursts, not streams
+const STREAM_MIN_NOTES = 5;
+// Pairs further than a full beat apart are spacing across a pause, not jumps
+const JUMP_MAX_SPACING = 1.05;
+// Jump distance histogram edges in osu! pixels (the playfield is 512x384)
+const JUMP_BUCKETS = [100, 200, 300];
+
+// Pattern type thresholds
+const STREAM_MAP_DENSITY = 0.25;
+const JUMP_MAP_DISTANCE = 180;
+const SLIDER_MAP_RATIO = 0.5;
+
+const PATTERN_TYPES = ['stream', 'jump', 'slider', 'mixed'];
+
+function roundFeature(value, digits = 3) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+  return sorted[index];
+}
+
+// Beats per minute over the hit objects: main (longest lasting), range and number of changes
+function bpmFeatures(timingPoints, hitObjects) {
+  const points = timingPoints.filter(point => point.uninherited && point.beatLength > 0);
+  if (points.length === 0) return { bpmMain: null, bpmMin: null, bpmMax: null, bpmChanges: 0 };
+
+  const start = hitObjects.length > 0 ? hitObjects[0].time : points[0].time;
+  const last = hitObjects[hitObjects.length - 1];
+  const end = last ? Math.max(last.time, last.endTime || 0) : start;
+
+  const durations = new Map();
+  let changes = 0;
+  let previousBpm = null;
+
+  points.forEach((point, i) => {
+    const bpm = roundFeature(60000 / point.beatLength, 1);
+    const from = Math.max(point.time, start);
+    const to = i + 1 < points.length ? Math.min(points[i + 1].time, end) : end;
+
+    // Only sections that have objects in them count
+    if (to <= from) return;
+    durations.set(bpm, (durations.get(bpm) || 0) + to - from);
+
+    // Redundant uninherited points restating the same BPM are not changes
+    if (previousBpm !== null && Math.abs(bpm - previousBpm) >= 1) changes++;
+    previousBpm = bpm;
+  });
+
+  if (durations.size === 0) {
+    durations.set(roundFeature(60000 / timingAt(points, start).beatLength, 1), 0);
+  }
+
+  const bpms = [...durations.keys()];
+  const bpmMain = bpms.reduce((main, bpm) => durations.get(bpm) > durations.get(main) ? bpm : main, bpms[0]);
+
+  return {
+    bpmMain,
+    bpmMin: Math.min(...bpms),
+    bpmMax: Math.max(...bpms),
+    bpmChanges: changes
+  };
+}
+
+// Stream notes and runs: circles following each other at 1/4 beat or closer
+function streamFeatures(hitObjects, timingPoints) {
+  const runs = [];
+  let run = 1;
+
+  for (let i = 1; i < hitObjects.length; i++) {
+    const previous = hitObjects[i - 1];
+    const current = hitObjects[i];
+    const { beatLength } = timingAt(timingPoints, current.time);
+
+    const close = beatLength && previous.kind === 'circle' && current.kind === 'circle' &&
+      current.time - previous.time <= beatLength * STREAM_SPACING;
+
+    if (close) {
+      run++;
+    } else {
+      if (run >= STREAM_MIN_NOTES) runs.push(run);
+      run = 1;
+    }
+  }
+  if (run >= STREAM_MIN_NOTES) runs.push(run);
+
+  const streamNotes = runs.reduce((sum, notes) => sum + notes, 0);
+  return {
+    streamCount: runs.length,
+    streamNotes,
+    longestStream: runs.length > 0 ? Math.max(...runs) : 0
+  };
+}
+
+// Distances between a circle and the next object when they are further apart than stream spacing
+function jumpFeatures(hitObjects, timingPoints) {
+  const distances = [];
+
+  for (let i = 1; i < hitObjects.length; i++) {
+    const previous = hitObjects[i - 1];
+    const current = hitObjects[i];
+    if (previous.kind !== 'circle' || current.kind === 'spinner') continue;
+
+    const { beatLength } = timingAt(timingPoints, current.time);
+    if (!beatLength) continue;
+
+    const spacing = (current.time - previous.time) / beatLength;
+    if (spacing <= STREAM_SPACING || spacing > JUMP_MAX_SPACING) continue;
+
+    distances.push(Math.hypot(current.x - previous.x, current.y - previous.y));
+  }
+
+  const sorted = [...distances].sort((a, b) => a - b);
+  const buckets = {};
+  JUMP_BUCKETS.forEach((edge, i) => {
+    const from = i === 0 ? 0 : JUMP_BUCKETS[i - 1];
+    buckets[`${from}-${edge}`] = sorted.filter(d => d >= from && d < edge).length;
+  });
+  buckets[`${JUMP_BUCKETS[JUMP_BUCKETS.length - 1]}+`] = sorted.filter(d => d >= JUMP_BUCKETS[JUMP_BUCKETS.length - 1]).length;
+
+  return {
+    jumpCount: sorted.length,
+    jumpDistanceAvg: sorted.length > 0 ? sorted.reduce((sum, d) => sum + d, 0) / sorted.length : null,
+    jumpDistanceP50: percentile(sorted, 0.5),
+    jumpDistanceP90: percentile(sorted, 0.9),
+    jumpDistanceMax: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    jumpDistances: buckets
+  };
+}
+
+// Dominant pattern of a map from its features
+function classifyPattern(features) {
+  if (features.streamDensity >= STREAM_MAP_DENSITY) return 'stream';
+  if ((features.jumpDistanceAvg ?? 0) >= JUMP_MAP_DISTANCE) return 'jump';
+  if (features.sliderRatio >= SLIDER_MAP_RATIO) return 'slider';
+  return 'mixed';
+}
+
+// Object counts, stream density, jump distances, slider ratio and BPM changes of a parsed
+// osu!standard beatmap; null for other rulesets
+function extractFeatures(beatmap) {
+  if ((beatmap.General.Mode || 0) !== 0) return null;
+
+  const { hitObjects, timingPoints } = beatmap;
+  const counts = { circle: 0, slider: 0, spinner: 0 };
+  hitObjects.forEach(object => counts[object.kind]++);
+  const total = hitObjects.length;
+
+  const streams = streamFeatures(hitObjects, timingPoints);
+  const jumps = jumpFeatures(hitObjects, timingPoints);
+
+  const features = {
+    countCircles: counts.circle,
+    countSliders: counts.slider,
+    countSpinners: counts.spinner,
+    sliderRatio: total > 0 ? roundFeature(counts.slider / total) : 0,
+    streamDensity: total > 0 ? roundFeature(streams.streamNotes / total) : 0,
+    streamCount: streams.streamCount,
+    longestStream: streams.longestStream,
+    jumpCount: jumps.jumpCount,
+    jumpDistanceAvg: roundFeature(jumps.jumpDistanceAvg, 1),
+    jumpDistanceP50: roundFeature(jumps.jumpDistanceP50, 1),
+    jumpDistanceP90: roundFeature(jumps.jumpDistanceP90, 1),
+    jumpDistanceMax: roundFeature(jumps.jumpDistanceMax, 1),
+    jumpDistances: jumps.jumpDistances,
+    ...bpmFeatures(timingPoints, hitObjects)
+  };
+
+  return { ...features, patternType: classifyPattern(features) };
+}
+
+// Parse a beatmap's .osu file and store its features; source is 'file' or 'upload'
+async function analyzeBeatmapFile(beatmapId, text, source = 'file') {
+  const beatmap = parseBeatmapFile(text);
+  if (beatmap.formatVersion === null || beatmap.hitObjects.length === 0) {
+    return { success: false, reason: 'invalid', message: 'Not an .osu beatmap file' };
+  }
+
+  const fileBeatmapId = beatmap.Metadata.BeatmapID;
+  if (fileBeatmapId > 0 && fileBeatmapId !== parseInt(beatmapId, 10)) {
+    return { success: false, reason: 'invalid', message: `File is for beatmap ${fileBeatmapId}` };
+  }
+
+  const features = extractFeatures(beatmap);
+  if (!features) {
+    return { success: false, reason: 'invalid', message: 'Only osu!standard beatmaps have pattern features' };
+  }
+
+  const checksum = beatmapChecksum(text);
+  const now = Date.now();
+
+  await query(`
+    INSERT INTO beatmap_features (
+      beatmap_id, count_circles, count_sliders, count_spinners, slider_ratio,
+      stream_density, stream_count, longest_stream, jump_count, jump_distance_avg,
+      jump_distance_p50, jump_distance_p90, jump_distance_max, jump_distances,
+      bpm_main, bpm_min, bpm_max, bpm_changes, pattern_type, checksum, source, analyzed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+    ON CONFLICT (beatmap_id) DO UPDATE SET
+      count_circles = EXCLUDED.count_circles,
+      count_sliders = EXCLUDED.count_sliders,
+      count_spinners = EXCLUDED.count_spinners,
+      slider_ratio = EXCLUDED.slider_ratio,
+      stream_density = EXCLUDED.stream_density,
+      stream_count = EXCLUDED.stream_count,
+      longest_stream = EXCLUDED.longest_stream,
+      jump_count = EXCLUDED.jump_count,
+      jump_distance_avg = EXCLUDED.jump_distance_avg,
+      jump_distance_p50 = EXCLUDED.jump_distance_p50,
+      jump_distance_p90 = EXCLUDED.jump_distance_p90,
+      jump_distance_max = EXCLUDED.jump_distance_max,
+      jump_distances = EXCLUDED.jump_distances,
+      bpm_main = EXCLUDED.bpm_main,
+      bpm_min = EXCLUDED.bpm_min,
+      bpm_max = EXCLUDED.bpm_max,
+      bpm_changes = EXCLUDED.bpm_changes,
+      pattern_type = EXCLUDED.pattern_type,
+      checksum = EXCLUDED.checksum,
+      source = EXCLUDED.source,
+      analyzed_at = EXCLUDED.analyzed_at
+  `, [
+    beatmapId, features.countCircles, features.countSliders, features.countSpinners, features.sliderRatio,
+    features.streamDensity, features.streamCount, features.longestStream, features.jumpCount,
+    features.jumpDistanceAvg, features.jumpDistanceP50, features.jumpDistanceP90, features.jumpDistanceMax,
+    JSON.stringify(features.jumpDistances), features.bpmMain, features.bpmMin, features.bpmMax,
+    features.bpmChanges, features.patternType, checksum, source, now
+  ]);
+
+  // Fill object counts and the checksum on stored beatmaps that lack them
+  await query(`
+    UPDATE beatmap_metadata SET
+      count_circles = COALESCE(count_circles, $2),
+      count_sliders = COALESCE(count_sliders, $3),
+      count_spinners = COALESCE(count_spinners, $4),
+      checksum = COALESCE(checksum, $5)
+    WHERE beatmap_id = $1
+  `, [beatmapId, features.countCircles, features.countSliders, features.countSpinners, checksum]);
+
+  if (source === 'upload') await writeBeatmapFile(beatmapId, text);
+
+  return { success: true, features: { beatmapId: parseInt(beatmapId, 10), ...features, checksum, source } };
+}
+
+async function getBeatmapFeatures(beatmapId) {
+  try {
+    return await getRow('SELECT * FROM beatmap_features WHERE beatmap_id = $1', [beatmapId]);
+  } catch (err) {
+    console.error('Failed to get beatmap features:', err.message);
+    return null;
+  }
+}
+
+// Attach stored features to score rows as row.features (null when the map is not analyzed)
+async function attachBeatmapFeatures(rows) {
+  const beatmapIds = [...new Set(rows.map(row => row.beatmap_id).filter(Boolean))];
+  if (beatmapIds.length === 0) return rows;
+
+  try {
+    const features = await getRows(`
+      SELECT beatmap_id, stream_density, longest_stream, jump_distance_avg, jump_distance_p90,
+             slider_ratio, bpm_main, pattern_type
+      FROM beatmap_features
+      WHERE beatmap_id = ANY($1)
+    `, [beatmapIds]);
+    const byBeatmap = new Map(features.map(f => [String(f.beatmap_id), f]));
+
+    for (const row of rows) {
+      row.features = byBeatmap.get(String(row.beatmap_id)) || null;
+    }
+  } catch (err) {
+    console.error('Failed to attach beatmap features:', err.message);
+  }
+
+  return rows;
+}
+
+// Remember a failed analysis so the sync does not pick the same file again
+async function markAnalysisFailed(beatmapId) {
+  try {
+    await query('UPDATE beatmap_metadata SET features_failed_at = $2 WHERE beatmap_id = $1', [beatmapId, Date.now()]);
+  } catch (err) {
+    console.error(`Failed to mark beatmap ${beatmapId} analysis as failed:`, err.message);
+  }
+}
+
+// Analyze stored osu!standard beatmaps that have a local .osu file but no features yet.
+// Only beatmaps with a file are selected, and files that failed are retried once they change,
+// so maps without a file or with a broken one never crowd out the rest.
+async function syncBeatmapFeatures(limit = 200) {
+  const files = await listBeatmapFiles();
+  const fileIds = [...files.keys()];
+
+  const [pending, withoutFile] = await Promise.all([
+    getRows(`
+      SELECT bm.beatmap_id
+      FROM unnest($1::bigint[], $2::bigint[]) AS f(beatmap_id, modified_at)
+      JOIN beatmap_metadata bm ON bm.beatmap_id = f.beatmap_id
+      LEFT JOIN beatmap_features bf ON bf.beatmap_id = bm.beatmap_id
+      WHERE bf.beatmap_id IS NULL
+        AND (bm.features_failed_at IS NULL OR bm.features_failed_at < f.modified_at)
+        AND EXISTS (SELECT 1 FROM algeria_top50 t WHERE t.beatmap_id = bm.beatmap_id AND t.mode = 'osu')
+      ORDER BY bm.beatmap_id
+      LIMIT $3
+    `, [fileIds, [...files.values()], limit]),
+    getRow(`
+      SELECT COUNT(*) AS count
+      FROM beatmap_metadata bm
+      LEFT JOIN beatmap_features bf ON bf.beatmap_id = bm.beatmap_id
+      WHERE bf.beatmap_id IS NULL AND NOT (bm.beatmap_id = ANY($1))
+        AND EXISTS (SELECT 1 FROM algeria_top50 t WHERE t.beatmap_id = bm.beatmap_id AND t.mode = 'osu')
+    `, [fileIds])
+  ]);
+
+  let analyzed = 0;
+  let failed = 0;
+
+  for (const { beatmap_id: beatmapId } of pending) {
+    const text = await readBeatmapFile(beatmapId);
+    if (!text) continue;
+
+    try {
+      const result = await analyzeBeatmapFile(beatmapId, text, 'file');
+      if (result.success) {
+        analyzed++;
+      } else {
+        failed++;
+        await markAnalysisFailed(beatmapId);
+      }
+    } catch (err) {
+      console.error(`Failed to analyze beatmap ${beatmapId}:`, err.message);
+      failed++;
+      await markAnalysisFailed(beatmapId);
+    }
+  }
+
+  return { analyzed, missing: parseInt(withoutFile?.count || 0), failed };
+}
+
+// How leaderboard scores fare on each pattern type, plus how many maps are analyzed
+async function getPatternStats() {
+  try {
+    const [patterns, coverage] = await Promise.all([
+      getRows(`
+        SELECT
+          bf.pattern_type,
+          COUNT(DISTINCT bf.beatmap_id) as beatmap_count,
+          COUNT(t.beatmap_id) as score_count,
+          COUNT(DISTINCT t.username) as player_count,
+          AVG(t.accuracy) as avg_accuracy,
+          AVG(t.pp) as avg_pp,
+          AVG(bf.stream_density) as avg_stream_density,
+          AVG(bf.jump_distance_avg) as avg_jump_distance,
+          AVG(bf.bpm_main) as avg_bpm
+        FROM beatmap_features bf
+        LEFT JOIN algeria_top50 t ON t.beatmap_id = bf.beatmap_id AND t.mode = 'osu'
+        GROUP BY bf.pattern_type
+        ORDER BY score_count DESC
+      `),
+      getRow(`
+        SELECT
+          COUNT(DISTINCT t.beatmap_id) as total_beatmaps,
+          COUNT(DISTINCT bf.beatmap_id) as analyzed_beatmaps
+        FROM algeria_top50 t
+        LEFT JOIN beatmap_features bf ON bf.beatmap_id = t.beatmap_id
+        WHERE t.mode = 'osu'
+      `)
+    ]);
+
+    return {
+      patterns: patterns.map(p => ({
+        patternType: p.pattern_type,
+        beatmapCount: parseInt(p.beatmap_count),
+        scoreCount: parseInt(p.score_count),
+        playerCount: parseInt(p.player_count),
+        avgAccuracy: p.avg_accuracy !== null ? parseFloat(p.avg_accuracy) : null,
+        avgPP: p.avg_pp !== null ? parseFloat(p.avg_pp) : null,
+        avgStreamDensity: p.avg_stream_density !== null ? parseFloat(p.avg_stream_density) : null,
+        avgJumpDistance: p.avg_jump_distance !== null ? parseFloat(p.avg_jump_distance) : null,
+        avgBpm: p.avg_bpm !== null ? parseFloat(p.avg_bpm) : null
+      })),
+      coverage: {
+        totalBeatmaps: parseInt(coverage?.total_beatmaps || 0),
+        analyzedBeatmaps: parseInt(coverage?.analyzed_beatmaps || 0)
+      }
+    };
+  } catch (err) {
+    console.error('Failed to get pattern statistics:', err.message);
+    return { patterns: [], coverage: { totalBeatmaps: 0, analyzedBeatmaps: 0 } };
+  }
+}
+
+module.exports = {
+  PATTERN_TYPES,
+  extractFeatures,
+  classifyPattern,
+  analyzeBeatmapFile,
+  getBeatmapFeatures,
+  attachBeatmapFeatures,
+  syncBeatmapFeatures,
+  getPatternStats
+};
@@ -0,0 +1,217 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config/env');
+
+// Local .osu beatmap files, read from OSU_FILES_DIR as <beatmap id>.osu
+// Format: https://osu.ppy.sh/wiki/en/Client/File_formats/osu_%28file_format%29
+
+// Hit object type bits
+const OBJECT_TYPES = { circle: 1, slider: 2, spinner: 8 };
+const SPINNER_TYPE = OBJECT_TYPES.spinner;
+
+// Key:Value sections and the numeric keys we read from them
+const KEY_VALUE_SECTIONS = ['General', 'Metadata', 'Difficulty'];
+const NUMERIC_KEYS = new Set([
+  'Mode', 'BeatmapID', 'BeatmapSetID', 'HPDrainRate', 'CircleSize', 'OverallDifficulty',
+  'ApproachRate', 'SliderMultiplier', 'SliderTickRate'
+]);
+
+function beatmapFilePath(beatmapId) {
+  if (!config.OSU_FILES_DIR) return null;
+  return path.join(config.OSU_FILES_DIR, `${parseInt(beatmapId, 10)}.osu`);
+}
+
+// Contents of a beatmap's .osu file, null when there is none
+async function readBeatmapFile(beatmapId) {
+  const file = beatmapFilePath(beatmapId);
+  if (!file) return null;
+
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Failed to read beatmap file ${file}:`, err.message);
+    }
+    return null;
+  }
+}
+
+// Beatmap ids with a local .osu file and the file's modification time (ms)
+async function listBeatmapFiles() {
+  const files = new Map();
+  if (!config.OSU_FILES_DIR) return files;
+
+  try {
+    for (const name of await fs.readdir(config.OSU_FILES_DIR)) {
+      const match = name.match(/^(\d+)\.osu$/);
+      if (!match) continue;
+
+      const stats = await fs.stat(path.join(config.OSU_FILES_DIR, name));
+      files.set(parseInt(match[1], 10), Math.floor(stats.mtimeMs));
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Failed to list beatmap files in ${config.OSU_FILES_DIR}:`, err.message);
+    }
+  }
+
+  return files;
+}
+
+// Keep an uploaded .osu file next to the others; false when no directory is configured
+async function writeBeatmapFile(beatmapId, text) {
+  const file = beatmapFilePath(beatmapId);
+  if (!file) return false;
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text, 'utf8');
+    return true;
+  } catch (err) {
+    console.warn(`Failed to write beatmap file ${file}:`, err.message);
+    return false;
+  }
+}
+
+// MD5 of the file, the same checksum the API and replays use for a beatmap
+function beatmapChecksum(text) {
+  return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+}
+
+function parseTimingPoint(line) {
+  const [time, beatLength, meter, , , , uninherited] = line.split(',').map(Number);
+  if (!Number.isFinite(time) || !Number.isFinite(beatLength)) return null;
+
+  return {
+    time,
+    beatLength,
+    meter: meter || 4,
+    // Older files have no uninherited field, positive beat lengths are always uninherited
+    uninherited: uninherited === undefined || Number.isNaN(uninherited) ? beatLength > 0 : uninherited === 1
+  };
+}
+
+function parseHitObject(line) {
+  const parts = line.split(',');
+  const [x, y, time, type] = parts.slice(0, 4).map(Number);
+  if (!Number.isFinite(time)) return null;
+
+  const kind = type & OBJECT_TYPES.spinner ? 'spinner'
+    : type & OBJECT_TYPES.slider ? 'slider'
+      : 'circle';
+  const object = { x, y, time, kind, spinner: kind === 'spinner' };
+
+  if (kind === 'slider') {
+    object.slides = parseInt(parts[6], 10) || 1;
+    object.length = parseFloat(parts[7]) || 0;
+  } else if (kind === 'spinner') {
+    object.endTime = parseInt(parts[5], 10) || time;
+  }
+
+  return object;
+}
+
+// Uninherited and inherited timing points in effect at a time
+function timingAt(timingPoints, time) {
+  let beat = timingPoints.find(point => point.uninherited) || null;
+  let velocity = 1;
+
+  for (const point of timingPoints) {
+    if (point.time > time) break;
+    if (point.uninherited) {
+      beat = point;
+      velocity = 1;
+    } else if (point.beatLength < 0) {
+      velocity = Math.min(10, Math.max(0.1, -100 / point.beatLength));
+    }
+  }
+
+  return { beatLength: beat ? beat.beatLength : null, velocity };
+}
+
+// Slider end times from their pixel length, the slider multiplier and the timing point in effect
+function setSliderEndTimes(hitObjects, timingPoints, sliderMultiplier = 1.4) {
+  for (const object of hitObjects) {
+    if (object.kind !== 'slider') continue;
+
+    const { beatLength, velocity } = timingAt(timingPoints, object.time);
+    if (!beatLength) {
+      object.endTime = object.time;
+      continue;
+    }
+
+    const pixelsPerBeat = sliderMultiplier * 100 * velocity;
+    object.endTime = object.time + Math.round(object.length / pixelsPerBeat * beatLength * object.slides);
+  }
+}
+
+// Full .osu file: Key:Value sections, timing points and hit objects in time order
+function parseBeatmapFile(text) {
+  const beatmap = { formatVersion: null, General: {}, Metadata: {}, Difficulty: {}, timingPoints: [], hitObjects: [] };
+  let section = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('//')) continue;
+
+    const version = line.match(/osu file format v(\d+)/);
+    if (version && beatmap.formatVersion === null) {
+      beatmap.formatVersion = parseInt(version[1], 10);
+      continue;
+    }
+
+    const header = line.match(/^\[(\w+)\]$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+
+    if (KEY_VALUE_SECTIONS.includes(section)) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      beatmap[section][key] = NUMERIC_KEYS.has(key) ? parseFloat(value) : value;
+    } else if (section === 'TimingPoints') {
+      const point = parseTimingPoint(line);
+      if (point) beatmap.timingPoints.push(point);
+    } else if (section === 'HitObjects') {
+      const object = parseHitObject(line);
+      if (object) beatmap.hitObjects.push(object);
+    }
+  }
+
+  beatmap.timingPoints.sort((a, b) => a.time - b.time);
+  beatmap.hitObjects.sort((a, b) => a.time - b.time);
+  setSliderEndTimes(beatmap.hitObjects, beatmap.timingPoints, beatmap.Difficulty.SliderMultiplier);
+
+  // Files before v8 have no separate approach rate, it follows OD
+  if (beatmap.Difficulty.ApproachRate === undefined && beatmap.Difficulty.OverallDifficulty !== undefined) {
+    beatmap.Difficulty.ApproachRate = beatmap.Difficulty.OverallDifficulty;
+  }
+
+  return beatmap;
+}
+
+// Overall difficulty and hit object timing from .osu file contents
+function parseHitObjects(text) {
+  const { Difficulty, hitObjects } = parseBeatmapFile(text);
+  return {
+    od: Difficulty.OverallDifficulty ?? null,
+    hitObjects
+  };
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  SPINNER_TYPE,
+  beatmapFilePath,
+  readBeatmapFile,
+  listBeatmapFiles,
+  writeBeatmapFile,
+  beatmapChecksum,
+  timingAt,
+  parseBeatmapFile,
+  parseHitObjects
+};
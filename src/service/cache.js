@@ -18,13 +18,13 @@ class CacheService {
   }
 
   // Player-related caching
-  async cachePlayer(username, data, ttl = config.PLAYER_CACHE_TTL) {
-    const key = getCacheKey(this.prefixes.player, username);
+  async cachePlayer(username, data, ttl = config.PLAYER_CACHE_TTL, mode = 'osu') {
+    const key = getCacheKey(this.prefixes.player, username, mode);
     return await setCached(key, data, ttl);
   }
 
-  async getPlayerCache(username) {
-    const key = getCacheKey(this.prefixes.player, username);
+  async getPlayerCache(username, mode = 'osu') {
+    const key = getCacheKey(this.prefixes.player, username, mode);
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
@@ -40,13 +40,13 @@ class CacheService {
   }
 
   // Leaderboard caching
-  async cacheLeaderboard(beatmapId, data, ttl = this.defaultTTL) {
-    const key = getCacheKey(this.prefixes.leaderboard, beatmapId);
+  async cacheLeaderboard(beatmapId, data, ttl = this.defaultTTL, mode = 'osu', country = 'all') {
+    const key = getCacheKey(this.prefixes.leaderboard, beatmapId, mode, country || 'all');
     return await setCached(key, data, ttl);
   }
 
-  async getLeaderboardCache(beatmapId) {
-    const key = getCacheKey(this.prefixes.leaderboard, beatmapId);
+  async getLeaderboardCache(beatmapId, mode = 'osu', country = 'all') {
+    const key = getCacheKey(this.prefixes.leaderboard, beatmapId, mode, country || 'all');
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
@@ -58,21 +58,21 @@ class CacheService {
 
   async invalidateLeaderboardCache(beatmapId = null) {
     const pattern = beatmapId 
-      ? getCacheKey(this.prefixes.leaderboard, beatmapId)
+      ? getCacheKey(this.prefixes.leaderboard, beatmapId, '*')
       : getCacheKey(this.prefixes.leaderboard, '*');
     return await invalidateCache(pattern);
   }
 
   // Rankings caching
   async cacheRankings(params, data, ttl = config.RANKINGS_CACHE_TTL) {
-    const { sort, limit, offset, timeframe } = params;
-    const key = getCacheKey(this.prefixes.rankings, sort, limit, offset, timeframe);
+    const { sort, limit, offset, timeframe, mode = 'osu', country } = params;
+    const key = getCacheKey(this.prefixes.rankings, mode, country || 'all', sort, limit, offset, timeframe);
     return await setCached(key, data, ttl);
   }
 
   async getRankingsCache(params) {
-    const { sort, limit, offset, timeframe } = params;
-    const key = getCacheKey(this.prefixes.rankings, sort, limit, offset, timeframe);
+    const { sort, limit, offset, timeframe, mode = 'osu', country } = params;
+    const key = getCacheKey(this.prefixes.rankings, mode, country || 'all', sort, limit, offset, timeframe);
     try {
       const cached = await redisClient.get(key);
       return cached ? JSON.parse(cached) : null;
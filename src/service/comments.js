@@ -0,0 +1,200 @@
+const { query, getRows, getRow } = require('../config/db');
+const { resolveUsername } = require('./relationships');
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Normalize comment text before storing it
+function cleanCommentText(text) {
+  return String(text || '').replace(/[<>]/g, '').trim();
+}
+
+// Get visible comments on a player's profile
+async function getComments(targetUsername, limit = 20, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT
+        pc.id, pc.target_username, pc.commenter_username, pc.comment_text,
+        pc.created_at, pc.updated_at, ps.avatar_url AS commenter_avatar_url
+      FROM player_comments pc
+      LEFT JOIN player_stats ps ON ps.username = pc.commenter_username
+      WHERE LOWER(pc.target_username) = LOWER($1) AND pc.is_deleted = false
+      ORDER BY pc.created_at DESC, pc.id DESC
+      LIMIT $2 OFFSET $3
+    `, [targetUsername, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get comments:', err.message);
+    return [];
+  }
+}
+
+// Count visible comments on a player's profile
+async function getCommentCount(targetUsername) {
+  try {
+    const row = await getRow(`
+      SELECT COUNT(*) AS total
+      FROM player_comments
+      WHERE LOWER(target_username) = LOWER($1) AND is_deleted = false
+    `, [targetUsername]);
+    return parseInt(row.total) || 0;
+  } catch (err) {
+    console.error('Failed to count comments:', err.message);
+    return 0;
+  }
+}
+
+// Get a single comment scoped to its target profile
+async function getComment(targetUsername, commentId) {
+  return await getRow(`
+    SELECT * FROM player_comments
+    WHERE id = $1 AND LOWER(target_username) = LOWER($2)
+  `, [commentId, targetUsername]);
+}
+
+// Post a comment on a player's profile
+async function addComment(targetUsername, commenterUsername, text) {
+  try {
+    const commentText = cleanCommentText(text);
+    if (!commentText || commentText.length > MAX_COMMENT_LENGTH) {
+      return { success: false, reason: 'invalid', message: `Comment must be 1-${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    const [target, commenter] = await Promise.all([
+      resolveUsername(targetUsername),
+      resolveUsername(commenterUsername)
+    ]);
+
+    if (!target || !commenter) {
+      return { success: false, reason: 'not_found', message: 'Player not found' };
+    }
+
+    const comment = await getRow(`
+      INSERT INTO player_comments (target_username, commenter_username, comment_text)
+      VALUES ($1, $2, $3)
+      RETURNING id, target_username, commenter_username, comment_text, created_at, updated_at
+    `, [target, commenter, commentText]);
+
+    if (global.broadcastToClients) {
+      global.broadcastToClients({
+        type: 'new_comment',
+        comment,
+        timestamp: Date.now()
+      });
+    }
+
+    return { success: true, comment };
+  } catch (err) {
+    console.error('Failed to add comment:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Edit a comment (author only)
+async function editComment(targetUsername, commentId, editorUsername, text) {
+  try {
+    const commentText = cleanCommentText(text);
+    if (!commentText || commentText.length > MAX_COMMENT_LENGTH) {
+      return { success: false, reason: 'invalid', message: `Comment must be 1-${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    const existing = await getComment(targetUsername, commentId);
+    if (!existing || existing.is_deleted) {
+      return { success: false, reason: 'not_found', message: 'Comment not found' };
+    }
+
+    if (existing.commenter_username.toLowerCase() !== String(editorUsername).toLowerCase()) {
+      return { success: false, reason: 'forbidden', message: 'You can only edit your own comments' };
+    }
+
+    const comment = await getRow(`
+      UPDATE player_comments
+      SET comment_text = $2, updated_at = $3
+      WHERE id = $1
+      RETURNING id, target_username, commenter_username, comment_text, created_at, updated_at
+    `, [commentId, commentText, Date.now()]);
+
+    return { success: true, comment };
+  } catch (err) {
+    console.error('Failed to edit comment:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Soft-delete a comment (author or admin)
+async function deleteComment(targetUsername, commentId, user) {
+  try {
+    const existing = await getComment(targetUsername, commentId);
+    if (!existing || existing.is_deleted) {
+      return { success: false, reason: 'not_found', message: 'Comment not found' };
+    }
+
+    const isAuthor = existing.commenter_username.toLowerCase() === String(user.username).toLowerCase();
+    const isAdmin = user.role === 'admin';
+
+    if (!isAuthor && !isAdmin) {
+      return { success: false, reason: 'forbidden', message: 'You can only delete your own comments' };
+    }
+
+    await query(`
+      UPDATE player_comments
+      SET is_deleted = true, deleted_by = $2, updated_at = $3
+      WHERE id = $1
+    `, [commentId, user.username, Date.now()]);
+
+    if (!isAuthor) {
+      console.log(`🛡️ Comment ${commentId} on ${existing.target_username} removed by admin ${user.username}`);
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to delete comment:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Restore a soft-deleted comment (admin function)
+async function restoreComment(targetUsername, commentId) {
+  try {
+    const result = await query(`
+      UPDATE player_comments
+      SET is_deleted = false, deleted_by = NULL, updated_at = $3
+      WHERE id = $1 AND LOWER(target_username) = LOWER($2) AND is_deleted = true
+    `, [commentId, targetUsername, Date.now()]);
+
+    if (result.rowCount === 0) {
+      return { success: false, reason: 'not_found', message: 'Deleted comment not found' };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to restore comment:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Get all comments on a profile including deleted ones (admin function)
+async function getCommentsForModeration(targetUsername, limit = 50, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT id, target_username, commenter_username, comment_text,
+             created_at, updated_at, is_deleted, deleted_by
+      FROM player_comments
+      WHERE LOWER(target_username) = LOWER($1)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, [targetUsername, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get comments for moderation:', err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  getComments,
+  getCommentCount,
+  addComment,
+  editComment,
+  deleteComment,
+  restoreComment,
+  getCommentsForModeration
+};
@@ -1,103 +1,287 @@
-const axios = require('axios');
 const { query, getRows, pool } = require('../config/db');
-const { getAccessToken, getBeatmapScores, getBeatmap, limiter } = require('./osuApi');
-const { saveProgress, getProgress } = require('../config/redis');
+const { getBeatmapScores, getBeatmap, normalizeMode } = require('./osuApi');
 const { updatePlayerSkills } = require('./skillCalculator');
 const { checkAchievements } = require('./achievements');
+const { discordNotifier } = require('./notifications');
+const { recordSnipe } = require('./snipes');
+const { syncScanQueue, refreshTrackedScores, getNextBeatmaps, recordScan } = require('./scanQueue');
+const { normalizeScores, modsText } = require('./scoreNormalizer');
+const { saveScores } = require('./scores');
+const { getScoreAttributes, scoreModsKey, backfillScoreAttributes } = require('./beatmapAttributes');
+const { addPerformance } = require('./ppCalculator');
+const { config, isTrackedCountry } = require('../config/env');
+
+// Size of the global beatmap leaderboard we read tracked scores from
+const LEADERBOARD_LIMIT = 50;
 
 // Leaderboard fetching and management
 class LeaderboardService {
   constructor() {
-    this.maxRetries = 3;
-    this.batchSize = 50;
+    this.batchSize = config.SCAN_BATCH_SIZE;
+    // Beatmap scans queued or running, keyed by mode and beatmap id
+    this.pendingScans = new Set();
   }
 
-  // Fetch leaderboard for a specific beatmap
-  async fetchLeaderboard(beatmapId, beatmapTitle) {
-    let attempt = 0;
-    
-    while (attempt < this.maxRetries) {
+  scanKey(beatmapId, mode) {
+    return `${mode}:${beatmapId}`;
+  }
+
+  // Scan a batch of beatmap leaderboards, skipping beatmaps already queued by another caller
+  async scanBeatmaps(beatmaps, mode = 'osu') {
+    mode = normalizeMode(mode);
+    const result = { queued: 0, skipped: 0, scanned: 0, failed: 0, newRows: 0, improvedRows: 0, droppedRows: 0 };
+    const queue = [];
+
+    for (const bm of beatmaps) {
+      const key = this.scanKey(bm.id, mode);
+      if (this.pendingScans.has(key)) {
+        result.skipped++;
+        continue;
+      }
+      this.pendingScans.add(key);
+      queue.push(bm);
+    }
+    result.queued = queue.length;
+
+    for (const bm of queue) {
       try {
-        const token = await getAccessToken();
-        
-        const [scoresRes, beatmapRes] = await Promise.all([
-          axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/scores`, {
-            headers: { Authorization: `Bearer ${token}` }
-          }),
-          axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}`, {
-            headers: { Authorization: `Bearer ${token}` }
-          }).catch(() => ({ data: null }))
-        ]);
-        
-        const scores = scoresRes.data.scores || [];
-        const beatmapInfo = beatmapRes.data;
-        const algerianScores = scores.filter(s => s.user?.country?.code === 'DZ');
-        
-        if (algerianScores.length > 0) {
-          await this.saveBeatmapScores(beatmapId, beatmapTitle, algerianScores, beatmapInfo);
-          
-          // Broadcast to clients if available
-          if (global.broadcastToClients) {
-            global.broadcastToClients({
-              type: 'new_scores',
-              beatmapId,
-              beatmapTitle,
-              scoresCount: algerianScores.length,
-              topScore: algerianScores[0]
-            });
-          }
-        }
-        
-        if (beatmapInfo) {
-          await this.saveBeatmapMetadata(beatmapInfo);
+        const scan = await this.fetchLeaderboard(bm.id, bm.title, mode);
+        await recordScan(bm.id, mode, {
+          success: scan.success,
+          changed: (scan.newRows || 0) + (scan.improvedRows || 0) + (scan.droppedRows || 0) > 0,
+          title: bm.title
+        });
+
+        if (scan.success) {
+          result.scanned++;
+          result.newRows += scan.newRows;
+          result.improvedRows += scan.improvedRows;
+          result.droppedRows += scan.droppedRows;
+        } else {
+          result.failed++;
         }
+      } finally {
+        this.pendingScans.delete(this.scanKey(bm.id, mode));
+      }
+    }
+
+    return result;
+  }
+
+  // Fetch leaderboard for a specific beatmap
+  async fetchLeaderboard(beatmapId, beatmapTitle, mode = 'osu') {
+    mode = normalizeMode(mode);
+    
+    // Retries and rate limiting are handled by the osu! API client
+    try {
+      const [scoresData, beatmapInfo] = await Promise.all([
+        getBeatmapScores(beatmapId, LEADERBOARD_LIMIT, mode),
+        getBeatmap(beatmapId).catch(() => null)
+      ]);
+      
+      const scores = normalizeScores(scoresData.scores, mode);
+      // The API returns the worldwide leaderboard in order, keep each score's position in it
+      const trackedScores = scores
+        .map((s, i) => ({ ...s, global_rank: i + 1 }))
+        .filter(s => isTrackedCountry(s.user?.country?.code));
+      
+      // Country leaderboards are ranked separately
+      const scoresByCountry = {};
+      for (const s of trackedScores) {
+        const country = s.user.country.code.toUpperCase();
+        (scoresByCountry[country] = scoresByCountry[country] || []).push(s);
+      }
+      
+      // Drop stored rows that left the leaderboard before saving, so they cannot count as sniped
+      const { droppedRows } = Array.isArray(scoresData.scores)
+        ? await this.reconcileBeatmapScores(beatmapId, beatmapTitle, scores, trackedScores, mode)
+        : { droppedRows: 0 };
+      
+      let newRows = 0;
+      let improvedRows = 0;
+      
+      for (const [country, countryScores] of Object.entries(scoresByCountry)) {
+        const counts = await this.saveBeatmapScores(beatmapId, beatmapTitle, countryScores, beatmapInfo, mode, country);
+        newRows += counts.newRows;
+        improvedRows += counts.improvedRows;
         
-        return {
-          success: true,
-          algerianScores: algerianScores.length,
-          totalScores: scores.length
-        };
-        
-      } catch (err) {
-        attempt++;
-        if (attempt >= this.maxRetries) {
-          console.warn(`Failed to fetch ${beatmapId} after ${this.maxRetries} attempts:`, err.message);
-          return { success: false, error: err.message };
+        // Broadcast to clients if available
+        if (global.broadcastToClients) {
+          global.broadcastToClients({
+            type: 'new_scores',
+            beatmapId,
+            beatmapTitle,
+            mode,
+            country,
+            scoresCount: countryScores.length,
+            topScore: countryScores[0]
+          });
         }
+      }
+      
+      if (beatmapInfo) {
+        await this.saveBeatmapMetadata(beatmapInfo);
+      }
+      
+      // Every tracked score also goes into the per-score history with its raw payload
+      await saveScores(trackedScores, 'beatmap_leaderboard', {}, mode);
+      
+      return {
+        success: true,
+        trackedScores: trackedScores.length,
+        totalScores: scores.length,
+        newRows,
+        improvedRows,
+        droppedRows
+      };
+      
+    } catch (err) {
+      console.warn(`Failed to fetch ${beatmapId}:`, err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Remove stored rows whose players are no longer on the fetched leaderboard and re-rank the rest
+  async reconcileBeatmapScores(beatmapId, beatmapTitle, scores, trackedScores, mode = 'osu') {
+    const now = Date.now();
+    const onLeaderboard = new Set(trackedScores.map(s => Number(s.user.id)));
+    
+    // With a full leaderboard, a missing score at or below the cutoff was pushed out;
+    // anything else disappeared (restricted or deleted player, deleted score)
+    const cutoff = scores.length >= LEADERBOARD_LIMIT
+      ? Math.min(...scores.map(s => s.score))
+      : null;
+    
+    const client = await pool.connect();
+    let dropped = [];
+    
+    try {
+      await client.query('BEGIN');
+      
+      const stored = await client.query(
+        'SELECT player_id, username, rank, global_rank, score, pp, mods, country FROM algeria_top50 WHERE beatmap_id = $1 AND mode = $2',
+        [beatmapId, mode]
+      );
+      dropped = stored.rows
+        .filter(row => !onLeaderboard.has(Number(row.player_id)))
+        .map(row => ({
+          ...row,
+          reason: cutoff !== null && Number(row.score) <= cutoff ? 'pushed_out' : 'removed'
+        }));
+      
+      if (dropped.length === 0) {
+        await client.query('COMMIT');
+        return { droppedRows: 0 };
+      }
+      
+      for (const row of dropped) {
+        await client.query(`
+          INSERT INTO dropped_scores
+            (beatmap_id, beatmap_title, player_id, username, mode, country, rank, global_rank, score, pp, mods, reason, dropped_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `, [
+          beatmapId, beatmapTitle, row.player_id, row.username, mode, row.country,
+          row.rank, row.global_rank, row.score, row.pp, row.mods, row.reason, now
+        ]);
         
-        const backoffTime = Math.min(1000 * Math.pow(2, attempt), 10000);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
+        await client.query(`
+          INSERT INTO player_activity (username, activity_type, activity_data)
+          VALUES ($1, 'score_dropped', $2)
+        `, [row.username, JSON.stringify({
+          beatmapId, beatmapTitle, score: Number(row.score), pp: row.pp, mods: row.mods,
+          mode, country: row.country, previousRank: row.rank, reason: row.reason
+        })]);
+      }
+      
+      await client.query(
+        'DELETE FROM algeria_top50 WHERE beatmap_id = $1 AND mode = $2 AND player_id = ANY($3)',
+        [beatmapId, mode, dropped.map(row => row.player_id)]
+      );
+      
+      // Close the gaps left in each country's ranking
+      await client.query(`
+        UPDATE algeria_top50 t SET rank = ranked.new_rank
+        FROM (
+          SELECT player_id, ROW_NUMBER() OVER (PARTITION BY country ORDER BY score DESC) AS new_rank
+          FROM algeria_top50
+          WHERE beatmap_id = $1 AND mode = $2
+        ) ranked
+        WHERE t.beatmap_id = $1 AND t.mode = $2 AND t.player_id = ranked.player_id AND t.rank <> ranked.new_rank
+      `, [beatmapId, mode]);
+      
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    
+    for (const row of dropped) {
+      console.log(`📉 ${row.username} dropped from beatmap ${beatmapId} (${mode}, ${row.reason})`);
+      await this.updatePlayerStats(row.username, mode, row.country);
+      
+      if (global.broadcastToClients) {
+        global.broadcastToClients({
+          type: 'score_dropped',
+          beatmapId,
+          beatmapTitle,
+          mode,
+          country: row.country,
+          username: row.username,
+          previousRank: row.rank,
+          reason: row.reason
+        });
       }
     }
+    
+    return { droppedRows: dropped.length };
   }
 
   // Save beatmap scores to database
-  async saveBeatmapScores(beatmapId, beatmapTitle, algerianScores, beatmapInfo) {
+  async saveBeatmapScores(beatmapId, beatmapTitle, countryScores, beatmapInfo, mode = 'osu', country = config.DEFAULT_COUNTRY) {
     const now = Date.now();
+    const counts = { newRows: 0, improvedRows: 0 };
+    countryScores = normalizeScores(countryScores, mode);
+    // Star rating, AR and OD with each score's mods applied; fetched before taking a
+    // pooled client, the lookups can wait on the API rate limit
+    const attributes = await getScoreAttributes(beatmapId, countryScores, mode, beatmapInfo);
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
       
-      for (let i = 0; i < algerianScores.length; i++) {
-        const s = algerianScores[i];
-        const mods = s.mods?.length ? s.mods.join(',') : 'None';
+      for (let i = 0; i < countryScores.length; i++) {
+        const s = countryScores[i];
+        const mods = modsText(s.mods);
+        const attrs = attributes.get(scoreModsKey(s.mods, s.mod_settings, mode));
         
         // Check for new #1 score
         const existingTop = await client.query(
-          'SELECT username, rank FROM algeria_top50 WHERE beatmap_id = $1 ORDER BY rank ASC LIMIT 1',
-          [beatmapId]
+          'SELECT player_id, username, rank, score, pp FROM algeria_top50 WHERE beatmap_id = $1 AND mode = $2 AND country = $3 ORDER BY rank ASC LIMIT 1',
+          [beatmapId, mode, country]
+        );
+        
+        // Compared by id, a renamed player keeping #1 is not a new first place
+        const isNewFirst = i === 0 && (!existingTop.rows[0] || Number(existingTop.rows[0].player_id) !== s.user.id);
+        
+        const existingScore = await client.query(
+          'SELECT score FROM algeria_top50 WHERE beatmap_id = $1 AND player_id = $2 AND mode = $3',
+          [beatmapId, s.user.id, mode]
         );
         
-        const isNewFirst = i === 0 && (!existingTop.rows[0] || existingTop.rows[0].username !== s.user.username);
+        const isNewScore = !existingScore.rows[0] || Number(existingScore.rows[0].score) < s.score;
+        if (!existingScore.rows[0]) counts.newRows++;
+        else if (isNewScore) counts.improvedRows++;
         
         await client.query(`
           INSERT INTO algeria_top50
             (beatmap_id, beatmap_title, artist, difficulty_name, player_id, username, rank, score, 
              accuracy, accuracy_text, mods, pp, difficulty_rating, max_combo, count_300, count_100, 
-             count_50, count_miss, play_date, last_updated)
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
-          ON CONFLICT (beatmap_id, player_id) DO UPDATE SET
+             count_50, count_miss, play_date, last_updated, mode, country, global_rank,
+             mod_settings, lazer_score, is_lazer, base_difficulty_rating, ar, od)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29)
+          ON CONFLICT (beatmap_id, player_id, mode) DO UPDATE SET
             beatmap_title = EXCLUDED.beatmap_title,
             artist = EXCLUDED.artist,
             difficulty_name = EXCLUDED.difficulty_name,
@@ -115,43 +299,86 @@ class LeaderboardService {
             count_50 = EXCLUDED.count_50,
             count_miss = EXCLUDED.count_miss,
             play_date = EXCLUDED.play_date,
-            last_updated = EXCLUDED.last_updated
+            last_updated = EXCLUDED.last_updated,
+            country = EXCLUDED.country,
+            global_rank = EXCLUDED.global_rank,
+            mod_settings = EXCLUDED.mod_settings,
+            lazer_score = EXCLUDED.lazer_score,
+            is_lazer = EXCLUDED.is_lazer,
+            base_difficulty_rating = EXCLUDED.base_difficulty_rating,
+            ar = EXCLUDED.ar,
+            od = EXCLUDED.od
         `, [
           beatmapId, beatmapTitle,
           beatmapInfo?.beatmapset?.artist || 'Unknown',
           beatmapInfo?.version || 'Unknown',
           s.user.id, s.user.username, i + 1, s.score,
           s.accuracy, `${(s.accuracy * 100).toFixed(2)}%`,
-          mods, s.pp || 0, beatmapInfo?.difficulty_rating || 0,
+          mods, s.pp || 0, attrs?.star_rating ?? beatmapInfo?.difficulty_rating ?? 0,
           s.max_combo || 0, s.statistics?.count_300 || 0,
           s.statistics?.count_100 || 0, s.statistics?.count_50 || 0,
           s.statistics?.count_miss || 0,
-          new Date(s.created_at).getTime(), now
+          s.played_at, now, mode, country, s.global_rank ?? null,
+          JSON.stringify(s.mod_settings || {}), s.lazer_score, s.is_lazer,
+          // The nomod rating marks a row as mod-adjusted; rows whose lookup failed are left
+          // without it so the attribute backfill picks them up again
+          attrs ? beatmapInfo?.difficulty_rating ?? null : null, attrs?.ar ?? null, attrs?.od ?? null
         ]);
         
         if (isNewFirst) {
+          const previousTop = existingTop.rows[0];
+          
           await client.query(`
             INSERT INTO player_activity (username, activity_type, activity_data)
             VALUES ($1, 'new_first_place', $2)
           `, [s.user.username, JSON.stringify({
-            beatmapId, beatmapTitle, score: s.score, pp: s.pp, mods
+            beatmapId, beatmapTitle, score: s.score, pp: s.pp, mods, mode, country,
+            snipedFrom: previousTop?.username || null
           })]);
           
+          if (previousTop) {
+            await recordSnipe(client, {
+              beatmapId,
+              beatmapTitle,
+              mode,
+              country,
+              sniper: { id: s.user.id, username: s.user.username, score: s.score, pp: s.pp },
+              victim: {
+                id: previousTop.player_id,
+                username: previousTop.username,
+                score: previousTop.score,
+                pp: previousTop.pp
+              },
+              timestamp: now
+            });
+          }
+          
           // Send notification if configured
-          if (process.env.DISCORD_WEBHOOK_URL) {
-            await this.sendDiscordNotification(s, beatmapTitle, beatmapId, 'new_first');
+          if (discordNotifier.isEnabled('new_first')) {
+            await this.sendDiscordNotification(s, beatmapTitle, beatmapId, 'new_first', {
+              beatmapInfo,
+              previousHolder: existingTop.rows[0]?.username
+            });
           }
+        } else if (isNewScore) {
+          await client.query(`
+            INSERT INTO player_activity (username, activity_type, activity_data)
+            VALUES ($1, 'new_score', $2)
+          `, [s.user.username, JSON.stringify({
+            beatmapId, beatmapTitle, score: s.score, pp: s.pp, mods, mode, country, rank: i + 1
+          })]);
         }
       }
       
       await client.query('COMMIT');
       
       // Update player stats for all affected players
-      for (const score of algerianScores) {
-        await this.updatePlayerStats(score.user.username);
+      for (const score of countryScores) {
+        await this.updatePlayerStats(score.user.username, mode, country);
         await checkAchievements(score.user.username);
       }
       
+      return counts;
     } catch (e) {
       await client.query('ROLLBACK');
       throw e;
@@ -169,8 +396,9 @@ class LeaderboardService {
         INSERT INTO beatmap_metadata (
           beatmap_id, beatmapset_id, artist, title, version, creator,
           difficulty_rating, cs, ar, od, hp, length, bpm, max_combo,
-          play_count, favorite_count, ranked_date, last_updated
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+          play_count, favorite_count, ranked_date, last_updated,
+          count_circles, count_sliders, count_spinners, checksum
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
         ON CONFLICT (beatmap_id) DO UPDATE SET
           artist = EXCLUDED.artist,
           title = EXCLUDED.title,
@@ -186,7 +414,11 @@ class LeaderboardService {
           max_combo = EXCLUDED.max_combo,
           play_count = EXCLUDED.play_count,
           favorite_count = EXCLUDED.favorite_count,
-          last_updated = EXCLUDED.last_updated
+          last_updated = EXCLUDED.last_updated,
+          count_circles = COALESCE(EXCLUDED.count_circles, beatmap_metadata.count_circles),
+          count_sliders = COALESCE(EXCLUDED.count_sliders, beatmap_metadata.count_sliders),
+          count_spinners = COALESCE(EXCLUDED.count_spinners, beatmap_metadata.count_spinners),
+          checksum = COALESCE(EXCLUDED.checksum, beatmap_metadata.checksum)
       `, [
         beatmapInfo.id, beatmapset.id, beatmapset.artist, beatmapset.title,
         beatmapInfo.version, beatmapset.creator, beatmapInfo.difficulty_rating,
@@ -194,7 +426,9 @@ class LeaderboardService {
         beatmapInfo.total_length, beatmapInfo.bpm, beatmapInfo.max_combo,
         beatmapInfo.playcount, beatmapset.favourite_count,
         beatmapset.ranked_date ? new Date(beatmapset.ranked_date).getTime() : null,
-        Date.now()
+        Date.now(),
+        beatmapInfo.count_circles ?? null, beatmapInfo.count_sliders ?? null, beatmapInfo.count_spinners ?? null,
+        beatmapInfo.checksum ?? null
       ]);
     } catch (err) {
       console.error('Beatmap metadata save failed:', err.message);
@@ -202,34 +436,64 @@ class LeaderboardService {
   }
 
   // Update player statistics based on their scores
-  async updatePlayerStats(username) {
+  async updatePlayerStats(username, mode = 'osu', country = null) {
     try {
       const playerScores = await getRows(`
-        SELECT * FROM algeria_top50 WHERE username = $1
-      `, [username]);
-      
-      if (playerScores.length === 0) return;
+        SELECT * FROM algeria_top50 WHERE username = $1 AND mode = $2
+      `, [username, mode]);
       
+      // A player whose last score was dropped keeps a row with zeroed counters
       const now = Date.now();
       const totalScores = playerScores.length;
-      const avgRank = playerScores.reduce((sum, s) => sum + s.rank, 0) / totalScores;
-      const bestScore = Math.max(...playerScores.map(s => s.score));
+      const avgRank = totalScores ? playerScores.reduce((sum, s) => sum + s.rank, 0) / totalScores : null;
+      const bestScore = totalScores ? Math.max(...playerScores.map(s => s.score)) : 0;
       const totalPP = playerScores.reduce((sum, s) => sum + (s.pp || 0), 0);
       const firstPlaces = playerScores.filter(s => s.rank === 1).length;
       const top10Places = playerScores.filter(s => s.rank <= 10).length;
-      const avgAccuracy = playerScores.reduce((sum, s) => sum + (s.accuracy || 0), 0) / totalScores;
+      const avgAccuracy = totalScores ? playerScores.reduce((sum, s) => sum + (s.accuracy || 0), 0) / totalScores : 0;
       
       const sortedByPP = playerScores.sort((a, b) => (b.pp || 0) - (a.pp || 0));
       const weightedPP = sortedByPP.reduce((sum, score, index) => {
         return sum + (score.pp || 0) * Math.pow(0.95, index);
       }, 0);
       
+      const statsValues = [username, totalScores, avgRank, bestScore, totalPP, weightedPP, 
+          firstPlaces, top10Places, avgAccuracy, now];
+      const playerCountry = country || playerScores[0]?.country || config.DEFAULT_COUNTRY;
+      
+      // player_stats keeps the standard ruleset figures and owns the profile row
+      if (mode === 'osu') {
+        await query(`
+          INSERT INTO player_stats (
+            username, total_scores, avg_rank, best_score, total_pp, weighted_pp,
+            first_places, top_10_places, accuracy_avg, last_calculated, country
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          ON CONFLICT (username) DO UPDATE SET
+            total_scores = EXCLUDED.total_scores,
+            avg_rank = EXCLUDED.avg_rank,
+            best_score = EXCLUDED.best_score,
+            total_pp = EXCLUDED.total_pp,
+            weighted_pp = EXCLUDED.weighted_pp,
+            first_places = EXCLUDED.first_places,
+            top_10_places = EXCLUDED.top_10_places,
+            accuracy_avg = EXCLUDED.accuracy_avg,
+            last_calculated = EXCLUDED.last_calculated,
+            country = EXCLUDED.country
+        `, [...statsValues, playerCountry]);
+      } else {
+        await query(`
+          INSERT INTO player_stats (username, last_calculated, country)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (username) DO NOTHING
+        `, [username, now, playerCountry]);
+      }
+      
       await query(`
-        INSERT INTO player_stats (
+        INSERT INTO player_mode_stats (
           username, total_scores, avg_rank, best_score, total_pp, weighted_pp,
-          first_places, top_10_places, accuracy_avg, last_calculated
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        ON CONFLICT (username) DO UPDATE SET
+          first_places, top_10_places, accuracy_avg, last_calculated, mode
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (username, mode) DO UPDATE SET
           total_scores = EXCLUDED.total_scores,
           avg_rank = EXCLUDED.avg_rank,
           best_score = EXCLUDED.best_score,
@@ -239,121 +503,70 @@ class LeaderboardService {
           top_10_places = EXCLUDED.top_10_places,
           accuracy_avg = EXCLUDED.accuracy_avg,
           last_calculated = EXCLUDED.last_calculated
-      `, [username, totalScores, avgRank, bestScore, totalPP, weightedPP, 
-          firstPlaces, top10Places, avgAccuracy, now]);
+      `, [...statsValues, mode]);
       
       // Update skills
-      await updatePlayerSkills(username, playerScores);
+      if (totalScores > 0) {
+        await updatePlayerSkills(username, mode);
+      }
       
     } catch (err) {
       console.error('Player stats update failed:', err.message);
     }
   }
 
-  // Get all beatmaps for scanning
-  async getAllBeatmaps() {
-    let allBeatmaps = [];
-    let page = 1;
-    const maxPages = 30; // Reduced for faster scanning
-    
-    while (page <= maxPages) {
-      try {
-        const token = await getAccessToken();
-        const res = await axios.get('https://osu.ppy.sh/api/v2/beatmapsets/search', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { mode: 'osu', nsfw: false, sort: 'ranked_desc', page, 's': 'ranked' }
-        });
-        
-        const sets = res.data.beatmapsets || [];
-        if (sets.length === 0) break;
-        
-        const beatmaps = sets.flatMap(set =>
-          (set.beatmaps || [])
-            .filter(bm => bm.difficulty_rating >= 2.0)
-            .map(bm => ({ 
-              id: bm.id, 
-              title: `${set.artist} - ${set.title} [${bm.version}]`, 
-              difficulty: bm.difficulty_rating 
-            }))
-        );
-        
-        allBeatmaps.push(...beatmaps);
-        page++;
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      } catch (err) {
-        console.error(`❌ Failed to fetch beatmap page ${page}:`, err.message);
-        break;
-      }
-    }
-    
-    return allBeatmaps;
-  }
-
-  // Main update function
-  async updateLeaderboards() {
-    console.log("🔄 Starting leaderboards update...");
+  // Main update function: scan the highest priority beatmaps from the scan queue
+  async updateLeaderboards(mode = 'osu') {
+    mode = normalizeMode(mode);
+    console.log(`🔄 Starting ${mode} leaderboards update...`);
     try {
-      const beatmaps = await this.getAllBeatmaps();
-      await saveProgress("total_beatmaps", beatmaps.length);
-      
-      // Priority: Update known beatmaps first
-      const priorityBeatmaps = await getRows(`
-        SELECT beatmap_id, MIN(beatmap_title) AS beatmap_title
-        FROM algeria_top50
-        GROUP BY beatmap_id
-        ORDER BY MIN(last_updated) ASC
-        LIMIT 100
-      `);
-      
-      if (priorityBeatmaps.length > 0) {
-        console.log(`⚡ Priority scanning ${priorityBeatmaps.length} known beatmaps`);
-        for (const bm of priorityBeatmaps) {
-          await limiter.schedule(() => this.fetchLeaderboard(bm.beatmap_id, bm.beatmap_title));
-        }
-      }
-      
-      // Regular scanning
-      let startIndex = parseInt(await getProgress("last_index") || "0", 10);
-      if (startIndex >= beatmaps.length) {
-        startIndex = 0;
-        await saveProgress("last_index", "0");
-      }
-      
-      console.log(`📌 Regular scanning from index ${startIndex}/${beatmaps.length}`);
-      
-      for (let i = startIndex; i < Math.min(startIndex + this.batchSize, beatmaps.length); i++) {
-        const bm = beatmaps[i];
-        await limiter.schedule(() => this.fetchLeaderboard(bm.id, bm.title));
-        await saveProgress("last_index", i + 1);
+      const sync = await syncScanQueue(mode);
+      await refreshTrackedScores(mode);
+
+      const beatmaps = await getNextBeatmaps(mode, this.batchSize);
+      console.log(`⚡ Scanning ${beatmaps.length} beatmaps by priority`);
+
+      let newRows = 0;
+      for (let i = 0; i < beatmaps.length; i++) {
+        const scan = await this.scanBeatmaps([beatmaps[i]], mode);
+        newRows += scan.newRows;
         
-        if (i % 10 === 0 && global.broadcastToClients) {
+        if ((i + 1) % 10 === 0 && global.broadcastToClients) {
           global.broadcastToClients({
             type: 'scan_progress',
+            scan: 'beatmap_leaderboards',
+            mode,
             progress: {
-              current: i,
+              current: i + 1,
               total: beatmaps.length,
-              percentage: ((i / beatmaps.length) * 100).toFixed(2)
+              percentage: (((i + 1) / beatmaps.length) * 100).toFixed(2)
             }
           });
         }
       }
       
+      // Rows saved before per-mod attributes were tracked
+      const backfilledRows = await backfillScoreAttributes(mode, this.batchSize);
+      
       console.log("✅ Leaderboard update completed");
       
       if (global.broadcastToClients) {
         global.broadcastToClients({
           type: 'scan_complete',
+          scan: 'beatmap_leaderboards',
+          mode,
           timestamp: Date.now()
         });
       }
       
-      return { success: true, beatmapsScanned: beatmaps.length };
+      return { success: true, mode, beatmapsQueued: sync.added, beatmapsScanned: beatmaps.length, newRows, backfilledRows };
     } catch (err) {
       console.error('❌ Leaderboard update failed:', err.message);
       
       if (global.broadcastToClients) {
         global.broadcastToClients({
           type: 'scan_error',
+          mode,
           error: err.message,
           timestamp: Date.now()
         });
@@ -364,10 +577,15 @@ class LeaderboardService {
   }
 
   // Send Discord notification
-  async sendDiscordNotification(score, beatmapTitle, beatmapId, type) {
-    // Placeholder for Discord notification
-    // Implementation would depend on specific webhook setup
-    return;
+  async sendDiscordNotification(score, beatmapTitle, beatmapId, type, details = {}) {
+    try {
+      if (type === 'new_first') {
+        await discordNotifier.notifyNewFirst({ score, beatmapId, beatmapTitle, ...details });
+      }
+    } catch (err) {
+      // Notifications must never break score ingestion
+      console.warn('Discord notification failed:', err.message);
+    }
   }
 
   // Get leaderboard statistics
@@ -401,19 +619,31 @@ class LeaderboardService {
     }
   }
 
-  // Get top performers on a specific beatmap
-  async getBeatmapLeaderboard(beatmapId, limit = 50) {
+  // Get top performers on a specific beatmap (all tracked countries unless one is given)
+  async getBeatmapLeaderboard(beatmapId, limit = 50, mode = 'osu', country = null) {
     try {
-      return await getRows(`
+      const params = [beatmapId, limit, mode];
+      let countryClause = '';
+      
+      if (country) {
+        params.push(country);
+        countryClause = `AND country = $${params.length}`;
+      }
+      
+      const rows = await getRows(`
         SELECT 
-          username, rank, score, accuracy, accuracy_text, mods, pp,
+          beatmap_id, username, rank, global_rank, score, accuracy, accuracy_text, mods, mod_settings, pp,
+          difficulty_rating, ar, od,
           max_combo, count_300, count_100, count_50, count_miss,
-          play_date, last_updated
+          play_date, last_updated, country
         FROM algeria_top50
-        WHERE beatmap_id = $1
-        ORDER BY rank ASC
+        WHERE beatmap_id = $1 AND mode = $3 ${countryClause}
+        ORDER BY score DESC, rank ASC
         LIMIT $2
-      `, [beatmapId, limit]);
+      `, params);
+      
+      // pp if FC / SS, and pp for loved maps the API does not award any
+      return await addPerformance(rows, mode);
     } catch (err) {
       console.error('Failed to get beatmap leaderboard:', err.message);
       return [];
@@ -0,0 +1,237 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// Embed colors per event type
+const EMBED_COLORS = {
+  new_first: 0xf1c40f,
+  new_player: 0x2ecc71,
+  achievement: 0x9b59b6
+};
+
+// Env variables holding the webhook URLs for each event type (comma-separated lists)
+const WEBHOOK_ENV_VARS = {
+  new_first: 'DISCORD_WEBHOOK_NEW_FIRST',
+  new_player: 'DISCORD_WEBHOOK_NEW_PLAYER',
+  achievement: 'DISCORD_WEBHOOK_ACHIEVEMENT'
+};
+
+function parseUrlList(value) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// Discord webhook notifier with per-event routing and a retry queue
+class DiscordNotifier {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.DISCORD_MAX_ATTEMPTS) || 5;
+    this.baseDelay = options.baseDelay || 2000;
+    this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+    this.dryRun = options.dryRun ?? process.env.DISCORD_DRY_RUN === 'true';
+    this.dryRunLog = options.dryRunLog || process.env.DISCORD_DRY_RUN_LOG || path.join(process.cwd(), 'logs', 'discord-dry-run.log');
+    this.queue = [];
+    this.timer = null;
+    this.timerAt = 0;
+    this.processing = false;
+    this.stats = { sent: 0, failed: 0, retried: 0, dryRun: 0 };
+  }
+
+  // Webhook URLs for an event type, falling back to DISCORD_WEBHOOK_URL
+  getWebhookUrls(eventType) {
+    const specific = parseUrlList(process.env[WEBHOOK_ENV_VARS[eventType]]);
+    return specific.length > 0 ? specific : parseUrlList(process.env.DISCORD_WEBHOOK_URL);
+  }
+
+  isEnabled(eventType) {
+    return this.dryRun || this.getWebhookUrls(eventType).length > 0;
+  }
+
+  // Build embed for a new Algerian #1
+  buildNewFirstEmbed({ score, beatmapId, beatmapTitle, beatmapInfo, previousHolder }) {
+    const mods = score.mods?.length ? score.mods.map(m => m.acronym || m).join('') : 'NM';
+    const beatmapsetId = beatmapInfo?.beatmapset_id || beatmapInfo?.beatmapset?.id;
+
+    const fields = [
+      { name: 'Player', value: `[${score.user.username}](https://osu.ppy.sh/users/${score.user.id})`, inline: true },
+      { name: 'Mods', value: `+${mods}`, inline: true },
+      { name: 'PP', value: score.pp ? `${score.pp.toFixed(2)}pp` : '—', inline: true },
+      { name: 'Accuracy', value: `${((score.accuracy || 0) * 100).toFixed(2)}%`, inline: true },
+      { name: 'Score', value: (score.score || 0).toLocaleString('en-US'), inline: true },
+      { name: 'Combo', value: `${score.max_combo || 0}x`, inline: true }
+    ];
+
+    if (previousHolder) {
+      fields.push({ name: 'Sniped', value: previousHolder, inline: true });
+    }
+
+    return {
+      title: `🥇 New #1 on ${beatmapTitle}`,
+      url: `https://osu.ppy.sh/b/${beatmapId}`,
+      color: EMBED_COLORS.new_first,
+      author: {
+        name: score.user.username,
+        icon_url: score.user.avatar_url,
+        url: `https://osu.ppy.sh/users/${score.user.id}`
+      },
+      thumbnail: beatmapsetId ? { url: `https://b.ppy.sh/thumb/${beatmapsetId}l.jpg` } : undefined,
+      fields,
+      timestamp: new Date(score.created_at || score.ended_at || Date.now()).toISOString()
+    };
+  }
+
+  // Build embed for a newly discovered player
+  buildNewPlayerEmbed({ user, discoveryMethod }) {
+    const stats = user.statistics || {};
+    const fields = [
+      { name: 'Discovered via', value: discoveryMethod.replace(/_/g, ' '), inline: true }
+    ];
+
+    if (stats.global_rank) fields.push({ name: 'Global rank', value: `#${stats.global_rank}`, inline: true });
+    if (stats.country_rank) fields.push({ name: 'Country rank', value: `#${stats.country_rank}`, inline: true });
+    if (stats.pp) fields.push({ name: 'PP', value: `${Math.round(stats.pp)}pp`, inline: true });
+
+    return {
+      title: `🆕 New player: ${user.username}`,
+      url: `https://osu.ppy.sh/users/${user.id}`,
+      color: EMBED_COLORS.new_player,
+      thumbnail: user.avatar_url ? { url: user.avatar_url } : undefined,
+      fields,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Build embed for an achievement unlock
+  buildAchievementEmbed({ username, achievement }) {
+    return {
+      title: `${achievement.icon || '🏆'} ${username} unlocked ${achievement.name}`,
+      description: achievement.description,
+      color: EMBED_COLORS.achievement,
+      fields: achievement.points ? [{ name: 'Points', value: `${achievement.points}`, inline: true }] : [],
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  notifyNewFirst(details) {
+    return this.enqueue('new_first', { embeds: [this.buildNewFirstEmbed(details)] });
+  }
+
+  notifyNewPlayer(user, discoveryMethod) {
+    return this.enqueue('new_player', { embeds: [this.buildNewPlayerEmbed({ user, discoveryMethod })] });
+  }
+
+  notifyAchievement(username, achievement) {
+    return this.enqueue('achievement', { embeds: [this.buildAchievementEmbed({ username, achievement })] });
+  }
+
+  // Queue a payload for every webhook routed to this event type
+  enqueue(eventType, payload) {
+    if (this.dryRun) {
+      return this.writeDryRun(eventType, payload);
+    }
+
+    const urls = this.getWebhookUrls(eventType);
+    const now = Date.now();
+
+    for (const url of urls) {
+      this.queue.push({ eventType, url, payload, attempts: 0, nextAttemptAt: now });
+    }
+
+    this.schedule(0);
+    return urls.length;
+  }
+
+  async writeDryRun(eventType, payload) {
+    try {
+      await fs.promises.mkdir(path.dirname(this.dryRunLog), { recursive: true });
+      const urls = this.getWebhookUrls(eventType);
+      await fs.promises.appendFile(this.dryRunLog, JSON.stringify({
+        timestamp: new Date().toISOString(),
+        eventType,
+        urls,
+        payload
+      }) + '\n');
+      this.stats.dryRun++;
+      return 1;
+    } catch (err) {
+      console.warn('Discord dry-run log write failed:', err.message);
+      return 0;
+    }
+  }
+
+  schedule(delay) {
+    const runAt = Date.now() + delay;
+    if (this.timer && this.timerAt <= runAt) return;
+
+    clearTimeout(this.timer);
+    this.timerAt = runAt;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processQueue();
+    }, delay);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const now = Date.now();
+        const index = this.queue.findIndex(item => item.nextAttemptAt <= now);
+
+        if (index === -1) {
+          const nextAt = Math.min(...this.queue.map(item => item.nextAttemptAt));
+          this.schedule(Math.max(0, nextAt - now));
+          break;
+        }
+
+        const [item] = this.queue.splice(index, 1);
+        await this.deliver(item);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(item) {
+    item.attempts++;
+
+    try {
+      await axios.post(item.url, item.payload, { timeout: 10000 });
+      this.stats.sent++;
+    } catch (err) {
+      const status = err.response?.status;
+      const retryable = !status || status === 429 || status >= 500;
+
+      if (!retryable || item.attempts >= this.maxAttempts) {
+        this.stats.failed++;
+        console.warn(`Discord ${item.eventType} notification dropped after ${item.attempts} attempts:`, err.message);
+        return;
+      }
+
+      // Discord reports retry_after in seconds on 429
+      const retryAfter = status === 429 ? Number(err.response.data?.retry_after) * 1000 : NaN;
+      const backoff = Math.min(this.baseDelay * Math.pow(2, item.attempts - 1), this.maxDelay);
+      item.nextAttemptAt = Date.now() + (Number.isFinite(retryAfter) ? retryAfter : backoff);
+
+      this.stats.retried++;
+      this.queue.push(item);
+    }
+  }
+
+  getStatus() {
+    return {
+      dryRun: this.dryRun,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const discordNotifier = new DiscordNotifier();
+
+module.exports = {
+  DiscordNotifier,
+  discordNotifier
+};
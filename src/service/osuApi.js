@@ -8,19 +8,253 @@ const client_secret = config.OSU_CLIENT_SECRET;
 let access_token = null;
 let token_expiry = 0;
 
-// Rate limiter for API calls
+// Supported rulesets (osu! API names) and accepted aliases
+const GAME_MODES = ['osu', 'taiko', 'fruits', 'mania'];
+const MODE_ALIASES = {
+  std: 'osu',
+  standard: 'osu',
+  catch: 'fruits',
+  ctb: 'fruits'
+};
+const MODE_NAMES = [...GAME_MODES, ...Object.keys(MODE_ALIASES)];
+
+// Numeric ruleset ids used by beatmapset search
+const MODE_IDS = { osu: 0, taiko: 1, fruits: 2, mania: 3 };
+
+// Normalize a user-supplied mode to an osu! API ruleset name
+function normalizeMode(mode, fallback = 'osu') {
+  if (!mode) return fallback;
+  const name = String(mode).toLowerCase();
+  if (GAME_MODES.includes(name)) return name;
+  return MODE_ALIASES[name] || fallback;
+}
+
+// Rulesets scanned by background jobs (OSU_MODES=osu,taiko,fruits,mania)
+const TRACKED_MODES = [...new Set(
+  (process.env.OSU_MODES || GAME_MODES.join(','))
+    .split(',')
+    .map(mode => normalizeMode(mode.trim(), null))
+    .filter(Boolean)
+)];
+
+// Rate limiter shared by every osu! API request
 const limiter = new Bottleneck({ 
   maxConcurrent: config.OSU_API_MAX_CONCURRENT, 
   minTime: config.OSU_API_MIN_TIME 
 });
 
+// Used when a 429 or an exhausted quota comes without a Retry-After header
+const DEFAULT_RETRY_AFTER_MS = 60000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Latest rate limit headers and queue pause state
+const rateLimitState = {
+  limit: null,
+  remaining: null,
+  updatedAt: null,
+  pausedUntil: 0,
+  lastRetryAfterMs: null,
+  throttledCount: 0
+};
+let resumeTimer = null;
+
+// Per-endpoint circuit breakers, keyed by the first path segment (users, beatmaps, ...)
+const breakers = new Map();
+
+class CircuitBreaker {
+  constructor(name, { threshold = config.OSU_API_BREAKER_THRESHOLD, cooldownMs = config.OSU_API_BREAKER_COOLDOWN_MS } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  // Throw when requests should not be attempted, lets one probe through after the cooldown
+  check() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.probing)) {
+      const error = new Error(`osu! API circuit open for ${this.name} endpoints: ${this.lastError}`);
+      error.code = 'OSU_API_CIRCUIT_OPEN';
+      throw error;
+    }
+
+    if (this.state === 'half_open') this.probing = true;
+  }
+
+  success() {
+    if (this.state !== 'closed') {
+      console.log(`✅ osu! API circuit closed for ${this.name}`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.probing = false;
+  }
+
+  failure(err) {
+    this.failures++;
+    this.lastError = err.message;
+    this.probing = false;
+
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        console.warn(`🚨 osu! API circuit opened for ${this.name} after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Releases a half-open probe that ended without a verdict (e.g. a 404)
+  release() {
+    this.probing = false;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: this.openedAt,
+      retryAt: this.state === 'open' ? this.openedAt + this.cooldownMs : null
+    };
+  }
+}
+
+function getBreaker(path) {
+  const name = path.split('/').filter(Boolean)[0] || 'root';
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name));
+  return breakers.get(name);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - now;
+  if (!Number.isFinite(ms)) return null;
+
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+// Stop the shared queue until the given delay has passed
+function pauseQueue(ms) {
+  const until = Date.now() + ms;
+  if (until <= rateLimitState.pausedUntil) return;
+
+  console.warn(`⏸️ osu! API queue paused for ${Math.ceil(ms / 1000)}s`);
+  rateLimitState.pausedUntil = until;
+  limiter.updateSettings({ reservoir: 0 });
+
+  clearTimeout(resumeTimer);
+  resumeTimer = setTimeout(() => {
+    rateLimitState.pausedUntil = 0;
+    limiter.updateSettings({ reservoir: null });
+    console.log('▶️ osu! API queue resumed');
+  }, ms);
+}
+
+// Track X-RateLimit-* headers and pause before the quota runs out
+function updateRateLimitState(headers = {}) {
+  const limit = parseInt(headers['x-ratelimit-limit'], 10);
+  const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+
+  if (!Number.isNaN(limit)) rateLimitState.limit = limit;
+  if (!Number.isNaN(remaining)) {
+    rateLimitState.remaining = remaining;
+    rateLimitState.updatedAt = Date.now();
+
+    if (remaining <= 0) {
+      pauseQueue(parseRetryAfter(headers['retry-after']) ?? DEFAULT_RETRY_AFTER_MS);
+    }
+  }
+}
+
+// Network errors, timeouts and server errors are worth another attempt
+function isTransientError(err) {
+  const status = err.response?.status;
+  return !status || status >= 500;
+}
+
+// Single entry point for osu! API v2 requests.
+// Goes through the shared limiter, refreshes the token once on 401,
+// pauses the whole queue on 429 and backs off on transient failures.
+async function apiRequest(path, { params, method = 'get', data, maxRetries = config.OSU_API_MAX_RETRIES } = {}) {
+  const breaker = getBreaker(path);
+  breaker.check();
+
+  let tokenRefreshed = false;
+  let attempt = 0;
+
+  while (true) {
+    try {
+      // Inside the try so a failed token fetch also settles a half-open probe
+      const token = await getAccessToken();
+      const response = await limiter.schedule(() => axios.request({
+        method,
+        url: `${config.OSU_API_URL}${path}`,
+        headers: { Authorization: `Bearer ${token}` },
+        params,
+        data,
+        timeout: config.OSU_API_TIMEOUT_MS
+      }));
+
+      updateRateLimitState(response.headers);
+      breaker.success();
+      return response.data;
+    } catch (err) {
+      const status = err.response?.status;
+      if (err.response) updateRateLimitState(err.response.headers);
+
+      if (status === 401 && !tokenRefreshed) {
+        tokenRefreshed = true;
+        invalidateToken();
+        continue;
+      }
+
+      if (status === 429) {
+        rateLimitState.throttledCount++;
+        const retryAfter = parseRetryAfter(err.response.headers?.['retry-after']) ?? DEFAULT_RETRY_AFTER_MS;
+        rateLimitState.lastRetryAfterMs = retryAfter;
+        pauseQueue(retryAfter);
+
+        if (attempt++ < maxRetries) continue;
+        breaker.failure(err);
+        throw err;
+      }
+
+      if (isTransientError(err)) {
+        if (attempt++ < maxRetries) {
+          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+          console.warn(`osu! API ${path} failed (attempt ${attempt}), retrying in ${delay}ms:`, err.message);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        breaker.failure(err);
+        throw err;
+      }
+
+      // Client errors (404, 403...) say nothing about the API's health
+      breaker.release();
+      throw err;
+    }
+  }
+}
+
 // Get access token for osu! API
 async function getAccessToken() {
   const now = Date.now();
   if (access_token && now < token_expiry) return access_token;
   
   try {
-    const response = await axios.post('https://osu.ppy.sh/oauth/token', {
+    const response = await axios.post(config.OSU_TOKEN_URL, {
       client_id, 
       client_secret, 
       grant_type: 'client_credentials', 
@@ -37,161 +271,103 @@ async function getAccessToken() {
   }
 }
 
+// Drop the cached token so the next request fetches a fresh one
+function invalidateToken() {
+  access_token = null;
+  token_expiry = 0;
+}
+
 // Get user data
-async function getUser(userId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/users/${userId}/osu`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
-  });
+async function getUser(userId, mode = 'osu') {
+  return apiRequest(`/users/${userId}/${normalizeMode(mode)}`);
 }
 
-// Get user scores (best/recent)
-async function getUserScores(userId, type = 'best', limit = 50, mode = 'osu') {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/users/${userId}/scores/${type}`, {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { mode, limit }
-    });
-    return response.data;
+// Get user scores (best/recent/firsts)
+async function getUserScores(userId, type = 'best', limit = 50, mode = 'osu', offset = 0) {
+  return apiRequest(`/users/${userId}/scores/${type}`, {
+    params: { mode: normalizeMode(mode), limit, offset }
   });
 }
 
 // Get beatmap scores
-async function getBeatmapScores(beatmapId, limit = 50) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/scores`, {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { limit }
-    });
-    return response.data;
+async function getBeatmapScores(beatmapId, limit = 50, mode = 'osu') {
+  return apiRequest(`/beatmaps/${beatmapId}/scores`, {
+    params: { limit, mode: normalizeMode(mode) }
   });
 }
 
 // Get beatmap data
 async function getBeatmap(beatmapId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
-  });
+  return apiRequest(`/beatmaps/${beatmapId}`);
 }
 
-// Get country rankings
-async function getCountryRankings(country = 'DZ', mode = 'osu', type = 'performance', cursor = null) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const params = { country, mode, type };
-    if (cursor) params.cursor_string = cursor;
-    
-    const response = await axios.get('https://osu.ppy.sh/api/v2/rankings/osu/performance', {
-      headers: { Authorization: `Bearer ${token}` },
-      params
-    });
-    return response.data;
+// Get difficulty attributes for a mod combination, mods are acronyms or { acronym, settings }
+async function getBeatmapAttributes(beatmapId, mods = [], mode = 'osu') {
+  return apiRequest(`/beatmaps/${beatmapId}/attributes`, {
+    method: 'post',
+    data: { mods, ruleset: normalizeMode(mode) }
   });
 }
 
+// Get country rankings, cursor is the page from a previous response's cursor
+async function getCountryRankings(country = config.DEFAULT_COUNTRY, mode = 'osu', type = 'performance', cursor = null) {
+  const params = { country };
+  if (cursor) params['cursor[page]'] = typeof cursor === 'object' ? cursor.page : cursor;
+
+  return apiRequest(`/rankings/${normalizeMode(mode)}/${type}`, { params });
+}
+
 // Search beatmapsets
 async function searchBeatmapsets(params = {}) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const defaultParams = { 
-      mode: 'osu', 
-      nsfw: false, 
-      sort: 'ranked_desc', 
-      s: 'ranked' 
-    };
-    
-    const response = await axios.get('https://osu.ppy.sh/api/v2/beatmapsets/search', {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { ...defaultParams, ...params }
-    });
-    return response.data;
-  });
+  const { mode, ...searchParams } = params;
+  const defaultParams = { 
+    m: MODE_IDS[normalizeMode(mode)], 
+    nsfw: false, 
+    sort: 'ranked_desc', 
+    s: 'ranked' 
+  };
+
+  return apiRequest('/beatmapsets/search', { params: { ...defaultParams, ...searchParams } });
 }
 
 // Search users
-async function searchUsers(query, mode = 'user') {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get('https://osu.ppy.sh/api/v2/search', {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { mode, query }
-    });
-    return response.data;
-  });
+async function searchUsers(query, mode = 'user', page = 1) {
+  return apiRequest('/search', { params: { mode, query, page } });
 }
 
 // Get multiplayer matches
 async function getMultiplayerMatches(limit = 50) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    try {
-      const response = await axios.get('https://osu.ppy.sh/api/v2/multiplayer/matches', {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { limit }
-      });
-      return response.data;
-    } catch (err) {
-      // This endpoint might not be available, return empty result
-      return { matches: [] };
-    }
-  });
+  try {
+    return await apiRequest('/multiplayer/matches', { params: { limit } });
+  } catch (err) {
+    // This endpoint might not be available, return empty result
+    return { matches: [] };
+  }
 }
 
 // Get multiplayer match details
 async function getMultiplayerMatch(matchId) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    const response = await axios.get(`https://osu.ppy.sh/api/v2/multiplayer/matches/${matchId}`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    return response.data;
-  });
+  return apiRequest(`/multiplayer/matches/${matchId}`);
 }
 
 // Get beatmap multiplayer scores (alternative approach)
 async function getBeatmapMultiplayerScores(beatmapId, limit = 10) {
-  const token = await getAccessToken();
-  
-  return await limiter.schedule(async () => {
-    try {
-      const response = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${beatmapId}/multiplayer`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { limit }
-      });
-      return response.data;
-    } catch (err) {
-      // Fallback to empty result if endpoint doesn't exist
-      return { matches: [] };
-    }
-  });
+  try {
+    return await apiRequest(`/beatmaps/${beatmapId}/multiplayer`, { params: { limit } });
+  } catch (err) {
+    // Fallback to empty result if endpoint doesn't exist
+    return { matches: [] };
+  }
 }
 
 // Batch get users (with rate limiting)
-async function getBatchUsers(userIds, batchSize = 10) {
+async function getBatchUsers(userIds, batchSize = 10, mode = 'osu') {
   const results = [];
   
   for (let i = 0; i < userIds.length; i += batchSize) {
     const batch = userIds.slice(i, i + batchSize);
     const batchPromises = batch.map(userId => 
-      getUser(userId).catch(err => {
+      getUser(userId, mode).catch(err => {
         console.warn(`Failed to get user ${userId}:`, err.message);
         return null;
       })
@@ -209,32 +385,6 @@ async function getBatchUsers(userIds, batchSize = 10) {
   return results;
 }
 
-// Retry wrapper for API calls
-async function withRetry(apiCall, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      lastError = error;
-      
-      // Don't retry certain errors
-      if (error.response?.status === 404 || error.response?.status === 401) {
-        throw error;
-      }
-      
-      if (attempt < maxRetries - 1) {
-        const delay = baseDelay * Math.pow(2, attempt);
-        console.warn(`API call failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  throw lastError;
-}
-
 // Test API connection
 async function testApiConnection() {
   try {
@@ -246,21 +396,41 @@ async function testApiConnection() {
   }
 }
 
-// Get API rate limit status
+// Get API rate limit, queue and circuit breaker status
 function getRateLimitStatus() {
+  const counts = limiter.counts();
+  const now = Date.now();
+  const circuitBreakers = {};
+  for (const [name, breaker] of breakers) {
+    circuitBreakers[name] = breaker.getStatus();
+  }
+
   return {
-    running: limiter.running(),
-    pending: limiter.pending(),
-    done: limiter.done
+    running: counts.RUNNING + counts.EXECUTING,
+    queued: counts.QUEUED,
+    paused: rateLimitState.pausedUntil > now,
+    resumesAt: rateLimitState.pausedUntil > now ? rateLimitState.pausedUntil : null,
+    limit: rateLimitState.limit,
+    remaining: rateLimitState.remaining,
+    updatedAt: rateLimitState.updatedAt,
+    throttledCount: rateLimitState.throttledCount,
+    lastRetryAfterMs: rateLimitState.lastRetryAfterMs,
+    circuitBreakers
   };
 }
 
 module.exports = {
+  GAME_MODES,
+  MODE_NAMES,
+  MODE_IDS,
+  TRACKED_MODES,
+  normalizeMode,
   getAccessToken,
   getUser,
   getUserScores,
   getBeatmapScores,
   getBeatmap,
+  getBeatmapAttributes,
   getCountryRankings,
   searchBeatmapsets,
   searchUsers,
@@ -268,7 +438,8 @@ module.exports = {
   getMultiplayerMatch,
   getBeatmapMultiplayerScores,
   getBatchUsers,
-  withRetry,
+  apiRequest,
+  parseRetryAfter,
   testApiConnection,
   getRateLimitStatus,
   limiter
@@ -1,7 +1,28 @@
-const axios = require('axios');
 const { query, getRows, getRow } = require('../config/db');
-const { getAccessToken, getCountryRankings, searchUsers, limiter } = require('./osuApi');
+const {
+  getCountryRankings,
+  getBeatmapScores,
+  getUserScores,
+  searchUsers,
+  getMultiplayerMatches,
+  getMultiplayerMatch,
+  getBeatmapMultiplayerScores,
+  TRACKED_MODES,
+  normalizeMode
+} = require('./osuApi');
 const { checkAchievements } = require('./achievements');
+const { leaderboardService } = require('./leaderboard');
+const { normalizeScores } = require('./scoreNormalizer');
+const { saveScores } = require('./scores');
+const { discordNotifier } = require('./notifications');
+const { config, isTrackedCountry } = require('../config/env');
+
+// User search terms per country, falling back to the country code
+const COUNTRY_SEARCH_TERMS = {
+  DZ: ['algeria', 'dz', 'algerie'],
+  MA: ['morocco', 'ma', 'maroc'],
+  TN: ['tunisia', 'tn', 'tunisie']
+};
 
 class PlayerDiscoveryService {
   constructor() {
@@ -13,45 +34,34 @@ class PlayerDiscoveryService {
     ];
   }
 
-  // Method 1: Monitor Algeria country rankings
-  async discoverFromCountryRankings() {
+  // Method 1: Monitor tracked country rankings
+  async discoverFromCountryRankings(mode = 'osu', country = config.DEFAULT_COUNTRY) {
+    mode = normalizeMode(mode);
     try {
-      const token = await getAccessToken();
       let cursor = null;
       let page = 1;
       const maxPages = 10;
       let totalFound = 0;
 
       while (page <= maxPages) {
-        const params = {
-          country: 'DZ',
-          mode: 'osu',
-          type: 'performance'
-        };
-        
-        if (cursor) params.cursor_string = cursor;
-
-        const response = await axios.get('https://osu.ppy.sh/api/v2/rankings/osu/performance', {
-          headers: { Authorization: `Bearer ${token}` },
-          params
-        });
+        const data = await getCountryRankings(country, mode, 'performance', cursor);
 
-        const rankings = response.data.ranking || [];
+        const rankings = data.ranking || [];
         if (rankings.length === 0) break;
 
         for (const playerRanking of rankings) {
           const registered = await this.registerPlayer(playerRanking.user, 'country_rankings');
           if (registered) totalFound++;
+          await this.updateModeRanking(playerRanking, mode);
         }
 
-        cursor = response.data.cursor?.page;
+        cursor = data.cursor?.page;
         if (!cursor) break;
         
         page++;
-        await new Promise(resolve => setTimeout(resolve, 1000));
       }
 
-      console.log(`🇩🇿 Country rankings: found ${totalFound} players (${page-1} pages)`);
+      console.log(`🌍 Country rankings (${country}, ${mode}): found ${totalFound} players (${page-1} pages)`);
       return totalFound;
     } catch (err) {
       console.error('❌ Country rankings discovery failed:', err.message);
@@ -70,30 +80,21 @@ class PlayerDiscoveryService {
         LIMIT 30
       `);
 
-      const token = await getAccessToken();
       let totalFound = 0;
 
       for (const beatmap of popularBeatmaps) {
         try {
-          const response = await axios.get(
-            `https://osu.ppy.sh/api/v2/beatmaps/${beatmap.beatmap_id}/scores`,
-            {
-              headers: { Authorization: `Bearer ${token}` },
-              params: { limit: 50 }
-            }
-          );
+          const data = await getBeatmapScores(beatmap.beatmap_id, 50);
 
-          const scores = response.data.scores || [];
-          const algerianScores = scores.filter(score => 
-            score.user?.country?.code === 'DZ'
+          const scores = data.scores || [];
+          const trackedScores = scores.filter(score => 
+            isTrackedCountry(score.user?.country?.code)
           );
 
-          for (const score of algerianScores) {
+          for (const score of trackedScores) {
             const registered = await this.registerPlayer(score.user, 'recent_scores');
             if (registered) totalFound++;
           }
-
-          await new Promise(resolve => setTimeout(resolve, 800));
         } catch (err) {
           console.warn(`Failed to check beatmap ${beatmap.beatmap_id}:`, err.message);
         }
@@ -107,35 +108,28 @@ class PlayerDiscoveryService {
     }
   }
 
-  // Method 3: Search for Algerian players
+  // Method 3: Search for players from tracked countries
   async discoverFromUserSearch() {
     try {
-      const token = await getAccessToken();
       let totalFound = 0;
       
-      const searchTerms = ['algeria', 'dz', 'algerie'];
+      const searchTerms = [...new Set(config.TRACKED_COUNTRIES.flatMap(country => 
+        COUNTRY_SEARCH_TERMS[country] || [country.toLowerCase()]
+      ))];
 
       for (const term of searchTerms) {
         try {
-          const response = await axios.get('https://osu.ppy.sh/api/v2/search', {
-            headers: { Authorization: `Bearer ${token}` },
-            params: {
-              mode: 'user',
-              query: term
-            }
-          });
+          const data = await searchUsers(term, 'user');
 
-          const users = response.data.user?.data || [];
-          const algerianUsers = users.filter(user => 
-            user.country?.code === 'DZ'
+          const users = data.user?.data || [];
+          const trackedUsers = users.filter(user => 
+            isTrackedCountry(user.country?.code)
           );
 
-          for (const user of algerianUsers) {
+          for (const user of trackedUsers) {
             const registered = await this.registerPlayer(user, 'user_search');
             if (registered) totalFound++;
           }
-
-          await new Promise(resolve => setTimeout(resolve, 2000));
         } catch (err) {
           console.warn(`Search term '${term}' failed:`, err.message);
         }
@@ -152,20 +146,12 @@ class PlayerDiscoveryService {
   // Method 4: Discover players from recent multiplayer matches
   async discoverFromMultiplayerMatches() {
     try {
-      const token = await getAccessToken();
       let totalFound = 0;
       let matchIds = [];
       
-      try {
-        const res = await axios.get('https://osu.ppy.sh/api/v2/multiplayer/matches', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 30 }
-        });
-        if (Array.isArray(res.data.matches)) {
-          matchIds = res.data.matches.map(m => m.id).slice(0, 30);
-        }
-      } catch (e) {
-        console.debug('Multiplayer match list endpoint failed, will attempt alternative scanning');
+      const list = await getMultiplayerMatches(30);
+      if (Array.isArray(list.matches)) {
+        matchIds = list.matches.map(m => m.id).slice(0, 30);
       }
 
       if (matchIds.length === 0) {
@@ -175,40 +161,26 @@ class PlayerDiscoveryService {
           LIMIT 20
         `);
         for (const bm of recentBeatmaps) {
-          try {
-            const res = await axios.get(`https://osu.ppy.sh/api/v2/beatmaps/${bm.beatmap_id}/multiplayer`, {
-              headers: { Authorization: `Bearer ${token}` },
-              params: { limit: 10 }
-            });
-            if (res.data.matches) {
-              for (const m of res.data.matches) {
-                if (m.id) matchIds.push(m.id);
-              }
-            }
-            await new Promise(r => setTimeout(r, 400));
-          } catch (err) {
-            // ignore per-beatmap errors
+          const res = await getBeatmapMultiplayerScores(bm.beatmap_id, 10);
+          for (const m of res.matches || []) {
+            if (m.id) matchIds.push(m.id);
           }
         }
       }
 
       for (const matchId of [...new Set(matchIds)].slice(0, 60)) {
         try {
-          const res = await axios.get(`https://osu.ppy.sh/api/v2/multiplayer/matches/${matchId}`, {
-            headers: { Authorization: `Bearer ${token}` }
-          });
-          const match = res.data;
-          const participants = match?.matches ? (match.matches.flatMap(x => x.scores || [])) : (match?.scores || []);
+          const match = await getMultiplayerMatch(matchId);
+          const participants = match?.users || (match?.matches ? (match.matches.flatMap(x => x.scores || [])) : (match?.scores || []));
           if (Array.isArray(participants)) {
             for (const p of participants) {
               const u = p.user || p;
-              if (u && u.country?.code === 'DZ') {
+              if (u && isTrackedCountry(u.country?.code)) {
                 const registered = await this.registerPlayer(u, 'multiplayer_matches');
                 if (registered) totalFound++;
               }
             }
           }
-          await new Promise(r => setTimeout(r, 500));
         } catch (err) {
           console.debug(`Multiplayer match ${matchId} fetch failed: ${err.message}`);
         }
@@ -222,12 +194,43 @@ class PlayerDiscoveryService {
     }
   }
 
+  // Store ruleset-specific rank data from a country rankings entry
+  async updateModeRanking(playerRanking, mode) {
+    const user = playerRanking.user;
+    if (!user?.username) return;
+
+    try {
+      await query(`
+        INSERT INTO player_mode_stats (
+          username, mode, global_rank, country_rank, playcount, accuracy_avg, last_calculated
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (username, mode) DO UPDATE SET
+          global_rank = EXCLUDED.global_rank,
+          country_rank = EXCLUDED.country_rank,
+          playcount = EXCLUDED.playcount,
+          accuracy_avg = COALESCE(player_mode_stats.accuracy_avg, EXCLUDED.accuracy_avg)
+      `, [
+        user.username,
+        mode,
+        playerRanking.global_rank,
+        playerRanking.country_rank ?? playerRanking.rank?.country,
+        playerRanking.play_count,
+        playerRanking.hit_accuracy != null ? playerRanking.hit_accuracy / 100 : null,
+        Date.now()
+      ]);
+    } catch (err) {
+      console.warn(`Failed to store ${mode} ranking for ${user.username}:`, err.message);
+    }
+  }
+
   // Core player registration
   async registerPlayer(userData, discoveryMethod = 'unknown') {
     try {
-      if (!userData || !userData.id || userData.country?.code !== 'DZ') {
+      if (!userData || !userData.id || !isTrackedCountry(userData.country?.code)) {
         return false;
       }
+      
+      const country = userData.country.code.toUpperCase();
 
       // Check if player already exists
       const existingPlayer = await getRow(`
@@ -239,10 +242,10 @@ class PlayerDiscoveryService {
       const isNewPlayer = !existingPlayer;
 
       if (isNewPlayer) {
-        console.log(`🆕 New Algerian player: ${userData.username} (${discoveryMethod})`);
+        console.log(`🆕 New ${country} player: ${userData.username} (${discoveryMethod})`);
         
         // Send Discord notification
-        if (process.env.DISCORD_WEBHOOK_URL) {
+        if (discordNotifier.isEnabled('new_player')) {
           await this.sendNewPlayerNotification(userData, discoveryMethod);
         }
 
@@ -253,6 +256,7 @@ class PlayerDiscoveryService {
             player: {
               username: userData.username,
               userId: userData.id,
+              country,
               discoveryMethod,
               timestamp: now
             }
@@ -264,8 +268,8 @@ class PlayerDiscoveryService {
       await query(`
         INSERT INTO player_stats (
           username, user_id, join_date, last_seen, avatar_url, cover_url,
-          global_rank, country_rank, level, playcount, total_playtime, is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true)
+          global_rank, country_rank, level, playcount, total_playtime, is_active, country
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true, $12)
         ON CONFLICT (username) DO UPDATE SET
           user_id = COALESCE(EXCLUDED.user_id, player_stats.user_id),
           last_seen = EXCLUDED.last_seen,
@@ -276,7 +280,8 @@ class PlayerDiscoveryService {
           level = COALESCE(EXCLUDED.level, player_stats.level),
           playcount = COALESCE(EXCLUDED.playcount, player_stats.playcount),
           total_playtime = COALESCE(EXCLUDED.total_playtime, player_stats.total_playtime),
-          is_active = true
+          is_active = true,
+          country = EXCLUDED.country
       `, [
         userData.username,
         userData.id,
@@ -288,13 +293,24 @@ class PlayerDiscoveryService {
         userData.statistics?.country_rank,
         userData.statistics?.level?.current,
         userData.statistics?.play_count,
-        userData.statistics?.play_time
+        userData.statistics?.play_time,
+        country
       ]);
 
-      // Log discovery
+      // Keep the id-keyed players table used by the stats and score jobs in sync
       await query(`
+        INSERT INTO players (user_id, username, country)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id) DO UPDATE SET
+          username = EXCLUDED.username,
+          country = EXCLUDED.country
+      `, [userData.id, userData.username, country]);
+
+      // Log discovery
+      const logEntry = await query(`
         INSERT INTO player_discovery_log (username, user_id, discovery_method, is_new_player, player_data)
         VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
       `, [
         userData.username,
         userData.id,
@@ -303,10 +319,10 @@ class PlayerDiscoveryService {
         JSON.stringify(userData)
       ]);
 
-      // If new player, fetch their history
+      // If new player, fetch their history for every tracked ruleset
       if (isNewPlayer) {
         setTimeout(() => {
-          this.fetchPlayerHistory(userData.username, userData.id);
+          this.fetchDiscoveredPlayerHistory(userData, discoveryMethod, logEntry.rows[0]?.id);
         }, 5000);
       }
 
@@ -317,78 +333,102 @@ class PlayerDiscoveryService {
     }
   }
 
+  // Scan a new player's top plays in every tracked ruleset and record what it added
+  async fetchDiscoveredPlayerHistory(userData, discoveryMethod, logId = null) {
+    const totals = { beatmapsScanned: 0, beatmapsSkipped: 0, newRows: 0, improvedRows: 0 };
+
+    for (const mode of TRACKED_MODES) {
+      const history = await this.fetchPlayerHistory(userData.username, userData.id, mode);
+      for (const key of Object.keys(totals)) {
+        totals[key] += history[key] || 0;
+      }
+    }
+
+    try {
+      if (logId) {
+        await query(`
+          UPDATE player_discovery_log SET
+            beatmaps_scanned = $2,
+            leaderboard_rows = $3,
+            history_fetched_at = $4
+          WHERE id = $1
+        `, [logId, totals.beatmapsScanned, totals.newRows, Date.now()]);
+      }
+    } catch (err) {
+      console.warn(`Failed to record discovery results for ${userData.username}:`, err.message);
+    }
+
+    console.log(`📈 ${userData.username} (${discoveryMethod}) added ${totals.newRows} leaderboard rows from ${totals.beatmapsScanned} beatmaps`);
+
+    if (global.broadcastToClients) {
+      global.broadcastToClients({
+        type: 'player_history_complete',
+        player: {
+          username: userData.username,
+          userId: userData.id,
+          discoveryMethod
+        },
+        ...totals,
+        timestamp: Date.now()
+      });
+    }
+
+    return totals;
+  }
+
   // Fetch comprehensive player history
-  async fetchPlayerHistory(username, userId) {
+  async fetchPlayerHistory(username, userId, mode = 'osu') {
+    mode = normalizeMode(mode);
+    const summary = { mode, scoresProcessed: 0, beatmapsScanned: 0, beatmapsSkipped: 0, newRows: 0, improvedRows: 0 };
+
     try {
-      console.log(`📥 Fetching history for ${username}`);
+      console.log(`📥 Fetching ${mode} history for ${username}`);
       
-      const token = await getAccessToken();
-      
-      // Get best scores
-      const bestResponse = await axios.get(
-        `https://osu.ppy.sh/api/v2/users/${userId}/scores/best`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 100, mode: 'osu' }
-        }
-      );
-
-      const bestScores = bestResponse.data || [];
+      // Get best scores and keep them in the score history
+      const bestScores = normalizeScores(await getUserScores(userId, 'best', 100, mode), mode);
+      await saveScores(bestScores, 'best', { userId, username }, mode);
       
       // Process scores for leaderboard positions
-      let processedScores = 0;
       for (const score of bestScores.slice(0, 50)) { // Limit to avoid rate limits
-        try {
-          await limiter.schedule(() => 
-            this.checkScoreOnLeaderboard(score, username)
-          );
-          processedScores++;
-        } catch (err) {
-          console.warn(`Failed to process score on beatmap ${score.beatmap.id}:`, err.message);
-        }
+        const scan = await this.checkScoreOnLeaderboard(score, username, mode);
+        if (!scan) continue;
+
+        summary.scoresProcessed++;
+        summary.beatmapsScanned += scan.scanned;
+        summary.beatmapsSkipped += scan.skipped;
+        summary.newRows += scan.newRows;
+        summary.improvedRows += scan.improvedRows;
       }
 
-      await this.updatePlayerStats(username, bestScores);
+      await this.updatePlayerStats(username, bestScores, mode);
       await checkAchievements(username);
       
-      console.log(`✅ Completed history fetch for ${username} (${processedScores} scores)`);
-      
+      console.log(`✅ Completed ${mode} history fetch for ${username} (${summary.scoresProcessed} scores, ${summary.newRows} new leaderboard rows)`);
     } catch (err) {
       console.error(`❌ Failed to fetch history for ${username}:`, err.message);
     }
-  }
 
-  // Check if score appears on leaderboard
-  async checkScoreOnLeaderboard(score, expectedUsername) {
-    try {
-      const token = await getAccessToken();
-      
-      const response = await axios.get(
-        `https://osu.ppy.sh/api/v2/beatmaps/${score.beatmap.id}/scores`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: 50 }
-        }
-      );
+    return summary;
+  }
 
-      const leaderboardScores = response.data.scores || [];
-      const algerianScores = leaderboardScores.filter(s => 
-        s.user?.country?.code === 'DZ'
-      );
+  // Scan the leaderboard of a score's beatmap, unless a scan for it is already queued
+  async checkScoreOnLeaderboard(score, expectedUsername, mode = 'osu') {
+    const beatmap = score.beatmap;
+    if (!beatmap?.id) return null;
 
-      if (algerianScores.length > 0) {
-        const beatmapTitle = `${score.beatmapset.artist} - ${score.beatmapset.title} [${score.beatmap.version}]`;
-        // This would need to import from leaderboard service
-        // await saveBeatmapScores(score.beatmap.id, beatmapTitle, algerianScores, score.beatmap);
-      }
+    const beatmapset = score.beatmapset || {};
+    const title = `${beatmapset.artist} - ${beatmapset.title} [${beatmap.version}]`;
 
+    try {
+      return await leaderboardService.scanBeatmaps([{ id: beatmap.id, title }], mode);
     } catch (err) {
-      // Silently handle - this is expected for many beatmaps
+      console.warn(`Failed to scan beatmap ${beatmap.id} for ${expectedUsername}:`, err.message);
+      return null;
     }
   }
 
   // Update player statistics
-  async updatePlayerStats(username, scores) {
+  async updatePlayerStats(username, scores, mode = 'osu') {
     try {
       if (scores.length === 0) return;
 
@@ -400,6 +440,21 @@ class PlayerDiscoveryService {
         return sum + (score.pp || 0) * Math.pow(0.95, index);
       }, 0);
 
+      if (mode !== 'osu') {
+        await query(`
+          INSERT INTO player_mode_stats (
+            username, mode, total_pp, weighted_pp, accuracy_avg, best_score, last_calculated
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (username, mode) DO UPDATE SET
+            total_pp = EXCLUDED.total_pp,
+            weighted_pp = EXCLUDED.weighted_pp,
+            accuracy_avg = EXCLUDED.accuracy_avg,
+            best_score = EXCLUDED.best_score,
+            last_calculated = EXCLUDED.last_calculated
+        `, [username, mode, totalPP, weightedPP, avgAccuracy, bestScore, Date.now()]);
+        return;
+      }
+
       await query(`
         UPDATE player_stats SET
           total_pp = $2,
@@ -424,9 +479,13 @@ class PlayerDiscoveryService {
     }
   }
 
-  // Discord notification (disabled temporarily)
+  // Discord notification for a newly discovered player
   async sendNewPlayerNotification(userData, discoveryMethod) {
-    return; // skip sending anything
+    try {
+      await discordNotifier.notifyNewPlayer(userData, discoveryMethod);
+    } catch (err) {
+      console.warn('New player notification failed:', err.message);
+    }
   }
 
   // Run complete discovery
@@ -434,8 +493,15 @@ class PlayerDiscoveryService {
     console.log('🔍 Starting player discovery...');
     
     const startTime = Date.now();
+    let countryRankings = 0;
+    for (const country of config.TRACKED_COUNTRIES) {
+      for (const mode of TRACKED_MODES) {
+        countryRankings += await this.discoverFromCountryRankings(mode, country);
+      }
+    }
+
     const results = {
-      countryRankings: await this.discoverFromCountryRankings(),
+      countryRankings,
       recentScores: await this.discoverFromRecentScores(),
       userSearch: await this.discoverFromUserSearch(),
       multiplayerMatches: await this.discoverFromMultiplayerMatches()
@@ -461,9 +527,9 @@ class PlayerDiscoveryService {
 }
 
 // Helper function to discover players by country
-async function discoverPlayers(country = 'DZ', limit = 50) {
+async function discoverPlayers(country = config.DEFAULT_COUNTRY, limit = 50) {
   const discovery = new PlayerDiscoveryService();
-  return await discovery.discoverFromCountryRankings();
+  return await discovery.discoverFromCountryRankings('osu', country);
 }
 
 module.exports = {
@@ -0,0 +1,280 @@
+const { getPerformanceAttributes } = require('./beatmapAttributes');
+
+// Local osu!standard performance points, for scores the API gives no pp
+// (loved, unranked, hypothetical FC and SS plays).
+// Follows the osu!standard pp revision deployed in September 2022 (1.14 base multiplier,
+// low-AR aim bonus, speed accuracy on speed-relevant notes, sliderbreaks estimated as
+// fullComboThreshold / combo), not the newer reworks: aim, speed, accuracy and flashlight
+// values combined as a 1.1-norm, from difficulty attributes with the score's mods applied.
+
+const PERFORMANCE_BASE_MULTIPLIER = 1.14;
+
+function totalHitsOf(stats) {
+  return stats.count_300 + stats.count_100 + stats.count_50 + stats.count_miss;
+}
+
+function accuracyOf(stats) {
+  const total = totalHitsOf(stats);
+  if (total === 0) return 0;
+  return (stats.count_300 * 6 + stats.count_100 * 2 + stats.count_50) / (total * 6);
+}
+
+// Misses implied by a broken combo on slider-heavy maps, where sliderbreaks are not counted as misses
+function effectiveMissCount(attributes, stats, combo) {
+  let comboBasedMissCount = 0;
+
+  if (attributes.slider_count > 0) {
+    const fullComboThreshold = attributes.max_combo - 0.1 * attributes.slider_count;
+    if (combo < fullComboThreshold) {
+      comboBasedMissCount = fullComboThreshold / Math.max(1, combo);
+    }
+  }
+
+  comboBasedMissCount = Math.min(comboBasedMissCount, stats.count_100 + stats.count_50 + stats.count_miss);
+  return Math.max(stats.count_miss, comboBasedMissCount);
+}
+
+function lengthBonusOf(totalHits) {
+  return 0.95 + 0.4 * Math.min(1, totalHits / 2000) +
+    (totalHits > 2000 ? Math.log10(totalHits / 2000) * 0.5 : 0);
+}
+
+function comboScalingOf(attributes, combo) {
+  if (attributes.max_combo <= 0) return 1;
+  return Math.min(Math.pow(combo, 0.8) / Math.pow(attributes.max_combo, 0.8), 1);
+}
+
+function difficultyToPerformance(difficulty) {
+  return Math.pow(5 * Math.max(1, difficulty / 0.0675) - 4, 3) / 100000;
+}
+
+function aimValue(attributes, stats, combo, mods, missCount) {
+  const totalHits = totalHitsOf(stats);
+  let rawAim = attributes.aim_difficulty;
+  if (mods.includes('TD')) rawAim = Math.pow(rawAim, 0.8);
+
+  let value = difficultyToPerformance(rawAim);
+  const lengthBonus = lengthBonusOf(totalHits);
+  value *= lengthBonus;
+
+  if (missCount > 0) {
+    value *= 0.97 * Math.pow(1 - Math.pow(missCount / totalHits, 0.775), missCount);
+  }
+  value *= comboScalingOf(attributes, combo);
+
+  let approachRateFactor = 0;
+  if (attributes.ar > 10.33) approachRateFactor = 0.3 * (attributes.ar - 10.33);
+  else if (attributes.ar < 8) approachRateFactor = 0.05 * (8 - attributes.ar);
+  value *= 1 + approachRateFactor * lengthBonus;
+
+  if (mods.includes('HD')) value *= 1 + 0.04 * (12 - attributes.ar);
+
+  // Dropped slider ends on difficult sliders are not visible in the hit statistics
+  const difficultSliders = attributes.slider_count * 0.15;
+  if (attributes.slider_count > 0) {
+    const sliderEndsDropped = Math.min(
+      Math.max(Math.min(stats.count_100 + stats.count_50 + stats.count_miss, attributes.max_combo - combo), 0),
+      difficultSliders
+    );
+    const sliderFactor = attributes.slider_factor ?? 1;
+    value *= (1 - sliderFactor) * Math.pow(1 - sliderEndsDropped / difficultSliders, 3) + sliderFactor;
+  }
+
+  value *= accuracyOf(stats);
+  value *= 0.98 + Math.pow(attributes.od, 2) / 2500;
+  return value;
+}
+
+function speedValue(attributes, stats, combo, mods, missCount) {
+  const totalHits = totalHitsOf(stats);
+  let value = difficultyToPerformance(attributes.speed_difficulty);
+  const lengthBonus = lengthBonusOf(totalHits);
+  value *= lengthBonus;
+
+  if (missCount > 0) {
+    value *= 0.97 * Math.pow(1 - Math.pow(missCount / totalHits, 0.775), Math.pow(missCount, 0.875));
+  }
+  value *= comboScalingOf(attributes, combo);
+
+  const approachRateFactor = attributes.ar > 10.33 ? 0.3 * (attributes.ar - 10.33) : 0;
+  value *= 1 + approachRateFactor * lengthBonus;
+
+  if (mods.includes('HD')) value *= 1 + 0.04 * (12 - attributes.ar);
+
+  // Accuracy on the notes that carry the speed difficulty, assuming the worst case
+  const speedNotes = attributes.speed_note_count ?? totalHits;
+  const otherNotes = totalHits - speedNotes;
+  const relevantGreat = Math.max(0, stats.count_300 - otherNotes);
+  const relevantOk = Math.max(0, stats.count_100 - Math.max(0, otherNotes - stats.count_300));
+  const relevantMeh = Math.max(0, stats.count_50 - Math.max(0, otherNotes - stats.count_300 - stats.count_100));
+  const relevantAccuracy = speedNotes === 0 ? 0 : (relevantGreat * 6 + relevantOk * 2 + relevantMeh) / (speedNotes * 6);
+
+  value *= (0.95 + Math.pow(attributes.od, 2) / 750) *
+    Math.pow((accuracyOf(stats) + relevantAccuracy) / 2, (14.5 - Math.max(attributes.od, 8)) / 2);
+  value *= Math.pow(0.99, stats.count_50 < totalHits / 500 ? 0 : stats.count_50 - totalHits / 500);
+  return value;
+}
+
+function accuracyValue(attributes, stats, mods) {
+  const totalHits = totalHitsOf(stats);
+  // Only circles are judged on timing in classic scoring
+  const objectsWithAccuracy = attributes.hit_circle_count;
+
+  let betterAccuracy = objectsWithAccuracy > 0
+    ? ((stats.count_300 - (totalHits - objectsWithAccuracy)) * 6 + stats.count_100 * 2 + stats.count_50) / (objectsWithAccuracy * 6)
+    : 0;
+  if (betterAccuracy < 0) betterAccuracy = 0;
+
+  let value = Math.pow(1.52163, attributes.od) * Math.pow(betterAccuracy, 24) * 2.83;
+  value *= Math.min(1.15, Math.pow(objectsWithAccuracy / 1000, 0.3));
+
+  if (mods.includes('HD')) value *= 1.08;
+  if (mods.includes('FL')) value *= 1.02;
+  return value;
+}
+
+function flashlightValue(attributes, stats, combo, mods, missCount) {
+  if (!mods.includes('FL')) return 0;
+
+  const totalHits = totalHitsOf(stats);
+  let rawFlashlight = attributes.flashlight_difficulty || 0;
+  if (mods.includes('TD')) rawFlashlight = Math.pow(rawFlashlight, 0.8);
+
+  let value = Math.pow(rawFlashlight, 2) * 25;
+
+  if (missCount > 0) {
+    value *= 0.97 * Math.pow(1 - Math.pow(missCount / totalHits, 0.775), Math.pow(missCount, 0.875));
+  }
+  value *= comboScalingOf(attributes, combo);
+
+  value *= 0.7 + 0.1 * Math.min(1, totalHits / 200) +
+    (totalHits > 200 ? 0.2 * Math.min(1, (totalHits - 200) / 200) : 0);
+  value *= 0.5 + accuracyOf(stats) / 2;
+  value *= 0.98 + Math.pow(attributes.od, 2) / 2500;
+  return value;
+}
+
+// pp of a score from its mod-adjusted difficulty attributes and hit statistics.
+// mods are acronyms; the rate and EZ/HR are expected to be in the attributes already.
+function calculatePerformance(attributes, score, mods = []) {
+  const stats = {
+    count_300: score.count_300 || 0,
+    count_100: score.count_100 || 0,
+    count_50: score.count_50 || 0,
+    count_miss: score.count_miss || 0
+  };
+  const totalHits = totalHitsOf(stats);
+  if (totalHits === 0) return null;
+
+  const combo = score.max_combo ?? attributes.max_combo;
+  const missCount = effectiveMissCount(attributes, stats, combo);
+
+  let multiplier = PERFORMANCE_BASE_MULTIPLIER;
+  if (mods.includes('NF')) multiplier *= Math.max(0.9, 1 - 0.02 * missCount);
+  if (mods.includes('SO')) multiplier *= 1 - Math.pow(attributes.spinner_count / totalHits, 0.85);
+
+  const values = {
+    aim: aimValue(attributes, stats, combo, mods, missCount),
+    speed: speedValue(attributes, stats, combo, mods, missCount),
+    accuracy: accuracyValue(attributes, stats, mods),
+    flashlight: flashlightValue(attributes, stats, combo, mods, missCount)
+  };
+
+  const total = Math.pow(
+    Object.values(values).reduce((sum, value) => sum + Math.pow(value, 1.1), 0),
+    1 / 1.1
+  ) * multiplier;
+
+  return { pp: total, ...values, effectiveMissCount: missCount };
+}
+
+// Same play with every miss turned into a 300 and full combo
+function fullComboStatistics(score) {
+  return {
+    count_300: (score.count_300 || 0) + (score.count_miss || 0),
+    count_100: score.count_100 || 0,
+    count_50: score.count_50 || 0,
+    count_miss: 0
+  };
+}
+
+// Every object hit perfectly
+function perfectStatistics(score, attributes) {
+  const totalHits = attributes.hit_circle_count + attributes.slider_count + attributes.spinner_count;
+  return {
+    count_300: totalHits || totalHitsOf(fullComboStatistics(score)),
+    count_100: 0,
+    count_50: 0,
+    count_miss: 0
+  };
+}
+
+function roundPP(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// Local pp, pp if FC and pp if SS for a stored score
+function calculateScorePerformance(attributes, score, mods = []) {
+  const current = calculatePerformance(attributes, score, mods);
+  if (!current) return null;
+
+  const fullCombo = calculatePerformance(attributes, { ...fullComboStatistics(score), max_combo: attributes.max_combo }, mods);
+  const perfect = calculatePerformance(attributes, { ...perfectStatistics(score, attributes), max_combo: attributes.max_combo }, mods);
+
+  return {
+    pp: roundPP(current.pp),
+    ppIfFc: roundPP(fullCombo?.pp),
+    ppIfSs: roundPP(perfect?.pp)
+  };
+}
+
+function parseMods(mods) {
+  if (Array.isArray(mods)) return mods;
+  return !mods || mods === 'None' ? [] : String(mods).split(',');
+}
+
+// Add pp_local, pp_if_fc and pp_if_ss to osu!standard score rows; rows the API gave no pp
+// (loved, unranked) get the local value as pp. Other rulesets are returned unchanged.
+// Only cached attributes are read, so this never waits on the osu! API; leaderboard scans
+// and the attribute backfill fill the cache, rows without cached attributes get null values.
+async function addPerformance(rows, mode = 'osu') {
+  const attributesByKey = new Map();
+
+  for (const row of rows) {
+    const rowMode = row.mode || mode;
+    if (rowMode !== 'osu' || !row.beatmap_id) continue;
+
+    const mods = parseMods(row.mods);
+    const key = `${row.beatmap_id}:${mods.join(',')}:${JSON.stringify(row.mod_settings || {})}`;
+    if (!attributesByKey.has(key)) {
+      attributesByKey.set(key, await getPerformanceAttributes(row.beatmap_id, mods, rowMode, {
+        modSettings: row.mod_settings || {},
+        cachedOnly: true
+      }));
+    }
+
+    const attributes = attributesByKey.get(key);
+    const performance = attributes ? calculateScorePerformance(attributes, row, mods) : null;
+    if (!performance) {
+      row.pp_local = null;
+      row.pp_if_fc = null;
+      row.pp_if_ss = null;
+      continue;
+    }
+
+    row.pp_local = performance.pp;
+    row.pp_if_fc = performance.ppIfFc;
+    row.pp_if_ss = performance.ppIfSs;
+    row.pp_source = row.pp ? 'api' : 'local';
+    if (!row.pp) row.pp = performance.pp;
+  }
+
+  return rows;
+}
+
+module.exports = {
+  calculatePerformance,
+  calculateScorePerformance,
+  effectiveMissCount,
+  addPerformance
+};
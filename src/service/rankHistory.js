@@ -0,0 +1,151 @@
+const { query, getRows } = require('../config/db');
+
+// Supported trend windows in days
+const TREND_PERIODS = [7, 30, 90, 365];
+
+// Write today's rank snapshot for every active player
+async function snapshotRankings() {
+  try {
+    const result = await query(`
+      INSERT INTO rank_snapshots (
+        username, snapshot_date, country_rank, global_rank, pp_rank, weighted_pp, first_places, created_at
+      )
+      SELECT
+        username,
+        CURRENT_DATE,
+        country_rank,
+        global_rank,
+        ROW_NUMBER() OVER (PARTITION BY country ORDER BY weighted_pp DESC),
+        weighted_pp,
+        first_places,
+        $1
+      FROM player_stats
+      WHERE is_active = true
+      ON CONFLICT (username, snapshot_date) DO UPDATE SET
+        country_rank = EXCLUDED.country_rank,
+        global_rank = EXCLUDED.global_rank,
+        pp_rank = EXCLUDED.pp_rank,
+        weighted_pp = EXCLUDED.weighted_pp,
+        first_places = EXCLUDED.first_places,
+        created_at = EXCLUDED.created_at
+    `, [Date.now()]);
+
+    console.log(`📸 Saved rank snapshots for ${result.rowCount} players`);
+    return result.rowCount;
+  } catch (err) {
+    console.error('Rank snapshot failed:', err.message);
+    throw err;
+  }
+}
+
+// Compare each player's latest snapshot with their earliest one inside the window
+async function getRankMovements(days = 7, country = null) {
+  const params = [days];
+  let countryClause = '';
+
+  if (country) {
+    params.push(country);
+    countryClause = `AND ps.country = $${params.length}`;
+  }
+
+  const rows = await getRows(`
+    WITH latest AS (
+      SELECT DISTINCT ON (username) *
+      FROM rank_snapshots
+      ORDER BY username, snapshot_date DESC
+    ),
+    baseline AS (
+      SELECT DISTINCT ON (username) *
+      FROM rank_snapshots
+      WHERE snapshot_date >= CURRENT_DATE - $1::int
+      ORDER BY username, snapshot_date ASC
+    )
+    SELECT
+      l.username,
+      ps.avatar_url,
+      ps.country,
+      l.country_rank AS current_rank,
+      b.country_rank AS previous_rank,
+      l.global_rank AS current_global_rank,
+      b.global_rank AS previous_global_rank,
+      l.weighted_pp AS current_pp,
+      b.weighted_pp AS previous_pp,
+      l.first_places AS current_first_places,
+      b.first_places AS previous_first_places,
+      b.snapshot_date AS since
+    FROM latest l
+    JOIN baseline b ON b.username = l.username
+    JOIN player_stats ps ON ps.username = l.username
+    WHERE ps.is_active = true AND l.country_rank > 0 AND b.country_rank > 0 ${countryClause}
+  `, params);
+
+  return rows.map(row => ({
+    ...row,
+    // Positive means the player climbed
+    rank_change: row.previous_rank - row.current_rank,
+    global_rank_change: (row.previous_global_rank > 0 && row.current_global_rank > 0)
+      ? row.previous_global_rank - row.current_global_rank
+      : null,
+    pp_change: (row.current_pp || 0) - (row.previous_pp || 0),
+    first_places_change: (row.current_first_places || 0) - (row.previous_first_places || 0)
+  }));
+}
+
+// Get rank deltas plus the biggest climbers and fallers
+async function getRankTrends(days = 7, limit = 10, country = null) {
+  const movements = await getRankMovements(days, country);
+
+  const climbers = movements
+    .filter(m => m.rank_change > 0)
+    .sort((a, b) => b.rank_change - a.rank_change || b.pp_change - a.pp_change)
+    .slice(0, limit);
+
+  const fallers = movements
+    .filter(m => m.rank_change < 0)
+    .sort((a, b) => a.rank_change - b.rank_change || a.pp_change - b.pp_change)
+    .slice(0, limit);
+
+  return {
+    movements: movements.sort((a, b) => a.current_rank - b.current_rank),
+    climbers,
+    fallers,
+    summary: {
+      tracked: movements.length,
+      climbed: movements.filter(m => m.rank_change > 0).length,
+      fell: movements.filter(m => m.rank_change < 0).length,
+      unchanged: movements.filter(m => m.rank_change === 0).length
+    }
+  };
+}
+
+// Get a player's daily rank history
+async function getPlayerRankHistory(username, days = 30) {
+  return await getRows(`
+    SELECT snapshot_date, country_rank, global_rank, pp_rank, weighted_pp, first_places
+    FROM rank_snapshots
+    WHERE LOWER(username) = LOWER($1) AND snapshot_date >= CURRENT_DATE - $2::int
+    ORDER BY snapshot_date ASC
+  `, [username, days]);
+}
+
+// Remove snapshots older than the longest trend window
+async function cleanupOldSnapshots(keepDays = 400) {
+  try {
+    const result = await query(`
+      DELETE FROM rank_snapshots WHERE snapshot_date < CURRENT_DATE - $1::int
+    `, [keepDays]);
+    return result.rowCount;
+  } catch (err) {
+    console.error('Rank snapshot cleanup failed:', err.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  TREND_PERIODS,
+  snapshotRankings,
+  getRankMovements,
+  getRankTrends,
+  getPlayerRankHistory,
+  cleanupOldSnapshots
+};
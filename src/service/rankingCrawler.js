@@ -0,0 +1,155 @@
+const { query, getRow } = require('../config/db');
+const { saveProgress, getProgress } = require('../config/redis');
+const { getCountryRankings, normalizeMode } = require('./osuApi');
+const { PlayerDiscoveryService } = require('./playerDiscovery');
+const { config } = require('../config/env');
+
+// Full, resumable crawl of a country's performance ranking.
+// The next page to fetch is persisted after every page so a restart resumes mid-crawl.
+
+const RANKING_PAGE_SIZE = 50;
+
+const playerDiscovery = new PlayerDiscoveryService();
+const activeCrawls = new Set();
+
+function cursorKey(country, mode) {
+  return `ranking_crawl:${country}:${mode}`;
+}
+
+// Next page to crawl, 1 when no crawl is in progress
+async function getCrawlProgress(country = config.DEFAULT_COUNTRY, mode = 'osu') {
+  const page = parseInt(await getProgress(cursorKey(country, normalizeMode(mode))) || '1', 10);
+  return Number.isNaN(page) || page < 1 ? 1 : page;
+}
+
+// Write ranking data for one entry, registering players we have not seen yet
+async function upsertRankingEntry(entry, mode, country) {
+  const user = entry.user;
+  if (!user?.id) return false;
+
+  const known = await getRow('SELECT username FROM player_stats WHERE user_id = $1', [user.id]);
+  if (!known) {
+    await playerDiscovery.registerPlayer({ ...user, country: user.country || { code: country } }, 'country_rankings');
+  }
+
+  const countryRank = entry.country_rank ?? entry.rank?.country ?? null;
+
+  // player_stats holds the standard ruleset, other rulesets only refresh the profile
+  const result = mode === 'osu'
+    ? await query(`
+        UPDATE player_stats SET
+          global_rank = $2,
+          country_rank = $3,
+          playcount = $4,
+          level = COALESCE($5, level),
+          avatar_url = COALESCE($6, avatar_url),
+          is_active = true
+        WHERE user_id = $1
+      `, [user.id, entry.global_rank, countryRank, entry.play_count, entry.level?.current ?? null, user.avatar_url])
+    : await query(`
+        UPDATE player_stats SET avatar_url = COALESCE($2, avatar_url)
+        WHERE user_id = $1
+      `, [user.id, user.avatar_url]);
+
+  if (result.rowCount === 0) return false;
+
+  await playerDiscovery.updateModeRanking(entry, mode);
+  return true;
+}
+
+function broadcastProgress(country, mode, page, processed, total) {
+  if (!global.broadcastToClients) return;
+
+  global.broadcastToClients({
+    type: 'scan_progress',
+    scan: 'country_rankings',
+    mode,
+    country,
+    progress: {
+      page,
+      current: processed,
+      total,
+      percentage: total ? ((Math.min(processed, total) / total) * 100).toFixed(2) : null
+    }
+  });
+}
+
+// Walk the ranking from the saved cursor until the last page or maxPages
+async function crawlCountryRanking(country = config.DEFAULT_COUNTRY, mode = 'osu', { maxPages = Infinity } = {}) {
+  mode = normalizeMode(mode);
+  const key = cursorKey(country, mode);
+
+  if (activeCrawls.has(key)) {
+    console.warn(`⚠️ Ranking crawl for ${country} (${mode}) is already running`);
+    return { success: false, reason: 'already_running' };
+  }
+  activeCrawls.add(key);
+
+  let startPage = 1;
+  let page = startPage;
+  let pagesCrawled = 0;
+  let playersUpdated = 0;
+  let total = null;
+  let completed = false;
+
+  // Everything after marking the crawl active runs inside the try so the finally clears it
+  try {
+    startPage = await getCrawlProgress(country, mode);
+    page = startPage;
+    console.log(`🌍 Crawling ${country} ${mode} ranking from page ${startPage}`);
+
+    while (pagesCrawled < maxPages) {
+      const data = await getCountryRankings(country, mode, 'performance', page);
+      const ranking = data.ranking || [];
+      total = data.total ?? total;
+
+      for (const entry of ranking) {
+        if (await upsertRankingEntry(entry, mode, country)) playersUpdated++;
+      }
+      pagesCrawled++;
+
+      const processed = (page - 1) * RANKING_PAGE_SIZE + ranking.length;
+      broadcastProgress(country, mode, page, processed, total);
+
+      const nextPage = data.cursor?.page;
+      if (!nextPage || ranking.length === 0) {
+        completed = true;
+        break;
+      }
+
+      page = nextPage;
+      await saveProgress(key, page);
+    }
+
+    // A finished crawl starts over from the first page next time
+    if (completed) {
+      await saveProgress(key, 1);
+
+      if (global.broadcastToClients) {
+        global.broadcastToClients({
+          type: 'scan_complete',
+          scan: 'country_rankings',
+          mode,
+          country,
+          playersUpdated,
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    console.log(`✅ ${country} ${mode} ranking: ${playersUpdated} players from ${pagesCrawled} pages${completed ? ' (complete)' : `, resuming at page ${page}`}`);
+    return { success: true, country, mode, startPage, pagesCrawled, playersUpdated, total, completed, nextPage: completed ? 1 : page };
+  } catch (err) {
+    // The cursor still points at the failed page, the next run retries it
+    console.error(`❌ Ranking crawl for ${country} (${mode}) stopped at page ${page}:`, err.message);
+    return { success: false, country, mode, startPage, pagesCrawled, playersUpdated, nextPage: page, error: err.message };
+  } finally {
+    activeCrawls.delete(key);
+  }
+}
+
+module.exports = {
+  crawlCountryRanking,
+  getCrawlProgress,
+  upsertRankingEntry
+};
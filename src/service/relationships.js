@@ -0,0 +1,192 @@
+const { query, getRows, getRow } = require('../config/db');
+
+// Activity types that show up in a player's feed
+const FEED_ACTIVITY_TYPES = ['new_first_place', 'achievement_unlocked', 'new_score'];
+
+// Resolve a username to its stored spelling (case-insensitive exact match)
+async function resolveUsername(username) {
+  const player = await getRow(`
+    SELECT username FROM player_stats WHERE LOWER(username) = LOWER($1)
+  `, [username]);
+  return player ? player.username : null;
+}
+
+// Cursor helpers - a cursor points at the last activity of the previous page
+function encodeFeedCursor(activity) {
+  return Buffer.from(`${activity.timestamp}:${activity.id}`).toString('base64url');
+}
+
+function decodeFeedCursor(cursor) {
+  if (!cursor) return null;
+
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!/^\d+$/.test(timestamp || '') || !/^\d+$/.test(id || '')) return null;
+
+  return { timestamp, id };
+}
+
+// Follow a player
+async function followPlayer(followerUsername, followingUsername) {
+  try {
+    const [follower, following] = await Promise.all([
+      resolveUsername(followerUsername),
+      resolveUsername(followingUsername)
+    ]);
+
+    if (!follower || !following) {
+      return { success: false, reason: 'not_found', message: 'Player not found' };
+    }
+
+    if (follower === following) {
+      return { success: false, reason: 'invalid', message: 'You cannot follow yourself' };
+    }
+
+    const result = await query(`
+      INSERT INTO player_relationships (follower_username, following_username, relationship_type)
+      VALUES ($1, $2, 'follow')
+      ON CONFLICT (follower_username, following_username) DO NOTHING
+    `, [follower, following]);
+
+    if (result.rowCount === 0) {
+      return { success: false, reason: 'conflict', message: 'Already following this player' };
+    }
+
+    console.log(`👥 ${follower} followed ${following}`);
+    return { success: true, follower, following };
+  } catch (err) {
+    console.error('Failed to follow player:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Unfollow a player
+async function unfollowPlayer(followerUsername, followingUsername) {
+  try {
+    const result = await query(`
+      DELETE FROM player_relationships
+      WHERE LOWER(follower_username) = LOWER($1) AND LOWER(following_username) = LOWER($2)
+    `, [followerUsername, followingUsername]);
+
+    if (result.rowCount === 0) {
+      return { success: false, reason: 'not_found', message: 'Not following this player' };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to unfollow player:', err.message);
+    return { success: false, reason: 'error', message: err.message };
+  }
+}
+
+// Get players following a user
+async function getFollowers(username, limit = 50, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT
+        pr.follower_username AS username,
+        pr.created_at AS followed_at,
+        ps.weighted_pp,
+        ps.country_rank,
+        ps.avatar_url
+      FROM player_relationships pr
+      JOIN player_stats ps ON ps.username = pr.follower_username
+      WHERE LOWER(pr.following_username) = LOWER($1) AND pr.relationship_type = 'follow'
+      ORDER BY pr.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [username, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get followers:', err.message);
+    return [];
+  }
+}
+
+// Get players a user is following
+async function getFollowing(username, limit = 50, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT
+        pr.following_username AS username,
+        pr.created_at AS followed_at,
+        ps.weighted_pp,
+        ps.country_rank,
+        ps.avatar_url
+      FROM player_relationships pr
+      JOIN player_stats ps ON ps.username = pr.following_username
+      WHERE LOWER(pr.follower_username) = LOWER($1) AND pr.relationship_type = 'follow'
+      ORDER BY pr.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [username, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get following:', err.message);
+    return [];
+  }
+}
+
+// Get follower/following counts for a user
+async function getRelationshipCounts(username) {
+  try {
+    const counts = await getRow(`
+      SELECT
+        COUNT(*) FILTER (WHERE LOWER(following_username) = LOWER($1)) AS followers,
+        COUNT(*) FILTER (WHERE LOWER(follower_username) = LOWER($1)) AS following
+      FROM player_relationships
+      WHERE relationship_type = 'follow'
+    `, [username]);
+
+    return {
+      followers: parseInt(counts.followers) || 0,
+      following: parseInt(counts.following) || 0
+    };
+  } catch (err) {
+    console.error('Failed to get relationship counts:', err.message);
+    return { followers: 0, following: 0 };
+  }
+}
+
+// Get activity feed of everyone a user follows, newest first
+async function getFeed(username, { cursor = null, limit = 20, types = FEED_ACTIVITY_TYPES } = {}) {
+  const params = [username, types];
+  let cursorClause = '';
+
+  const decoded = decodeFeedCursor(cursor);
+  if (decoded) {
+    params.push(decoded.timestamp, decoded.id);
+    cursorClause = `AND (pa.timestamp, pa.id) < ($${params.length - 1}, $${params.length})`;
+  }
+
+  // Fetch one extra row to know whether another page exists
+  params.push(limit + 1);
+
+  const rows = await getRows(`
+    SELECT pa.id, pa.username, pa.activity_type, pa.activity_data, pa.timestamp, ps.avatar_url
+    FROM player_activity pa
+    JOIN player_relationships pr ON pr.following_username = pa.username
+    JOIN player_stats ps ON ps.username = pa.username
+    WHERE LOWER(pr.follower_username) = LOWER($1)
+      AND pr.relationship_type = 'follow'
+      AND pa.activity_type = ANY($2)
+      ${cursorClause}
+    ORDER BY pa.timestamp DESC, pa.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeFeedCursor(items[items.length - 1]) : null,
+    hasMore
+  };
+}
+
+module.exports = {
+  FEED_ACTIVITY_TYPES,
+  resolveUsername,
+  followPlayer,
+  unfollowPlayer,
+  getFollowers,
+  getFollowing,
+  getRelationshipCounts,
+  getFeed
+};
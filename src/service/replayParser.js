@@ -0,0 +1,314 @@
+const lzma = require('lzma');
+const { GAME_MODES } = require('./osuApi');
+const { modsFromBitmask } = require('./scoreNormalizer');
+
+// osu! replay (.osr) parsing and the stats we derive from replay frames.
+// Layout: https://osu.ppy.sh/wiki/en/Client/File_formats/osr_%28file_format%29
+
+// .NET ticks (100ns) between 0001-01-01 and the Unix epoch
+const EPOCH_TICKS = 621355968000000000n;
+const TICKS_PER_MS = 10000n;
+
+// Frame time of the trailing frame that only carries the RNG seed
+const SEED_FRAME = -12345;
+
+// Largest decompressed frame data accepted; hours of 60fps frames stay well below it
+const MAX_FRAME_DATA_BYTES = 32 * 1024 * 1024;
+
+// LZMA header: 1 properties byte, 4 dictionary size bytes, then the 8 byte uncompressed size
+const LZMA_HEADER_BYTES = 13;
+const LZMA_SIZE_OFFSET = 5;
+
+// Key bits of osu!standard frames; K1/K2 also set the matching mouse bit
+const KEYS = { M1: 1, M2: 2, K1: 4, K2: 8 };
+
+// Errors for malformed replay files carry code INVALID_REPLAY
+function invalidReplay(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_REPLAY';
+  return error;
+}
+
+// Sequential little-endian reader over the replay buffer
+class ReplayReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw invalidReplay(`Unexpected end of replay at byte ${this.offset}`);
+    }
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  short() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int() {
+    this.ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  long() {
+    this.ensure(8);
+    const value = this.buffer.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  uleb128() {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = this.byte();
+      result += (byte & 0x7f) * Math.pow(2, shift);
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  // 0x00 for an empty string, 0x0b followed by a ULEB128 length and UTF-8 bytes otherwise
+  string() {
+    const marker = this.byte();
+    if (marker === 0x00) return null;
+    if (marker !== 0x0b) throw invalidReplay(`Invalid string marker 0x${marker.toString(16)} at byte ${this.offset - 1}`);
+
+    const length = this.uleb128();
+    this.ensure(length);
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+// Checks the size the LZMA header declares before inflating anything, an unknown
+// size (all bits set) is rejected too since nothing would bound the output
+function decompress(data) {
+  if (data.length < LZMA_HEADER_BYTES) {
+    return Promise.reject(invalidReplay('Replay data is shorter than its LZMA header'));
+  }
+
+  const size = data.readBigUInt64LE(LZMA_SIZE_OFFSET);
+  if (size > BigInt(MAX_FRAME_DATA_BYTES)) {
+    return Promise.reject(invalidReplay(`Replay data is over ${MAX_FRAME_DATA_BYTES} bytes uncompressed`));
+  }
+
+  return new Promise((resolve, reject) => {
+    lzma.decompress(data, (result, error) => {
+      if (error) return reject(invalidReplay(`Invalid replay data: ${error.message || error}`));
+      resolve(typeof result === 'string' ? result : Buffer.from(result).toString('latin1'));
+    });
+  });
+}
+
+// "time|life,time|life," with life from 0 to 1
+function parseLifeBar(text) {
+  if (!text) return [];
+  return text.split(',')
+    .filter(Boolean)
+    .map(point => point.split('|').map(Number))
+    .filter(([time, life]) => Number.isFinite(time) && Number.isFinite(life))
+    .map(([time, life]) => [time, life]);
+}
+
+// "w|x|y|z," frames where w is the delta since the previous frame; returns absolute times
+function parseFrames(text) {
+  const frames = [];
+  let seed = null;
+  let time = 0;
+
+  for (const part of text.split(',')) {
+    if (!part) continue;
+    const [w, x, y, z] = part.split('|').map(Number);
+
+    if (w === SEED_FRAME) {
+      seed = z;
+      continue;
+    }
+
+    time += w;
+    frames.push({ time, x, y, keys: z });
+  }
+
+  return { frames, seed };
+}
+
+// Parse a replay buffer into its header, life bar and frames
+async function parseReplay(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw invalidReplay('Replay file is empty');
+  }
+
+  const reader = new ReplayReader(buffer);
+  const modeId = reader.byte();
+  if (!GAME_MODES[modeId]) throw invalidReplay(`Unknown ruleset ${modeId}`);
+
+  const header = {
+    mode: GAME_MODES[modeId],
+    gameVersion: reader.int(),
+    beatmapHash: reader.string(),
+    playerName: reader.string(),
+    replayHash: reader.string(),
+    count300: reader.short(),
+    count100: reader.short(),
+    count50: reader.short(),
+    countGeki: reader.short(),
+    countKatu: reader.short(),
+    countMiss: reader.short(),
+    score: reader.int(),
+    maxCombo: reader.short(),
+    perfect: reader.byte() === 1
+  };
+
+  const modBits = reader.int();
+  const lifeBar = parseLifeBar(reader.string());
+  const ticks = reader.long();
+  const compressedLength = reader.int();
+  const compressed = compressedLength > 0 ? reader.bytes(compressedLength) : null;
+  const onlineScoreId = reader.offset + 8 <= buffer.length ? Number(reader.long()) : 0;
+
+  const { frames, seed } = compressed ? parseFrames(await decompress(compressed)) : { frames: [], seed: null };
+
+  return {
+    ...header,
+    modBits,
+    mods: modsFromBitmask(modBits),
+    playedAt: ticks > EPOCH_TICKS ? Number((ticks - EPOCH_TICKS) / TICKS_PER_MS) : null,
+    onlineScoreId: onlineScoreId > 0 ? onlineScoreId : null,
+    lifeBar,
+    frames,
+    seed
+  };
+}
+
+// Key-down events from osu!standard frames, per key and merged in time order
+function keyPresses(frames) {
+  const presses = [];
+  const counts = { K1: 0, K2: 0, M1: 0, M2: 0 };
+  let previous = 0;
+
+  for (const frame of frames) {
+    const keys = frame.keys || 0;
+    // Keyboard keys also set the mouse bit, count them once
+    const held = {
+      K1: (keys & KEYS.K1) !== 0,
+      K2: (keys & KEYS.K2) !== 0,
+      M1: (keys & KEYS.M1) !== 0 && (keys & KEYS.K1) === 0,
+      M2: (keys & KEYS.M2) !== 0 && (keys & KEYS.K2) === 0
+    };
+    const wasHeld = {
+      K1: (previous & KEYS.K1) !== 0,
+      K2: (previous & KEYS.K2) !== 0,
+      M1: (previous & KEYS.M1) !== 0 && (previous & KEYS.K1) === 0,
+      M2: (previous & KEYS.M2) !== 0 && (previous & KEYS.K2) === 0
+    };
+
+    for (const key of Object.keys(counts)) {
+      if (held[key] && !wasHeld[key]) {
+        counts[key]++;
+        presses.push({ time: frame.time, key });
+      }
+    }
+    previous = keys;
+  }
+
+  return { counts, presses };
+}
+
+// Highest number of presses inside any one-second window (windowMs of map time)
+function peakTapRate(presses, windowMs = 1000) {
+  let peak = 0;
+  let start = 0;
+  for (let end = 0; end < presses.length; end++) {
+    while (presses[end].time - presses[start].time >= windowMs) start++;
+    peak = Math.max(peak, end - start + 1);
+  }
+  return peak;
+}
+
+// Key usage and tap rate of an osu!standard replay.
+// Frame times are map time, rate converts them to real time for DT/HT plays.
+function summarizeFrames(frames, { rate = 1 } = {}) {
+  const { counts, presses } = keyPresses(frames);
+  const total = presses.length;
+  const durationMs = frames.length > 1 ? (frames[frames.length - 1].time - frames[0].time) / rate : 0;
+  const tappingMs = total > 1 ? (presses[total - 1].time - presses[0].time) / rate : 0;
+
+  return {
+    frameCount: frames.length,
+    durationMs,
+    keyPresses: { ...counts, total },
+    tapRate: tappingMs > 0 ? total / (tappingMs / 1000) : null,
+    peakTapRate: total > 0 ? peakTapRate(presses, 1000 * rate) : null,
+    presses
+  };
+}
+
+// Hit window for a 50 in ms of map time, at OD with EZ/HR applied
+function hitWindow50(od) {
+  return 199.5 - 10 * od;
+}
+
+// Match presses to hit objects by timing and measure the spread of the errors.
+// Cursor position is not checked, so this is an estimate of the in-game hit error bar.
+// Like the game, errors are reported in real time (divided by the clock rate).
+function hitTiming(presses, hitObjects, od, { rate = 1 } = {}) {
+  const window = hitWindow50(od);
+  const errors = [];
+  let next = 0;
+
+  for (const object of hitObjects) {
+    if (object.spinner) continue;
+
+    // Presses too early for this object were spent on earlier objects or ignored
+    while (next < presses.length && presses[next].time < object.time - window) next++;
+    if (next >= presses.length) break;
+
+    const error = presses[next].time - object.time;
+    if (error <= window) {
+      errors.push(error);
+      next++;
+    }
+  }
+
+  if (errors.length === 0) return null;
+
+  const mean = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+  const variance = errors.reduce((sum, error) => sum + Math.pow(error - mean, 2), 0) / errors.length;
+
+  return {
+    matchedObjects: errors.length,
+    meanError: mean / rate,
+    unstableRate: Math.sqrt(variance) * 10 / rate,
+    earlyHits: errors.filter(error => error < 0).length,
+    lateHits: errors.filter(error => error > 0).length
+  };
+}
+
+module.exports = {
+  parseReplay,
+  parseFrames,
+  parseLifeBar,
+  summarizeFrames,
+  hitTiming
+};
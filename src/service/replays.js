@@ -0,0 +1,213 @@
+const { getRow } = require('../config/db');
+const { parseReplay, summarizeFrames, hitTiming } = require('./replayParser');
+const { readBeatmapFile, parseHitObjects } = require('./beatmapFiles');
+const { adjustDifficulty } = require('./beatmapAttributes');
+
+// Uploaded .osr replays: parsed once, matched to stored scores and kept as a summary.
+// Frames themselves are not stored, only the stats derived from them.
+
+const REPLAY_COLUMNS = `
+  id, replay_hash, beatmap_hash, beatmap_id, score_id, online_score_id, on_leaderboard,
+  player_name, mode, game_version, mods, mod_bits, score, max_combo, perfect, accuracy,
+  count_300, count_100, count_50, count_geki, count_katu, count_miss, played_at,
+  life_bar, frame_count, duration_ms, key_presses, tap_rate, peak_tap_rate,
+  unstable_rate, hit_timing, uploaded_by, uploaded_at
+`;
+
+// Clock rate of the rate-changing mods a legacy replay can carry
+function clockRate(mods) {
+  if (mods.includes('DT') || mods.includes('NC')) return 1.5;
+  if (mods.includes('HT') || mods.includes('DC')) return 0.75;
+  return 1;
+}
+
+// Accuracy from the replay's hit counts, per ruleset like the game shows it
+function replayAccuracy(replay) {
+  const { count300, count100, count50, countGeki, countKatu, countMiss } = replay;
+  let hit;
+  let total;
+
+  switch (replay.mode) {
+    case 'taiko':
+      hit = count300 * 2 + count100;
+      total = (count300 + count100 + countMiss) * 2;
+      break;
+    case 'fruits':
+      hit = count300 + count100 + count50;
+      total = hit + countMiss + countKatu;
+      break;
+    case 'mania':
+      hit = (countGeki + count300) * 6 + countKatu * 4 + count100 * 2 + count50;
+      total = (countGeki + count300 + countKatu + count100 + count50 + countMiss) * 6;
+      break;
+    default:
+      hit = count300 * 6 + count100 * 2 + count50;
+      total = (count300 + count100 + count50 + countMiss) * 6;
+  }
+
+  return total > 0 ? Math.round(hit / total * 10000) / 100 : null;
+}
+
+// Find the beatmap, stored score and leaderboard row a replay belongs to
+async function matchReplay(replay) {
+  const match = { beatmapId: null, scoreId: null, onLeaderboard: false };
+
+  if (replay.onlineScoreId) {
+    const score = await getRow('SELECT score_id, beatmap_id FROM scores WHERE score_id = $1', [replay.onlineScoreId]);
+    if (score) {
+      match.scoreId = score.score_id;
+      match.beatmapId = score.beatmap_id;
+    }
+  }
+
+  if (!match.beatmapId) {
+    const beatmap = await getRow('SELECT beatmap_id FROM beatmap_metadata WHERE checksum = $1', [replay.beatmapHash]);
+    match.beatmapId = beatmap?.beatmap_id ?? null;
+  }
+
+  if (!match.beatmapId || !replay.playerName) return match;
+
+  if (!match.scoreId) {
+    const score = await getRow(`
+      SELECT score_id FROM scores
+      WHERE beatmap_id = $1 AND mode = $2 AND LOWER(username) = LOWER($3)
+        AND (score = $4 OR classic_score = $4)
+      ORDER BY date_played DESC NULLS LAST
+      LIMIT 1
+    `, [match.beatmapId, replay.mode, replay.playerName, replay.score]);
+    match.scoreId = score?.score_id ?? null;
+  }
+
+  const leaderboardRow = await getRow(`
+    SELECT beatmap_id FROM algeria_top50
+    WHERE beatmap_id = $1 AND mode = $2 AND LOWER(username) = LOWER($3) AND score = $4
+  `, [match.beatmapId, replay.mode, replay.playerName, replay.score]);
+  match.onLeaderboard = Boolean(leaderboardRow);
+
+  return match;
+}
+
+// Key presses, tap rate and, with a local .osu file, hit timing of an osu!standard replay
+async function replayStats(replay, beatmapId) {
+  if (replay.mode !== 'osu' || replay.frames.length === 0) return null;
+
+  const rate = clockRate(replay.mods);
+  const summary = summarizeFrames(replay.frames, { rate });
+  let timing = null;
+
+  const file = beatmapId ? await readBeatmapFile(beatmapId) : null;
+  if (file) {
+    const { od, hitObjects } = parseHitObjects(file);
+    if (od !== null && hitObjects.length > 0) {
+      // Hit windows scale with EZ/HR; the clock rate is handled by hitTiming
+      const windowMods = replay.mods.filter(mod => mod === 'HR' || mod === 'EZ').map(acronym => ({ acronym }));
+      const adjusted = adjustDifficulty({ od }, windowMods);
+      timing = hitTiming(summary.presses, hitObjects, adjusted.od, { rate });
+    }
+  }
+
+  return { ...summary, timing };
+}
+
+function roundStat(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Parse an uploaded replay, match it and store its summary
+async function storeReplay(buffer, uploadedBy = null) {
+  let replay;
+  try {
+    replay = await parseReplay(buffer);
+  } catch (err) {
+    if (err.code === 'INVALID_REPLAY') {
+      return { success: false, reason: 'invalid', message: err.message };
+    }
+    throw err;
+  }
+
+  if (!replay.beatmapHash || !replay.replayHash) {
+    return { success: false, reason: 'invalid', message: 'Replay has no beatmap or replay hash' };
+  }
+
+  const match = await matchReplay(replay);
+  const stats = await replayStats(replay, match.beatmapId);
+  const timing = stats?.timing || null;
+
+  const row = await getRow(`
+    INSERT INTO replays (
+      replay_hash, beatmap_hash, beatmap_id, score_id, online_score_id, on_leaderboard,
+      player_name, mode, game_version, mods, mod_bits, score, max_combo, perfect, accuracy,
+      count_300, count_100, count_50, count_geki, count_katu, count_miss, played_at,
+      life_bar, frame_count, duration_ms, key_presses, tap_rate, peak_tap_rate,
+      unstable_rate, hit_timing, uploaded_by, uploaded_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+      $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32
+    )
+    ON CONFLICT (replay_hash) DO UPDATE SET
+      beatmap_id = EXCLUDED.beatmap_id,
+      score_id = EXCLUDED.score_id,
+      on_leaderboard = EXCLUDED.on_leaderboard,
+      frame_count = EXCLUDED.frame_count,
+      duration_ms = EXCLUDED.duration_ms,
+      key_presses = EXCLUDED.key_presses,
+      tap_rate = EXCLUDED.tap_rate,
+      peak_tap_rate = EXCLUDED.peak_tap_rate,
+      unstable_rate = EXCLUDED.unstable_rate,
+      hit_timing = EXCLUDED.hit_timing
+    RETURNING ${REPLAY_COLUMNS}
+  `, [
+    replay.replayHash, replay.beatmapHash, match.beatmapId, match.scoreId,
+    replay.onlineScoreId, match.onLeaderboard, replay.playerName, replay.mode,
+    replay.gameVersion, replay.mods.length > 0 ? replay.mods.join(',') : 'None', replay.modBits,
+    replay.score, replay.maxCombo, replay.perfect, replayAccuracy(replay),
+    replay.count300, replay.count100, replay.count50, replay.countGeki, replay.countKatu, replay.countMiss,
+    replay.playedAt, JSON.stringify(replay.lifeBar),
+    stats ? stats.frameCount : replay.frames.length,
+    stats ? Math.round(stats.durationMs) : null,
+    stats ? JSON.stringify(stats.keyPresses) : null,
+    roundStat(stats?.tapRate), stats?.peakTapRate ?? null,
+    roundStat(timing?.unstableRate),
+    timing ? JSON.stringify({ ...timing, meanError: roundStat(timing.meanError) }) : null,
+    uploadedBy, Date.now()
+  ]);
+
+  console.log(`🎞️ Stored replay ${replay.replayHash} by ${replay.playerName} (beatmap ${match.beatmapId || 'unknown'})`);
+
+  return { success: true, replay: row, match };
+}
+
+async function getReplay(id) {
+  try {
+    return await getRow(`SELECT ${REPLAY_COLUMNS} FROM replays WHERE id = $1`, [id]);
+  } catch (err) {
+    console.error('Failed to get replay:', err.message);
+    return null;
+  }
+}
+
+// Most recently uploaded replay of a stored score
+async function getScoreReplay(scoreId) {
+  try {
+    return await getRow(`
+      SELECT ${REPLAY_COLUMNS} FROM replays
+      WHERE score_id = $1
+      ORDER BY uploaded_at DESC
+      LIMIT 1
+    `, [scoreId]);
+  } catch (err) {
+    console.error('Failed to get score replay:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  clockRate,
+  replayAccuracy,
+  matchReplay,
+  storeReplay,
+  getReplay,
+  getScoreReplay
+};
@@ -0,0 +1,267 @@
+const { query, getRows, getRow } = require('../config/db');
+const { searchBeatmapsets, normalizeMode } = require('./osuApi');
+const { config } = require('../config/env');
+
+// Persistent beatmap scan queue.
+// Each run scans the beatmaps that are most overdue relative to how much they matter:
+// priority = importance * days since the last scan (capped), plus any admin boost.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Beatmapset statuses synced into the queue (the API's "ranked" filter also returns approved sets)
+const QUEUE_STATUSES = ['ranked', 'loved'];
+const MIN_DIFFICULTY = 2.0;
+
+const PRIORITY = {
+  maxStaleDays: 30,
+  // Importance weights
+  trackedScores: 1,
+  newlyRanked: 3,
+  newlyRankedHalfLifeDays: 30,
+  changeRate: 4,
+  // Maps are not rescanned sooner than this unless bumped
+  minRescanMs: 60 * 60 * 1000,
+  bump: 1000000,
+  // Consecutive failed scans after which a bump is dropped
+  maxBumpFailures: 3
+};
+
+// SQL for a row's priority, $1 must be the current time in ms
+const PRIORITY_SQL = `
+  (
+    1
+    + ${PRIORITY.trackedScores} * LN(1 + q.tracked_scores)
+    + CASE WHEN q.ranked_date IS NULL THEN 0
+        ELSE ${PRIORITY.newlyRanked} * EXP(-GREATEST($1 - q.ranked_date, 0)::DOUBLE PRECISION / ${PRIORITY.newlyRankedHalfLifeDays * DAY_MS} * LN(2))
+      END
+    + ${PRIORITY.changeRate} * (q.change_count + 1)::DOUBLE PRECISION / (q.scan_count + 2)
+  )
+  * LEAST(COALESCE($1 - q.last_scanned, ${PRIORITY.maxStaleDays * DAY_MS})::DOUBLE PRECISION / ${DAY_MS}, ${PRIORITY.maxStaleDays})
+  + q.boost
+`;
+
+function beatmapTitle(set, bm) {
+  return `${set.artist} - ${set.title} [${bm.version}]`;
+}
+
+// Insert or refresh queue entries, returning how many were new
+async function enqueueBeatmaps(beatmaps, mode = 'osu') {
+  mode = normalizeMode(mode);
+  let added = 0;
+
+  for (const bm of beatmaps) {
+    const result = await query(`
+      INSERT INTO beatmap_scan_queue (beatmap_id, mode, beatmapset_id, beatmap_title, status, ranked_date, added_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (beatmap_id, mode) DO UPDATE SET
+        beatmapset_id = COALESCE(EXCLUDED.beatmapset_id, beatmap_scan_queue.beatmapset_id),
+        beatmap_title = COALESCE(EXCLUDED.beatmap_title, beatmap_scan_queue.beatmap_title),
+        status = COALESCE(EXCLUDED.status, beatmap_scan_queue.status),
+        ranked_date = COALESCE(EXCLUDED.ranked_date, beatmap_scan_queue.ranked_date)
+      RETURNING (xmax = 0) AS inserted
+    `, [bm.id, mode, bm.beatmapsetId || null, bm.title || null, bm.status || null, bm.rankedDate || null, Date.now()]);
+
+    if (result.rows[0]?.inserted) added++;
+  }
+
+  return added;
+}
+
+// Pull newly ranked, approved and loved beatmaps into the queue.
+// Search results are newest first, so a status stops at the first page with nothing new.
+async function syncScanQueue(mode = 'osu', { maxPages = config.SCAN_QUEUE_SYNC_PAGES } = {}) {
+  mode = normalizeMode(mode);
+  const result = { mode, added: 0, pages: 0 };
+
+  for (const status of QUEUE_STATUSES) {
+    for (let page = 1; page <= maxPages; page++) {
+      let data;
+      try {
+        data = await searchBeatmapsets({ mode, s: status, page });
+      } catch (err) {
+        console.error(`❌ Failed to sync ${status} beatmaps page ${page}:`, err.message);
+        break;
+      }
+
+      const sets = data.beatmapsets || [];
+      if (sets.length === 0) break;
+      result.pages++;
+
+      const beatmaps = sets.flatMap(set =>
+        (set.beatmaps || [])
+          .filter(bm => bm.difficulty_rating >= MIN_DIFFICULTY && (bm.mode || mode) === mode)
+          .map(bm => ({
+            id: bm.id,
+            beatmapsetId: set.id,
+            title: beatmapTitle(set, bm),
+            status: bm.status || set.status || status,
+            rankedDate: set.ranked_date ? new Date(set.ranked_date).getTime() : null
+          }))
+      );
+
+      const added = await enqueueBeatmaps(beatmaps, mode);
+      result.added += added;
+
+      if (added === 0 && beatmaps.length > 0) break;
+    }
+  }
+
+  console.log(`🗂️ Scan queue sync (${mode}): ${result.added} new beatmaps from ${result.pages} pages`);
+  return result;
+}
+
+// Copy tracked score counts per beatmap from the leaderboard table
+async function refreshTrackedScores(mode = 'osu') {
+  await query(`
+    UPDATE beatmap_scan_queue q SET tracked_scores = c.total
+    FROM (
+      SELECT beatmap_id, COUNT(*) AS total
+      FROM algeria_top50
+      WHERE mode = $1
+      GROUP BY beatmap_id
+    ) c
+    WHERE q.beatmap_id = c.beatmap_id AND q.mode = $1 AND q.tracked_scores <> c.total
+  `, [normalizeMode(mode)]);
+}
+
+// Highest priority beatmaps that are due for a scan
+async function getNextBeatmaps(mode = 'osu', limit = config.SCAN_BATCH_SIZE) {
+  const now = Date.now();
+
+  const rows = await getRows(`
+    SELECT q.beatmap_id, q.beatmap_title, ${PRIORITY_SQL} AS priority
+    FROM beatmap_scan_queue q
+    WHERE q.mode = $2
+      AND (q.boost > 0 OR q.last_scanned IS NULL OR q.last_scanned < $3)
+    ORDER BY priority DESC, q.beatmap_id ASC
+    LIMIT $4
+  `, [now, normalizeMode(mode), now - PRIORITY.minRescanMs, limit]);
+
+  return rows.map(row => ({
+    id: Number(row.beatmap_id),
+    title: row.beatmap_title,
+    priority: parseFloat(row.priority)
+  }));
+}
+
+// Record the outcome of a scan; any beatmap scanned is added to the queue.
+// A bump survives failed scans until they reach PRIORITY.maxBumpFailures in a row.
+async function recordScan(beatmapId, mode = 'osu', { success = true, changed = false, title = null } = {}) {
+  const now = Date.now();
+
+  try {
+    await query(`
+      INSERT INTO beatmap_scan_queue (
+        beatmap_id, mode, beatmap_title, scan_count, change_count, failure_count, last_scanned, last_changed, added_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $7)
+      ON CONFLICT (beatmap_id, mode) DO UPDATE SET
+        beatmap_title = COALESCE(beatmap_scan_queue.beatmap_title, EXCLUDED.beatmap_title),
+        scan_count = beatmap_scan_queue.scan_count + EXCLUDED.scan_count,
+        change_count = beatmap_scan_queue.change_count + EXCLUDED.change_count,
+        failure_count = CASE WHEN EXCLUDED.failure_count > 0 THEN beatmap_scan_queue.failure_count + 1 ELSE 0 END,
+        last_scanned = EXCLUDED.last_scanned,
+        last_changed = COALESCE(EXCLUDED.last_changed, beatmap_scan_queue.last_changed),
+        boost = CASE
+          WHEN EXCLUDED.failure_count > 0 AND beatmap_scan_queue.failure_count + 1 < ${PRIORITY.maxBumpFailures}
+            THEN beatmap_scan_queue.boost
+          ELSE 0
+        END
+    `, [
+      beatmapId, normalizeMode(mode), title,
+      success ? 1 : 0,
+      success && changed ? 1 : 0,
+      success ? 0 : 1,
+      now,
+      success && changed ? now : null
+    ]);
+  } catch (err) {
+    console.warn(`Failed to record scan of beatmap ${beatmapId}:`, err.message);
+  }
+}
+
+// Move a beatmap to the front of the queue until its next successful scan,
+// or until it fails PRIORITY.maxBumpFailures scans in a row
+async function bumpBeatmap(beatmapId, mode = 'osu', bumpedBy = null) {
+  try {
+    const entry = await getRow(`
+      INSERT INTO beatmap_scan_queue (beatmap_id, mode, boost, bumped_by, bumped_at, added_at)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      ON CONFLICT (beatmap_id, mode) DO UPDATE SET
+        boost = EXCLUDED.boost,
+        bumped_by = EXCLUDED.bumped_by,
+        bumped_at = EXCLUDED.bumped_at
+      RETURNING beatmap_id, mode, beatmap_title, boost, bumped_by, bumped_at, last_scanned
+    `, [beatmapId, normalizeMode(mode), PRIORITY.bump, bumpedBy, Date.now()]);
+
+    return { success: true, entry };
+  } catch (err) {
+    console.error('Failed to bump beatmap:', err.message);
+    return { success: false, reason: 'error', message: 'Failed to bump beatmap' };
+  }
+}
+
+// Queue entries in priority order, for the admin view
+async function getScanQueue(mode = 'osu', { status = null, limit = 50, offset = 0 } = {}) {
+  try {
+    const params = [Date.now(), normalizeMode(mode)];
+    let statusClause = '';
+
+    if (status) {
+      params.push(status);
+      statusClause = `AND q.status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
+    return await getRows(`
+      SELECT q.beatmap_id, q.beatmap_title, q.status, q.ranked_date, q.tracked_scores,
+             q.scan_count, q.change_count, q.failure_count, q.last_scanned, q.last_changed,
+             q.boost, q.bumped_by, q.bumped_at, ${PRIORITY_SQL} AS priority
+      FROM beatmap_scan_queue q
+      WHERE q.mode = $2 ${statusClause}
+      ORDER BY priority DESC, q.beatmap_id ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+  } catch (err) {
+    console.error('Failed to get scan queue:', err.message);
+    return [];
+  }
+}
+
+// Queue size and state counts for one ruleset
+async function getScanQueueSummary(mode = 'osu') {
+  try {
+    const summary = await getRow(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE last_scanned IS NULL) AS never_scanned,
+        COUNT(*) FILTER (WHERE boost > 0) AS bumped,
+        COUNT(*) FILTER (WHERE failure_count > 0) AS failing,
+        COUNT(*) FILTER (WHERE status = 'ranked') AS ranked,
+        COUNT(*) FILTER (WHERE status = 'approved') AS approved,
+        COUNT(*) FILTER (WHERE status = 'loved') AS loved,
+        MIN(last_scanned) AS oldest_scan
+      FROM beatmap_scan_queue
+      WHERE mode = $1
+    `, [normalizeMode(mode)]);
+
+    return Object.fromEntries(
+      Object.entries(summary || {}).map(([key, value]) => [key, value === null ? null : Number(value)])
+    );
+  } catch (err) {
+    console.error('Failed to get scan queue summary:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  QUEUE_STATUSES,
+  PRIORITY,
+  enqueueBeatmaps,
+  syncScanQueue,
+  refreshTrackedScores,
+  getNextBeatmaps,
+  recordScan,
+  bumpBeatmap,
+  getScanQueue,
+  getScanQueueSummary
+};
@@ -0,0 +1,152 @@
+const { GAME_MODES, normalizeMode } = require('./osuApi');
+
+// One internal score model for legacy and lazer API payloads.
+// The model keeps the legacy field names the rest of the code reads (score, mods,
+// statistics.count_300, created_at) and adds what the legacy shape cannot express:
+// mod settings, classic and lazer totals and the untouched payload.
+
+const NORMALIZED = Symbol('normalizedScore');
+
+// Lazer hit result names per ruleset, mapped onto legacy statistics
+const LAZER_STATISTICS = {
+  osu: { great: 'count_300', ok: 'count_100', meh: 'count_50', miss: 'count_miss' },
+  taiko: { great: 'count_300', ok: 'count_100', miss: 'count_miss' },
+  fruits: {
+    great: 'count_300',
+    large_tick_hit: 'count_100',
+    small_tick_hit: 'count_50',
+    small_tick_miss: 'count_katu',
+    miss: 'count_miss',
+    large_tick_miss: 'count_miss'
+  },
+  mania: { perfect: 'count_geki', great: 'count_300', good: 'count_katu', ok: 'count_100', meh: 'count_50', miss: 'count_miss' }
+};
+
+const LEGACY_STATISTICS = ['count_300', 'count_100', 'count_50', 'count_miss', 'count_geki', 'count_katu'];
+
+// Stable mod bits as found in replays and API v1 payloads
+const MOD_BITS = [
+  ['NF', 1], ['EZ', 2], ['TD', 4], ['HD', 8], ['HR', 16], ['SD', 32], ['DT', 64], ['RX', 128],
+  ['HT', 256], ['NC', 512], ['FL', 1024], ['AT', 2048], ['SO', 4096], ['AP', 8192], ['PF', 16384],
+  ['4K', 32768], ['5K', 65536], ['6K', 131072], ['7K', 262144], ['8K', 524288], ['FI', 1048576],
+  ['RD', 2097152], ['CN', 4194304], ['TP', 8388608], ['9K', 16777216], ['DS', 33554432],
+  ['1K', 67108864], ['3K', 134217728], ['2K', 268435456], ['SV2', 536870912], ['MR', 1073741824]
+];
+
+// Mods implied by another mod's bit (NC sets DT, PF sets SD)
+const IMPLIED_MODS = { NC: 'DT', PF: 'SD' };
+
+function isNormalized(score) {
+  return Boolean(score?.[NORMALIZED]);
+}
+
+// Legacy payloads carry acronym strings, lazer payloads { acronym, settings }
+function normalizeMods(mods) {
+  const acronyms = [];
+  const settings = {};
+
+  for (const mod of mods || []) {
+    const acronym = typeof mod === 'string' ? mod : mod?.acronym;
+    if (!acronym) continue;
+
+    acronyms.push(acronym.toUpperCase());
+    if (mod.settings && Object.keys(mod.settings).length > 0) {
+      settings[acronym.toUpperCase()] = mod.settings;
+    }
+  }
+
+  return { mods: acronyms, modSettings: settings };
+}
+
+// Acronyms from a stable mod bitmask
+function modsFromBitmask(bits) {
+  const mods = MOD_BITS.filter(([, bit]) => (bits & bit) !== 0).map(([acronym]) => acronym);
+  const implied = mods.map(mod => IMPLIED_MODS[mod]).filter(Boolean);
+  return mods.filter(mod => !implied.includes(mod));
+}
+
+// Comma separated acronyms as stored in the mods columns
+function modsText(mods) {
+  return mods?.length ? mods.join(',') : 'None';
+}
+
+function normalizeStatistics(statistics, mode) {
+  const stats = statistics || {};
+  const result = Object.fromEntries(LEGACY_STATISTICS.map(key => [key, 0]));
+
+  if (LEGACY_STATISTICS.some(key => stats[key] !== undefined)) {
+    for (const key of LEGACY_STATISTICS) result[key] = stats[key] || 0;
+    return result;
+  }
+
+  for (const [name, key] of Object.entries(LAZER_STATISTICS[mode] || LAZER_STATISTICS.osu)) {
+    result[key] += stats[name] || 0;
+  }
+  return result;
+}
+
+function rulesetFrom(raw, fallback) {
+  if (raw.mode) return normalizeMode(raw.mode, fallback);
+  const id = raw.ruleset_id ?? raw.mode_int;
+  return GAME_MODES[id] || fallback;
+}
+
+// Map a legacy or lazer score payload to the internal model
+function normalizeScore(raw, mode = 'osu') {
+  if (!raw || isNormalized(raw)) return raw;
+
+  // Lazer payloads report total_score; legacy payloads only have score
+  const isLazerPayload = raw.total_score !== undefined || raw.type === 'solo_score';
+  const ruleset = rulesetFrom(raw, normalizeMode(mode));
+  const { mods, modSettings } = normalizeMods(raw.mods);
+  const playedAt = raw.ended_at || raw.created_at || null;
+
+  // Stable scores keep their stable total, lazer-only scores report a classic conversion
+  const classicScore = isLazerPayload
+    ? (raw.legacy_total_score || raw.classic_total_score || null)
+    : raw.score;
+  const lazerScore = isLazerPayload ? raw.total_score : null;
+
+  return {
+    [NORMALIZED]: true,
+    id: raw.id,
+    user_id: raw.user_id ?? raw.user?.id ?? null,
+    user: raw.user || null,
+    beatmap_id: raw.beatmap_id ?? raw.beatmap?.id ?? null,
+    beatmapset_id: raw.beatmapset?.id ?? raw.beatmap?.beatmapset_id ?? null,
+    beatmap: raw.beatmap || null,
+    beatmapset: raw.beatmapset || null,
+    mode: ruleset,
+    score: classicScore ?? lazerScore ?? 0,
+    classic_score: classicScore ?? null,
+    lazer_score: lazerScore ?? null,
+    // Set in lazer rather than imported from stable
+    is_lazer: isLazerPayload && !raw.legacy_score_id,
+    pp: raw.pp ?? null,
+    accuracy: raw.accuracy ?? null,
+    max_combo: raw.max_combo || 0,
+    rank: raw.rank || null,
+    perfect: Boolean(raw.perfect ?? raw.legacy_perfect ?? raw.is_perfect_combo),
+    passed: raw.passed !== false,
+    mods,
+    mod_settings: modSettings,
+    statistics: normalizeStatistics(raw.statistics, ruleset),
+    created_at: playedAt,
+    played_at: playedAt ? new Date(playedAt).getTime() : null,
+    raw
+  };
+}
+
+function normalizeScores(scores, mode = 'osu') {
+  return (scores || []).map(score => normalizeScore(score, mode)).filter(Boolean);
+}
+
+module.exports = {
+  normalizeScore,
+  normalizeScores,
+  normalizeMods,
+  modsFromBitmask,
+  normalizeStatistics,
+  modsText,
+  isNormalized
+};
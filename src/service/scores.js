@@ -0,0 +1,216 @@
+const { query, getRows, getRow } = require('../config/db');
+const { getUserScores, normalizeMode } = require('./osuApi');
+const { normalizeScore, modsText } = require('./scoreNormalizer');
+
+// Per-score history keyed by osu! score id.
+// Unlike algeria_top50 nothing is overwritten: every score seen is kept.
+
+// User score endpoints we pull from and how many scores each returns at most
+const SCORE_SOURCES = {
+  best: 100,
+  recent: 50,
+  firsts: 100
+};
+
+const SORT_ORDERS = {
+  recent: 's.date_played DESC NULLS LAST',
+  pp: 's.pp DESC NULLS LAST, s.date_played DESC',
+  score: 's.score DESC, s.date_played DESC'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+const SCORE_COLUMNS = `
+  s.score_id, s.user_id, s.username, s.beatmap_id, s.beatmapset_id, s.mode,
+  s.score, s.classic_score, s.lazer_score, s.is_lazer, s.pp, s.accuracy, s.max_combo,
+  s.mods, s.mod_settings, s.grade, s.perfect, s.passed,
+  s.count_300, s.count_100, s.count_50, s.count_miss, s.count_geki, s.count_katu,
+  s.date_played, s.sources, s.first_seen, s.last_updated,
+  bm.artist, bm.title AS beatmap_title, bm.version AS difficulty_name, bm.difficulty_rating
+`;
+
+// Flatten a legacy or lazer API score into scores table values
+function toScoreRow(raw, player = {}, mode = 'osu') {
+  const s = normalizeScore(raw, mode);
+  const stats = s.statistics;
+
+  return {
+    scoreId: s.id,
+    userId: s.user_id ?? player.userId,
+    username: s.user?.username || player.username || null,
+    beatmapId: s.beatmap_id,
+    beatmapsetId: s.beatmapset_id,
+    mode: s.mode,
+    score: s.score,
+    classicScore: s.classic_score,
+    lazerScore: s.lazer_score,
+    isLazer: s.is_lazer,
+    pp: s.pp,
+    accuracy: s.accuracy,
+    maxCombo: s.max_combo,
+    mods: modsText(s.mods),
+    modSettings: s.mod_settings,
+    grade: s.rank,
+    perfect: s.perfect,
+    passed: s.passed,
+    count300: stats.count_300,
+    count100: stats.count_100,
+    count50: stats.count_50,
+    countMiss: stats.count_miss,
+    countGeki: stats.count_geki,
+    countKatu: stats.count_katu,
+    datePlayed: s.played_at,
+    rawPayload: s.raw
+  };
+}
+
+// Upsert scores, remembering every endpoint each score was seen on
+async function saveScores(scores, source, player = {}, mode = 'osu') {
+  let stored = 0;
+  const now = Date.now();
+
+  for (const s of scores || []) {
+    const row = toScoreRow(s, player, mode);
+    if (!row.scoreId || !row.userId || !row.beatmapId) continue;
+
+    await query(`
+      INSERT INTO scores (
+        score_id, user_id, username, beatmap_id, beatmapset_id, mode, score, pp,
+        accuracy, max_combo, mods, grade, perfect, passed, count_300, count_100,
+        count_50, count_miss, count_geki, count_katu, date_played, sources,
+        first_seen, last_updated, classic_score, lazer_score, is_lazer, mod_settings, raw_payload
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                $17, $18, $19, $20, $21, ARRAY[$22]::TEXT[], $23, $23, $24, $25, $26, $27, $28)
+      ON CONFLICT (score_id) DO UPDATE SET
+        username = COALESCE(EXCLUDED.username, scores.username),
+        beatmapset_id = COALESCE(EXCLUDED.beatmapset_id, scores.beatmapset_id),
+        pp = COALESCE(EXCLUDED.pp, scores.pp),
+        raw_payload = EXCLUDED.raw_payload,
+        sources = CASE
+          WHEN $22 = ANY(scores.sources) THEN scores.sources
+          ELSE array_append(scores.sources, $22)
+        END,
+        last_updated = EXCLUDED.last_updated
+    `, [
+      row.scoreId, row.userId, row.username, row.beatmapId, row.beatmapsetId, row.mode,
+      row.score, row.pp, row.accuracy, row.maxCombo, row.mods, row.grade, row.perfect,
+      row.passed, row.count300, row.count100, row.count50, row.countMiss, row.countGeki,
+      row.countKatu, row.datePlayed, source, now, row.classicScore, row.lazerScore,
+      row.isLazer, JSON.stringify(row.modSettings), JSON.stringify(row.rawPayload)
+    ]);
+    stored++;
+  }
+
+  return stored;
+}
+
+// Pull a player's best, recent and first place scores into the history
+async function fetchPlayerScores(userId, username, mode = 'osu') {
+  mode = normalizeMode(mode);
+  const result = { userId, username, mode, fetched: 0, stored: 0, sources: {} };
+
+  for (const [source, limit] of Object.entries(SCORE_SOURCES)) {
+    const scores = await getUserScores(userId, source, limit, mode);
+    const stored = await saveScores(scores, source, { userId, username }, mode);
+
+    result.sources[source] = stored;
+    result.fetched += scores?.length || 0;
+    result.stored += stored;
+  }
+
+  return result;
+}
+
+function pageOptions(limit, offset) {
+  return {
+    limit: Math.max(1, Math.min(parseInt(limit, 10) || 50, MAX_PAGE_SIZE)),
+    offset: Math.max(0, parseInt(offset, 10) || 0)
+  };
+}
+
+// Run a filtered history query, returning one page plus the total row count
+async function getScorePage(conditions, params, { sort = 'recent', limit, offset } = {}) {
+  const page = pageOptions(limit, offset);
+  const whereClause = conditions.join(' AND ');
+  const orderBy = SORT_ORDERS[sort] || SORT_ORDERS.recent;
+
+  const [scores, count] = await Promise.all([
+    getRows(`
+      SELECT ${SCORE_COLUMNS}
+      FROM scores s
+      LEFT JOIN beatmap_metadata bm ON bm.beatmap_id = s.beatmap_id
+      WHERE ${whereClause}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, page.limit, page.offset]),
+    getRow(`SELECT COUNT(*) AS total FROM scores s WHERE ${whereClause}`, params)
+  ]);
+
+  return { scores, total: parseInt(count?.total || 0, 10), ...page };
+}
+
+// Every stored score of a player, newest first by default
+async function getPlayerScoreHistory(username, { mode = 'osu', beatmapId = null, sort, limit, offset } = {}) {
+  try {
+    const params = [username, normalizeMode(mode)];
+    const conditions = ['LOWER(s.username) = LOWER($1)', 's.mode = $2'];
+
+    if (beatmapId) {
+      params.push(beatmapId);
+      conditions.push(`s.beatmap_id = $${params.length}`);
+    }
+
+    return await getScorePage(conditions, params, { sort, limit, offset });
+  } catch (err) {
+    console.error('Failed to get player score history:', err.message);
+    return { scores: [], total: 0, ...pageOptions(limit, offset) };
+  }
+}
+
+// Every stored score set on a beatmap, optionally for one country or player
+async function getBeatmapScoreHistory(beatmapId, { mode = 'osu', country = null, username = null, sort, limit, offset } = {}) {
+  try {
+    const params = [beatmapId, normalizeMode(mode)];
+    const conditions = ['s.beatmap_id = $1', 's.mode = $2'];
+
+    if (country) {
+      params.push(country);
+      conditions.push(`s.user_id IN (SELECT user_id FROM players WHERE country = $${params.length})`);
+    }
+    if (username) {
+      params.push(username);
+      conditions.push(`LOWER(s.username) = LOWER($${params.length})`);
+    }
+
+    return await getScorePage(conditions, params, { sort, limit, offset });
+  } catch (err) {
+    console.error('Failed to get beatmap score history:', err.message);
+    return { scores: [], total: 0, ...pageOptions(limit, offset) };
+  }
+}
+
+// One stored score of a player, null when it is not theirs or not stored
+async function getPlayerScore(username, scoreId) {
+  try {
+    return await getRow(`
+      SELECT ${SCORE_COLUMNS}
+      FROM scores s
+      LEFT JOIN beatmap_metadata bm ON bm.beatmap_id = s.beatmap_id
+      WHERE s.score_id = $1 AND LOWER(s.username) = LOWER($2)
+    `, [scoreId, username]);
+  } catch (err) {
+    console.error('Failed to get player score:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  SCORE_SOURCES,
+  SCORE_SORTS: Object.keys(SORT_ORDERS),
+  toScoreRow,
+  saveScores,
+  fetchPlayerScores,
+  getPlayerScoreHistory,
+  getPlayerScore,
+  getBeatmapScoreHistory
+};
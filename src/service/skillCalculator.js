@@ -1,8 +1,49 @@
 const { query, getRows } = require('../config/db');
+const { attachBeatmapFeatures } = require('./beatmapFeatures');
+const { calculateAttributeSkills, calculateSkillConfidence } = require('./skillModel');
+
+// skill_tracking rows record the model version that produced them; readers only use the
+// current version, and recomputeSkillHistory rewrites older snapshots under it.
+//   1 - mod and star rating heuristics (SkillCalculator below)
+//   2 - beatmap attribute model (skillModel)
+const SKILL_MODEL_VERSION = 2;
+
+// Skills below this confidence are shown as provisional
+const PROVISIONAL_CONFIDENCE = 0.4;
+// Widest uncertainty band around a 0-10 skill value, at zero confidence
+const MAX_INTERVAL_WIDTH = 10;
+
+// How long the recompute leaves a snapshot alone after rebuilding it failed
+const RECOMPUTE_RETRY_MS = 24 * 60 * 60 * 1000;
+
+// Pattern thresholds for maps with extracted .osu features (see beatmapFeatures)
+const AIM_JUMP_DISTANCE = 150;
+const SPEED_STREAM_DENSITY = 0.15;
+const SPEED_LONGEST_STREAM = 16;
 
 class SkillCalculator {
+  // Rows saved with per-mod attributes carry the star rating with their mods applied;
+  // older rows only have the nomod rating, so HR and DT stand in for the difference
+  static hasModAdjustedRating(s) {
+    return s.base_difficulty_rating !== undefined && s.base_difficulty_rating !== null;
+  }
+
+  // Scores on analyzed maps are judged by their patterns, others by star rating and mods
+  static isAimScore(s) {
+    if (s.features) return (s.features.jump_distance_avg ?? 0) >= AIM_JUMP_DISTANCE;
+    return s.difficulty_rating > 5.0 || (!this.hasModAdjustedRating(s) && s.mods?.includes('HR'));
+  }
+
+  static isSpeedScore(s) {
+    if (s.features) {
+      return (s.features.stream_density ?? 0) >= SPEED_STREAM_DENSITY ||
+        (s.features.longest_stream ?? 0) >= SPEED_LONGEST_STREAM;
+    }
+    return s.difficulty_rating > 4.5 || (!this.hasModAdjustedRating(s) && s.mods?.includes('DT'));
+  }
+
   static calculateAimSkill(scores) {
-    const aimScores = scores.filter(s => s.mods?.includes('HR') || s.difficulty_rating > 5.0);
+    const aimScores = scores.filter(s => this.isAimScore(s));
     if (aimScores.length === 0) return 0;
     
     const avgPP = aimScores.reduce((sum, s) => sum + (s.pp || 0), 0) / aimScores.length;
@@ -12,7 +53,7 @@ class SkillCalculator {
   }
 
   static calculateSpeedSkill(scores) {
-    const speedScores = scores.filter(s => s.mods?.includes('DT') || s.difficulty_rating > 4.5);
+    const speedScores = scores.filter(s => this.isSpeedScore(s));
     if (speedScores.length === 0) return 0;
     
     const dtScores = speedScores.filter(s => s.mods?.includes('DT')).length;
@@ -32,13 +73,18 @@ class SkillCalculator {
     return Math.min(10, avgAccuracy * 10 * (1 + consistencyBonus));
   }
 
+  // AR 10+ after mods reads like HR even without it
+  static isHighApproachRate(s) {
+    return s.mods?.includes('HR') || (s.ar ?? 0) >= 10;
+  }
+
   static calculateReadingSkill(scores) {
-    const readingScores = scores.filter(s => s.mods?.includes('HD') || s.mods?.includes('HR'));
+    const readingScores = scores.filter(s => s.mods?.includes('HD') || this.isHighApproachRate(s));
     if (readingScores.length === 0) return Math.min(10, scores.length * 0.1);
     
     const hdScores = readingScores.filter(s => s.mods?.includes('HD')).length;
-    const hrScores = readingScores.filter(s => s.mods?.includes('HR')).length;
-    const modVariety = (hdScores + hrScores) / scores.length;
+    const highArScores = readingScores.filter(s => this.isHighApproachRate(s)).length;
+    const modVariety = (hdScores + highArScores) / scores.length;
     
     return Math.min(10, 3 + (modVariety * 7));
   }
@@ -87,19 +133,19 @@ class SkillCalculator {
     return getRows(`
       SELECT skill_type, skill_value, calculated_at
       FROM skill_tracking 
-      WHERE username = $1 AND calculated_at > $2
+      WHERE username = $1 AND calculated_at > $2 AND algorithm_version = $3
       ORDER BY calculated_at ASC
-    `, [username, cutoff]);
+    `, [username, cutoff, SKILL_MODEL_VERSION]);
   }
 
   static async calculateSkillTrends(username) {
     const recentSkills = await getRows(`
       SELECT skill_type, skill_value, calculated_at
       FROM skill_tracking 
-      WHERE username = $1
+      WHERE username = $1 AND algorithm_version = $2
       ORDER BY calculated_at DESC
       LIMIT 50
-    `, [username]);
+    `, [username, SKILL_MODEL_VERSION]);
 
     const trends = {};
     const skillTypes = ['aim', 'speed', 'accuracy', 'reading', 'consistency'];
@@ -136,7 +182,7 @@ class SkillCalculator {
       WITH recent_skills AS (
         SELECT DISTINCT ON (username) username, skill_value
         FROM skill_tracking 
-        WHERE skill_type = $2
+        WHERE skill_type = $2 AND algorithm_version = $3
         ORDER BY username, calculated_at DESC
       )
       SELECT COUNT(*) + 1 as rank
@@ -146,15 +192,15 @@ class SkillCalculator {
         FROM recent_skills 
         WHERE username = $1
       )
-    `, [username, skillType]);
+    `, [username, skillType, SKILL_MODEL_VERSION]);
   }
 
-  static async getTopPlayersBySkill(skillType, limit = 10) {
+  static async getTopPlayersBySkill(skillType, limit = 10, mode = 'osu') {
     return await getRows(`
       WITH recent_skills AS (
         SELECT DISTINCT ON (username) username, skill_value, calculated_at
         FROM skill_tracking 
-        WHERE skill_type = $1
+        WHERE skill_type = $1 AND mode = $3 AND algorithm_version = $4
         ORDER BY username, calculated_at DESC
       )
       SELECT rs.username, rs.skill_value, ps.weighted_pp, ps.country_rank
@@ -163,7 +209,7 @@ class SkillCalculator {
       WHERE ps.is_active = true
       ORDER BY rs.skill_value DESC
       LIMIT $2
-    `, [skillType, limit]);
+    `, [skillType, limit, mode, SKILL_MODEL_VERSION]);
   }
 
   static calculateSkillBalance(skills) {
@@ -218,37 +264,160 @@ class SkillCalculator {
   }
 }
 
-// Update player skills
-async function updatePlayerSkills(username, playerScores) {
+// Skill model implementations by version
+const SKILL_MODELS = {
+  1: (scores) => SkillCalculator.calculateOverallSkill(scores),
+  2: (scores) => calculateAttributeSkills(scores)
+};
+
+function calculateSkills(scores, version = SKILL_MODEL_VERSION) {
+  const model = SKILL_MODELS[version];
+  if (!model) throw new Error(`Unknown skill model version ${version}`);
+  return model(scores);
+}
+
+// Uncertainty band of a stored skill value; it narrows as confidence grows
+function skillInterval(skillValue, confidence) {
+  const value = parseFloat(skillValue) || 0;
+  const certainty = Math.min(1, Math.max(0, parseFloat(confidence) || 0));
+  const halfWidth = MAX_INTERVAL_WIDTH * (1 - certainty) / 2;
+
+  return {
+    value,
+    confidence: certainty,
+    lower: Math.round(Math.max(0, value - halfWidth) * 100) / 100,
+    upper: Math.round(Math.min(10, value + halfWidth) * 100) / 100,
+    provisional: certainty < PROVISIONAL_CONFIDENCE
+  };
+}
+
+// A player's top scores with the beatmap attributes the skill model reads.
+// With before set, only scores set by then (rows overwritten since are gone).
+async function getSkillScores(username, mode = 'osu', { before = null, limit = 100 } = {}) {
+  const params = [username, mode, limit];
+  let timeFilter = '';
+  if (before) {
+    params.push(before);
+    timeFilter = `AND (t.play_date IS NULL OR t.play_date <= $${params.length})`;
+  }
+
+  const scores = await getRows(`
+    SELECT
+      t.*,
+      bm.cs AS map_cs, bm.ar AS map_ar, bm.od AS map_od, bm.bpm AS map_bpm,
+      bm.length AS map_length, bm.max_combo AS map_max_combo,
+      (SELECT MAX(c.pp) FROM algeria_top50 c WHERE c.beatmap_id = t.beatmap_id AND c.mode = t.mode) AS map_max_pp
+    FROM algeria_top50 t
+    LEFT JOIN beatmap_metadata bm ON bm.beatmap_id = t.beatmap_id
+    WHERE t.username = $1 AND t.mode = $2 ${timeFilter}
+    ORDER BY t.pp DESC NULLS LAST
+    LIMIT $3
+  `, params);
+
+  if (mode === 'osu') await attachBeatmapFeatures(scores);
+  return scores;
+}
+
+// One skill_tracking row per skill, stamped with the model version and its confidence
+// (the column default of 0.5 when none was calculated)
+async function storeSkills(username, mode, skills, calculatedAt, { version = SKILL_MODEL_VERSION, confidence = {} } = {}) {
+  for (const [skillType, skillValue] of Object.entries(skills)) {
+    if (skillType === 'overall') continue; // Skip overall in individual tracking
+
+    await query(`
+      INSERT INTO skill_tracking (username, skill_type, skill_value, confidence, calculated_at, mode, algorithm_version)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [username, skillType, skillValue, confidence[skillType] ?? 0.5, calculatedAt, mode, version]);
+  }
+}
+
+// Keep only the last 30 entries per skill type (per ruleset and version) to prevent table bloat
+async function trimSkillHistory(username, mode, version = SKILL_MODEL_VERSION) {
+  await query(`
+    DELETE FROM skill_tracking 
+    WHERE username = $1 AND mode = $2 AND algorithm_version = $3 AND id NOT IN (
+      SELECT id FROM skill_tracking 
+      WHERE username = $1 AND mode = $2 AND algorithm_version = $3
+      ORDER BY calculated_at DESC 
+      LIMIT 150
+    )
+  `, [username, mode, version]);
+}
+
+// Update player skills under the current model
+async function updatePlayerSkills(username, mode = 'osu') {
   try {
-    const skills = SkillCalculator.calculateOverallSkill(playerScores);
+    const scores = await getSkillScores(username, mode);
+    const skills = calculateSkills(scores);
     const now = Date.now();
-    
-    for (const [skillType, skillValue] of Object.entries(skills)) {
-      if (skillType === 'overall') continue; // Skip overall in individual tracking
-      
-      await query(`
-        INSERT INTO skill_tracking (username, skill_type, skill_value, calculated_at)
-        VALUES ($1, $2, $3, $4)
-      `, [username, skillType, skillValue, now]);
-    }
-    
-    // Keep only last 30 entries per skill type to prevent table bloat
-    await query(`
-      DELETE FROM skill_tracking 
-      WHERE username = $1 AND id NOT IN (
-        SELECT id FROM skill_tracking 
-        WHERE username = $1 
-        ORDER BY calculated_at DESC 
-        LIMIT 150
-      )
-    `, [username]);
-    
+
+    await storeSkills(username, mode, skills, now, {
+      confidence: calculateSkillConfidence(scores, { now })
+    });
+    await trimSkillHistory(username, mode);
+
+    return skills;
   } catch (err) {
     console.error('Skill tracking update failed:', err.message);
+    return null;
+  }
+}
+
+// Mark a snapshot whose recompute failed so later runs take other snapshots first
+async function markRecomputeFailed(snapshot, version) {
+  try {
+    await query(`
+      UPDATE skill_tracking SET recompute_failed_at = $4
+      WHERE username = $1 AND mode IS NOT DISTINCT FROM $2 AND calculated_at = $3 AND algorithm_version < $5
+    `, [snapshot.username, snapshot.mode, snapshot.calculated_at, Date.now(), version]);
+  } catch (err) {
+    console.warn(`Failed to mark skill recompute of ${snapshot.username}:`, err.message);
   }
 }
 
+// Rewrite skill snapshots of older model versions under the given version, oldest first.
+// Each snapshot is recomputed from the scores set by its time; the old rows are kept
+// for comparison until the cleanup job ages them out. Snapshots that failed are
+// retried after RECOMPUTE_RETRY_MS, behind the ones never tried.
+async function recomputeSkillHistory(version = SKILL_MODEL_VERSION, limit = 200) {
+  const snapshots = await getRows(`
+    SELECT old.username, old.mode, old.calculated_at, MAX(old.recompute_failed_at) AS failed_at
+    FROM skill_tracking old
+    WHERE old.algorithm_version < $1
+      AND (old.recompute_failed_at IS NULL OR old.recompute_failed_at < $3)
+      AND NOT EXISTS (
+        SELECT 1 FROM skill_tracking cur
+        WHERE cur.username = old.username AND cur.mode = old.mode
+          AND cur.calculated_at = old.calculated_at AND cur.algorithm_version = $1
+      )
+    GROUP BY old.username, old.mode, old.calculated_at
+    ORDER BY failed_at ASC NULLS FIRST, old.calculated_at ASC
+    LIMIT $2
+  `, [version, limit, Date.now() - RECOMPUTE_RETRY_MS]);
+
+  let recomputed = 0;
+  let failed = 0;
+
+  for (const snapshot of snapshots) {
+    const mode = snapshot.mode || 'osu';
+    try {
+      const scores = await getSkillScores(snapshot.username, mode, { before: snapshot.calculated_at });
+      const calculatedAt = Number(snapshot.calculated_at);
+      await storeSkills(snapshot.username, mode, calculateSkills(scores, version), snapshot.calculated_at, {
+        version,
+        confidence: calculateSkillConfidence(scores, { now: calculatedAt })
+      });
+      recomputed++;
+    } catch (err) {
+      console.error(`Skill recompute failed for ${snapshot.username}:`, err.message);
+      await markRecomputeFailed(snapshot, version);
+      failed++;
+    }
+  }
+
+  return { recomputed, failed, remaining: snapshots.length === limit };
+}
+
 // Get skill statistics for all players
 async function getSkillStatistics() {
   try {
@@ -257,6 +426,7 @@ async function getSkillStatistics() {
         SELECT DISTINCT ON (username, skill_type) 
                username, skill_type, skill_value
         FROM skill_tracking 
+        WHERE algorithm_version = $1
         ORDER BY username, skill_type, calculated_at DESC
       )
       SELECT 
@@ -268,7 +438,7 @@ async function getSkillStatistics() {
         PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY skill_value) as median_skill
       FROM recent_skills
       GROUP BY skill_type
-    `);
+    `, [SKILL_MODEL_VERSION]);
 
     return stats.reduce((acc, stat) => {
       acc[stat.skill_type] = {
@@ -307,8 +477,16 @@ async function cleanupOldSkillData(cutoffDays = 90) {
 }
 
 module.exports = {
+  SKILL_MODEL_VERSION,
+  PROVISIONAL_CONFIDENCE,
   SkillCalculator,
+  calculateSkills,
+  getSkillScores,
+  storeSkills,
+  skillInterval,
+  trimSkillHistory,
   updatePlayerSkills,
+  recomputeSkillHistory,
   getSkillStatistics,
   cleanupOldSkillData
 };
@@ -0,0 +1,222 @@
+const { difficultyMods, clockRate, adjustDifficulty } = require('./beatmapAttributes');
+
+// Attribute-based skill model (skill_tracking algorithm version 2).
+// Every score is rated per skill as demand x execution x level:
+//   demand    - how much the map asks of the skill at the score's mods (AR, CS, OD, BPM, length)
+//   execution - how well it was played: pp against the map's pp ceiling, or misses and combo
+//   level     - the mod-adjusted star rating, so easy maps played well do not rate as hard ones
+// A skill is the top-weighted average of these ratings (like pp weighting), scaled to 0-10.
+
+const SKILL_TYPES = ['aim', 'speed', 'accuracy', 'reading', 'consistency'];
+
+const SKILL_WEIGHTS = {
+  aim: 0.25,
+  speed: 0.25,
+  accuracy: 0.20,
+  reading: 0.15,
+  consistency: 0.15
+};
+
+// Weight of the n-th best rating, as in weighted pp
+const RANK_WEIGHT = 0.95;
+// Star rating that counts as full level
+const LEVEL_STAR_RATING = 8;
+// Length in seconds at which a map fully tests consistency
+const CONSISTENCY_LENGTH = 300;
+
+// Rated scores at which sample size gives half confidence, and the score age half-life
+const CONFIDENCE_SAMPLE_SCALE = 10;
+const CONFIDENCE_HALF_LIFE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+function parseMods(mods) {
+  if (Array.isArray(mods)) return mods;
+  return !mods || mods === 'None' ? [] : String(mods).split(',');
+}
+
+// Circle size with EZ/HR applied; the clock rate does not change it
+function adjustCircleSize(cs, acronyms) {
+  if (cs === null || cs === undefined) return null;
+  if (acronyms.includes('HR')) return Math.min(10, cs * 1.3);
+  if (acronyms.includes('EZ')) return cs * 0.5;
+  return cs;
+}
+
+// Mod-adjusted map attributes of a score row joined with its beatmap_metadata
+// (map_cs, map_ar, map_od, map_bpm, map_length, map_max_combo)
+function effectiveAttributes(score) {
+  const mods = parseMods(score.mods);
+  const difficulty = difficultyMods(mods, score.mod_settings || {}, 'osu');
+  const acronyms = difficulty.map(mod => mod.acronym);
+  const rate = clockRate(difficulty);
+
+  // Leaderboard rows store AR and OD with mods applied; older rows fall back to the map
+  let ar = score.ar ?? null;
+  let od = score.od ?? null;
+  if (ar === null || od === null) {
+    const adjusted = adjustDifficulty({ ar: score.map_ar, od: score.map_od }, difficulty);
+    ar = ar ?? adjusted.ar;
+    od = od ?? adjusted.od;
+  }
+
+  return {
+    mods,
+    ar,
+    od,
+    cs: adjustCircleSize(score.map_cs, acronyms),
+    bpm: score.map_bpm ? score.map_bpm * rate : null,
+    length: score.map_length ? score.map_length / rate : null,
+    starRating: score.difficulty_rating || 0
+  };
+}
+
+// How much the map asks of each skill, 0-1
+function skillDemands(score, attributes = effectiveAttributes(score)) {
+  const { ar, od, cs, bpm, length, mods } = attributes;
+  const tempo = clamp01(((bpm ?? 0) - 120) / 130);
+  const features = score.features;
+
+  const aimSpacing = features ? clamp01((features.jump_distance_avg ?? 0) / 250) : tempo;
+  const speed = features
+    ? 0.5 * tempo + 0.3 * clamp01((features.stream_density ?? 0) / 0.4) + 0.2 * clamp01(((od ?? 0) - 7) / 4)
+    : 0.7 * tempo + 0.3 * clamp01(((od ?? 0) - 7) / 4);
+
+  // Very high and very low approach rates are both hard to read, as are HD and FL
+  const approachReading = ar === null ? 0 : Math.max(clamp01((ar - 9.5) / 1.5), clamp01((8 - ar) / 3));
+  const hidden = mods.includes('HD') || mods.includes('FL') ? 1 : 0;
+
+  return {
+    aim: 0.35 * clamp01(((cs ?? 4) - 3) / 3.5) + 0.35 * clamp01(((ar ?? 0) - 8) / 3) + 0.3 * aimSpacing,
+    speed,
+    accuracy: clamp01(((od ?? 0) - 5) / 5.5),
+    reading: clamp01(0.7 * approachReading + 0.3 * hidden),
+    consistency: clamp01((length ?? 0) / CONSISTENCY_LENGTH)
+  };
+}
+
+// pp against the map's ceiling: pp if SS when known, else the best pp stored on the map.
+// Without pp (loved, unranked) accuracy stands in.
+function performanceRatio(score) {
+  const ceiling = score.pp_if_ss || score.map_max_pp;
+  if (score.pp > 0 && ceiling > 0) return clamp01(score.pp / ceiling);
+  return clamp01(score.accuracy || 0);
+}
+
+// Misses per object and combo against the map's max combo
+function executionConsistency(score) {
+  const objects = (score.count_300 || 0) + (score.count_100 || 0) + (score.count_50 || 0) + (score.count_miss || 0);
+  const missRate = objects > 0 ? (score.count_miss || 0) / objects : 0;
+  const comboRatio = score.map_max_combo > 0 ? clamp01((score.max_combo || 0) / score.map_max_combo) : 1 - clamp01(missRate * 10);
+
+  return 0.5 * comboRatio + 0.5 * (1 - clamp01(missRate * 10));
+}
+
+// 85% accuracy and below counts as nothing, 100% as full
+function executionAccuracy(score) {
+  return clamp01(((score.accuracy || 0) - 0.85) / 0.15);
+}
+
+// Per-skill ratings of one score, 0-1
+function rateScore(score) {
+  const attributes = effectiveAttributes(score);
+  const demands = skillDemands(score, attributes);
+  const level = clamp01(attributes.starRating / LEVEL_STAR_RATING);
+  const performance = performanceRatio(score);
+
+  return {
+    aim: demands.aim * performance * level,
+    speed: demands.speed * performance * level,
+    accuracy: demands.accuracy * executionAccuracy(score) * level,
+    reading: demands.reading * performance * level,
+    consistency: demands.consistency * executionConsistency(score) * level
+  };
+}
+
+// Best ratings count most: the n-th best has weight 0.95^n
+function weightedTop(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => b - a);
+  let total = 0;
+  let weights = 0;
+  sorted.forEach((value, index) => {
+    const weight = Math.pow(RANK_WEIGHT, index);
+    total += value * weight;
+    weights += weight;
+  });
+
+  return total / weights;
+}
+
+// Confidence of each skill from the scores behind it, 0-1:
+//   sample size - n / (n + 10), so 3 rated scores give 0.23 and 100 give 0.91
+//   variance    - 1 / (1 + coefficient of variation) of the per-score ratings
+//   recency     - from 1 down to 0.5 as the median score ages, halving every 180 days
+function sampleConfidence(values, playedAt, now) {
+  const n = values.length;
+  if (n === 0) return 0;
+
+  const size = n / (n + CONFIDENCE_SAMPLE_SCALE);
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / n;
+  const spread = mean > 0 ? 1 / (1 + Math.sqrt(variance) / mean) : 0;
+
+  // Scores without a play date do not move the recency factor
+  const ages = playedAt
+    .filter(time => time > 0)
+    .map(time => Math.max(0, now - time) / DAY_MS)
+    .sort((a, b) => a - b);
+  const medianAge = ages.length > 0 ? ages[Math.floor(ages.length / 2)] : 0;
+  const recency = 0.5 + 0.5 * Math.pow(0.5, medianAge / CONFIDENCE_HALF_LIFE_DAYS);
+
+  return Math.round(size * spread * recency * 1000) / 1000;
+}
+
+// Per-skill confidence for the scores a skill set was calculated from, as of now
+function calculateSkillConfidence(scores, { now = Date.now() } = {}) {
+  const ratings = scores.map(rateScore);
+  const playedAt = scores.map(score => Number(score.play_date) || null);
+  const confidence = {};
+
+  for (const skillType of SKILL_TYPES) {
+    // Scores that say nothing about a skill (zero rating) are not part of its sample
+    const rated = ratings
+      .map((rating, index) => ({ value: rating[skillType], playedAt: playedAt[index] }))
+      .filter(entry => entry.value > 0);
+
+    confidence[skillType] = sampleConfidence(rated.map(e => e.value), rated.map(e => e.playedAt), now);
+  }
+
+  return confidence;
+}
+
+// Skills from 0 to 10 and their weighted overall value
+function calculateAttributeSkills(scores) {
+  const ratings = scores.map(rateScore);
+  const skills = {};
+
+  for (const skillType of SKILL_TYPES) {
+    skills[skillType] = Math.min(10, weightedTop(ratings.map(rating => rating[skillType])) * 10);
+  }
+
+  const overall = SKILL_TYPES.reduce((sum, skillType) => sum + skills[skillType] * SKILL_WEIGHTS[skillType], 0);
+
+  return { ...skills, overall: Math.min(10, overall) };
+}
+
+module.exports = {
+  SKILL_TYPES,
+  SKILL_WEIGHTS,
+  effectiveAttributes,
+  skillDemands,
+  performanceRatio,
+  rateScore,
+  calculateAttributeSkills,
+  calculateSkillConfidence
+};
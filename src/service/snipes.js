@@ -0,0 +1,187 @@
+const { getRows, getRow } = require('../config/db');
+const { config } = require('../config/env');
+
+// Record a snipe inside an open leaderboard transaction
+async function recordSnipe(client, { beatmapId, beatmapTitle, mode = 'osu', country = config.DEFAULT_COUNTRY, sniper, victim, timestamp = Date.now() }) {
+  await client.query(`
+    INSERT INTO snipes (
+      beatmap_id, beatmap_title, sniper_id, sniper_username, victim_id, victim_username,
+      old_score, new_score, old_pp, new_pp, sniped_at, mode, country
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+  `, [
+    beatmapId, beatmapTitle,
+    sniper.id, sniper.username,
+    victim.id, victim.username,
+    victim.score, sniper.score,
+    victim.pp || 0, sniper.pp || 0,
+    timestamp, mode, country
+  ]);
+}
+
+// Get most recent snipes across all beatmaps
+async function getRecentSnipes(limit = 50, offset = 0, since = null, country = null) {
+  try {
+    const params = [limit, offset];
+    const conditions = [];
+
+    if (since) {
+      params.push(since);
+      conditions.push(`sniped_at > $${params.length}`);
+    }
+    if (country) {
+      params.push(country);
+      conditions.push(`country = $${params.length}`);
+    }
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return await getRows(`
+      SELECT id, beatmap_id, beatmap_title, sniper_username, victim_username,
+             old_score, new_score, old_pp, new_pp, mode, country, sniped_at
+      FROM snipes
+      ${whereClause}
+      ORDER BY sniped_at DESC
+      LIMIT $1 OFFSET $2
+    `, params);
+  } catch (err) {
+    console.error('Failed to get recent snipes:', err.message);
+    return [];
+  }
+}
+
+// Get snipes made by a player
+async function getSnipesByPlayer(username, limit = 50, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT id, beatmap_id, beatmap_title, victim_username,
+             old_score, new_score, old_pp, new_pp, mode, sniped_at
+      FROM snipes
+      WHERE sniper_username ILIKE $1
+      ORDER BY sniped_at DESC
+      LIMIT $2 OFFSET $3
+    `, [username, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get player snipes:', err.message);
+    return [];
+  }
+}
+
+// Get snipes suffered by a player
+async function getSnipesOnPlayer(username, limit = 50, offset = 0) {
+  try {
+    return await getRows(`
+      SELECT id, beatmap_id, beatmap_title, sniper_username,
+             old_score, new_score, old_pp, new_pp, mode, sniped_at
+      FROM snipes
+      WHERE victim_username ILIKE $1
+      ORDER BY sniped_at DESC
+      LIMIT $2 OFFSET $3
+    `, [username, limit, offset]);
+  } catch (err) {
+    console.error('Failed to get snipes on player:', err.message);
+    return [];
+  }
+}
+
+// Aggregate who sniped a player the most
+async function getTopSnipersOf(username, limit = 10) {
+  try {
+    return await getRows(`
+      SELECT sniper_username AS username, COUNT(*) AS snipe_count, MAX(sniped_at) AS last_sniped_at
+      FROM snipes
+      WHERE victim_username ILIKE $1
+      GROUP BY sniper_username
+      ORDER BY snipe_count DESC, last_sniped_at DESC
+      LIMIT $2
+    `, [username, limit]);
+  } catch (err) {
+    console.error('Failed to get top snipers:', err.message);
+    return [];
+  }
+}
+
+// Aggregate whom a player sniped the most
+async function getTopVictimsOf(username, limit = 10) {
+  try {
+    return await getRows(`
+      SELECT victim_username AS username, COUNT(*) AS snipe_count, MAX(sniped_at) AS last_sniped_at
+      FROM snipes
+      WHERE sniper_username ILIKE $1
+      GROUP BY victim_username
+      ORDER BY snipe_count DESC, last_sniped_at DESC
+      LIMIT $2
+    `, [username, limit]);
+  } catch (err) {
+    console.error('Failed to get top victims:', err.message);
+    return [];
+  }
+}
+
+// Get player pairs that keep stealing each other's #1s
+async function getRivalries(limit = 20, player = null) {
+  try {
+    const params = [limit];
+    let whereClause = '';
+
+    if (player) {
+      params.push(player);
+      whereClause = `WHERE sniper_username ILIKE $${params.length} OR victim_username ILIKE $${params.length}`;
+    }
+
+    const rows = await getRows(`
+      SELECT
+        LEAST(sniper_username, victim_username) AS player1,
+        GREATEST(sniper_username, victim_username) AS player2,
+        COUNT(*) FILTER (WHERE sniper_username = LEAST(sniper_username, victim_username)) AS player1_snipes,
+        COUNT(*) FILTER (WHERE sniper_username = GREATEST(sniper_username, victim_username)) AS player2_snipes,
+        COUNT(*) AS total_snipes,
+        MAX(sniped_at) AS last_sniped_at
+      FROM snipes
+      ${whereClause}
+      GROUP BY 1, 2
+      ORDER BY total_snipes DESC, last_sniped_at DESC
+      LIMIT $1
+    `, params);
+
+    return rows.map(row => ({
+      ...row,
+      player1_snipes: parseInt(row.player1_snipes),
+      player2_snipes: parseInt(row.player2_snipes),
+      total_snipes: parseInt(row.total_snipes)
+    }));
+  } catch (err) {
+    console.error('Failed to get rivalries:', err.message);
+    return [];
+  }
+}
+
+// Get snipe totals for a player
+async function getSnipeCounts(username) {
+  try {
+    const counts = await getRow(`
+      SELECT
+        COUNT(*) FILTER (WHERE sniper_username ILIKE $1) AS snipes,
+        COUNT(*) FILTER (WHERE victim_username ILIKE $1) AS sniped
+      FROM snipes
+      WHERE sniper_username ILIKE $1 OR victim_username ILIKE $1
+    `, [username]);
+
+    return {
+      snipes: parseInt(counts.snipes) || 0,
+      sniped: parseInt(counts.sniped) || 0
+    };
+  } catch (err) {
+    console.error('Failed to get snipe counts:', err.message);
+    return { snipes: 0, sniped: 0 };
+  }
+}
+
+module.exports = {
+  recordSnipe,
+  getRecentSnipes,
+  getSnipesByPlayer,
+  getSnipesOnPlayer,
+  getTopSnipersOf,
+  getTopVictimsOf,
+  getRivalries,
+  getSnipeCounts
+};
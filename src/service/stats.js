@@ -321,7 +321,7 @@ class StatsService {
     }
   }
 
-  // Get beatmap popularity statistics
+  // Get beatmap popularity statistics, with their nomod star rating
   async getBeatmapPopularityStats(limit = 20) {
     try {
       return await getRows(`
@@ -330,13 +330,13 @@ class StatsService {
           beatmap_title,
           artist,
           difficulty_name,
-          difficulty_rating,
+          MIN(COALESCE(base_difficulty_rating, difficulty_rating)) as difficulty_rating,
           COUNT(*) as total_scores,
           AVG(accuracy) as avg_accuracy,
           MAX(score) as best_score,
           AVG(pp) as avg_pp
         FROM algeria_top50
-        GROUP BY beatmap_id, beatmap_title, artist, difficulty_name, difficulty_rating
+        GROUP BY beatmap_id, beatmap_title, artist, difficulty_name
         ORDER BY total_scores DESC
         LIMIT $1
       `, [limit]);
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+delete process.env.DISCORD_WEBHOOK_URL;
+delete process.env.DISCORD_WEBHOOK_ACHIEVEMENT;
+delete process.env.DISCORD_DRY_RUN;
+
+const DAY = 24 * 60 * 60 * 1000;
+const ACHIEVEMENT_NAMES = [
+  'First Steps', 'Century Club', 'Perfectionist', 'Speed Demon', 'Precision Master', 'In the Dark',
+  'Top Player', 'Consistency King', 'PP Collector', 'Dedication', 'Combo Master', 'Mod Master',
+  'Rising Star', 'No Fail', 'Accuracy Elite'
+];
+
+// Fresh in-memory player state for each test
+function setup({ scores = [], stats = {}, owned = [] } = {}) {
+  const fakeDb = createFakeDb();
+  const unlocked = new Set(owned);
+  const activity = [];
+
+  fakeDb
+    .on(/FROM algeria_top50 WHERE username = \$1/, () => scores)
+    .on(/FROM player_stats WHERE username = \$1/, () => [{ username: 'tester', ...stats }])
+    .on(/FROM achievements WHERE name = \$1/, ([name]) => {
+      const id = ACHIEVEMENT_NAMES.indexOf(name) + 1;
+      return id ? [{ id, name, description: name, icon: '🏆', points: 10 }] : [];
+    })
+    .on(/SELECT id FROM player_achievements/, ([, id]) => (unlocked.has(ACHIEVEMENT_NAMES[id - 1]) ? [{ id }] : []))
+    .on(/INSERT INTO player_achievements/, ([, id]) => { unlocked.add(ACHIEVEMENT_NAMES[id - 1]); })
+    .on(/INSERT INTO player_activity/, (params) => { activity.push(params); });
+
+  stubModule('src/config/db.js', fakeDb.db);
+  delete require.cache[require.resolve('../src/service/achievements')];
+  const { checkAchievements } = load('src/service/achievements.js');
+
+  return { checkAchievements, unlocked, activity };
+}
+
+function score(overrides = {}) {
+  return {
+    mods: 'None',
+    accuracy: 0.9,
+    rank: 5,
+    max_combo: 300,
+    difficulty_rating: 3,
+    count_miss: 2,
+    last_updated: Date.UTC(2025, 0, 1),
+    ...overrides
+  };
+}
+
+test('returns nothing when the player has no stats row', async () => {
+  const fakeDb = createFakeDb();
+  stubModule('src/config/db.js', fakeDb.db);
+  delete require.cache[require.resolve('../src/service/achievements')];
+  const { checkAchievements } = load('src/service/achievements.js');
+
+  assert.deepEqual(await checkAchievements('ghost'), []);
+});
+
+test('first score unlocks First Steps only', async () => {
+  const { checkAchievements, activity } = setup({ scores: [score()] });
+
+  assert.deepEqual(await checkAchievements('tester'), ['First Steps']);
+  assert.equal(activity.length, 1);
+  assert.equal(JSON.parse(activity[0][1]).name, 'First Steps');
+});
+
+test('mod, rank, combo and difficulty conditions', async () => {
+  const { checkAchievements } = setup({
+    scores: [
+      score({ mods: 'HD,DT', rank: 1 }),
+      score({ mods: 'HR', max_combo: 1200 }),
+      score({ mods: 'FL' }),
+      score({ mods: 'EZ' }),
+      score({ mods: 'NF', difficulty_rating: 5.4, count_miss: 0 })
+    ]
+  });
+
+  const unlocked = await checkAchievements('tester');
+  for (const name of ['Speed Demon', 'Precision Master', 'In the Dark', 'Top Player', 'Combo Master', 'Mod Master', 'No Fail']) {
+    assert.ok(unlocked.includes(name), `expected ${name}`);
+  }
+  assert.ok(!unlocked.includes('Perfectionist'));
+});
+
+test('stat thresholds for pp, playtime, country rank and accuracy', async () => {
+  const { checkAchievements } = setup({
+    scores: [score({ accuracy: 1 })],
+    stats: { total_pp: 1000, total_playtime: 360000, country_rank: 100, accuracy_avg: 0.95 }
+  });
+
+  const unlocked = await checkAchievements('tester');
+  for (const name of ['Perfectionist', 'PP Collector', 'Dedication', 'Rising Star', 'Accuracy Elite']) {
+    assert.ok(unlocked.includes(name), `expected ${name}`);
+  }
+
+  const below = setup({
+    scores: [score()],
+    stats: { total_pp: 999, total_playtime: 359999, country_rank: 101, accuracy_avg: 0.949 }
+  });
+  assert.deepEqual(await below.checkAchievements('tester'), ['First Steps']);
+});
+
+test('Consistency King needs five consecutive days', async () => {
+  const start = Date.UTC(2025, 2, 10, 12);
+  const consecutive = Array.from({ length: 5 }, (_, i) => score({ last_updated: start + i * DAY }));
+
+  const { checkAchievements } = setup({ scores: consecutive });
+  assert.ok((await checkAchievements('tester')).includes('Consistency King'));
+
+  const gap = consecutive.map((s, i) => ({ ...s, last_updated: start + (i < 2 ? i : i + 1) * DAY }));
+  const withGap = setup({ scores: gap });
+  assert.ok(!(await withGap.checkAchievements('tester')).includes('Consistency King'));
+});
+
+test('already unlocked achievements are not awarded twice', async () => {
+  const { checkAchievements, activity } = setup({ scores: [score({ mods: 'HD' })], owned: ['First Steps'] });
+
+  assert.deepEqual(await checkAchievements('tester'), ['In the Dark']);
+  assert.equal(activity.length, 1);
+});
+
+test('Century Club at 100 scores', async () => {
+  const scores = Array.from({ length: 100 }, () => score());
+  const { checkAchievements } = setup({ scores });
+
+  assert.ok((await checkAchievements('tester')).includes('Century Club'));
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+let featureRows = [];
+
+const fakeDb = createFakeDb();
+fakeDb.on(/WITH latest_skills AS/, () => featureRows);
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const { standardize, kMeans, labelCluster, FEATURES, clusterArchetypes } = load('src/service/archetypes.js');
+
+function player(username, overrides = {}) {
+  return {
+    username,
+    aim: 5, speed: 5, accuracy: 5, reading: 5, consistency: 5,
+    hd_share: '0.5', hr_share: '0.2', dt_share: '0.2', nomod_share: '0.3', star_rating: '5.5',
+    ...overrides
+  };
+}
+
+test('features are standardized to z-scores, constant features to 0', () => {
+  const { vectors, means, deviations } = standardize([[1, 5], [3, 5]]);
+
+  assert.deepEqual(means, [2, 5]);
+  assert.deepEqual(deviations, [1, 0]);
+  assert.deepEqual(vectors, [[-1, 0], [1, 0]]);
+});
+
+test('k-means separates well apart groups and reports centroid distances', () => {
+  const points = [[0, 0], [0, 1], [1, 0], [10, 10], [10, 11], [11, 10]];
+  const { assignments, centroids, distances } = kMeans(points, 2);
+
+  assert.equal(new Set(assignments.slice(0, 3)).size, 1);
+  assert.equal(new Set(assignments.slice(3)).size, 1);
+  assert.notEqual(assignments[0], assignments[3]);
+
+  const low = centroids[assignments[0]];
+  assert.ok(Math.abs(low[0] - 1 / 3) < 1e-9 && Math.abs(low[1] - 1 / 3) < 1e-9);
+  assert.ok(Math.abs(distances[0] - Math.sqrt(2 / 9)) < 1e-9);
+
+  // Never more clusters than points
+  assert.equal(kMeans([[1, 1]], 4).centroids.length, 1);
+  assert.deepEqual(kMeans([], 3).assignments, []);
+});
+
+test('k-means never returns duplicate or empty clusters when points repeat', () => {
+  const { centroids, assignments } = kMeans([[0, 0], [0, 0], [0, 0], [1, 1], [1, 1]], 4);
+
+  assert.deepEqual(centroids.map(c => c.join(',')).sort(), ['0,0', '1,1']);
+  assert.deepEqual(assignments.slice(0, 3), Array(3).fill(assignments[0]));
+  assert.deepEqual(assignments.slice(3), Array(2).fill(assignments[3]));
+  assert.notEqual(assignments[0], assignments[3]);
+});
+
+test('clusters are named after the features they stand out in', () => {
+  const centroid = FEATURES.map(feature => ({ speed: 1.4, dt_share: 0.9, aim: 0.3 }[feature] || 0));
+  assert.equal(labelCluster(centroid), 'Speed + DT');
+  assert.equal(labelCluster(FEATURES.map(() => 0.1)), 'Balanced');
+});
+
+test('clustering stores each player with their cluster, distance and the cluster profiles', async () => {
+  featureRows = [
+    player('aimer1', { aim: 9, hr_share: '0.8' }),
+    player('aimer2', { aim: 8.5, hr_share: '0.7' }),
+    player('speed1', { speed: 9, dt_share: '0.9' }),
+    player('speed2', { speed: 8.8, dt_share: '0.8' }),
+    player('newbie', { aim: 1, speed: 1, accuracy: 1, reading: 1, consistency: 1, star_rating: null })
+  ];
+
+  const result = await clusterArchetypes({ k: 3 });
+  assert.equal(result.players, 5);
+  assert.equal(result.clusters, 3);
+
+  assert.equal(fakeDb.callsMatching(/^BEGIN$/).length, 1);
+  assert.equal(fakeDb.callsMatching(/^COMMIT$/).length, 1);
+  assert.deepEqual(fakeDb.callsMatching(/DELETE FROM player_archetypes/)[0].params, ['osu']);
+
+  const members = fakeDb.callsMatching(/INSERT INTO player_archetypes/).map(call => call.params);
+  const clusterOf = Object.fromEntries(members.map(params => [params[0], params[2]]));
+  assert.equal(clusterOf.aimer1, clusterOf.aimer2);
+  assert.equal(clusterOf.speed1, clusterOf.speed2);
+  assert.equal(new Set(Object.values(clusterOf)).size, 3);
+  for (const params of members) assert.ok(params[3] >= 0);
+
+  // Missing score features count as 0
+  const newbie = members.find(params => params[0] === 'newbie');
+  assert.equal(JSON.parse(newbie[4]).star_rating, 0);
+
+  const profiles = fakeDb.callsMatching(/INSERT INTO archetype_clusters/).map(call => call.params);
+  const speedProfile = profiles.find(params => params[1] === clusterOf.speed1);
+  assert.equal(speedProfile[3], 2);
+  assert.equal(JSON.parse(speedProfile[4]).speed, 8.9);
+  assert.match(speedProfile[2], /Speed|DT/);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+const requests = [];
+let failRequests = false;
+
+stubModule('src/service/osuApi.js', {
+  normalizeMode: (mode, fallback = 'osu') => mode || fallback,
+  getBeatmapAttributes: async (beatmapId, mods, mode) => {
+    requests.push({ beatmapId, mods, mode });
+    if (failRequests) throw new Error('socket hang up');
+    // Nomod osu! matches the stored beatmap rating
+    const starRating = mode === 'osu' && mods.length === 0 ? 5.1 : 6.75;
+    return { attributes: { star_rating: starRating, max_combo: 1200, aim_difficulty: 3.1 } };
+  }
+});
+
+// beatmap_attributes keyed by beatmap, mode and mods, plus stored beatmaps and leaderboard rows
+const cache = new Map();
+const metadata = new Map([[20, { difficulty_rating: 5.1, ar: 9.3, od: 8.5, max_combo: 1200 }]]);
+const updates = [];
+const failedMarks = [];
+let pendingRows = [];
+
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/FROM beatmap_attributes WHERE/, ([beatmapId, mode, mods]) => {
+    const row = cache.get(`${beatmapId}:${mode}:${mods}`);
+    return row ? [row] : [];
+  })
+  .on(/INSERT INTO beatmap_attributes/, ([beatmapId, mode, mods, starRating, ar, od, maxCombo, attributes]) => {
+    // JSONB comes back parsed
+    cache.set(`${beatmapId}:${mode}:${mods}`, {
+      mods, star_rating: starRating, ar, od, max_combo: maxCombo, attributes: JSON.parse(attributes)
+    });
+  })
+  .on(/SELECT count_circles, count_sliders, count_spinners FROM beatmap_metadata/, ([beatmapId]) =>
+    beatmapId === 20 ? [{ count_circles: 600, count_sliders: 280, count_spinners: 2 }] : [{ count_circles: null }]
+  )
+  .on(/FROM beatmap_metadata WHERE beatmap_id = \$1/, ([beatmapId]) =>
+    metadata.has(beatmapId) ? [metadata.get(beatmapId)] : []
+  )
+  .on(/SELECT beatmap_id, mods, mod_settings, MAX\(attributes_failed_at\)/, () => pendingRows)
+  .on(/UPDATE algeria_top50 SET attributes_failed_at/, (params) => {
+    failedMarks.push(params);
+    return [{}];
+  })
+  .on(/UPDATE algeria_top50 SET/, (params) => {
+    updates.push(params);
+    return [{}, {}];
+  });
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const {
+  difficultyMods,
+  scoreModsKey,
+  adjustDifficulty,
+  getBeatmapAttributes,
+  getPerformanceAttributes,
+  getScoreAttributes,
+  backfillScoreAttributes
+} = load('src/service/beatmapAttributes.js');
+
+function reset() {
+  cache.clear();
+  requests.length = 0;
+  updates.length = 0;
+  failedMarks.length = 0;
+  pendingRows = [];
+  failRequests = false;
+}
+
+test('mod combinations are keyed by the mods that change difficulty', () => {
+  assert.equal(scoreModsKey(['HD', 'NC', 'HR'], {}), 'DT,HR');
+  assert.equal(scoreModsKey(['HD', 'NF', 'SD'], {}), 'None');
+  assert.equal(scoreModsKey(['DT', 'HD'], { DT: { speed_change: 1.3 } }), 'DT(speed_change=1.3)');
+  // HR does not change mania difficulty
+  assert.equal(scoreModsKey(['HR', 'DT'], {}, 'mania'), 'DT');
+  assert.deepEqual(difficultyMods(['NC'], { NC: { speed_change: 1.2 } }), [{ acronym: 'DT', settings: { speed_change: 1.2 } }]);
+});
+
+test('AR and OD follow the HR multiplier and the clock rate', () => {
+  const hardRock = adjustDifficulty({ ar: 9, od: 8 }, [{ acronym: 'HR' }]);
+  assert.equal(hardRock.ar, 10);
+  assert.ok(Math.abs(hardRock.od - 10) < 1e-9);
+
+  // AR 9 is 600ms, 400ms at 1.5x; OD 8 is a 32ms window, 21.3ms at 1.5x
+  const doubleTime = adjustDifficulty({ ar: 9, od: 8 }, [{ acronym: 'DT' }]);
+  assert.ok(Math.abs(doubleTime.ar - 10.333) < 0.001);
+  assert.ok(Math.abs(doubleTime.od - 9.778) < 0.001);
+
+  // HT at 0.75x, and EZ halves both
+  const slowed = adjustDifficulty({ ar: 10, od: 10 }, [{ acronym: 'EZ' }, { acronym: 'HT' }]);
+  assert.ok(Math.abs(slowed.ar - 1.667) < 0.001);
+  assert.ok(Math.abs(slowed.od - 2.222) < 0.001);
+});
+
+test('nomod osu! attributes come from the beatmap without an API call', async () => {
+  reset();
+  const attributes = await getBeatmapAttributes(20, ['HD'], 'osu');
+
+  assert.deepEqual(attributes, { mods: 'None', star_rating: 5.1, ar: 9.3, od: 8.5, max_combo: 1200, attributes: null });
+  assert.equal(requests.length, 0);
+});
+
+test('modded attributes are fetched once and cached with the full payload', async () => {
+  reset();
+  const first = await getBeatmapAttributes(20, ['HD', 'DT'], 'osu');
+  const second = await getBeatmapAttributes(20, ['NC'], 'osu');
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0], { beatmapId: 20, mods: [{ acronym: 'DT' }], mode: 'osu' });
+  assert.equal(first.star_rating, 6.75);
+  // AR and OD are missing from the payload, derived from the stored beatmap
+  assert.ok(Math.abs(first.ar - 10.533) < 0.001);
+  assert.deepEqual(second, first);
+  assert.equal(cache.get('20:osu:DT').attributes.aim_difficulty, 3.1);
+});
+
+test('performance attributes include the payload, adjusted AR/OD and object counts', async () => {
+  reset();
+  const attributes = await getPerformanceAttributes(20, [], 'osu');
+
+  // Nomod is fetched too, the beatmap row has no aim or speed attributes
+  assert.equal(requests.length, 1);
+  assert.equal(attributes.aim_difficulty, 3.1);
+  assert.deepEqual([attributes.ar, attributes.od, attributes.max_combo], [9.3, 8.5, 1200]);
+  assert.deepEqual([attributes.hit_circle_count, attributes.slider_count, attributes.spinner_count], [600, 280, 2]);
+
+  // Without object counts there is nothing to calculate with
+  metadata.set(22, { difficulty_rating: 4, ar: 9, od: 8, max_combo: 500 });
+  assert.equal(await getPerformanceAttributes(22, ['HR'], 'osu'), null);
+});
+
+test('cache-only lookups never call the API', async () => {
+  reset();
+  assert.equal(await getPerformanceAttributes(20, ['DT'], 'osu', { cachedOnly: true }), null);
+  assert.equal(requests.length, 0);
+
+  await getBeatmapAttributes(20, ['DT'], 'osu');
+  const cached = await getPerformanceAttributes(20, ['DT'], 'osu', { cachedOnly: true });
+  assert.equal(cached.aim_difficulty, 3.1);
+  assert.equal(requests.length, 1);
+});
+
+test('converts always use the API, failures return null', async () => {
+  reset();
+  const taiko = await getBeatmapAttributes(20, [], 'taiko');
+  assert.equal(taiko.star_rating, 6.75);
+  assert.equal(taiko.ar, null);
+  assert.equal(requests[0].mode, 'taiko');
+
+  failRequests = true;
+  assert.equal(await getBeatmapAttributes(21, ['HR'], 'osu'), null);
+});
+
+test('score attributes are resolved once per mod combination', async () => {
+  reset();
+  const scores = [
+    { mods: ['HD', 'DT'], mod_settings: {} },
+    { mods: ['NC'], mod_settings: {} },
+    { mods: [], mod_settings: {} }
+  ];
+  const attributes = await getScoreAttributes(20, scores, 'osu', { difficulty_rating: 5.1, ar: 9.3, accuracy: 8.5 });
+
+  assert.deepEqual([...attributes.keys()], ['DT', 'None']);
+  assert.equal(attributes.get('None').od, 8.5);
+  // Nomod is fetched as well so its full payload is cached for the pp calculator
+  assert.equal(requests.length, 2);
+  assert.equal(cache.get('20:osu:None').attributes.aim_difficulty, 3.1);
+});
+
+test('backfill moves the stored nomod rating aside and writes the modded one', async () => {
+  reset();
+  pendingRows = [
+    { beatmap_id: 20, mods: 'HD,DT', mod_settings: {} },
+    { beatmap_id: 20, mods: 'None', mod_settings: {} }
+  ];
+
+  const updated = await backfillScoreAttributes('osu', 10);
+
+  assert.equal(updated, 4);
+  assert.deepEqual(updates.map(p => [p[2], p[3]]), [['HD,DT', 6.75], ['None', 5.1]]);
+  assert.equal(updates[0][6], '{}');
+});
+
+test('backfill marks combinations whose attributes fail so later runs move past them', async () => {
+  reset();
+  pendingRows = [{ beatmap_id: 21, mods: 'HR', mod_settings: {} }];
+  failRequests = true;
+
+  assert.equal(await backfillScoreAttributes('osu', 10), 0);
+  assert.equal(updates.length, 0);
+  assert.deepEqual(failedMarks.map(p => [p[0], p[1], p[2]]), [[21, 'osu', 'HR']]);
+
+  // Marked combinations are only selected again after the retry delay, behind untried ones
+  const [select] = fakeDb.callsMatching(/MAX\(attributes_failed_at\)/).slice(-1);
+  assert.match(select.sql, /attributes_failed_at IS NULL OR attributes_failed_at < \$3/);
+  assert.match(select.sql, /ORDER BY failed_at ASC NULLS FIRST/);
+  assert.ok(Date.now() - select.params[2] >= 24 * 60 * 60 * 1000 - 1000);
+});
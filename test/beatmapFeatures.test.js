@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+const inserted = [];
+const metadataUpdates = [];
+// Beatmaps without features, and when their analysis last failed
+let pendingBeatmaps = [];
+const failedAt = new Map();
+
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/INSERT INTO beatmap_features/, (params) => { inserted.push(params); })
+  .on(/SET features_failed_at/, ([beatmapId, time]) => { failedAt.set(beatmapId, time); })
+  .on(/UPDATE beatmap_metadata SET/, (params) => { metadataUpdates.push(params); })
+  .on(/FROM beatmap_features WHERE beatmap_id = ANY/, ([beatmapIds]) =>
+    beatmapIds.filter(id => id === 3100001).map(id => ({ beatmap_id: id, stream_density: 0.47, pattern_type: 'stream' }))
+  )
+  .on(/FROM unnest\(\$1::bigint\[\], \$2::bigint\[\]\)/, ([ids, modifiedAt]) =>
+    ids
+      .map((id, i) => ({ beatmap_id: id, modifiedAt: modifiedAt[i] }))
+      .filter(({ beatmap_id: id, modifiedAt: time }) =>
+        pendingBeatmaps.includes(id) && (!failedAt.has(id) || failedAt.get(id) < time))
+      .map(({ beatmap_id: id }) => ({ beatmap_id: id }))
+  )
+  .on(/SELECT COUNT\(\*\) AS count FROM beatmap_metadata/, ([ids]) =>
+    [{ count: String(pendingBeatmaps.filter(id => !ids.includes(id)).length) }]
+  );
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const { config } = load('src/config/env.js');
+const { parseBeatmapFile, beatmapChecksum } = load('src/service/beatmapFiles.js');
+const {
+  extractFeatures,
+  analyzeBeatmapFile,
+  attachBeatmapFeatures,
+  syncBeatmapFeatures
+} = load('src/service/beatmapFeatures.js');
+
+// 180 BPM with an 8-note 1/4 stream, four 1/2 jumps, a 2x velocity slider, then 200 BPM
+const STREAM = [0, 1, 2, 3, 4, 5, 6, 7].map(i => `${100 + 10 * i},100,${Math.round(1000 + i * 333.333333 / 4)},1,0`);
+const OSU_FILE = [
+  'osu file format v14',
+  '',
+  '[General]',
+  'Mode: 0',
+  '',
+  '[Metadata]',
+  'Title:Pattern Test',
+  'BeatmapID:3100001',
+  '',
+  '[Difficulty]',
+  'OverallDifficulty:8',
+  'ApproachRate:9',
+  'SliderMultiplier:1.4',
+  '',
+  '[TimingPoints]',
+  '0,333.333333,4,2,0,60,1,0',
+  '2900,-50,4,2,0,60,0,0',
+  '10000,300,4,2,0,60,1,0',
+  '',
+  '[HitObjects]',
+  ...STREAM,
+  '100,100,2000,5,0',
+  '400,100,2167,1,0',
+  '100,100,2333,1,0',
+  '400,300,2500,1,0',
+  '256,192,3000,2,0,L|356:192,1,100',
+  '256,192,3500,1,0',
+  '100,100,10500,5,0',
+  '150,100,10650,1,0',
+  '256,192,12000,12,0,14000'
+].join('\n');
+
+test('the .osu parser reads sections, timing points and object kinds', () => {
+  const beatmap = parseBeatmapFile(OSU_FILE);
+
+  assert.equal(beatmap.formatVersion, 14);
+  assert.equal(beatmap.Metadata.Title, 'Pattern Test');
+  assert.equal(beatmap.Difficulty.OverallDifficulty, 8);
+  assert.equal(beatmap.timingPoints.length, 3);
+  assert.equal(beatmap.timingPoints[1].uninherited, false);
+  assert.equal(beatmap.hitObjects.length, 17);
+
+  // 100px at 1.4 x 100 x 2 px per beat is 0.357 of a 333ms beat
+  const slider = beatmap.hitObjects.find(o => o.kind === 'slider');
+  assert.equal(slider.endTime, 3119);
+  assert.equal(beatmap.hitObjects[16].kind, 'spinner');
+  assert.equal(beatmap.hitObjects[16].endTime, 14000);
+});
+
+test('features cover object counts, streams, jumps and BPM changes', () => {
+  const features = extractFeatures(parseBeatmapFile(OSU_FILE));
+
+  assert.deepEqual(
+    [features.countCircles, features.countSliders, features.countSpinners],
+    [15, 1, 1]
+  );
+  assert.equal(features.sliderRatio, 0.059);
+  assert.equal(features.streamCount, 1);
+  assert.equal(features.longestStream, 8);
+  assert.equal(features.streamDensity, 0.471);
+
+  // 300, 300 and 360.6px at 1/2 beat, plus 50px at 200 BPM; pauses and slider ends do not count
+  assert.equal(features.jumpCount, 4);
+  assert.equal(features.jumpDistanceAvg, 252.6);
+  assert.equal(features.jumpDistanceP50, 300);
+  assert.equal(features.jumpDistanceMax, 360.6);
+  assert.deepEqual(features.jumpDistances, { '0-100': 1, '100-200': 0, '200-300': 0, '300+': 3 });
+
+  assert.deepEqual(
+    [features.bpmMain, features.bpmMin, features.bpmMax, features.bpmChanges],
+    [180, 180, 200, 1]
+  );
+  assert.equal(features.patternType, 'stream');
+});
+
+test('analysis stores features and fills the beatmap checksum and counts', async () => {
+  const result = await analyzeBeatmapFile(3100001, OSU_FILE, 'file');
+
+  assert.equal(result.success, true);
+  assert.equal(result.features.checksum, beatmapChecksum(OSU_FILE));
+  assert.equal(inserted.length, 1);
+  assert.equal(inserted[0][0], 3100001);
+  assert.equal(inserted[0][18], 'stream');
+  assert.equal(inserted[0][20], 'file');
+  assert.deepEqual(metadataUpdates[0], [3100001, 15, 1, 1, beatmapChecksum(OSU_FILE)]);
+});
+
+test('files for other beatmaps, other rulesets or no beatmap at all are rejected', async () => {
+  assert.equal((await analyzeBeatmapFile(999, OSU_FILE)).reason, 'invalid');
+  assert.equal((await analyzeBeatmapFile(3100001, 'not a beatmap')).reason, 'invalid');
+
+  const mania = OSU_FILE.replace('Mode: 0', 'Mode: 3');
+  const result = await analyzeBeatmapFile(3100001, mania);
+  assert.equal(result.success, false);
+  assert.match(result.message, /osu!standard/);
+});
+
+test('score rows get the features of analyzed maps', async () => {
+  const rows = await attachBeatmapFeatures([{ beatmap_id: 3100001 }, { beatmap_id: 42 }]);
+
+  assert.equal(rows[0].features.pattern_type, 'stream');
+  assert.equal(rows[1].features, null);
+});
+
+test('the sync only picks maps with a local file and skips files that failed until they change', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osu-files-'));
+  fs.writeFileSync(path.join(dir, '3100001.osu'), OSU_FILE);
+  fs.writeFileSync(path.join(dir, '3100002.osu'), 'not a beatmap');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+  config.OSU_FILES_DIR = dir;
+  pendingBeatmaps = [3100001, 3100002, 42];
+  inserted.length = 0;
+
+  try {
+    assert.deepEqual(await syncBeatmapFeatures(), { analyzed: 1, missing: 1, failed: 1 });
+    assert.equal(inserted.length, 1);
+    assert.ok(failedAt.has(3100002));
+
+    // The analyzed map drops out of the pending list and the broken file is not retried
+    pendingBeatmaps = [3100002, 42];
+    assert.deepEqual(await syncBeatmapFeatures(), { analyzed: 0, missing: 1, failed: 0 });
+
+    // A replaced file is analyzed again
+    const later = new Date(failedAt.get(3100002) + 60000);
+    fs.utimesSync(path.join(dir, '3100002.osu'), later, later);
+    assert.deepEqual(await syncBeatmapFeatures(), { analyzed: 0, missing: 1, failed: 1 });
+  } finally {
+    config.OSU_FILES_DIR = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
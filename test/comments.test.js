@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// Comments on two profiles whose names differ only where '_' could act as a wildcard
+const comments = [
+  { id: 1, target_username: 'a_b', commenter_username: 'gamma', is_deleted: false },
+  { id: 2, target_username: 'axb', commenter_username: 'gamma', is_deleted: false },
+  { id: 3, target_username: 'axb', commenter_username: 'gamma', is_deleted: true }
+];
+
+// Evaluates the target filter as Postgres would, ILIKE patterns included
+function matchesTarget(sql, params, username) {
+  const equality = sql.match(/LOWER\((?:pc\.)?target_username\) = LOWER\(\$(\d+)\)/);
+  if (equality) return username.toLowerCase() === params[equality[1] - 1].toLowerCase();
+
+  const pattern = sql.match(/target_username ILIKE \$(\d+)/);
+  const regex = params[pattern[1] - 1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${regex}$`, 'i').test(username);
+}
+
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/UPDATE player_comments/, (params, sql) =>
+    comments.filter(c => c.id === params[0] && c.is_deleted && matchesTarget(sql, params, c.target_username))
+  )
+  .on(/FROM player_comments/, (params, sql) => {
+    const found = comments.filter(c =>
+      matchesTarget(sql, params, c.target_username) &&
+      (!/is_deleted = false/.test(sql) || !c.is_deleted) &&
+      (!/WHERE id = \$1/.test(sql) || c.id === params[0])
+    );
+    return /COUNT\(\*\)/.test(sql) ? [{ total: String(found.length) }] : found;
+  });
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const {
+  getComments,
+  getCommentCount,
+  getCommentsForModeration,
+  restoreComment
+} = load('src/service/comments.js');
+
+test('a name containing _ only matches its own profile', async () => {
+  assert.deepEqual((await getComments('a_b')).map(c => c.id), [1]);
+  assert.equal(await getCommentCount('a_b'), 1);
+  assert.deepEqual((await getCommentsForModeration('a_b')).map(c => c.id), [1]);
+  assert.equal((await restoreComment('a_b', 3)).reason, 'not_found');
+
+  // Case still does not matter
+  assert.deepEqual((await getComments('AXB')).map(c => c.id), [2]);
+});
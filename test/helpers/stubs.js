@@ -0,0 +1,130 @@
+const path = require('path');
+const Module = require('module');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Stubbed files that do not exist on disk (routes import ../services and ../middleware)
+const virtualFiles = new Set();
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, ...rest) {
+  if (parent?.filename && request.startsWith('.')) {
+    const candidate = path.resolve(path.dirname(parent.filename), request);
+    if (virtualFiles.has(candidate)) return candidate;
+    if (virtualFiles.has(`${candidate}.js`)) return `${candidate}.js`;
+  }
+  return resolveFilename.call(this, request, parent, ...rest);
+};
+
+function resolveStub(relativePath) {
+  const filename = path.join(ROOT, relativePath);
+  try {
+    return require.resolve(filename);
+  } catch (err) {
+    virtualFiles.add(filename);
+    return filename;
+  }
+}
+
+// Replace a module in the require cache before anything else loads it
+function stubModule(relativePath, exports) {
+  const filename = resolveStub(relativePath);
+  require.cache[filename] = {
+    id: filename,
+    filename,
+    loaded: true,
+    exports
+  };
+  return exports;
+}
+
+// Require a repo module relative to the project root
+function load(relativePath) {
+  return require(path.join(ROOT, relativePath));
+}
+
+// In-memory stand-in for src/config/db.
+// Handlers are matched in registration order against the SQL text.
+function createFakeDb() {
+  const handlers = [];
+  const calls = [];
+
+  async function query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    calls.push({ sql: text, params });
+
+    for (const { pattern, handler } of handlers) {
+      if (pattern.test(text)) {
+        const rows = (await handler(params, text)) || [];
+        return { rows, rowCount: rows.length };
+      }
+    }
+
+    return { rows: [], rowCount: 0 };
+  }
+
+  const db = {
+    pool: {
+      connect: async () => ({ query, release: () => {} })
+    },
+    query,
+    getRows: async (sql, params) => (await query(sql, params)).rows,
+    getRow: async (sql, params) => (await query(sql, params)).rows[0] || null,
+    testConnection: async () => true,
+    closePool: async () => {}
+  };
+
+  return {
+    db,
+    calls,
+    on(pattern, handler) {
+      handlers.push({ pattern, handler });
+      return this;
+    },
+    callsMatching(pattern) {
+      return calls.filter(call => pattern.test(call.sql));
+    }
+  };
+}
+
+// In-memory stand-in for src/config/redis
+function createFakeRedis() {
+  const store = new Map();
+
+  const redisClient = {
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, String(value)); return 'OK'; },
+    setEx: async (key, ttl, value) => { store.set(key, String(value)); return 'OK'; },
+    del: async (...keys) => keys.flat().reduce((count, key) => count + (store.delete(key) ? 1 : 0), 0),
+    keys: async (pattern) => {
+      const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+      return [...store.keys()].filter(key => regex.test(key));
+    },
+    ping: async () => 'PONG',
+    on: () => redisClient
+  };
+
+  return {
+    store,
+    redis: {
+      redisClient,
+      connectRedis: async () => true,
+      disconnectRedis: async () => {},
+      saveProgress: async (key, value) => redisClient.set(`progress:${key}`, value),
+      getProgress: async (key) => redisClient.get(`progress:${key}`),
+      getCacheKey: (prefix, ...parts) => `${prefix}:${parts.map(p => String(p).toLowerCase()).join(':')}`,
+      getCached: async (key, fetchFunction) => fetchFunction(),
+      setCached: async (key, data) => redisClient.set(key, JSON.stringify(data)),
+      invalidateCache: async () => {},
+      clearAllCache: async () => store.clear(),
+      getCacheStats: async () => null,
+      testRedisConnection: async () => true
+    }
+  };
+}
+
+module.exports = {
+  stubModule,
+  load,
+  createFakeDb,
+  createFakeRedis
+};
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb, createFakeRedis } = require('./helpers/stubs');
+
+delete process.env.DISCORD_WEBHOOK_URL;
+delete process.env.DISCORD_WEBHOOK_NEW_FIRST;
+delete process.env.DISCORD_DRY_RUN;
+
+// Minimal emulation of algeria_top50 keyed like its primary key
+function createLeaderboardDb() {
+  const fakeDb = createFakeDb();
+  const rows = new Map();
+  const activity = [];
+  const snipes = [];
+  const dropped = [];
+  const key = (beatmapId, playerId, mode) => `${beatmapId}:${playerId}:${mode}`;
+
+  fakeDb
+    .on(/^(BEGIN|COMMIT|ROLLBACK)$/, () => [])
+    .on(/SELECT player_id, username, rank, score, pp FROM algeria_top50/, ([beatmapId, mode, country]) =>
+      [...rows.values()]
+        .filter(r => r.beatmap_id === beatmapId && r.mode === mode && r.country === country)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, 1)
+    )
+    .on(/SELECT score FROM algeria_top50/, ([beatmapId, playerId, mode]) => {
+      const row = rows.get(key(beatmapId, playerId, mode));
+      return row ? [{ score: String(row.score) }] : [];
+    })
+    .on(/INSERT INTO algeria_top50/, (p) => {
+      rows.set(key(p[0], p[4], p[20]), {
+        beatmap_id: p[0], player_id: p[4], username: p[5], rank: p[6], score: p[7],
+        accuracy: p[8], mods: p[10], pp: p[11], difficulty_rating: p[12], mode: p[20], country: p[21],
+        global_rank: p[22], base_difficulty_rating: p[26], ar: p[27], od: p[28]
+      });
+    })
+    .on(/INSERT INTO player_activity/, ([username, data], text) => {
+      const type = text.match(/VALUES \(\$1, '(\w+)'/)[1];
+      activity.push({ username, type, data: JSON.parse(data) });
+    })
+    .on(/INSERT INTO snipes/, (p) => {
+      snipes.push({ sniper: p[3], victim: p[5], oldScore: p[6], newScore: p[7], mode: p[11], country: p[12] });
+    })
+    .on(/SELECT player_id, username, rank, global_rank, score, pp, mods, country FROM algeria_top50/, ([beatmapId, mode]) =>
+      [...rows.values()].filter(r => r.beatmap_id === beatmapId && r.mode === mode)
+    )
+    .on(/INSERT INTO dropped_scores/, (p) => {
+      dropped.push({ username: p[3], rank: p[6], reason: p[11] });
+    })
+    .on(/DELETE FROM algeria_top50/, ([beatmapId, mode, playerIds]) => {
+      for (const playerId of playerIds) rows.delete(key(beatmapId, playerId, mode));
+    })
+    .on(/UPDATE algeria_top50 t SET rank/, ([beatmapId, mode]) => {
+      const byCountry = {};
+      for (const r of rows.values()) {
+        if (r.beatmap_id === beatmapId && r.mode === mode) (byCountry[r.country] = byCountry[r.country] || []).push(r);
+      }
+      for (const list of Object.values(byCountry)) {
+        list.sort((a, b) => b.score - a.score).forEach((r, i) => { r.rank = i + 1; });
+      }
+    });
+
+  return { fakeDb, rows, activity, snipes, dropped };
+}
+
+function apiScore(userId, username, score, overrides = {}) {
+  return {
+    user: { id: userId, username, country_code: 'DZ', country: { code: 'DZ' } },
+    score,
+    accuracy: 0.98,
+    pp: score / 10000,
+    mods: [],
+    max_combo: 800,
+    statistics: { count_300: 700, count_100: 10, count_50: 0, count_miss: 0 },
+    created_at: '2025-01-01T00:00:00Z',
+    ...overrides
+  };
+}
+
+// Global leaderboard returned for the next fetch
+let globalScores = [];
+const attributeRequests = [];
+// Pooled clients checked out when each attribute lookup ran
+const clientsHeldAtLookup = [];
+let clientsHeld = 0;
+let failAttributeLookups = false;
+stubModule('src/service/osuApi.js', {
+  GAME_MODES: ['osu', 'taiko', 'fruits', 'mania'],
+  normalizeMode: (mode, fallback = 'osu') => mode || fallback,
+  getBeatmapScores: async () => ({ scores: globalScores }),
+  getBeatmap: async () => null,
+  // One star per difficulty mod keeps expectations readable
+  getBeatmapAttributes: async (beatmapId, mods) => {
+    attributeRequests.push(mods.map(mod => mod.acronym).join(','));
+    clientsHeldAtLookup.push(clientsHeld);
+    if (failAttributeLookups) throw new Error('API unavailable');
+    return { attributes: { star_rating: 5.2 + mods.length, max_combo: 800 } };
+  }
+});
+
+const state = createLeaderboardDb();
+const connect = state.fakeDb.db.pool.connect;
+state.fakeDb.db.pool.connect = async () => {
+  const client = await connect();
+  clientsHeld++;
+  return { ...client, release: () => { clientsHeld--; client.release(); } };
+};
+stubModule('src/config/db.js', state.fakeDb.db);
+stubModule('src/config/redis.js', createFakeRedis().redis);
+stubModule('src/service/achievements.js', { checkAchievements: async () => [] });
+
+const { LeaderboardService, leaderboardService } = load('src/service/leaderboard.js');
+const statsUpdates = [];
+leaderboardService.updatePlayerStats = async (username, mode, country) => {
+  statsUpdates.push({ username, mode, country });
+};
+
+const BEATMAP = 1001;
+const beatmapInfo = { version: 'Insane', difficulty_rating: 5.2, ar: 9, accuracy: 8, beatmapset: { artist: 'Artist' } };
+
+function reset() {
+  state.rows.clear();
+  state.activity.length = 0;
+  state.snipes.length = 0;
+  state.dropped.length = 0;
+  statsUpdates.length = 0;
+  attributeRequests.length = 0;
+  clientsHeldAtLookup.length = 0;
+  failAttributeLookups = false;
+}
+
+test('first save inserts ranked rows and records the new #1', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000, { mods: ['HD', 'HR'] }),
+    apiScore(2, 'beta', 800000)
+  ], beatmapInfo, 'osu', 'DZ');
+
+  assert.equal(state.rows.size, 2);
+  assert.equal(state.rows.get(`${BEATMAP}:1:osu`).rank, 1);
+  assert.equal(state.rows.get(`${BEATMAP}:1:osu`).mods, 'HD,HR');
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).rank, 2);
+
+  assert.deepEqual(state.activity.map(a => [a.username, a.type]), [
+    ['alpha', 'new_first_place'],
+    ['beta', 'new_score']
+  ]);
+  assert.equal(state.activity[0].data.snipedFrom, null);
+  assert.equal(state.snipes.length, 0);
+  assert.deepEqual(statsUpdates.map(u => u.username), ['alpha', 'beta']);
+});
+
+test('rows store the star rating, AR and OD with the score\'s mods applied', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000, { mods: ['HD', 'DT', 'HR'] }),
+    apiScore(2, 'beta', 800000, { mods: ['NC', 'HR'] }),
+    apiScore(3, 'gamma', 700000, { mods: ['HD'] })
+  ], beatmapInfo, 'osu', 'DZ');
+
+  // HD does not change difficulty and NC counts as DT, so one request covers both modded rows;
+  // nomod is requested too so the pp calculator finds its attributes cached
+  assert.deepEqual(attributeRequests, ['DT,HR', '']);
+
+  const alpha = state.rows.get(`${BEATMAP}:1:osu`);
+  assert.equal(alpha.difficulty_rating, 7.2);
+  assert.equal(alpha.base_difficulty_rating, 5.2);
+  // AR 9 and OD 8 * 1.4 cap at 10, then 1.5x turns 450ms into 300ms and 20ms into 13.3ms
+  assert.ok(Math.abs(alpha.ar - 11) < 1e-9);
+  assert.ok(Math.abs(alpha.od - 11.11) < 0.01);
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).difficulty_rating, 7.2);
+
+  const gamma = state.rows.get(`${BEATMAP}:3:osu`);
+  assert.deepEqual([gamma.difficulty_rating, gamma.ar, gamma.od], [5.2, 9, 8]);
+
+  // Lookups can wait on the API, no pooled client is held while they run
+  assert.deepEqual(clientsHeldAtLookup, [0, 0]);
+  assert.equal(clientsHeld, 0);
+});
+
+test('rows whose attribute lookup failed are not marked as mod-adjusted', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000, { mods: ['DT'] })
+  ], beatmapInfo, 'osu', 'DZ');
+  assert.equal(state.rows.get(`${BEATMAP}:1:osu`).base_difficulty_rating, 5.2);
+
+  failAttributeLookups = true;
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 950000, { mods: ['DT', 'HR'] })
+  ], beatmapInfo, 'osu', 'DZ');
+
+  const alpha = state.rows.get(`${BEATMAP}:1:osu`);
+  assert.deepEqual([alpha.difficulty_rating, alpha.base_difficulty_rating, alpha.ar], [5.2, null, null]);
+  // The update replaces the marker rather than keeping the earlier one
+  const [upsert] = state.fakeDb.callsMatching(/INSERT INTO algeria_top50/).slice(-1);
+  assert.match(upsert.sql, /base_difficulty_rating = EXCLUDED.base_difficulty_rating,/);
+});
+
+test('upsert replaces an existing row instead of duplicating it', async () => {
+  reset();
+  const scores = [apiScore(1, 'alpha', 900000), apiScore(2, 'beta', 800000)];
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', scores, beatmapInfo, 'osu', 'DZ');
+  state.activity.length = 0;
+
+  const counts = await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000),
+    apiScore(2, 'beta', 850000, { accuracy: 0.99 }),
+    apiScore(3, 'gamma', 700000)
+  ], beatmapInfo, 'osu', 'DZ');
+
+  assert.equal(state.rows.size, 3);
+  assert.deepEqual(counts, { newRows: 1, improvedRows: 1 });
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).score, 850000);
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).accuracy, 0.99);
+  // Unchanged #1 and unchanged score produce no activity, the improvement does
+  assert.deepEqual(state.activity.map(a => [a.username, a.type, a.data.rank]), [
+    ['beta', 'new_score', 2],
+    ['gamma', 'new_score', 3]
+  ]);
+});
+
+test('a different player taking #1 is recorded as a snipe', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000),
+    apiScore(2, 'beta', 800000)
+  ], beatmapInfo, 'osu', 'DZ');
+  state.activity.length = 0;
+
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(2, 'beta', 950000),
+    apiScore(1, 'alpha', 900000)
+  ], beatmapInfo, 'osu', 'DZ');
+
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).rank, 1);
+  assert.equal(state.rows.get(`${BEATMAP}:1:osu`).rank, 2);
+
+  const first = state.activity.find(a => a.type === 'new_first_place');
+  assert.equal(first.username, 'beta');
+  assert.equal(first.data.snipedFrom, 'alpha');
+
+  assert.deepEqual(state.snipes, [
+    { sniper: 'beta', victim: 'alpha', oldScore: 900000, newScore: 950000, mode: 'osu', country: 'DZ' }
+  ]);
+});
+
+test('a renamed player keeping #1 is not recorded as sniping themselves', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(1, 'alpha', 900000)], beatmapInfo, 'osu', 'DZ');
+  state.activity.length = 0;
+
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(1, 'alpha_renamed', 900000)], beatmapInfo, 'osu', 'DZ');
+
+  assert.equal(state.rows.get(`${BEATMAP}:1:osu`).username, 'alpha_renamed');
+  assert.equal(state.activity.filter(a => a.type === 'new_first_place').length, 0);
+  assert.equal(state.snipes.length, 0);
+});
+
+test('first place is tracked per mode and per country', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(1, 'alpha', 900000)], beatmapInfo, 'osu', 'DZ');
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(3, 'gamma', 700000)], beatmapInfo, 'osu', 'MA');
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(2, 'beta', 500000)], beatmapInfo, 'taiko', 'DZ');
+
+  assert.equal(state.rows.size, 3);
+  assert.equal(state.snipes.length, 0);
+  assert.deepEqual(
+    state.activity.filter(a => a.type === 'new_first_place').map(a => [a.username, a.data.mode, a.data.country]),
+    [['alpha', 'osu', 'DZ'], ['gamma', 'osu', 'MA'], ['beta', 'taiko', 'DZ']]
+  );
+});
+
+test('a failing write rolls the transaction back', async () => {
+  reset();
+  const failing = createFakeDb();
+  failing.on(/INSERT INTO algeria_top50/, () => { throw new Error('boom'); });
+
+  const originalConnect = state.fakeDb.db.pool.connect;
+  state.fakeDb.db.pool.connect = failing.db.pool.connect;
+  try {
+    await assert.rejects(
+      leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(1, 'alpha', 900000)], beatmapInfo, 'osu', 'DZ'),
+      /boom/
+    );
+  } finally {
+    state.fakeDb.db.pool.connect = originalConnect;
+  }
+
+  assert.ok(failing.callsMatching(/^ROLLBACK$/).length === 1);
+  assert.equal(failing.callsMatching(/^COMMIT$/).length, 0);
+  assert.equal(statsUpdates.length, 0);
+});
+
+test('beatmap scans already queued are skipped and new rows are summed', async () => {
+  const service = new LeaderboardService();
+  const scanned = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  service.fetchLeaderboard = async (beatmapId, title, mode) => {
+    scanned.push(`${mode}:${beatmapId}`);
+    if (mode === 'osu' && beatmapId === 1) await gate;
+    return { success: true, newRows: beatmapId, improvedRows: 0, droppedRows: 0 };
+  };
+
+  // The first batch holds beatmap 1 while the second batch is queued
+  const first = service.scanBeatmaps([{ id: 1 }, { id: 2 }], 'osu');
+  const second = await service.scanBeatmaps([{ id: 2 }, { id: 3 }, { id: 1 }], 'taiko');
+  const third = service.scanBeatmaps([{ id: 1 }, { id: 2 }, { id: 4 }], 'osu');
+  release();
+
+  assert.deepEqual(await first, { queued: 2, skipped: 0, scanned: 2, failed: 0, newRows: 3, improvedRows: 0, droppedRows: 0 });
+  assert.equal(second.skipped, 0, 'queues are tracked per ruleset');
+  assert.deepEqual(await third, { queued: 1, skipped: 2, scanned: 1, failed: 0, newRows: 4, improvedRows: 0, droppedRows: 0 });
+  assert.deepEqual(scanned, ['osu:1', 'taiko:2', 'taiko:3', 'taiko:1', 'osu:4', 'osu:2']);
+  assert.equal(service.pendingScans.size, 0);
+});
+
+// Non-tracked filler so the fetched leaderboard is full
+function foreignScores(count, lowest) {
+  return Array.from({ length: count }, (_, i) => ({
+    user: { id: 9000 + i, username: `foreign${i}`, country: { code: 'FR' } },
+    score: lowest + (count - i) * 1000
+  }));
+}
+
+test('scores that left the leaderboard are dropped and the rest re-ranked', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [
+    apiScore(1, 'alpha', 900000),
+    apiScore(2, 'beta', 800000),
+    apiScore(3, 'gamma', 100000)
+  ], beatmapInfo, 'osu', 'DZ');
+  state.activity.length = 0;
+  statsUpdates.length = 0;
+
+  // alpha vanished while above the cutoff, gamma fell below it
+  globalScores = [apiScore(2, 'beta', 800000), ...foreignScores(49, 200000)];
+  const result = await leaderboardService.fetchLeaderboard(BEATMAP, 'Song', 'osu');
+
+  assert.equal(result.droppedRows, 2);
+  assert.deepEqual([...state.rows.keys()], [`${BEATMAP}:2:osu`]);
+  assert.deepEqual(state.dropped, [
+    { username: 'alpha', rank: 1, reason: 'removed' },
+    { username: 'gamma', rank: 3, reason: 'pushed_out' }
+  ]);
+
+  // beta inherits #1 without being recorded as sniping the dropped player
+  assert.equal(state.rows.get(`${BEATMAP}:2:osu`).rank, 1);
+  assert.equal(state.snipes.length, 0);
+  assert.deepEqual(state.activity.map(a => [a.username, a.type]), [
+    ['alpha', 'score_dropped'],
+    ['gamma', 'score_dropped']
+  ]);
+  assert.equal(state.activity[0].data.previousRank, 1);
+  assert.ok(statsUpdates.some(u => u.username === 'alpha'));
+});
+
+test('a fetch with every stored score present drops nothing', async () => {
+  reset();
+  await leaderboardService.saveBeatmapScores(BEATMAP, 'Song', [apiScore(1, 'alpha', 900000)], beatmapInfo, 'osu', 'DZ');
+
+  globalScores = [apiScore(1, 'alpha', 900000)];
+  const result = await leaderboardService.fetchLeaderboard(BEATMAP, 'Song', 'osu');
+
+  assert.equal(result.droppedRows, 0);
+  assert.equal(state.dropped.length, 0);
+  assert.equal(state.rows.size, 1);
+});
+
+test('the worldwide position is stored next to the country rank', async () => {
+  reset();
+  globalScores = [
+    ...foreignScores(3, 950000),
+    apiScore(1, 'alpha', 900000),
+    ...foreignScores(2, 850000),
+    apiScore(2, 'beta', 800000)
+  ];
+  await leaderboardService.fetchLeaderboard(BEATMAP, 'Song', 'osu');
+
+  const alpha = state.rows.get(`${BEATMAP}:1:osu`);
+  const beta = state.rows.get(`${BEATMAP}:2:osu`);
+  assert.deepEqual([alpha.rank, alpha.global_rank], [1, 4]);
+  assert.deepEqual([beta.rank, beta.global_rank], [2, 7]);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// schema_migrations emulation plus a log of what each migration did
+const applied = new Map();
+const executed = [];
+let tableExists = false;
+
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/to_regclass\('schema_migrations'\)/, () => [{ name: tableExists ? 'schema_migrations' : null }])
+  .on(/CREATE TABLE IF NOT EXISTS schema_migrations/, () => { tableExists = true; })
+  .on(/SELECT version, name, applied_at FROM schema_migrations/, () =>
+    [...applied.values()].sort((a, b) => a.version - b.version)
+  )
+  .on(/SELECT version FROM schema_migrations/, (params, text) => {
+    const rows = [...applied.values()].sort((a, b) => a.version - b.version);
+    return text.includes('DESC') ? rows.reverse() : rows;
+  })
+  .on(/INSERT INTO schema_migrations/, ([version, name]) => {
+    applied.set(version, { version, name, applied_at: Date.now() });
+  })
+  .on(/DELETE FROM schema_migrations/, ([version]) => { applied.delete(version); })
+  .on(/^migration:/, (params, text) => {
+    if (text.includes('explode')) throw new Error('syntax error');
+    executed.push(text.replace('migration:', ''));
+  });
+
+stubModule('src/config/db.js', fakeDb.db);
+const { loadMigrations, getMigrationStatus, migrate, rollback, assertSchemaUpToDate } = load('src/config/migrations.js');
+
+function migration(version, name, { failUp = false } = {}) {
+  return {
+    version,
+    name,
+    file: `${String(version).padStart(3, '0')}_${name}.js`,
+    up: (client) => client.query(`migration:up ${version}${failUp ? ' explode' : ''}`),
+    down: (client) => client.query(`migration:down ${version}`)
+  };
+}
+
+const MIGRATIONS = [migration(1, 'initial'), migration(2, 'columns'), migration(3, 'indexes')];
+
+function reset() {
+  applied.clear();
+  executed.length = 0;
+  tableExists = false;
+  fakeDb.calls.length = 0;
+}
+
+test('migration files on disk are numbered, ordered and export up/down', () => {
+  const migrations = loadMigrations();
+
+  assert.ok(migrations.length >= 4);
+  assert.deepEqual(migrations.slice(0, 4).map(m => m.version), [1, 2, 3, 4]);
+  assert.equal(migrations[3].name, 'players_and_scores');
+  for (const m of migrations) {
+    assert.equal(typeof m.up, 'function');
+    assert.equal(typeof m.down, 'function');
+  }
+});
+
+test('a fresh database reports every migration as pending', async () => {
+  reset();
+  const status = await getMigrationStatus(MIGRATIONS);
+
+  assert.equal(status.current, 0);
+  assert.equal(status.latest, 3);
+  assert.deepEqual(status.pending.map(m => m.version), [1, 2, 3]);
+  // Status must not create the tracking table
+  assert.equal(tableExists, false);
+
+  await assert.rejects(assertSchemaUpToDate(MIGRATIONS), /out of date.*Pending migrations: 1_initial, 2_columns, 3_indexes/);
+});
+
+test('migrate applies pending migrations in order, each in a transaction', async () => {
+  reset();
+  const result = await migrate({ migrations: MIGRATIONS });
+
+  assert.deepEqual(result.map(m => m.version), [1, 2, 3]);
+  assert.deepEqual(executed, ['up 1', 'up 2', 'up 3']);
+  assert.equal(fakeDb.callsMatching(/^BEGIN$/).length, 3);
+  assert.equal(fakeDb.callsMatching(/^COMMIT$/).length, 3);
+  assert.equal(fakeDb.callsMatching(/pg_advisory_unlock/).length, 1);
+
+  const status = await assertSchemaUpToDate(MIGRATIONS);
+  assert.equal(status.current, 3);
+
+  // Running again is a no-op
+  assert.deepEqual(await migrate({ migrations: MIGRATIONS }), []);
+});
+
+test('migrate stops at a target version', async () => {
+  reset();
+  await migrate({ to: 2, migrations: MIGRATIONS });
+
+  assert.deepEqual([...applied.keys()], [1, 2]);
+  const status = await getMigrationStatus(MIGRATIONS);
+  assert.deepEqual(status.pending.map(m => m.version), [3]);
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  reset();
+  const migrations = [migration(1, 'initial'), migration(2, 'broken', { failUp: true }), migration(3, 'indexes')];
+
+  await assert.rejects(migrate({ migrations }), /002_broken\.js \(up\) failed: syntax error/);
+  assert.deepEqual([...applied.keys()], [1]);
+  assert.deepEqual(executed, ['up 1']);
+  assert.equal(fakeDb.callsMatching(/^ROLLBACK$/).length, 1);
+  assert.equal(fakeDb.callsMatching(/pg_advisory_unlock/).length, 1);
+});
+
+test('rollback reverts the latest migrations', async () => {
+  reset();
+  await migrate({ migrations: MIGRATIONS });
+  executed.length = 0;
+
+  await rollback({ migrations: MIGRATIONS });
+  assert.deepEqual(executed, ['down 3']);
+  assert.deepEqual([...applied.keys()].sort(), [1, 2]);
+
+  await rollback({ to: 0, migrations: MIGRATIONS });
+  assert.deepEqual(executed, ['down 3', 'down 2', 'down 1']);
+  assert.equal(applied.size, 0);
+});
+
+test('a database ahead of the code refuses to start', async () => {
+  reset();
+  await migrate({ migrations: MIGRATIONS });
+
+  await assert.rejects(assertSchemaUpToDate(MIGRATIONS.slice(0, 2)), /newer than this build.*3_indexes/);
+  await assert.rejects(rollback({ migrations: MIGRATIONS.slice(0, 2) }), /migration file not found/);
+});
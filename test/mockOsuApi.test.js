@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockOsuApi } = require('../mock/osuApiServer');
+
+test.mock.method(console, 'log', () => {});
+
+let server;
+let baseUrl;
+let token;
+
+function api(path, { method = 'GET', body } = {}) {
+  return fetch(`${baseUrl}/api/v2${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+test.before(async () => {
+  server = await startMockOsuApi({ port: 0 });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const response = await fetch(`${baseUrl}/oauth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_id: 'id', client_secret: 'secret', grant_type: 'client_credentials' })
+  });
+  token = (await response.json()).access_token;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('beatmaps carry object counts and checksum', async () => {
+  const beatmap = await (await api('/beatmaps/3100001')).json();
+
+  assert.ok(beatmap.count_circles > 0);
+  assert.ok(beatmap.count_sliders > 0);
+  assert.ok(beatmap.count_spinners >= 0);
+  assert.match(beatmap.checksum, /^[0-9a-f]{32}$/);
+});
+
+test('difficulty attributes are served per mod combination', async () => {
+  const nomod = (await (await api('/beatmaps/3100001/attributes', { method: 'POST', body: { mods: [], ruleset: 'osu' } })).json()).attributes;
+  const dt = (await (await api('/beatmaps/3100001/attributes', {
+    method: 'POST',
+    body: { mods: [{ acronym: 'DT' }, { acronym: 'FL' }], ruleset: 'osu' }
+  })).json()).attributes;
+
+  assert.equal(nomod.star_rating, 7.03);
+  assert.equal(nomod.max_combo, 2385);
+  for (const field of ['aim_difficulty', 'speed_difficulty', 'speed_note_count', 'slider_factor']) {
+    assert.equal(typeof nomod[field], 'number');
+  }
+  assert.equal(nomod.flashlight_difficulty, undefined);
+
+  assert.ok(dt.star_rating > nomod.star_rating);
+  assert.ok(dt.flashlight_difficulty > 0);
+
+  assert.equal((await api('/beatmaps/999/attributes', { method: 'POST', body: { mods: [] } })).status, 404);
+});
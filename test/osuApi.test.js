@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+for (const method of ['log', 'warn']) {
+  test.mock.method(console, method, () => {});
+}
+
+// Scripted stand-in for the osu! API: each path replies from a queue of responses
+const app = express();
+const tokensIssued = [];
+const validTokens = new Set();
+const requests = [];
+const scripts = new Map();
+let tokenFailures = 0;
+
+app.use(express.json());
+app.post('/oauth/token', (req, res) => {
+  if (tokenFailures > 0) {
+    tokenFailures--;
+    return res.status(503).json({ error: 'unavailable' });
+  }
+  const token = `token-${tokensIssued.length + 1}`;
+  tokensIssued.push(token);
+  validTokens.add(token);
+  res.json({ access_token: token, expires_in: 86400, token_type: 'Bearer' });
+});
+app.use('/api/v2', (req, res) => {
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  requests.push({ path: req.path, token, at: Date.now() });
+
+  const queue = scripts.get(req.path) || [];
+  const reply = queue.length > 1 ? queue.shift() : queue[0] || { status: 200, body: { ok: true } };
+  if (reply.revokeToken) validTokens.delete(token);
+  if (!validTokens.has(token)) return res.status(401).json({ authentication: 'basic' });
+
+  res.set(reply.headers || {}).status(reply.status || 200).json(reply.body || {});
+});
+
+let server;
+let osuApi;
+
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+
+  Object.assign(process.env, {
+    OSU_API_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    OSU_CLIENT_ID: 'id',
+    OSU_CLIENT_SECRET: 'secret',
+    OSU_API_MIN_TIME: '0',
+    OSU_API_BREAKER_THRESHOLD: '2',
+    OSU_API_BREAKER_COOLDOWN_MS: '100'
+  });
+  osuApi = require('../src/service/osuApi');
+});
+
+test.after(() => {
+  server.close();
+});
+
+function script(path, ...replies) {
+  scripts.set(path, replies);
+}
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  const { parseRetryAfter } = osuApi;
+  const now = Date.UTC(2025, 0, 1);
+
+  assert.equal(parseRetryAfter('30', now), 30000);
+  assert.equal(parseRetryAfter(new Date(now + 5000).toUTCString(), now), 5000);
+  assert.equal(parseRetryAfter('999999', now), 5 * 60 * 1000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('requests go through the client and record rate limit headers', async () => {
+  script('/users/1/osu', { body: { id: 1, username: 'alpha' }, headers: { 'X-RateLimit-Limit': '1200', 'X-RateLimit-Remaining': '1150' } });
+
+  const user = await osuApi.getUser(1, 'std');
+  assert.equal(user.username, 'alpha');
+
+  const status = osuApi.getRateLimitStatus();
+  assert.equal(status.limit, 1200);
+  assert.equal(status.remaining, 1150);
+  assert.equal(status.paused, false);
+});
+
+test('a 429 pauses the whole queue until Retry-After has passed', async () => {
+  script('/beatmaps/10/scores',
+    { status: 429, headers: { 'Retry-After': '0.3' } },
+    { body: { scores: [{ id: 1 }] } }
+  );
+  script('/beatmaps/20', { body: { id: 20 } });
+
+  const start = Date.now();
+  const scoresPromise = osuApi.getBeatmapScores(10);
+  // Give the first request time to hit the 429 before queueing another endpoint
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(osuApi.getRateLimitStatus().paused, true);
+
+  const [scores, beatmap] = await Promise.all([scoresPromise, osuApi.getBeatmap(20)]);
+
+  assert.deepEqual(scores.scores, [{ id: 1 }]);
+  assert.equal(beatmap.id, 20);
+  const beatmapRequest = requests.find(r => r.path === '/beatmaps/20');
+  assert.ok(beatmapRequest.at - start >= 280, 'other endpoints wait for the pause');
+
+  const status = osuApi.getRateLimitStatus();
+  assert.equal(status.paused, false);
+  assert.equal(status.throttledCount, 1);
+  assert.equal(status.lastRetryAfterMs, 300);
+});
+
+test('an expired token is refreshed once on 401', async () => {
+  script('/users/2/osu', { revokeToken: true }, { body: { id: 2 } });
+  const tokensBefore = tokensIssued.length;
+
+  assert.equal((await osuApi.getUser(2)).id, 2);
+  assert.equal(tokensIssued.length, tokensBefore + 1);
+
+  // A second 401 right after the refresh is surfaced to the caller
+  script('/users/3/osu', { revokeToken: true });
+  await assert.rejects(osuApi.getUser(3), err => err.response?.status === 401);
+  assert.equal(tokensIssued.length, tokensBefore + 2);
+});
+
+test('repeated server errors open the endpoint circuit until the cooldown passes', async () => {
+  script('/rankings/osu/performance', { status: 502 });
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(osuApi.apiRequest('/rankings/osu/performance', { maxRetries: 0 }), err => err.response?.status === 502);
+  }
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.rankings.state, 'open');
+
+  const sent = requests.length;
+  await assert.rejects(osuApi.getCountryRankings('DZ'), err => err.code === 'OSU_API_CIRCUIT_OPEN');
+  assert.equal(requests.length, sent, 'open circuit short-circuits without a request');
+
+  // Other endpoints are unaffected
+  script('/users/4/osu', { body: { id: 4 } });
+  assert.equal((await osuApi.getUser(4)).id, 4);
+
+  await new Promise(resolve => setTimeout(resolve, 120));
+  script('/rankings/osu/performance', { body: { ranking: [], cursor: null } });
+  assert.deepEqual((await osuApi.getCountryRankings('DZ')).ranking, []);
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.rankings.state, 'closed');
+});
+
+test('client errors do not count against the circuit', async () => {
+  script('/beatmaps/404', { status: 404 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(osuApi.getBeatmap(404), err => err.response?.status === 404);
+  }
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.beatmaps.state, 'closed');
+});
+
+test('a token failure during the half-open probe settles the circuit', async () => {
+  script('/matches/1', { status: 502 });
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(osuApi.apiRequest('/matches/1', { maxRetries: 0 }), err => err.response?.status === 502);
+  }
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.matches.state, 'open');
+
+  // The probe's token is rejected and fetching a new one fails
+  await new Promise(resolve => setTimeout(resolve, 120));
+  script('/matches/1', { revokeToken: true });
+  tokenFailures = 1;
+  await assert.rejects(osuApi.apiRequest('/matches/1', { maxRetries: 0 }), err => err.response?.status === 503);
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.matches.state, 'open');
+
+  // Once the API recovers the next probe goes through
+  await new Promise(resolve => setTimeout(resolve, 120));
+  script('/matches/1', { body: { match: { id: 1 } } });
+  assert.equal((await osuApi.apiRequest('/matches/1')).match.id, 1);
+  assert.equal(osuApi.getRateLimitStatus().circuitBreakers.matches.state, 'closed');
+});
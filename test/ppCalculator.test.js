@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('./helpers/stubs');
+
+// Mod-adjusted attributes per beatmap, as getPerformanceAttributes returns them
+const ATTRIBUTES = {
+  aim_difficulty: 3.1,
+  speed_difficulty: 2.9,
+  speed_note_count: 450.5,
+  flashlight_difficulty: 2.4,
+  slider_factor: 0.985,
+  ar: 9.6,
+  od: 9,
+  max_combo: 1200,
+  hit_circle_count: 600,
+  slider_count: 280,
+  spinner_count: 2
+};
+const attributeRequests = [];
+
+stubModule('src/service/beatmapAttributes.js', {
+  getPerformanceAttributes: async (beatmapId, mods, mode, { modSettings, cachedOnly }) => {
+    attributeRequests.push({ beatmapId, mods, mode, modSettings, cachedOnly });
+    return beatmapId === 404 ? null : ATTRIBUTES;
+  }
+});
+
+const { calculatePerformance, calculateScorePerformance, effectiveMissCount, addPerformance } = load('src/service/ppCalculator.js');
+
+const SS = { count_300: 882, count_100: 0, count_50: 0, count_miss: 0, max_combo: 1200 };
+const CHOKE = { count_300: 850, count_100: 25, count_50: 2, count_miss: 5, max_combo: 700 };
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${label}: expected ${expected}, got ${actual}`);
+}
+
+// Reference values from osu-standard-stable 5.0.1 (a port of the osu! ruleset at the same
+// pp revision): its difficulty calculator run on ranked .osu files, then its performance
+// calculator on the scores below. Attributes are its output, with the score's mods applied.
+// Glamour of the Kill - Feeling Alive [Insane] (beatmap 208927), nomod
+const FEELING_ALIVE = {
+  aim_difficulty: 2.12636266881123,
+  speed_difficulty: 2.4369779973686048,
+  speed_note_count: 110.94187629006369,
+  flashlight_difficulty: 1.2940074452496375,
+  slider_factor: 0.9620687826677866,
+  ar: 9,
+  od: 7,
+  max_combo: 783,
+  hit_circle_count: 336,
+  slider_count: 193,
+  spinner_count: 9
+};
+// Feint - Time Bomb [Time] (beatmap 263368) with DT and with HR
+const TIME_BOMB_DT = {
+  aim_difficulty: 3.32187861689076,
+  speed_difficulty: 2.5630126581645833,
+  speed_note_count: 282.05940549376214,
+  flashlight_difficulty: 2.797852685228956,
+  slider_factor: 0.981432988686559,
+  ar: 10.333333333333332,
+  od: 9.777777777777779,
+  max_combo: 762,
+  hit_circle_count: 240,
+  slider_count: 252,
+  spinner_count: 1
+};
+const TIME_BOMB_HR = {
+  aim_difficulty: 2.646036662448133,
+  speed_difficulty: 1.8197988987239586,
+  speed_note_count: 273.03200325741864,
+  flashlight_difficulty: 2.2591435743793915,
+  slider_factor: 0.9802703694561326,
+  ar: 10,
+  od: 10,
+  max_combo: 762,
+  hit_circle_count: 240,
+  slider_count: 252,
+  spinner_count: 1
+};
+
+test('a nomod SS matches the reference calculator', () => {
+  const result = calculatePerformance(FEELING_ALIVE, { count_300: 538, count_100: 0, count_50: 0, count_miss: 0, max_combo: 783 }, []);
+
+  assertClose(result.aim, 38.2423, 'aim');
+  assertClose(result.speed, 59.0594, 'speed');
+  assertClose(result.accuracy, 38.5347, 'accuracy');
+  assertClose(result.pp, 140.4474, 'total');
+});
+
+test('a HDDT play with misses matches the reference calculator', () => {
+  const result = calculatePerformance(TIME_BOMB_DT, { count_300: 460, count_100: 25, count_50: 3, count_miss: 5, max_combo: 500 }, ['HD', 'DT']);
+
+  assert.equal(result.effectiveMissCount, 5);
+  assertClose(result.aim, 90.4488, 'aim');
+  assertClose(result.speed, 39.6069, 'speed');
+  assertClose(result.accuracy, 9.4542, 'accuracy');
+  assertClose(result.pp, 147.8573, 'total');
+});
+
+test('HDHRFL and sliderbreaks match the reference calculator', () => {
+  const flashlight = calculatePerformance(TIME_BOMB_HR, { count_300: 480, count_100: 10, count_50: 0, count_miss: 3, max_combo: 762 }, ['HD', 'HR', 'FL']);
+  assertClose(flashlight.flashlight, 118.8306, 'flashlight');
+  assertClose(flashlight.accuracy, 50.4031, 'accuracy');
+  assertClose(flashlight.pp, 271.4434, 'total');
+
+  // No misses, but a 400 combo counts as 1.91 misses
+  const sliderbreaks = calculatePerformance(FEELING_ALIVE, { count_300: 528, count_100: 8, count_50: 2, count_miss: 0, max_combo: 400 }, ['HD']);
+  assertClose(sliderbreaks.effectiveMissCount, 1.90925, 'misses');
+  assertClose(sliderbreaks.pp, 82.4913, 'total');
+});
+
+test('sliderbreaks count as misses once the combo falls short', () => {
+  // 1200 - 28 threshold over a 400 combo, capped by the 100s and 50s
+  assertClose(effectiveMissCount(ATTRIBUTES, { count_300: 870, count_100: 10, count_50: 2, count_miss: 0 }, 400), 2.93, 'breaks');
+  assert.equal(effectiveMissCount(ATTRIBUTES, { count_300: 882, count_100: 0, count_50: 0, count_miss: 0 }, 400), 0);
+  assert.equal(effectiveMissCount(ATTRIBUTES, { count_300: 880, count_100: 0, count_50: 0, count_miss: 2 }, 1190), 2);
+});
+
+test('pp if FC turns misses into 300s and pp if SS hits every object', () => {
+  const result = calculateScorePerformance(ATTRIBUTES, CHOKE, ['HD']);
+
+  assert.deepEqual(result, { pp: 193.86, ppIfFc: 318.87, ppIfSs: 392.83 });
+  assert.equal(calculateScorePerformance(ATTRIBUTES, { max_combo: 0 }, []), null);
+});
+
+test('rows get local pp, FC and SS values and loved scores take the local pp', async () => {
+  const rows = [
+    { beatmap_id: 1, mods: 'HD', mod_settings: {}, pp: 190.5, ...CHOKE },
+    { beatmap_id: 2, mods: 'None', pp: 0, ...SS },
+    { beatmap_id: 3, mods: 'None', pp: 0, mode: 'mania', ...SS },
+    { beatmap_id: 404, mods: 'DT', pp: 0, ...SS }
+  ];
+
+  await addPerformance(rows, 'osu');
+
+  assert.deepEqual(rows[0].pp_if_fc, 318.87);
+  assert.equal(rows[0].pp, 190.5);
+  assert.equal(rows[0].pp_source, 'api');
+
+  assert.equal(rows[1].pp, 360);
+  assert.equal(rows[1].pp_local, 360);
+  assert.equal(rows[1].pp_source, 'local');
+
+  // Other rulesets are left alone, beatmaps without cached attributes get no values
+  assert.equal(rows[2].pp_local, undefined);
+  assert.equal(rows[3].pp, 0);
+  assert.equal(rows[3].pp_if_fc, null);
+  assert.deepEqual(attributeRequests.map(r => [r.beatmapId, r.mods]), [[1, ['HD']], [2, []], [404, ['DT']]]);
+  assert.ok(attributeRequests.every(r => r.cachedOnly), 'request paths only read the cache');
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb, createFakeRedis } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// 120 ranked players -> pages of 50, 50 and 20
+const RANKING = Array.from({ length: 120 }, (_, i) => ({
+  global_rank: 1000 + i,
+  country_rank: i + 1,
+  play_count: 5000 - i,
+  level: { current: 100 - i / 10 },
+  user: { id: i + 1, username: `player${i + 1}`, avatar_url: `https://a.ppy.sh/${i + 1}`, country: { code: 'DZ' } }
+}));
+
+const requestedPages = [];
+let failOnPage = null;
+
+stubModule('src/service/osuApi.js', {
+  normalizeMode: (mode) => mode || 'osu',
+  getCountryRankings: async (country, mode, type, page) => {
+    page = page || 1;
+    requestedPages.push(page);
+    if (page === failOnPage) throw new Error('socket hang up');
+
+    const ranking = RANKING.slice((page - 1) * 50, page * 50);
+    return { ranking, total: RANKING.length, cursor: page * 50 < RANKING.length ? { page: page + 1 } : null };
+  }
+});
+
+const registered = [];
+const modeRankings = [];
+stubModule('src/service/playerDiscovery.js', {
+  PlayerDiscoveryService: class {
+    async registerPlayer(user, method) {
+      registered.push({ id: user.id, method });
+      players.set(user.id, {});
+      return true;
+    }
+
+    async updateModeRanking(entry, mode) {
+      modeRankings.push({ id: entry.user.id, mode });
+    }
+  }
+});
+
+// player_stats rows keyed by user id
+const players = new Map();
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/SELECT username FROM player_stats WHERE user_id = \$1/, ([id]) => (players.has(id) ? [{ username: `player${id}` }] : []))
+  .on(/UPDATE player_stats SET global_rank/, ([id, globalRank, countryRank, playcount, level, avatar]) => {
+    if (!players.has(id)) return [];
+    players.set(id, { globalRank, countryRank, playcount, level, avatar });
+    return [{}];
+  })
+  .on(/UPDATE player_stats SET avatar_url/, ([id]) => (players.has(id) ? [{}] : []));
+
+const fakeRedis = createFakeRedis();
+stubModule('src/config/db.js', fakeDb.db);
+stubModule('src/config/redis.js', fakeRedis.redis);
+
+const broadcasts = [];
+global.broadcastToClients = (message) => broadcasts.push(message);
+
+const { crawlCountryRanking, getCrawlProgress } = load('src/service/rankingCrawler.js');
+
+function reset() {
+  requestedPages.length = 0;
+  registered.length = 0;
+  modeRankings.length = 0;
+  broadcasts.length = 0;
+  players.clear();
+  fakeRedis.store.clear();
+  failOnPage = null;
+}
+
+test('a bounded crawl saves the cursor and the next run resumes from it', async () => {
+  reset();
+
+  const first = await crawlCountryRanking('DZ', 'osu', { maxPages: 2 });
+  assert.equal(first.completed, false);
+  assert.equal(first.playersUpdated, 100);
+  assert.deepEqual(requestedPages, [1, 2]);
+  assert.equal(await getCrawlProgress('DZ', 'osu'), 3);
+  assert.equal(fakeRedis.store.get('progress:ranking_crawl:DZ:osu'), '3');
+
+  const second = await crawlCountryRanking('DZ', 'osu');
+  assert.equal(second.startPage, 3);
+  assert.equal(second.completed, true);
+  assert.equal(second.playersUpdated, 20);
+  assert.deepEqual(requestedPages, [1, 2, 3]);
+
+  // Finished crawls start over next time
+  assert.equal(await getCrawlProgress('DZ', 'osu'), 1);
+});
+
+test('ranking data is upserted into player_stats and new players are registered', async () => {
+  reset();
+  players.set(1, {});
+
+  await crawlCountryRanking('DZ', 'osu');
+
+  assert.equal(registered.length, 119);
+  assert.ok(registered.every(r => r.method === 'country_rankings'));
+  assert.deepEqual(players.get(1), { globalRank: 1000, countryRank: 1, playcount: 5000, level: 100, avatar: 'https://a.ppy.sh/1' });
+  assert.equal(players.get(120).countryRank, 120);
+  assert.equal(modeRankings.length, 120);
+});
+
+test('other rulesets only refresh the avatar in player_stats', async () => {
+  reset();
+  players.set(1, {});
+
+  await crawlCountryRanking('DZ', 'mania', { maxPages: 1 });
+
+  assert.deepEqual(players.get(1), {});
+  assert.equal(fakeDb.callsMatching(/UPDATE player_stats SET avatar_url/).length > 0, true);
+  assert.ok(modeRankings.every(r => r.mode === 'mania'));
+  assert.equal(await getCrawlProgress('DZ', 'mania'), 2);
+  // Cursors are tracked per ruleset
+  assert.equal(await getCrawlProgress('DZ', 'osu'), 1);
+});
+
+test('progress is reported over scan_progress', async () => {
+  reset();
+  await crawlCountryRanking('DZ', 'osu');
+
+  const progress = broadcasts.filter(m => m.type === 'scan_progress');
+  assert.deepEqual(progress.map(m => m.progress.current), [50, 100, 120]);
+  assert.deepEqual(progress.map(m => m.progress.percentage), ['41.67', '83.33', '100.00']);
+  assert.ok(progress.every(m => m.scan === 'country_rankings' && m.country === 'DZ' && m.mode === 'osu'));
+  assert.equal(broadcasts.at(-1).type, 'scan_complete');
+});
+
+test('a failed page keeps the cursor so the crawl retries it', async () => {
+  reset();
+  failOnPage = 2;
+
+  const result = await crawlCountryRanking('DZ', 'osu');
+  assert.equal(result.success, false);
+  assert.equal(result.nextPage, 2);
+  assert.equal(await getCrawlProgress('DZ', 'osu'), 2);
+
+  failOnPage = null;
+  requestedPages.length = 0;
+  const retry = await crawlCountryRanking('DZ', 'osu');
+  assert.equal(retry.completed, true);
+  assert.deepEqual(requestedPages, [2, 3]);
+});
+
+test('a failed progress read does not leave the crawl marked as running', async () => {
+  reset();
+  const get = test.mock.method(fakeRedis.redis.redisClient, 'get', async () => {
+    throw new Error('Redis unavailable');
+  });
+
+  const failed = await crawlCountryRanking('DZ', 'osu');
+  get.mock.restore();
+  assert.equal(failed.success, false);
+  assert.equal(failed.error, 'Redis unavailable');
+
+  const retry = await crawlCountryRanking('DZ', 'osu');
+  assert.equal(retry.completed, true);
+});
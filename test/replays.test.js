@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lzma = require('lzma');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+const stored = [];
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/FROM scores WHERE score_id = \$1/, ([scoreId]) =>
+    scoreId === 4000000001 ? [{ score_id: 4000000001, beatmap_id: 3100001 }] : []
+  )
+  .on(/FROM beatmap_metadata WHERE checksum = \$1/, ([checksum]) =>
+    checksum === 'c0ffee' ? [{ beatmap_id: 3100001 }] : []
+  )
+  .on(/SELECT score_id FROM scores/, ([beatmapId, mode, username, score]) =>
+    username === 'alpha' && score === 1234567 ? [{ score_id: 4000000002 }] : []
+  )
+  .on(/FROM algeria_top50/, ([beatmapId, mode, username]) =>
+    username === 'alpha' ? [{ beatmap_id: beatmapId }] : []
+  )
+  .on(/INSERT INTO replays/, (params) => {
+    stored.push(params);
+    return [{ id: stored.length, replay_hash: params[0], beatmap_id: params[2], score_id: params[3] }];
+  });
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const { config } = load('src/config/env.js');
+const { parseReplay, summarizeFrames, hitTiming } = load('src/service/replayParser.js');
+const { parseHitObjects } = load('src/service/beatmapFiles.js');
+const { replayAccuracy, storeReplay } = load('src/service/replays.js');
+
+// .osr writer for building test replays
+function osrString(value) {
+  if (!value) return Buffer.from([0]);
+  const bytes = Buffer.from(value, 'utf8');
+  const length = [];
+  let remaining = bytes.length;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>= 7;
+    if (remaining) byte |= 0x80;
+    length.push(byte);
+  } while (remaining);
+  return Buffer.concat([Buffer.from([0x0b, ...length]), bytes]);
+}
+
+function compress(text) {
+  return new Promise((resolve, reject) => {
+    lzma.compress(text, 1, (result, error) => error ? reject(error) : resolve(Buffer.from(result)));
+  });
+}
+
+async function buildReplay({ mode = 0, player = 'alpha', beatmapHash = 'c0ffee', score = 1234567, mods = 0, frames = '', onlineId = 0, data = null } = {}) {
+  const header = Buffer.alloc(5);
+  header.writeUInt8(mode, 0);
+  header.writeInt32LE(20240101, 1);
+
+  const counts = Buffer.alloc(12 + 4 + 2 + 1 + 4);
+  [300, 20, 1, 50, 5, 2].forEach((count, i) => counts.writeUInt16LE(count, i * 2));
+  counts.writeInt32LE(score, 12);
+  counts.writeUInt16LE(512, 16);
+  counts.writeUInt8(0, 18);
+  counts.writeInt32LE(mods, 19);
+
+  data = data || (frames ? await compress(frames) : Buffer.alloc(0));
+  const tail = Buffer.alloc(8 + 4);
+  // 2024-01-01T00:00:00Z in .NET ticks
+  tail.writeBigInt64LE(638396640000000000n, 0);
+  tail.writeInt32LE(data.length, 8);
+  const scoreId = Buffer.alloc(8);
+  scoreId.writeBigInt64LE(BigInt(onlineId));
+
+  return Buffer.concat([
+    header,
+    osrString(beatmapHash),
+    osrString(player),
+    osrString(`replay-${player}-${score}`),
+    counts,
+    osrString('0|1,2000|0.85,'),
+    tail,
+    data,
+    scoreId
+  ]);
+}
+
+// K1 presses at 1000, 1500 and 2000ms, K2 at 1250 and 1750ms, with a held frame in between
+const FRAMES = [
+  '0|256|192|0', '1000|256|192|5', '16|256|192|5', '234|256|192|8', '250|256|192|5',
+  '250|256|192|8', '250|256|192|5', '50|256|192|0', '-12345|0|0|7413'
+].join(',');
+
+const OSU_FILE = [
+  'osu file format v14',
+  '',
+  '[Difficulty]',
+  'OverallDifficulty:8',
+  '',
+  '[HitObjects]',
+  '256,192,990,1,0',
+  '256,192,1260,1,0',
+  '256,192,1500,1,0',
+  '256,192,1745,1,0',
+  '256,192,2010,1,0',
+  '256,192,3000,12,0,4000'
+].join('\n');
+
+test('the replay header, life bar and frames are parsed', async () => {
+  const replay = await parseReplay(await buildReplay({ mods: 8 + 64, frames: FRAMES, onlineId: 4000000001 }));
+
+  assert.equal(replay.mode, 'osu');
+  assert.equal(replay.gameVersion, 20240101);
+  assert.equal(replay.beatmapHash, 'c0ffee');
+  assert.equal(replay.playerName, 'alpha');
+  assert.deepEqual(
+    [replay.count300, replay.count100, replay.count50, replay.countGeki, replay.countKatu, replay.countMiss],
+    [300, 20, 1, 50, 5, 2]
+  );
+  assert.equal(replay.score, 1234567);
+  assert.equal(replay.maxCombo, 512);
+  assert.deepEqual(replay.mods, ['HD', 'DT']);
+  assert.equal(replay.playedAt, Date.UTC(2024, 0, 1));
+  assert.equal(replay.onlineScoreId, 4000000001);
+  assert.deepEqual(replay.lifeBar, [[0, 1], [2000, 0.85]]);
+  assert.equal(replay.frames.length, 8);
+  assert.equal(replay.frames[7].time, 2050);
+  assert.equal(replay.seed, 7413);
+});
+
+test('malformed replays are rejected with INVALID_REPLAY', async () => {
+  const replay = await buildReplay({ frames: FRAMES });
+
+  await assert.rejects(parseReplay(Buffer.alloc(0)), { code: 'INVALID_REPLAY' });
+  await assert.rejects(parseReplay(replay.subarray(0, 40)), { code: 'INVALID_REPLAY' });
+  await assert.rejects(parseReplay(Buffer.from([7, 0, 0, 0, 0])), { code: 'INVALID_REPLAY' });
+});
+
+test('frame data declaring a huge uncompressed size is rejected before decompressing', async () => {
+  const data = await compress(FRAMES);
+  data.writeBigUInt64LE(4n * 1024n * 1024n * 1024n, 5);
+  await assert.rejects(parseReplay(await buildReplay({ data })), { code: 'INVALID_REPLAY', message: /over \d+ bytes/ });
+
+  // An unknown size is unbounded
+  data.writeBigUInt64LE(0xffffffffffffffffn, 5);
+  await assert.rejects(parseReplay(await buildReplay({ data })), { code: 'INVALID_REPLAY' });
+
+  await assert.rejects(parseReplay(await buildReplay({ data: Buffer.from([0x5d, 0, 0]) })), { code: 'INVALID_REPLAY' });
+});
+
+test('key presses and tap rate are counted from key-down frames', async () => {
+  const { frames } = await parseReplay(await buildReplay({ frames: FRAMES }));
+  const summary = summarizeFrames(frames);
+
+  assert.deepEqual(summary.keyPresses, { K1: 3, K2: 2, M1: 0, M2: 0, total: 5 });
+  // 5 presses over 1 second of tapping
+  assert.equal(summary.tapRate, 5);
+  assert.equal(summary.peakTapRate, 4);
+
+  // At 1.5x the same map time passes in two thirds of the real time
+  assert.ok(Math.abs(summarizeFrames(frames, { rate: 1.5 }).tapRate - 7.5) < 1e-9);
+});
+
+test('hit timing matches presses to objects inside the 50 window', async () => {
+  const { frames } = await parseReplay(await buildReplay({ frames: FRAMES }));
+  const { presses } = summarizeFrames(frames);
+  const { od, hitObjects } = parseHitObjects(OSU_FILE);
+
+  assert.equal(od, 8);
+  assert.equal(hitObjects[5].spinner, true);
+
+  const timing = hitTiming(presses, hitObjects, od);
+  assert.equal(timing.matchedObjects, 5);
+  assert.equal(timing.meanError, -1);
+  assert.deepEqual([timing.earlyHits, timing.lateHits], [2, 2]);
+  // Errors of 10, -10, 0, 5 and -10ms: a standard deviation of 8ms
+  assert.equal(timing.unstableRate, 80);
+});
+
+test('accuracy follows each ruleset', () => {
+  const counts = { count300: 300, count100: 20, count50: 1, countGeki: 50, countKatu: 5, countMiss: 2 };
+
+  assert.equal(replayAccuracy({ ...counts, mode: 'osu' }), 94.99);
+  assert.equal(replayAccuracy({ ...counts, mode: 'taiko' }), 96.27);
+  assert.equal(replayAccuracy({ ...counts, mode: 'fruits' }), 97.87);
+  assert.equal(replayAccuracy({ ...counts, mode: 'mania' }), 95.28);
+});
+
+test('stored replays are matched by score id or beatmap hash and player', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osu-files-'));
+  fs.writeFileSync(path.join(dir, '3100001.osu'), OSU_FILE);
+  config.OSU_FILES_DIR = dir;
+
+  try {
+    const byHash = await storeReplay(await buildReplay({ frames: FRAMES }), 'uploader');
+    assert.equal(byHash.success, true);
+    assert.deepEqual(byHash.match, { beatmapId: 3100001, scoreId: 4000000002, onLeaderboard: true });
+
+    const params = stored[0];
+    assert.equal(params[9], 'None');
+    assert.equal(params[25], JSON.stringify({ K1: 3, K2: 2, M1: 0, M2: 0, total: 5 }));
+    assert.equal(params[28], 80);
+    assert.equal(params[30], 'uploader');
+
+    const byScoreId = await storeReplay(await buildReplay({ player: 'beta', beatmapHash: 'unknown', onlineId: 4000000001 }));
+    assert.deepEqual(byScoreId.match, { beatmapId: 3100001, scoreId: 4000000001, onLeaderboard: false });
+    // No frames, nothing derived
+    assert.equal(stored[1][25], null);
+
+    const unmatched = await storeReplay(await buildReplay({ beatmapHash: 'unknown', frames: FRAMES }));
+    assert.deepEqual(unmatched.match, { beatmapId: null, scoreId: null, onLeaderboard: false });
+    // Key presses without hit timing when there is no beatmap file
+    assert.notEqual(stored[2][25], null);
+    assert.equal(stored[2][29], null);
+
+    const invalid = await storeReplay(Buffer.from('not a replay'));
+    assert.equal(invalid.success, false);
+    assert.equal(invalid.reason, 'invalid');
+  } finally {
+    config.OSU_FILES_DIR = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
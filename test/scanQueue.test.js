@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// Search results per status, one array of beatmapsets per page
+const searchPages = { ranked: [], loved: [] };
+const searches = [];
+
+stubModule('src/service/osuApi.js', {
+  normalizeMode: (mode, fallback = 'osu') => mode || fallback,
+  searchBeatmapsets: async ({ mode, s, page }) => {
+    searches.push({ mode, s, page });
+    return { beatmapsets: searchPages[s][page - 1] || [] };
+  }
+});
+
+// beatmap_scan_queue keyed by beatmap id and mode
+const queue = new Map();
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/INSERT INTO beatmap_scan_queue \(beatmap_id, mode, beatmapset_id/, ([id, mode, setId, title, status, rankedDate]) => {
+    const key = `${id}:${mode}`;
+    const inserted = !queue.has(key);
+    queue.set(key, { ...queue.get(key), id, mode, setId, title, status, rankedDate });
+    return [{ inserted }];
+  })
+  .on(/INSERT INTO beatmap_scan_queue \( beatmap_id, mode, beatmap_title, scan_count/, (params) => {
+    const [id, mode, title, scans, changes, failures, lastScanned, lastChanged] = params;
+    queue.set(`${id}:${mode}`, { ...queue.get(`${id}:${mode}`), scans, changes, failures, lastScanned, lastChanged });
+  })
+  .on(/INSERT INTO beatmap_scan_queue \(beatmap_id, mode, boost/, ([id, mode, boost, bumpedBy]) => {
+    const entry = { ...queue.get(`${id}:${mode}`), boost, bumpedBy };
+    queue.set(`${id}:${mode}`, entry);
+    return [{ beatmap_id: id, mode, boost, bumped_by: bumpedBy }];
+  })
+  .on(/FROM beatmap_scan_queue q WHERE q.mode = \$2 AND/, () => [
+    { beatmap_id: '11', beatmap_title: 'A - B [Hard]', priority: '42.5' }
+  ]);
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const { syncScanQueue, getNextBeatmaps, recordScan, bumpBeatmap, PRIORITY } = load('src/service/scanQueue.js');
+
+function beatmapset(id, status, diffs) {
+  return {
+    id,
+    artist: 'Artist',
+    title: `Set ${id}`,
+    status,
+    ranked_date: '2025-01-01T00:00:00Z',
+    beatmaps: diffs.map(([bmId, rating, mode = 'osu']) => ({ id: bmId, version: `Diff ${bmId}`, difficulty_rating: rating, mode }))
+  };
+}
+
+function reset() {
+  queue.clear();
+  searches.length = 0;
+  fakeDb.calls.length = 0;
+}
+
+test('sync queues ranked, approved and loved beatmaps and skips easy or other-mode diffs', async () => {
+  reset();
+  searchPages.ranked = [[beatmapset(1, 'ranked', [[11, 4.5], [12, 1.5], [13, 5, 'taiko']]), beatmapset(2, 'approved', [[21, 6]])]];
+  searchPages.loved = [[beatmapset(3, 'loved', [[31, 3]])]];
+
+  const result = await syncScanQueue('osu', { maxPages: 5 });
+
+  assert.equal(result.added, 3);
+  assert.deepEqual([...queue.keys()].sort(), ['11:osu', '21:osu', '31:osu']);
+  assert.equal(queue.get('21:osu').status, 'approved');
+  assert.equal(queue.get('31:osu').status, 'loved');
+  assert.equal(queue.get('11:osu').title, 'Artist - Set 1 [Diff 11]');
+  assert.equal(queue.get('11:osu').rankedDate, Date.parse('2025-01-01T00:00:00Z'));
+  assert.deepEqual(searches.map(s => s.s), ['ranked', 'ranked', 'loved', 'loved']);
+});
+
+test('an incremental sync stops at the first page with nothing new', async () => {
+  reset();
+  searchPages.ranked = [
+    [beatmapset(4, 'ranked', [[41, 5]])],
+    [beatmapset(1, 'ranked', [[11, 4.5]])],
+    [beatmapset(5, 'ranked', [[51, 5]])]
+  ];
+  searchPages.loved = [];
+  queue.set('11:osu', { id: 11 });
+
+  const result = await syncScanQueue('osu', { maxPages: 10 });
+
+  assert.equal(result.added, 1);
+  assert.deepEqual(searches.filter(s => s.s === 'ranked').map(s => s.page), [1, 2]);
+  assert.equal(queue.has('51:osu'), false);
+});
+
+test('next beatmaps skip recently scanned maps unless bumped', async () => {
+  reset();
+  const before = Date.now();
+  const next = await getNextBeatmaps('osu', 25);
+
+  assert.deepEqual(next, [{ id: 11, title: 'A - B [Hard]', priority: 42.5 }]);
+
+  const [call] = fakeDb.callsMatching(/FROM beatmap_scan_queue q/);
+  assert.match(call.sql, /q.boost > 0 OR q.last_scanned IS NULL OR q.last_scanned < \$3/);
+  assert.match(call.sql, /ORDER BY priority DESC/);
+  const [now, mode, cutoff, limit] = call.params;
+  assert.ok(now >= before);
+  assert.equal(mode, 'osu');
+  assert.equal(now - cutoff, PRIORITY.minRescanMs);
+  assert.equal(limit, 25);
+});
+
+test('scan outcomes feed the change rate and failures are counted separately', async () => {
+  reset();
+  await recordScan(11, 'osu', { success: true, changed: true, title: 'Song' });
+  const changed = queue.get('11:osu');
+  assert.equal(changed.scans, 1);
+  assert.equal(changed.changes, 1);
+  assert.equal(changed.failures, 0);
+  assert.equal(changed.lastChanged, changed.lastScanned);
+
+  await recordScan(12, 'osu', { success: false });
+  const failed = queue.get('12:osu');
+  assert.deepEqual([failed.scans, failed.changes, failed.failures, failed.lastChanged], [0, 0, 1, null]);
+
+  // The boost is kept through failures until too many happen in a row
+  const [upsert] = fakeDb.callsMatching(/scan_count = beatmap_scan_queue.scan_count/);
+  assert.equal(PRIORITY.maxBumpFailures, 3);
+  assert.match(upsert.sql, /boost = CASE WHEN EXCLUDED.failure_count > 0 AND beatmap_scan_queue.failure_count \+ 1 < 3 THEN beatmap_scan_queue.boost ELSE 0 END/);
+});
+
+test('bumping a beatmap gives it the bump boost and records who did it', async () => {
+  reset();
+  const result = await bumpBeatmap(77, 'mania', 'admin');
+
+  assert.equal(result.success, true);
+  assert.equal(result.entry.boost, PRIORITY.bump);
+  assert.deepEqual(queue.get('77:mania'), { boost: PRIORITY.bump, bumpedBy: 'admin' });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/stubs');
+
+const { scheduleInterval, getAllJobStatus, delay } = load('jobs/schedulingUtils.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// Job logging is noisy and interleaves with the test runner output
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// Poll until a condition holds or give up after the timeout
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await delay(5);
+  }
+}
+
+test('failed runs are retried until one succeeds', async () => {
+  let attempts = 0;
+  const job = scheduleInterval(async () => {
+    attempts++;
+    if (attempts < 3) throw new Error(`failure ${attempts}`);
+    return 'done';
+  }, HOUR, 'test-retry', { retryDelay: 10, enableBroadcast: false });
+
+  try {
+    await job.runNow();
+    assert.equal(job.getStatus().consecutiveFailures, 1);
+    assert.equal(job.getStatus().lastError, 'failure 1');
+
+    await waitFor(() => job.getStatus().lastRun !== null);
+
+    const status = job.getStatus();
+    assert.equal(attempts, 3);
+    assert.equal(status.totalRuns, 3);
+    assert.equal(status.totalFailures, 2);
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.lastError, null);
+    assert.equal(status.running, false);
+    assert.ok(status.nextRun >= status.lastRun + HOUR);
+  } finally {
+    job.stop();
+  }
+});
+
+test('retries stop after maxRetries', async () => {
+  let attempts = 0;
+  const job = scheduleInterval(async () => {
+    attempts++;
+    throw new Error('always');
+  }, HOUR, 'test-max-retries', { maxRetries: 2, retryDelay: 5, enableBroadcast: false });
+
+  try {
+    await job.runNow();
+    await waitFor(() => job.getStatus().totalFailures === 3);
+    // Give a stray extra retry the chance to show up
+    await delay(30);
+
+    const status = job.getStatus();
+    assert.equal(attempts, 3);
+    assert.equal(status.totalRuns, 3);
+    assert.equal(status.consecutiveFailures, 3);
+    assert.equal(status.lastRun, null);
+  } finally {
+    job.stop();
+  }
+});
+
+test('skipOnError disables retries', async () => {
+  let attempts = 0;
+  const job = scheduleInterval(async () => {
+    attempts++;
+    throw new Error('skip me');
+  }, HOUR, 'test-skip', { retryDelay: 5, skipOnError: true, enableBroadcast: false });
+
+  try {
+    await job.runNow();
+    await delay(30);
+
+    assert.equal(attempts, 1);
+    assert.equal(job.getStatus().totalFailures, 1);
+  } finally {
+    job.stop();
+  }
+});
+
+test('overlapping runs are skipped and stop removes the job', async () => {
+  let release;
+  let attempts = 0;
+  const job = scheduleInterval(() => {
+    attempts++;
+    return new Promise(resolve => { release = resolve; });
+  }, HOUR, 'test-overlap', { enableBroadcast: false });
+
+  const first = job.runNow();
+  await job.runNow();
+  assert.equal(attempts, 1);
+  assert.equal(job.getStatus().running, true);
+
+  release();
+  await first;
+  assert.equal(job.getStatus().totalRuns, 1);
+
+  assert.ok(getAllJobStatus()['test-overlap']);
+  assert.equal(getAllJobStatus()['test-overlap'].intervalId, undefined);
+  job.stop();
+  assert.equal(getAllJobStatus()['test-overlap'], undefined);
+});
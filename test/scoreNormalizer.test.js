@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/stubs');
+
+const { normalizeScore, normalizeScores, normalizeMods, modsText } = load('src/service/scoreNormalizer.js');
+
+const legacyScore = {
+  id: 4000000001,
+  user_id: 9100002,
+  beatmap_id: 3100001,
+  mode: 'osu',
+  mode_int: 0,
+  score: 57216878,
+  pp: 397.04,
+  accuracy: 0.9243,
+  max_combo: 2329,
+  mods: ['HD', 'DT'],
+  rank: 'A',
+  perfect: false,
+  passed: true,
+  statistics: { count_300: 921, count_100: 270, count_50: 0, count_miss: 1, count_geki: 0, count_katu: 0 },
+  created_at: '2025-11-19T19:25:00+00:00',
+  user: { id: 9100002, username: 'alpha', country: { code: 'DZ' } }
+};
+
+// Stable score imported into lazer, as returned with a newer API version
+const importedScore = {
+  id: 3200000001,
+  type: 'solo_score',
+  user_id: 9100002,
+  beatmap_id: 3100001,
+  ruleset_id: 0,
+  total_score: 812345,
+  legacy_total_score: 57216878,
+  classic_total_score: 56000000,
+  legacy_score_id: 4000000001,
+  legacy_perfect: false,
+  is_perfect_combo: false,
+  pp: 397.04,
+  accuracy: 0.9243,
+  max_combo: 2329,
+  mods: [{ acronym: 'HD' }, { acronym: 'DT', settings: { speed_change: 1.3 } }, { acronym: 'CL' }],
+  rank: 'A',
+  passed: true,
+  statistics: { great: 921, ok: 270, miss: 1, large_tick_hit: 12 },
+  ended_at: '2025-11-19T19:25:00+00:00',
+  beatmap: { id: 3100001, beatmapset_id: 310000 }
+};
+
+test('legacy payloads keep their fields and gain the model extras', () => {
+  const score = normalizeScore(legacyScore);
+
+  assert.equal(score.score, 57216878);
+  assert.equal(score.classic_score, 57216878);
+  assert.equal(score.lazer_score, null);
+  assert.equal(score.is_lazer, false);
+  assert.deepEqual(score.mods, ['HD', 'DT']);
+  assert.deepEqual(score.mod_settings, {});
+  assert.equal(score.statistics.count_100, 270);
+  assert.equal(score.played_at, Date.parse('2025-11-19T19:25:00Z'));
+  assert.equal(score.raw, legacyScore);
+});
+
+test('lazer payloads map to the same model with settings and both totals', () => {
+  const score = normalizeScore(importedScore);
+
+  assert.equal(score.mode, 'osu');
+  assert.equal(score.user_id, 9100002);
+  assert.equal(score.beatmapset_id, 310000);
+  assert.equal(score.score, 57216878);
+  assert.equal(score.classic_score, 57216878);
+  assert.equal(score.lazer_score, 812345);
+  // Imported from stable, not set in lazer
+  assert.equal(score.is_lazer, false);
+  assert.deepEqual(score.mods, ['HD', 'DT', 'CL']);
+  assert.deepEqual(score.mod_settings, { DT: { speed_change: 1.3 } });
+  assert.deepEqual(score.statistics, { count_300: 921, count_100: 270, count_50: 0, count_miss: 1, count_geki: 0, count_katu: 0 });
+  assert.equal(score.created_at, '2025-11-19T19:25:00+00:00');
+  assert.equal(score.raw, importedScore);
+});
+
+test('lazer-only scores fall back to the classic conversion', () => {
+  const score = normalizeScore({ ...importedScore, legacy_score_id: null, legacy_total_score: 0 });
+
+  assert.equal(score.is_lazer, true);
+  assert.equal(score.score, 56000000);
+  assert.equal(score.lazer_score, 812345);
+});
+
+test('hit results are mapped per ruleset', () => {
+  const mania = normalizeScore({
+    ...importedScore,
+    ruleset_id: 3,
+    statistics: { perfect: 500, great: 200, good: 30, ok: 10, meh: 5, miss: 3 }
+  });
+  assert.deepEqual(mania.statistics, { count_300: 200, count_100: 10, count_50: 5, count_miss: 3, count_geki: 500, count_katu: 30 });
+
+  const fruits = normalizeScore({
+    ...importedScore,
+    ruleset_id: 2,
+    statistics: { great: 600, large_tick_hit: 80, small_tick_hit: 300, small_tick_miss: 7, miss: 2, large_tick_miss: 1 }
+  });
+  assert.equal(fruits.mode, 'fruits');
+  assert.deepEqual(fruits.statistics, { count_300: 600, count_100: 80, count_50: 300, count_miss: 3, count_geki: 0, count_katu: 7 });
+});
+
+test('normalizing is idempotent and survives spreading', () => {
+  const once = normalizeScore(importedScore);
+  assert.equal(normalizeScore(once), once);
+
+  const ranked = { ...once, global_rank: 4 };
+  assert.equal(normalizeScore(ranked), ranked);
+  assert.deepEqual(normalizeScores([null, legacyScore]).map(s => s.id), [4000000001]);
+});
+
+test('mods are stored as comma separated acronyms', () => {
+  assert.equal(modsText(normalizeMods(['hd', { acronym: 'NC', settings: { speed_change: 1.2 } }]).mods), 'HD,NC');
+  assert.equal(modsText([]), 'None');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'warn', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+// One player with scores in two rulesets sharing algeria_top50
+const rows = [
+  { beatmap_id: 1, username: 'alpha', mode: 'osu', rank: 1, pp: 300, difficulty_rating: 6, last_updated: Date.now() },
+  { beatmap_id: 2, username: 'alpha', mode: 'mania', rank: 1, pp: 900, difficulty_rating: 4, last_updated: Date.now() }
+];
+
+// Rows of the ruleset the query filters on, by parameter or literal; every row has API pp
+const fakeDb = createFakeDb();
+fakeDb.on(/FROM algeria_top50/, (params, sql) => {
+  const filter = sql.match(/\bmode = (?:\$(\d+)|'(\w+)')/);
+  const mode = filter ? (filter[1] ? params[filter[1] - 1] : filter[2]) : null;
+  const unranked = sql.includes('(pp IS NULL OR pp = 0)');
+  return rows.filter(row => (!mode || row.mode === mode) && (!unranked || !row.pp));
+});
+
+const noop = (req, res, next) => next();
+stubModule('src/config/db.js', fakeDb.db);
+stubModule('src/services/osuApi.js', load('src/service/osuApi.js'));
+stubModule('src/services/cache.js', { cacheService: {} });
+stubModule('src/services/ppCalculator.js', { addPerformance: async scores => scores });
+stubModule('src/services/skillCalculator.js', { SKILL_MODEL_VERSION: 1, skillInterval: () => null });
+for (const name of ['achievements', 'comments', 'relationships', 'replays', 'scores', 'snipes', 'leaderboard', 'beatmapFeatures']) {
+  stubModule(`src/services/${name}.js`, {});
+}
+stubModule('src/middleware/admin.js', { requireAdmin: noop });
+stubModule('src/middleware/validation.js', { validateRateLimit: () => noop });
+
+const app = express();
+app.use(express.json());
+app.use('/api/players', load('src/routes/players.js'));
+app.use('/api/leaderboards', load('src/routes/leaderboards.js'));
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+const ROUTES = [
+  '/api/players/alpha/recent',
+  '/api/players/alpha/best',
+  '/api/players/alpha/firsts',
+  '/api/leaderboards/top-scores',
+  '/api/leaderboards/recent',
+  '/api/leaderboards/first-places'
+];
+
+test('score routes only return the requested ruleset, osu! by default', async () => {
+  for (const route of ROUTES) {
+    const mania = await get(`${route}?mode=mania`);
+    assert.equal(mania.status, 200, route);
+    assert.deepEqual(mania.body.data.map(row => row.beatmap_id), [2], route);
+
+    const standard = await get(route);
+    assert.deepEqual(standard.body.data.map(row => row.beatmap_id), [1], route);
+  }
+});
+
+test('score routes reject unknown rulesets', async () => {
+  for (const route of ROUTES) {
+    assert.equal((await get(`${route}?mode=piano`)).status, 400, route);
+  }
+});
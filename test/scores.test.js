@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+for (const method of ['log', 'error']) {
+  test.mock.method(console, method, () => {});
+}
+
+function apiScore(id, overrides = {}) {
+  return {
+    id,
+    user_id: 7,
+    beatmap_id: 100,
+    mode: 'osu',
+    score: 1000000 + id,
+    pp: 200 + id,
+    accuracy: 0.98,
+    max_combo: 500,
+    mods: ['HD', 'DT'],
+    rank: 'S',
+    perfect: false,
+    passed: true,
+    statistics: { count_300: 480, count_100: 10, count_50: 0, count_miss: 1, count_geki: 0, count_katu: 0 },
+    created_at: '2025-06-01T12:00:00+00:00',
+    user: { id: 7, username: 'Alpha' },
+    beatmap: { id: 100, beatmapset_id: 10 },
+    ...overrides
+  };
+}
+
+const apiScores = { best: [], recent: [], firsts: [] };
+const requested = [];
+
+stubModule('src/service/osuApi.js', {
+  GAME_MODES: ['osu', 'taiko', 'fruits', 'mania'],
+  normalizeMode: (mode, fallback = 'osu') => mode || fallback,
+  getUserScores: async (userId, type, limit, mode) => {
+    requested.push({ userId, type, limit, mode });
+    return apiScores[type];
+  }
+});
+
+// scores table keyed by score_id, emulating the sources merge of the upsert
+const table = new Map();
+const fakeDb = createFakeDb();
+fakeDb
+  .on(/INSERT INTO scores/, (params) => {
+    const [scoreId, userId, username, beatmapId, beatmapsetId, mode, score, pp, accuracy, maxCombo, mods, grade] = params;
+    const source = params[21];
+    const existing = table.get(scoreId);
+
+    if (existing) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      existing.pp = pp ?? existing.pp;
+    } else {
+      table.set(scoreId, { scoreId, userId, username, beatmapId, beatmapsetId, mode, score, pp, accuracy, maxCombo, mods, grade, sources: [source] });
+    }
+  })
+  .on(/SELECT COUNT\(\*\) AS total FROM scores/, () => [{ total: '42' }]);
+
+stubModule('src/config/db.js', fakeDb.db);
+
+const { toScoreRow, saveScores, fetchPlayerScores, getPlayerScoreHistory, getBeatmapScoreHistory } = load('src/service/scores.js');
+
+function reset() {
+  table.clear();
+  requested.length = 0;
+  fakeDb.calls.length = 0;
+  apiScores.best = [];
+  apiScores.recent = [];
+  apiScores.firsts = [];
+}
+
+test('API scores are flattened with statistics, mods, grade and ruleset', () => {
+  const row = toScoreRow(apiScore(1, { mode: 'mania', mods: [], pp: null }));
+
+  assert.equal(row.scoreId, 1);
+  assert.equal(row.userId, 7);
+  assert.equal(row.username, 'Alpha');
+  assert.equal(row.beatmapsetId, 10);
+  assert.equal(row.mode, 'mania');
+  assert.equal(row.mods, 'None');
+  assert.equal(row.grade, 'S');
+  assert.equal(row.pp, null);
+  assert.equal(row.count300, 480);
+  assert.equal(row.countMiss, 1);
+  assert.equal(row.datePlayed, Date.parse('2025-06-01T12:00:00Z'));
+});
+
+test('every score is kept and sources accumulate across endpoints', async () => {
+  reset();
+  apiScores.best = [apiScore(1), apiScore(2)];
+  apiScores.recent = [apiScore(2), apiScore(3, { pp: null })];
+  apiScores.firsts = [apiScore(1)];
+
+  const result = await fetchPlayerScores(7, 'Alpha', 'osu');
+
+  assert.deepEqual(requested.map(r => [r.type, r.limit]), [['best', 100], ['recent', 50], ['firsts', 100]]);
+  assert.equal(result.fetched, 5);
+  assert.deepEqual(result.sources, { best: 2, recent: 2, firsts: 1 });
+
+  assert.equal(table.size, 3);
+  assert.deepEqual(table.get(1).sources, ['best', 'firsts']);
+  assert.deepEqual(table.get(2).sources, ['best', 'recent']);
+  assert.equal(table.get(1).mods, 'HD,DT');
+});
+
+test('scores without an id or beatmap are skipped', async () => {
+  reset();
+  const stored = await saveScores([apiScore(null), apiScore(5, { beatmap: null, beatmap_id: null }), apiScore(6)], 'best');
+
+  assert.equal(stored, 1);
+  assert.deepEqual([...table.keys()], [6]);
+});
+
+test('player history pages through the table with a total count', async () => {
+  reset();
+  const history = await getPlayerScoreHistory('alpha', { mode: 'osu', sort: 'pp', beatmapId: 100, limit: 500, offset: 20 });
+
+  assert.equal(history.total, 42);
+  assert.equal(history.limit, 100);
+  assert.equal(history.offset, 20);
+
+  const [select] = fakeDb.callsMatching(/SELECT s.score_id/);
+  assert.match(select.sql, /LOWER\(s.username\) = LOWER\(\$1\) AND s.mode = \$2 AND s.beatmap_id = \$3/);
+  assert.match(select.sql, /ORDER BY s.pp DESC/);
+  assert.deepEqual(select.params, ['alpha', 'osu', 100, 100, 20]);
+});
+
+test('beatmap history filters by country and falls back to newest first', async () => {
+  reset();
+  await getBeatmapScoreHistory(100, { mode: 'taiko', country: 'DZ', sort: 'bogus' });
+
+  const [select] = fakeDb.callsMatching(/SELECT s.score_id/);
+  assert.match(select.sql, /SELECT user_id FROM players WHERE country = \$3/);
+  assert.match(select.sql, /ORDER BY s.date_played DESC/);
+  assert.deepEqual(select.params, [100, 'taiko', 'DZ', 50, 0]);
+
+  const [count] = fakeDb.callsMatching(/SELECT COUNT/);
+  assert.deepEqual(count.params, [100, 'taiko', 'DZ']);
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+const fakeDb = createFakeDb();
+stubModule('src/config/db.js', fakeDb.db);
+
+const {
+  SKILL_MODEL_VERSION,
+  PROVISIONAL_CONFIDENCE,
+  SkillCalculator,
+  calculateSkills,
+  skillInterval,
+  recomputeSkillHistory
+} = load('src/service/skillCalculator.js');
+
+function score(overrides = {}) {
+  return {
+    pp: 200,
+    accuracy: 0.97,
+    difficulty_rating: 5.5,
+    mods: 'None',
+    count_miss: 0,
+    max_combo: 1000,
+    ...overrides
+  };
+}
+
+test('aim skill only counts HR or 5*+ scores', () => {
+  assert.equal(SkillCalculator.calculateAimSkill([score({ difficulty_rating: 4, mods: 'HD' })]), 0);
+
+  const value = SkillCalculator.calculateAimSkill([
+    score({ pp: 300, accuracy: 0.98 }),
+    score({ pp: 100, accuracy: 0.96, difficulty_rating: 3, mods: 'HR' })
+  ]);
+  // avg pp 200, avg acc 0.97 -> 200 / 100 * 0.97 * 1.2
+  assert.ok(Math.abs(value - 2.328) < 1e-9);
+});
+
+test('mod-adjusted rows are judged by their own star rating and AR', () => {
+  // An HR play rated 4.8* with HR applied is not an aim play, a 5.4* DT play is
+  const adjusted = [
+    score({ pp: 300, difficulty_rating: 4.8, base_difficulty_rating: 4.1, mods: 'HR' }),
+    score({ pp: 100, difficulty_rating: 5.4, base_difficulty_rating: 4.2, mods: 'DT', ar: 10.3 })
+  ];
+  // 100 / 100 * 0.97 * 1.2
+  assert.ok(Math.abs(SkillCalculator.calculateAimSkill(adjusted) - 1.164) < 1e-9);
+  // The DT play reads at AR 10.3: (0 HD + 2 high AR) / 2 scores -> 3 + 7
+  assert.equal(SkillCalculator.calculateReadingSkill(adjusted), 10);
+});
+
+test('speed skill rewards the DT ratio across all scores', () => {
+  const scores = [
+    score({ pp: 160, mods: 'DT', difficulty_rating: 4 }),
+    score({ pp: 80, difficulty_rating: 4.8 }),
+    score({ pp: 500, difficulty_rating: 3 })
+  ];
+  // speed scores avg pp 120, dt ratio 1/3 -> 120 / 80 * (4/3)
+  assert.ok(Math.abs(SkillCalculator.calculateSpeedSkill(scores) - 2) < 1e-9);
+});
+
+test('analyzed maps are picked for aim and speed by their patterns', () => {
+  const jumps = score({ pp: 150, difficulty_rating: 3.8, features: { jump_distance_avg: 210, stream_density: 0.02, longest_stream: 0 } });
+  const streams = score({ pp: 250, difficulty_rating: 6.2, features: { jump_distance_avg: 90, stream_density: 0.3, longest_stream: 24 } });
+
+  assert.equal(SkillCalculator.isAimScore(jumps), true);
+  assert.equal(SkillCalculator.isAimScore(streams), false);
+  assert.equal(SkillCalculator.isSpeedScore(jumps), false);
+  assert.equal(SkillCalculator.isSpeedScore(streams), true);
+
+  // 150 / 100 * 0.97 * 1.2
+  assert.ok(Math.abs(SkillCalculator.calculateAimSkill([jumps, streams]) - 1.746) < 1e-9);
+});
+
+test('accuracy skill adds a bonus for 98%+ plays and caps at 10', () => {
+  assert.equal(SkillCalculator.calculateAccuracySkill([]), 0);
+
+  const low = SkillCalculator.calculateAccuracySkill([score({ accuracy: 0.9 }), score({ accuracy: 0.8 })]);
+  assert.ok(Math.abs(low - 8.5) < 1e-9);
+
+  // avg 0.97 * 10 * (1 + 0.5) would be 14.55
+  const high = SkillCalculator.calculateAccuracySkill([score({ accuracy: 0.99 }), score({ accuracy: 0.95 })]);
+  assert.equal(high, 10);
+});
+
+test('reading skill falls back to score count without HD/HR plays', () => {
+  const noMods = Array.from({ length: 20 }, () => score());
+  assert.equal(SkillCalculator.calculateReadingSkill(noMods), 2);
+
+  const mixed = [score({ mods: 'HD' }), score({ mods: 'HD,HR' }), score(), score()];
+  // (2 HD + 1 HR) / 4 scores -> 3 + 0.75 * 7
+  assert.equal(SkillCalculator.calculateReadingSkill(mixed), 8.25);
+});
+
+test('consistency skill needs five scores and penalises misses', () => {
+  assert.equal(SkillCalculator.calculateConsistencySkill([score(), score()]), 0);
+
+  const scores = Array.from({ length: 5 }, () => score({ count_miss: 50, max_combo: 1000 }));
+  // miss rate 0.05 -> 1 - 0.1 -> 9
+  assert.ok(Math.abs(SkillCalculator.calculateConsistencySkill(scores) - 9) < 1e-9);
+});
+
+test('overall skill is the weighted average of the individual skills', () => {
+  const scores = Array.from({ length: 5 }, (_, i) => score({ pp: 100 + i * 50, mods: i % 2 ? 'HD,DT' : 'HR' }));
+  const skills = SkillCalculator.calculateOverallSkill(scores);
+
+  const expected = skills.aim * 0.25 + skills.speed * 0.25 + skills.accuracy * 0.2 +
+    skills.reading * 0.15 + skills.consistency * 0.15;
+  assert.ok(Math.abs(skills.overall - Math.min(10, expected)) < 1e-9);
+  for (const key of ['aim', 'speed', 'accuracy', 'reading', 'consistency', 'overall']) {
+    assert.ok(skills[key] >= 0 && skills[key] <= 10, `${key} out of range`);
+  }
+});
+
+test('skill balance is 10 for identical skills and drops with variance', () => {
+  assert.equal(SkillCalculator.calculateSkillBalance({ aim: 5, speed: 5, accuracy: 5 }), 10);
+  assert.equal(SkillCalculator.calculateSkillBalance({ aim: 2, speed: 8 }), 7);
+  assert.equal(SkillCalculator.calculateSkillBalance({}), 0);
+});
+
+test('players are categorised by their dominant skills', () => {
+  const base = { aim: 2, speed: 2, accuracy: 2, reading: 2, consistency: 2 };
+  assert.equal(SkillCalculator.categorizePlayer({ ...base, aim: 9 }), 'Aim Specialist');
+  assert.equal(SkillCalculator.categorizePlayer({ ...base, aim: 9, speed: 8.5 }), 'All-Rounder');
+  assert.equal(SkillCalculator.categorizePlayer({ ...base, accuracy: 9, consistency: 9 }), 'Precision Player');
+  assert.equal(SkillCalculator.categorizePlayer({ aim: 5, speed: 5, accuracy: 5, reading: 5, consistency: 5 }), 'All-Rounder');
+});
+
+test('skills are calculated with the requested model version', () => {
+  const scores = Array.from({ length: 5 }, () => score({ map_bpm: 200, map_length: 180, map_max_pp: 250 }));
+
+  assert.equal(SKILL_MODEL_VERSION, 2);
+  assert.deepEqual(calculateSkills(scores, 1), SkillCalculator.calculateOverallSkill(scores));
+  assert.notDeepEqual(calculateSkills(scores), calculateSkills(scores, 1));
+  assert.throws(() => calculateSkills(scores, 99), /Unknown skill model version 99/);
+});
+
+// Snapshots the recompute query returns; 'pruned' players fail to load their scores
+const snapshotTime = 1750000000000;
+let pendingSnapshots = [];
+fakeDb
+  .on(/SELECT old.username, old.mode, old.calculated_at/, ([version, limit]) =>
+    version === 2 ? pendingSnapshots.slice(0, limit) : []
+  )
+  .on(/FROM algeria_top50 t LEFT JOIN beatmap_metadata bm/, ([username]) => {
+    if (username === 'pruned') throw new Error('scores unavailable');
+    return [score({ beatmap_id: null, map_bpm: 180 })];
+  })
+  .on(/INSERT INTO skill_tracking/, () => [])
+  .on(/UPDATE skill_tracking SET recompute_failed_at/, () => []);
+
+test('old skill snapshots are recomputed from the scores set by their time', async () => {
+  pendingSnapshots = [{ username: 'alpha', mode: 'osu', calculated_at: snapshotTime }];
+
+  const result = await recomputeSkillHistory(2, 10);
+  assert.deepEqual(result, { recomputed: 1, failed: 0, remaining: false });
+
+  const [scoresQuery] = fakeDb.callsMatching(/FROM algeria_top50 t LEFT JOIN beatmap_metadata bm/);
+  assert.deepEqual(scoresQuery.params, ['alpha', 'osu', 100, snapshotTime]);
+  assert.match(scoresQuery.sql, /t.play_date <= \$4/);
+
+  const inserts = fakeDb.callsMatching(/INSERT INTO skill_tracking/);
+  assert.equal(inserts.length, 5);
+  for (const { params } of inserts) {
+    assert.equal(params[4], snapshotTime);
+    assert.equal(params[6], 2);
+    assert.ok(params[3] >= 0 && params[3] <= 1, 'confidence out of range');
+  }
+});
+
+test('snapshots that fail to recompute are marked and tried again only after a day', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  fakeDb.calls.length = 0;
+  pendingSnapshots = [{ username: 'pruned', mode: 'osu', calculated_at: snapshotTime }];
+
+  const before = Date.now();
+  const result = await recomputeSkillHistory(2, 10);
+  assert.deepEqual(result, { recomputed: 0, failed: 1, remaining: false });
+
+  const [mark] = fakeDb.callsMatching(/UPDATE skill_tracking SET recompute_failed_at/);
+  assert.deepEqual([mark.params[0], mark.params[1], mark.params[2], mark.params[4]], ['pruned', 'osu', snapshotTime, 2]);
+  assert.ok(mark.params[3] >= before);
+
+  // Marked snapshots are skipped for a day and queue behind the ones never tried
+  const [select] = fakeDb.callsMatching(/SELECT old.username, old.mode, old.calculated_at/);
+  assert.match(select.sql, /old.recompute_failed_at IS NULL OR old.recompute_failed_at < \$3/);
+  assert.match(select.sql, /ORDER BY failed_at ASC NULLS FIRST, old.calculated_at ASC/);
+  assert.ok(Math.abs(before - 24 * 60 * 60 * 1000 - select.params[2]) < 1000);
+});
+
+test('skill intervals narrow with confidence and flag provisional skills', () => {
+  assert.deepEqual(skillInterval(6, 0.8), { value: 6, confidence: 0.8, lower: 5, upper: 7, provisional: false });
+  assert.deepEqual(skillInterval('9.5', 0.5), { value: 9.5, confidence: 0.5, lower: 7, upper: 10, provisional: false });
+
+  const weak = skillInterval(2, 0.1);
+  assert.deepEqual([weak.lower, weak.upper, weak.provisional], [0, 6.5, true]);
+  assert.equal(skillInterval(4, PROVISIONAL_CONFIDENCE).provisional, false);
+  assert.equal(skillInterval(4, null).provisional, true);
+});
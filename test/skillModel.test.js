@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load, createFakeDb } = require('./helpers/stubs');
+
+stubModule('src/config/db.js', createFakeDb().db);
+
+const {
+  effectiveAttributes,
+  skillDemands,
+  performanceRatio,
+  rateScore,
+  calculateAttributeSkills,
+  calculateSkillConfidence
+} = load('src/service/skillModel.js');
+
+// HDDT on a 180 BPM, AR9 OD8 CS4 map, an older row without stored AR/OD
+const DT_SCORE = {
+  mods: 'HD,DT', ar: null, od: null, difficulty_rating: 6.4,
+  map_ar: 9, map_od: 8, map_cs: 4, map_bpm: 180, map_length: 240, map_max_combo: 1000, map_max_pp: 400,
+  pp: 300, accuracy: 0.97, max_combo: 950, count_300: 900, count_100: 30, count_50: 0, count_miss: 2
+};
+// Nomod FC that holds the map's top pp
+const NOMOD_SCORE = {
+  mods: 'None', ar: 9, od: 8, difficulty_rating: 4,
+  map_cs: 4, map_bpm: 150, map_length: 90, map_max_combo: 500, map_max_pp: 120,
+  pp: 120, accuracy: 0.99, max_combo: 500, count_300: 400, count_100: 5, count_50: 0, count_miss: 0
+};
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-4, `${label}: expected ${expected}, got ${actual}`);
+}
+
+test('map attributes follow the score mods', () => {
+  const attributes = effectiveAttributes(DT_SCORE);
+
+  assertClose(attributes.ar, 10.3333, 'AR');
+  assertClose(attributes.od, 9.7778, 'OD');
+  assert.equal(attributes.bpm, 270);
+  assert.equal(attributes.length, 160);
+
+  // HR scales CS, stored AR/OD are already adjusted and used as they are
+  const hardRock = effectiveAttributes({ ...NOMOD_SCORE, mods: 'HR', ar: 10, od: 10 });
+  assertClose(hardRock.cs, 5.2, 'CS');
+  assert.deepEqual([hardRock.ar, hardRock.od, hardRock.bpm], [10, 10, 150]);
+});
+
+test('demands come from AR, CS, OD, BPM and length', () => {
+  const demands = skillDemands(DT_SCORE);
+
+  // 0.35 x CS 4 + 0.35 x AR 10.33 + 0.3 x 270 BPM
+  assertClose(demands.aim, 0.6722, 'aim');
+  assertClose(demands.speed, 0.9083, 'speed');
+  assertClose(demands.accuracy, 0.8687, 'accuracy');
+  // AR 10.33 plus HD
+  assertClose(demands.reading, 0.6889, 'reading');
+  assertClose(demands.consistency, 0.5333, 'consistency');
+
+  // Extracted patterns replace BPM as the aim spacing signal
+  const jumps = skillDemands({ ...DT_SCORE, features: { jump_distance_avg: 125, stream_density: 0 } });
+  assertClose(jumps.aim, 0.1 + 0.2722 + 0.15, 'pattern aim');
+});
+
+test('execution is pp against the map ceiling, or accuracy without pp', () => {
+  assert.equal(performanceRatio(DT_SCORE), 0.75);
+  assert.equal(performanceRatio({ ...DT_SCORE, pp_if_ss: 600 }), 0.5);
+  assert.equal(performanceRatio({ ...DT_SCORE, pp: 0 }), 0.97);
+});
+
+test('scores are rated per skill and the best ratings weigh most', () => {
+  const rating = rateScore(DT_SCORE);
+  assertClose(rating.aim, 0.4033, 'aim');
+  assertClose(rating.speed, 0.545, 'speed');
+  assertClose(rating.consistency, 0.4114, 'consistency');
+
+  const skills = calculateAttributeSkills([NOMOD_SCORE, DT_SCORE]);
+  // (0.545 + 0.95 x 0.1183) / 1.95 x 10
+  assertClose(skills.speed, 3.3711, 'speed skill');
+  assertClose(skills.overall, 3.0962, 'overall');
+
+  assert.deepEqual(calculateAttributeSkills([]), { aim: 0, speed: 0, accuracy: 0, reading: 0, consistency: 0, overall: 0 });
+});
+
+test('confidence grows with sample size and drops with spread and score age', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const DAY = 24 * 60 * 60 * 1000;
+  const recent = Array.from({ length: 10 }, () => ({ ...DT_SCORE, play_date: String(now - DAY) }));
+
+  // 10 identical recent scores: half from sample size, no spread, recency close to 1
+  const confidence = calculateSkillConfidence(recent, { now });
+  assert.equal(confidence.aim, 0.499);
+  assert.equal(calculateSkillConfidence(recent.slice(0, 2), { now }).aim, 0.166);
+
+  // A median score age of 180 days takes a quarter off
+  const old = recent.map(s => ({ ...s, play_date: now - 180 * DAY }));
+  assert.equal(calculateSkillConfidence(old, { now }).aim, 0.375);
+
+  // Mixing in much easier scores widens the spread
+  const mixed = [...recent, ...recent.map(s => ({ ...s, ...NOMOD_SCORE, play_date: s.play_date }))];
+  assert.ok(calculateSkillConfidence(mixed, { now }).aim < calculateSkillConfidence(recent.concat(recent), { now }).aim);
+
+  assert.equal(calculateSkillConfidence([], { now }).speed, 0);
+});
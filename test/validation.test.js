@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/stubs');
+
+const { validateInput } = load('src/config/security.js');
+const { COUNTRY_FILTER_VALUES } = load('src/config/env.js');
+const { MODE_NAMES } = load('src/service/osuApi.js');
+
+// Run a validator against a fake request, resolving with the outcome
+function run(rules, { params = {}, query = {}, body = {} } = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ passed: false, status: this.statusCode, errors: payload.errors });
+      }
+    };
+
+    validateInput(rules)({ params, query, body }, res, () => resolve({ passed: true }));
+  });
+}
+
+// Rules as used by the leaderboard routes
+const leaderboardRules = {
+  limit: { type: 'integer', min: 1, max: 100 },
+  offset: { type: 'integer', min: 0 },
+  mode: { enum: MODE_NAMES },
+  country: { enum: COUNTRY_FILTER_VALUES }
+};
+
+test('valid requests reach the handler', async () => {
+  assert.deepEqual(await run(leaderboardRules, { query: { limit: '50', mode: 'taiko', country: 'dz' } }), { passed: true });
+  assert.deepEqual(await run(leaderboardRules, {}), { passed: true });
+});
+
+test('required fields must be present and non-blank', async () => {
+  const rules = { username: { required: true, minLength: 2, maxLength: 15 } };
+
+  const missing = await run(rules);
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.errors, ['username is required']);
+
+  const blank = await run(rules, { body: { username: '   ' } });
+  assert.ok(blank.errors.includes('username is required'));
+
+  assert.deepEqual(await run(rules, { params: { username: 'Heaki' } }), { passed: true });
+});
+
+test('numeric bounds and integer checks', async () => {
+  const tooBig = await run(leaderboardRules, { query: { limit: '500' } });
+  assert.deepEqual(tooBig.errors, ['limit must be at most 100']);
+
+  const fraction = await run(leaderboardRules, { query: { limit: '2.5' } });
+  assert.deepEqual(fraction.errors, ['limit must be a positive integer']);
+
+  const negative = await run(leaderboardRules, { query: { offset: '-1' } });
+  assert.ok(negative.errors.includes('offset must be a positive integer'));
+  assert.ok(negative.errors.includes('offset must be at least 0'));
+
+  const notNumber = await run({ days: { type: 'number' } }, { query: { days: 'abc' } });
+  assert.deepEqual(notNumber.errors, ['days must be a number']);
+});
+
+test('enum filters reject untracked modes and countries', async () => {
+  const mode = await run(leaderboardRules, { query: { mode: 'ctb2' } });
+  assert.equal(mode.status, 400);
+  assert.match(mode.errors[0], /^mode must be one of: /);
+
+  const country = await run(leaderboardRules, { query: { country: 'XX' } });
+  assert.match(country.errors[0], /^country must be one of: /);
+});
+
+test('pattern and length rules', async () => {
+  const rules = { username: { minLength: 2, maxLength: 15, pattern: /^[A-Za-z0-9_\-[\] ]+$/ } };
+
+  assert.deepEqual((await run(rules, { query: { username: 'a' } })).errors, ['username must be at least 2 characters']);
+  assert.deepEqual((await run(rules, { query: { username: 'x'.repeat(16) } })).errors, ['username must be at most 15 characters']);
+  assert.deepEqual((await run(rules, { query: { username: 'bad;name' } })).errors, ['username has invalid format']);
+});
+
+test('params take precedence over query and body', async () => {
+  const rules = { beatmapId: { type: 'integer' } };
+
+  assert.deepEqual(await run(rules, { params: { beatmapId: '42' }, query: { beatmapId: 'abc' } }), { passed: true });
+  assert.equal((await run(rules, { body: { beatmapId: 'abc' } })).status, 400);
+});